@@ -0,0 +1,136 @@
+/**
+ * Action Registry
+ * Maps named actions (resolved by DataAdapter from CMS ActionButton codes) to handlers.
+ * Handlers receive the parameters the CMS supplied with the button, so editors can add
+ * buttons for registered actions without a code change.
+ *
+ * Built-in handlers: open-url, download-pdf, scroll-to-anchor.
+ * Application handlers (open-space-selector, share, open-search,
+ * open-shortlist) are registered by SpaceController.
+ */
+
+(function(global) {
+    // Only these protocols may be opened or downloaded from CMS-supplied URLs
+    const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:', 'tel:'];
+
+    /**
+     * Resolves a CMS-supplied URL against the page and rejects unsafe protocols (e.g. javascript:).
+     * @param {string} url - The raw URL.
+     * @returns {string|null} The absolute URL, or null if it is missing or unsafe.
+     */
+    function resolveSafeUrl(url) {
+        if (!url) return null;
+        try {
+            const resolved = new URL(url, global.location.href);
+            return SAFE_PROTOCOLS.includes(resolved.protocol) ? resolved.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    class ActionRegistry {
+        constructor() {
+            this.handlers = new Map();
+        }
+
+        /**
+         * Registers a handler for a named action.
+         * @param {string} name - The action name (e.g. 'open-url').
+         * @param {Function} handler - Called with (params, action, event).
+         * @returns {ActionRegistry} The registry, for chaining.
+         */
+        register(name, handler) {
+            if (typeof handler !== 'function') {
+                throw new TypeError(`Handler for action "${name}" must be a function`);
+            }
+            this.handlers.set(name, handler);
+            return this;
+        }
+
+        /**
+         * Checks whether a handler is registered for an action name.
+         * @param {string} name - The action name.
+         * @returns {boolean}
+         */
+        has(name) {
+            return !!name && this.handlers.has(name);
+        }
+
+        /**
+         * Runs the handler for an action.
+         * @param {Object} action - The action object from DataAdapter.transformActions.
+         * @param {Event} [event] - The triggering DOM event.
+         * @returns {boolean} True if a handler ran.
+         */
+        dispatch(action, event = null) {
+            if (!action || !this.has(action.handler)) {
+                console.warn('No handler registered for action:', action ? (action.handler || action.code) : action);
+                return false;
+            }
+            try {
+                this.handlers.get(action.handler)(action.params || {}, action, event);
+                return true;
+            } catch (error) {
+                console.error(`Action "${action.handler}" failed:`, error);
+                return false;
+            }
+        }
+
+        /**
+         * Registers the handlers that only need the browser (no application state).
+         * @returns {ActionRegistry} The registry, for chaining.
+         */
+        registerBuiltIns() {
+            // Opens a link. Params: url (required), target ('_blank' by default).
+            this.register('open-url', (params) => {
+                const url = resolveSafeUrl(params.url);
+                if (!url) {
+                    console.warn('open-url: missing or unsafe url', params.url);
+                    return;
+                }
+                const target = params.target || '_blank';
+                const win = global.open(url, target, target === '_blank' ? 'noopener' : undefined);
+                if (win && target === '_blank') win.opener = null;
+            });
+
+            // Downloads a file (typically a PDF submittal). Params: url (or file), fileName.
+            this.register('download-pdf', (params) => {
+                const url = resolveSafeUrl(params.url || params.file);
+                if (!url) {
+                    console.warn('download-pdf: missing or unsafe url', params.url || params.file);
+                    return;
+                }
+                const link = global.document.createElement('a');
+                link.href = url;
+                link.setAttribute('download', params.fileName || '');
+                link.rel = 'noopener';
+                link.style.display = 'none';
+                global.document.body.appendChild(link);
+                link.click();
+                link.remove();
+            });
+
+            // Scrolls to an element on the page. Params: anchor (element ID, with or without '#').
+            this.register('scroll-to-anchor', (params) => {
+                const id = String(params.anchor || '').replace(/^#/, '');
+                const target = id ? global.document.getElementById(id) : null;
+                if (!target) {
+                    console.warn('scroll-to-anchor: anchor not found', params.anchor);
+                    return;
+                }
+                target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+
+            return this;
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.ActionRegistry = ActionRegistry;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ActionRegistry;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,194 @@
+/**
+ * Building Type Registry
+ * Central list of the building types the experience can serve, with their
+ * asset defaults, SVG internals and data endpoints. Only types that ship a data
+ * export and art are listed; others are added with register() once they do.
+ *
+ * `dataUrl` is the static export used offline; `cmsFilter` selects the record in the
+ * CMS `buildingtypes` entity set when an OData endpoint is configured.
+ * `cmsFields` lists the optional CMS fields the type's content model has (e.g. 'Spaces/Tabs',
+ * see OPTIONAL_FIELDS in data-adapter.js); the others are left out of the OData query.
+ * `svg.markers` maps space Ids (slugs are accepted too) to the marker IDs of the markers SVG
+ * (see marker-map.js); spaces without an entry are linked by data-space-id or by ID. The marker
+ * ID also names the space's overlay SVG in `defaults.spacePinsDir` (else the slug does).
+ *
+ * Spaces are identified by their CMS Id (GUID); the slug of the title is a readable alias.
+ * `spaceAliases` maps slugs that are no longer current (a space was renamed in the CMS) to the
+ * space's Id or current slug, so old links, saved selections and marker tables keep resolving.
+ */
+
+(function(global) {
+    const DEFAULT_TYPE = 'k-12';
+
+    // Query string keys checked (in order) when resolving the active building type
+    const QUERY_KEYS = ['buildingType', 'type'];
+
+    const ATTRIBUTE_NAME = 'data-building-type';
+
+    /**
+     * Builds the default asset paths for a building type following the
+     * `<key>-hero-bg.png` / `<key>-map.svg` / `<key>-markers.svg` convention.
+     * @param {string} key - The building type key.
+     * @returns {Object} The defaults object.
+     */
+    function conventionalDefaults(key) {
+        return {
+            heroBg: `./Content/imgs/${key}-hero-bg.png`,
+            mapImage: `./Content/imgs/${key}-map.svg`,
+            markersImage: `./Content/imgs/${key}-markers.svg`,
+            markersData: null, // Sidecar JSON of marker positions (see marker-renderer.js); null: CMS positions only
+            spacePinsDir: `./Content/imgs/${key}/Space Pins and Labels with Popover`,
+            // Hero button icons keyed by action handler name (see action-registry.js)
+            icons: {
+                'open-space-selector': './Content/imgs/icons/select-a-space.svg',
+                'share': './Content/imgs/icons/share.svg'
+            }
+        };
+    }
+
+    const BUILDING_TYPES = {
+        'k-12': {
+            key: 'k-12',
+            label: 'K-12 Education',
+            dataUrl: './Content/js/api-response.json',
+            cmsFilter: { Title: 'K-12 School' },
+            // Old slug -> space Id or current slug, e.g. 'gymnasium': 'e810fbc3-7397-41a3-a9e6-28ff623203cd'
+            spaceAliases: {},
+            defaults: Object.assign(conventionalDefaults('k-12'), {
+                spacePinsDir: './Content/imgs/Space Pins and Labels with Popover'
+            }),
+            svg: {
+                pinsGroup: 'K-12-Pins-Roof-Closed',
+                buildingRoof: 'school-roof',
+                // Space Id -> marker group ID in k-12-markers.svg (and overlay SVG name);
+                // the other groups are "coming soon"
+                markers: {
+                    '928212f1-9435-488e-8d39-01542731eea5': 'classrooms', // Classrooms
+                    'e810fbc3-7397-41a3-a9e6-28ff623203cd': 'gym'         // School Gym
+                }
+            }
+        }
+    };
+
+    // Reports a requested building type that is not registered
+    function warnUnknown(key, source) {
+        console.warn(`Unknown building type "${key}" (${source}); registered: ${Object.keys(BUILDING_TYPES).join(', ')}. Using ${DEFAULT_TYPE}.`);
+    }
+
+    class BuildingTypeRegistry {
+        /**
+         * The key used when no building type is requested or the requested one is unknown.
+         * @returns {string}
+         */
+        static get defaultType() {
+            return DEFAULT_TYPE;
+        }
+
+        /**
+         * Normalizes a user supplied key (e.g. "K12", "k 12") to a registry key.
+         * @param {string} key - The raw key.
+         * @returns {string|null} The registry key, or null if it is not registered.
+         */
+        static normalize(key) {
+            if (!key) return null;
+            const slug = String(key).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            if (BUILDING_TYPES[slug]) return slug;
+
+            // Tolerate "k12" and plural forms such as "hospitals"
+            const candidates = [slug.replace(/^k(\d)/, 'k-$1'), slug.replace(/s$/, '')];
+            return candidates.find(c => BUILDING_TYPES[c]) || null;
+        }
+
+        /**
+         * Retrieves the configuration for a building type.
+         * Falls back to the default type (with a warning) for unknown keys.
+         * @param {string} key - The building type key.
+         * @returns {Object} The building type configuration.
+         */
+        static get(key) {
+            const normalized = this.normalize(key);
+            if (!normalized && key) warnUnknown(key, 'key');
+            return BUILDING_TYPES[normalized] || BUILDING_TYPES[DEFAULT_TYPE];
+        }
+
+        /**
+         * Checks whether a building type is registered.
+         * @param {string} key - The building type key.
+         * @returns {boolean}
+         */
+        static has(key) {
+            return this.normalize(key) !== null;
+        }
+
+        /**
+         * Lists all registered building type keys.
+         * @returns {Array<string>}
+         */
+        static keys() {
+            return Object.keys(BUILDING_TYPES);
+        }
+
+        /**
+         * Registers (or replaces) a building type.
+         * Missing defaults are filled in from the naming convention.
+         * @param {Object} config - The building type configuration. Must include `key`.
+         * @returns {Object} The stored configuration.
+         */
+        static register(config) {
+            if (!config || !config.key) {
+                throw new Error('Building type configuration requires a key');
+            }
+            const key = config.key;
+            BUILDING_TYPES[key] = Object.assign({
+                label: key,
+                dataUrl: `./Content/js/${key}-data.json`,
+                cmsFilter: { Title: config.label || key },
+                svg: {}
+            }, config, {
+                defaults: Object.assign(conventionalDefaults(key), config.defaults)
+            });
+            return BUILDING_TYPES[key];
+        }
+
+        /**
+         * Resolves the active building type for the current page.
+         * Priority: URL query string (?buildingType= or ?type=), then the first
+         * element carrying a `data-building-type` attribute, then the default type.
+         * A requested type that is not registered is skipped with a warning.
+         *
+         * @param {Location} [location] - Location to read the query string from.
+         * @param {Document} [doc] - Document to search for the data attribute.
+         * @returns {string} The resolved building type key.
+         */
+        static resolve(location = global.location, doc = global.document) {
+            if (location && location.search) {
+                const params = new URLSearchParams(location.search);
+                for (const name of QUERY_KEYS) {
+                    const requested = params.get(name);
+                    const key = this.normalize(requested);
+                    if (key) return key;
+                    if (requested) warnUnknown(requested, `?${name}=`);
+                }
+            }
+
+            if (doc) {
+                const el = doc.querySelector(`[${ATTRIBUTE_NAME}]`);
+                const requested = el ? el.getAttribute(ATTRIBUTE_NAME) : null;
+                const key = this.normalize(requested);
+                if (key) return key;
+                if (requested) warnUnknown(requested, ATTRIBUTE_NAME);
+            }
+
+            return DEFAULT_TYPE;
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.BuildingTypeRegistry = BuildingTypeRegistry;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BuildingTypeRegistry;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
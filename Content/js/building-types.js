@@ -8,10 +8,30 @@
  * HVAC systems and Greenheck products.
  * 
  * Components:
- * - SpaceService: Handles data fetching (currently uses mock data).
+ * - BuildingTypeRegistry (building-type-registry.js): Per building type defaults, SVG IDs and endpoints.
+ * - SvgLoader (svg-loader.js): Fetches, sanitizes and inlines the map, marker and overlay SVGs (cached per file).
+ * - MapViewport (map-viewport.js): Wheel/pinch zoom, drag to pan and zoom-to-marker on the building map.
+ * - MarkerRenderer (marker-renderer.js): Draws the markers from CMS or sidecar positions instead of the markers SVG.
+ * - MarkerMap (marker-map.js): Links markers to spaces (per building type mapping table) and audits the result.
+ * - HtmlSanitizer (html-sanitizer.js): Allow-list sanitizer applied by DataAdapter to CMS rich text and URLs.
+ * - ODataClient (odata-client.js): Queries the CMS OData service (paging, timeouts, retries, abort).
+ * - DataCache (data-cache.js): localStorage cache behind SpaceService's stale-while-revalidate loading.
+ * - SchemaValidator (schema-validator.js): Checks the CMS payload; DataAdapter returns the findings as diagnostics.
+ * - SpaceSearch (space-search.js): Fuzzy search across the content of every space (the modal's search panel).
+ * - SpaceService: Handles data fetching (CMS OData endpoint, or the static export per building type).
  * - SpaceModel: Manages the application state (current space, list of spaces, etc.).
  * - SpaceView: Handles all DOM manipulations, SVG interactions, and UI rendering.
  * - SpaceController: Connects the Model and View, handling user inputs and application logic.
+ * - SpaceRouter (space-router.js): Mirrors the modal state in the URL for deep links and Back/Forward.
+ * - ActionRegistry (action-registry.js): Named handlers for the CMS hero buttons.
+ * - ShareManager (share-manager.js): Shares the page, a space or a product (Web Share API or share modal).
+ * - TabList (tab-list.js): WAI-ARIA tabs for the detail scene; the tab set comes from each space's data.
+ * - TabRegistry (tab-registry.js): Tab types (CMS field, transform, visibility rule, renderer).
+ * - Carousel (carousel.js): System Equipment slide show (virtualized slides, swipe, arrow keys, autoplay).
+ * - ProductCompare (product-compare.js): Products picked from any space for the side-by-side comparison.
+ * - ProductShortlist (product-shortlist.js): "My Selections", the project shortlist kept in the browser (CSV/JSON export, share link).
+ * - DialogController (dialog-controller.js): Focus trap, Escape/backdrop dismissal and scroll lock for the modal and popover.
+ * - OfflineManager (offline-manager.js): Registers sw.js, shows the offline indicator and applies updates.
  */
 
 /* ==========================================================================
@@ -30,6 +50,8 @@ const APP_CONFIG = {
             modalSystemName: 'modal-system-name',
             modalCloseBtn: 'modal-close-btn',
             modalBackBtn: 'modal-back-btn',
+            modalTablist: 'modal-tablist',
+            tabPanels: 'detail-tab-panels',
             
             // Detail Section Elements
             detailTitle: 'detail-title',
@@ -40,11 +62,18 @@ const APP_CONFIG = {
             systemEquipmentContent: 'system-equipment-content',
             designNarrativeContent: 'design-narrative-content',
             
-            // SVGs
-            buildingMapSvg: 'building-svg-map',
-            buildingMarkersSvg: 'building-svg-markers',
+            // SVGs (the building SVG and its layers, filled by SvgLoader)
+            buildingSvg: 'building-svg',
+            buildingViewport: 'building-viewport',
+            buildingMapSvg: 'building-map-layer',
+            buildingMarkersSvg: 'building-markers-layer',
             spaceSvg: 'space-svg-object',
-            overlaySvg: 'building-space-overlay-object',
+            overlaySvg: 'building-overlay-layer',
+
+            // Map Zoom
+            mapZoomInBtn: 'map-zoom-in-btn',
+            mapZoomOutBtn: 'map-zoom-out-btn',
+            mapZoomResetBtn: 'map-zoom-reset-btn',
             
             // Popover
             popover: 'space-popover',
@@ -52,6 +81,9 @@ const APP_CONFIG = {
             popoverSystemName: 'popover-system-name',
             popoverViewBtn: 'popover-view-btn',
             popoverCloseBtn: 'popover-close-btn',
+
+            // Screen reader announcements (aria-live)
+            announcer: 'space-announcer',
             
             // Scenes
             buildingScene: 'building-overview-scene',
@@ -62,39 +94,175 @@ const APP_CONFIG = {
             heroBgImg: 'hero-bg-img',
             heroTitle: 'hero-title',
             heroDescription: 'hero-description',
-            heroButtonsContainer: 'hero-buttons-container'
+            heroButtonsContainer: 'hero-buttons-container',
+
+            // Product Detail Drawer
+            productDrawer: 'product-drawer',
+            productDrawerTitle: 'product-drawer-title',
+            productDrawerBody: 'product-drawer-body',
+            productDrawerCloseBtn: 'product-drawer-close-btn',
+            productDrawerPageLink: 'product-drawer-page-link',
+
+            // Search Panel
+            searchBtn: 'modal-search-btn',
+            searchPanel: 'search-panel',
+            searchPanelCloseBtn: 'search-panel-close-btn',
+            searchForm: 'search-form',
+            searchInput: 'search-input',
+            searchStatus: 'search-status',
+            searchResults: 'search-results',
+
+            // Product Comparison
+            compareTray: 'compare-tray',
+            compareTrayList: 'compare-tray-list',
+            compareOpenBtn: 'compare-open-btn',
+            compareClearBtn: 'compare-clear-btn',
+            comparePanel: 'compare-panel',
+            comparePanelBody: 'compare-panel-body',
+            comparePanelCloseBtn: 'compare-panel-close-btn',
+
+            // My Selections (shortlist)
+            shortlistBtn: 'modal-shortlist-btn',
+            shortlistCount: 'shortlist-count',
+            shortlistTray: 'shortlist-tray',
+            shortlistTrayCloseBtn: 'shortlist-tray-close-btn',
+            shortlistList: 'shortlist-list',
+            shortlistEmpty: 'shortlist-empty',
+            shortlistCsvBtn: 'shortlist-csv-btn',
+            shortlistJsonBtn: 'shortlist-json-btn',
+            shortlistShareBtn: 'shortlist-share-btn',
+            shortlistClearBtn: 'shortlist-clear-btn'
         },
         classes: {
             modalSpaceName: '.space-selection-modal-space-name',
-            modalTab: '.space-selection-modal-tab',
-            tabContent: '.tab-content',
-            productCarousel: '.product-carousel',
-            productSlide: '.product-slide',
-            carouselDots: '.carousel-dots',
-            dot: '.dot',
-            navBtnNext: '.carousel-nav-btn.next',
-            navBtnPrev: '.carousel-nav-btn.prev',
-            liveRegion: '.carousel-live-region',
+            modalShareBtn: '.space-selection-modal-share-btn',
+            productCarousel: '.product-carousel', // Slide, navigation and live region classes: see carousel.js
+            viewProductDetailsBtn: '.view-product-details-btn',
+            searchResult: '.search-result',
+            compareToggleBtn: '.compare-toggle-btn',
+            compareRemoveBtn: '.compare-remove-btn',
+            compareProductLink: '.compare-product-link',
+            shortlistToggleBtn: '.shortlist-toggle-btn',
+            shortlistRemoveBtn: '.shortlist-remove-btn',
+            shortlistProductLink: '.shortlist-product-link',
             
             // Marker Classes
             markerGroup: 'gh-marker-group',
             childVisible: 'gh-child-visible',
             childHidden: 'gh-child-hidden',
-            markerDimmed: 'gh-marker-dimmed'
+            markerDimmed: 'gh-marker-dimmed',
+            markerComingSoon: 'gh-marker-coming-soon'
         }
     },
-    // SVG Internal IDs
+    // SVG Internal IDs (K-12 defaults; overridden per building type by BuildingTypeRegistry)
     svg: {
         pinsGroup: 'K-12-Pins-Roof-Closed',
         buildingRoof: 'school-roof',
+        markers: {},                    // Space ID or slug -> marker element ID (see marker-map.js)
         overlayViewBtn: 'view-default', // Static ID defined inside the SVG file
         overlayCloseBtn: 'close-btn'    // Static ID defined inside the SVG file
     },
+    // CMS rich text allow-list (see html-sanitizer.js), applied by DataAdapter
+    sanitizer: {
+        allowedTags: [
+            'p', 'br', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li',
+            'strong', 'b', 'em', 'i', 'u', 'sup', 'sub', 'span', 'div', 'a'
+        ],
+        allowedAttributes: {
+            '*': ['class'],
+            'a': ['href', 'target', 'rel', 'title']
+        },
+        allowedProtocols: ['http:', 'https:', 'mailto:', 'tel:']
+    },
+    // CMS OData endpoint (see odata-client.js). Without a baseUrl the static export
+    // (BuildingTypeRegistry dataUrl) is loaded. A data-api-base-url attribute on the page overrides it.
+    api: {
+        baseUrl: null,            // e.g. 'https://cms-testv2.greenheck.com/api/all-services'
+        entitySet: 'buildingtypes',
+        timeout: 10000,           // Per attempt, in ms
+        retries: 3,
+        retryDelay: 500,          // Doubled per retry
+        fallbackToStatic: true    // Load the static export if the CMS request fails
+    },
+    // Stale-while-revalidate cache of CMS payloads (see data-cache.js).
+    // A data-cms-version attribute on the page overrides `version`; ?refresh in the URL clears the cache.
+    cache: {
+        enabled: true,
+        version: '1',               // Bump when CMS content is republished to discard cached copies
+        ttl: 5 * 60 * 1000          // ms before a cached payload is revalidated in the background
+    },
+    // CMS payload validation (see schema-validator.js)
+    validation: {
+        strict: false,      // Refuse to render a payload with schema errors
+        logWarnings: true   // Log schema warnings (missing images, repaired markup, ...) to the console
+    },
+    // Sharing (see share-manager.js)
+    share: {
+        useNativeShare: true, // Prefer the Web Share API when the browser supports it
+        copiedMessage: 'Link copied to clipboard'
+    },
+    // Offline kiosk mode (see offline-manager.js and sw.js)
+    offline: {
+        serviceWorkerUrl: '/sw.js',
+        updateCheckInterval: 30 * 60 * 1000, // Poll for a new deployment every 30 minutes
+        idleReloadDelay: 60 * 1000           // Apply an update after a minute without user input
+    },
+    // Analytics hooks: CustomEvents dispatched on document (share events come from ShareManager).
+    // event.detail carries { spaceId, productId, title, url }; for markerAudit, the MarkerMap report.
+    events: {
+        productDetails: 'gh:product-details', // "View Product Details" opened the drawer
+        productPage: 'gh:product-page',       // The product page was opened from the drawer
+        markerAudit: 'gh:marker-audit'        // The markers were linked to the spaces
+    },
+    // System Equipment carousel gestures and autoplay (see carousel.js)
+    carousel: {
+        swipeDistance: 50,      // px of horizontal travel that always counts as a swipe
+        swipeVelocity: 0.3,     // px/ms; a quick flick of at least minSwipeDistance also counts
+        minSwipeDistance: 20,   // px
+        autoplay: false,        // Rotate slides automatically (never with prefers-reduced-motion)
+        autoplayInterval: 6000  // ms per slide
+    },
+    // Pan and zoom of the building map (see map-viewport.js)
+    viewport: {
+        minScale: 1,    // The whole map
+        maxScale: 4,
+        step: 1.5,      // Zoom factor of the buttons and + / - keys
+        focusScale: 2   // Smallest scale used to frame the selected space's marker
+    },
+    // Markers drawn from space positions (see marker-renderer.js), in map units
+    markers: {
+        pinRadius: 12,
+        labelOffset: 30 // Pin centre to label baseline
+    },
+    // Product comparison (see product-compare.js)
+    compare: {
+        min: 2, // Products needed to open the comparison
+        max: 4  // Products shown side by side
+    },
+    // My Selections (see product-shortlist.js)
+    shortlist: {
+        prefix: 'gh-shortlist',     // localStorage key prefix; one list per building type
+        param: 'shortlist',         // Query parameter of shared links (?shortlist=<id>,<id>)
+        fileName: 'my-selections'   // Export file name, without the extension
+    },
+    // Search panel (see space-search.js)
+    search: {
+        limit: 20,          // Results shown for a query
+        snippetLength: 140  // Characters of matching body text shown under a result
+    },
+    // URL Routing (see space-router.js)
+    router: {
+        mode: 'hash' // 'hash' (#scene=...) or 'query' (?scene=...)
+    },
     // Constants
     constants: {
         popoverOffsetX: 160,
         popoverOffsetY: 10,
-        tabs: {
+        scenes: {
+            building: 'building',
+            detail: 'detail'
+        },
+        tabs: { // Keys of the built-in tab types (more can be registered with TabRegistry)
             overview: 'overview',
             equipment: 'system-equipment',
             narrative: 'design-narrative'
@@ -107,48 +275,188 @@ const APP_CONFIG = {
    ========================================================================== */
 /**
  * Service class responsible for data retrieval.
- * In a real-world scenario, this would make HTTP requests to a backend API.
+ * Queries the CMS OData service when a client is configured, otherwise loads the
+ * static export listed in BuildingTypeRegistry.
  */
 class SpaceService {
-    constructor() {
-        this.dataUrl = '/api/building-data'; // Placeholder for API endpoint
+    /**
+     * @param {ODataClient} [client] - Client for the CMS OData service (null for static data only).
+     * @param {DataCache} [cache] - Cache for stale-while-revalidate loading (null disables caching).
+     */
+    constructor(client = null, cache = null) {
+        this.client = client;
+        this.cache = cache;
+        this.request = null; // AbortController of the in-flight fetch
+    }
+
+    /**
+     * Loads the building space data, serving a cached payload immediately when there is one.
+     * A cached payload older than the cache TTL is revalidated in the background, and
+     * `onUpdate` is called with the new data only if the payload changed.
+     *
+     * @param {string} buildingType - Optional building type to load data for.
+     * @param {Function} [onUpdate] - Called with the transformed data after a changed revalidation.
+     * @returns {Promise<Object>} A promise that resolves to the data object containing spaces and page metadata.
+     */
+    async loadData(buildingType = BuildingTypeRegistry.defaultType, onUpdate = () => {}) {
+        const typeConfig = BuildingTypeRegistry.get(buildingType);
+        const cached = this.cache ? this.cache.get(typeConfig.key) : null;
+        if (!cached) return this.fetchData(buildingType);
+
+        let data;
+        try {
+            data = this.transformData(cached.payload, typeConfig);
+        } catch (error) {
+            console.warn('Cached building data is unusable, fetching it again:', error);
+            this.cache.invalidate(typeConfig.key);
+            return this.fetchData(buildingType);
+        }
+
+        if (!cached.fresh) this.revalidate(typeConfig, onUpdate);
+        return data;
     }
 
     /**
-     * Fetches the building space data.
-     * Uses the local JSON file to simulate an API response.
+     * Fetches the building space data from the network (and refreshes the cache).
+     * A new call aborts the previous one still in flight.
      * 
      * @param {string} buildingType - Optional building type to fetch data for.
      * @returns {Promise<Object>} A promise that resolves to the data object containing spaces and page metadata.
      */
-    async fetchData(buildingType = 'k-12') {
+    async fetchData(buildingType = BuildingTypeRegistry.defaultType) {
         try {
-            // In a real application, buildingType could be used to construct the URL
-            // For this demo, we use the API response simulation
-            // const response = await fetch(`./Content/js/${buildingType}-data.json`);
-            
-            // Switch to API Response for validation of DataAdapter
-            const response = await fetch(`./Content/js/api-response.json`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const rawData = await response.json();
-            
-            // Use DataAdapter if available to transform the data
-            if (typeof DataAdapter !== 'undefined') {
-                console.log('Using DataAdapter to transform API response');
-                return DataAdapter.transform(rawData);
-            } else {
-                console.warn('DataAdapter not found, returning raw data');
-                return rawData;
-            }
+            const result = await this.fetchPayload(BuildingTypeRegistry.get(buildingType));
+            return result.data;
         } catch (error) {
-            console.error('Error fetching data:', error);
+            if (error.name !== 'AbortError') {
+                console.error('Error fetching data:', error);
+                if (error.report) this.logDiagnostics(error.report.toJSON());
+            }
             // Return empty structure on error to prevent app crash
             return { pageMetadata: {}, spaces: [] };
         }
     }
+
+    /**
+     * Fetches, transforms and caches the payload for a building type.
+     * Payloads that fail strict validation are not cached.
+     *
+     * @param {Object} typeConfig - The building type configuration.
+     * @returns {Promise<Object>} { data, changed } where `changed` is false if the cached payload was identical.
+     */
+    async fetchPayload(typeConfig) {
+        this.abort();
+        const request = new AbortController();
+        this.request = request;
+
+        try {
+            const rawData = await this.fetchRawData(typeConfig, request.signal);
+            const data = this.transformData(rawData, typeConfig);
+            const stored = this.cache ? this.cache.set(typeConfig.key, rawData) : { changed: true };
+            return { data: data, changed: stored.changed };
+        } finally {
+            if (this.request === request) this.request = null;
+        }
+    }
+
+    /**
+     * Refreshes a cached payload in the background.
+     * @param {Object} typeConfig - The building type configuration.
+     * @param {Function} onUpdate - Called with the transformed data if the payload changed.
+     * @returns {Promise<void>}
+     */
+    async revalidate(typeConfig, onUpdate) {
+        try {
+            const result = await this.fetchPayload(typeConfig);
+            if (result.changed) onUpdate(result.data);
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('Background revalidation failed, keeping cached data:', error);
+            }
+        }
+    }
+
+    /**
+     * Discards cached payloads so the next load goes to the network.
+     * @param {string} [buildingType] - The building type key; omit to clear every building type.
+     */
+    invalidateCache(buildingType) {
+        if (this.cache) this.cache.invalidate(buildingType);
+    }
+
+    /**
+     * Transforms a raw payload with DataAdapter and logs the validation findings.
+     * @param {Object} rawData - The raw OData payload.
+     * @param {Object} typeConfig - The building type configuration.
+     * @returns {Object} The transformed data.
+     */
+    transformData(rawData, typeConfig) {
+        if (typeof DataAdapter === 'undefined') {
+            console.warn('DataAdapter not found, returning raw data');
+            return rawData;
+        }
+        const data = DataAdapter.transform(rawData, {
+            buildingType: typeConfig.key,
+            sanitizer: APP_CONFIG.sanitizer,
+            strict: APP_CONFIG.validation.strict
+        });
+        this.logDiagnostics(data.diagnostics);
+        return data;
+    }
+
+    /**
+     * Loads the raw OData payload for a building type from the CMS, falling back to the
+     * static export when the CMS is not configured or (if allowed) fails.
+     *
+     * @param {Object} typeConfig - The building type configuration.
+     * @param {AbortSignal} signal - Aborts the request.
+     * @returns {Promise<Object>} The raw OData response ({ '@odata.context', value }).
+     */
+    async fetchRawData(typeConfig, signal) {
+        if (this.client) {
+            try {
+                const response = await this.client.getAll(APP_CONFIG.api.entitySet, DataAdapter.getODataQuery(typeConfig), { signal: signal });
+                if (!response.value.length) {
+                    throw new Error(`Building type "${typeConfig.key}" not found in the CMS`);
+                }
+                return response;
+            } catch (error) {
+                if (error.name === 'AbortError' || !APP_CONFIG.api.fallbackToStatic) throw error;
+                console.warn(`CMS request failed, loading ${typeConfig.dataUrl} instead:`, error);
+            }
+        }
+
+        const response = await fetch(typeConfig.dataUrl, { signal: signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Aborts the in-flight fetchData call (e.g. when the user navigates away).
+     */
+    abort() {
+        if (this.request) {
+            this.request.abort();
+            this.request = null;
+        }
+    }
+
+    /**
+     * Logs the schema findings returned by DataAdapter.
+     * @param {Object} diagnostics - The diagnostics object ({ valid, errors, warnings }).
+     */
+    logDiagnostics(diagnostics) {
+        if (!diagnostics) return;
+        const warnings = APP_CONFIG.validation.logWarnings ? diagnostics.warnings : [];
+        if (!diagnostics.errors.length && !warnings.length) return;
+
+        console.group(`CMS payload: ${diagnostics.errors.length} error(s), ${diagnostics.warnings.length} warning(s)`);
+        diagnostics.errors.forEach(issue => console.error(`${issue.path} ${issue.message}`));
+        warnings.forEach(issue => console.warn(`${issue.path} ${issue.message}`));
+        console.groupEnd();
+    }
 }
 
 /* ==========================================================================
@@ -157,10 +465,14 @@ class SpaceService {
 /**
  * Model class responsible for managing the application's state.
  * Stores the list of spaces and the currently selected space.
+ * Spaces are identified by their CMS Id; lookups also accept a space's slug and aliases
+ * (DataAdapter.transformSpaces), so links and saved state from before a rename still resolve.
  */
 class SpaceModel {
     constructor() {
+        this.buildingType = BuildingTypeRegistry.defaultType; // Key of the active building type
         this.spaces = [];             // List of all available spaces
+        this.spaceIndex = new Map();  // Space ID, slug or alias (DataAdapter.normalizeId) -> space
         this.pageMetadata = null;     // Page-specific metadata (hero, title, etc.)
         this.currentSpaceId = null;   // ID of the currently selected space
         this.currentTab = APP_CONFIG.constants.tabs.overview; // Default active tab in the detail modal
@@ -168,12 +480,36 @@ class SpaceModel {
         this.markerData = {};         // Stores SVG marker coordinates
     }
 
+    /**
+     * Sets the active building type.
+     * @param {string} key - The building type key.
+     */
+    setBuildingType(key) {
+        this.buildingType = key;
+    }
+
+    /**
+     * Retrieves the configuration of the active building type.
+     * @returns {Object} The building type configuration from BuildingTypeRegistry.
+     */
+    getBuildingTypeConfig() {
+        return BuildingTypeRegistry.get(this.buildingType);
+    }
+
     /**
      * Updates the list of spaces.
      * @param {Array<Object>} spaces - Array of space objects.
      */
     setSpaces(spaces) {
         this.spaces = spaces;
+        this.spaceIndex = new Map();
+        // Aliases first, so a canonical ID or current slug always wins over an old slug
+        const index = (key, space) => {
+            if (DataAdapter.normalizeId(key)) this.spaceIndex.set(DataAdapter.normalizeId(key), space);
+        };
+        spaces.forEach(space => (space.aliases || []).forEach(alias => index(alias, space)));
+        spaces.forEach(space => index(space.slug, space));
+        spaces.forEach(space => index(space.id, space));
     }
 
     /**
@@ -193,12 +529,22 @@ class SpaceModel {
     }
 
     /**
-     * Retrieves a specific space by its ID.
-     * @param {string} id - The unique identifier of the space.
+     * Retrieves a specific space by its ID, slug or alias.
+     * @param {string} id - The CMS Id of the space, or its slug or one of its aliases.
      * @returns {Object|undefined} The space object if found, otherwise undefined.
      */
     getSpace(id) {
-        return this.spaces.find(s => s.id === id);
+        return this.spaceIndex.get(DataAdapter.normalizeId(id));
+    }
+
+    /**
+     * Resolves a space ID, slug or alias to the canonical space ID.
+     * @param {string} id - Any key of a space.
+     * @returns {string|null} The CMS Id of the space, or null if no space matches.
+     */
+    resolveSpaceId(id) {
+        const space = this.getSpace(id);
+        return space ? space.id : null;
     }
 
     /**
@@ -240,38 +586,106 @@ class SpaceView {
         this.modal = document.getElementById(APP_CONFIG.selectors.ids.modal);
         this.modalTitle = document.querySelector(APP_CONFIG.selectors.classes.modalSpaceName);
         this.modalSystemName = document.getElementById(APP_CONFIG.selectors.ids.modalSystemName);
-        this.modalTabs = document.querySelectorAll(APP_CONFIG.selectors.classes.modalTab);
-        this.tabContents = document.querySelectorAll(APP_CONFIG.selectors.classes.tabContent);
+        this.createTabElements();
+        this.tabList = new TabList(document.getElementById(APP_CONFIG.selectors.ids.modalTablist)); // The controller sets onSelect
         
         // Detail section elements
         this.detailTitle = document.getElementById(APP_CONFIG.selectors.ids.detailTitle);
         this.detailDescription = document.getElementById(APP_CONFIG.selectors.ids.detailDescription);
         this.narrativeContent = document.getElementById(APP_CONFIG.selectors.ids.designNarrativeContent);
         
-        // Product Carousel
-        this.productCarousel = document.querySelector(APP_CONFIG.selectors.classes.productCarousel);
+        // Product Carousel (the controller sets onChange and canAutoplay)
+        this.productCarousel = new Carousel(document.querySelector(APP_CONFIG.selectors.classes.productCarousel), {
+            ...APP_CONFIG.carousel,
+            label: 'System Equipment Carousel',
+            prevLabel: 'Previous product',
+            nextLabel: 'Next product',
+            emptyMessage: 'No equipment data available for this space.',
+            renderSlide: (product, index, total, slide) => this.renderProductSlide(product, index, total, slide),
+            getImages: (product) => [product.bgImg, product.slideImg]
+        });
         
-        // SVG Object Containers
-        this.buildingMapObject = document.getElementById(APP_CONFIG.selectors.ids.buildingMapSvg);
-        this.buildingMarkersObject = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-        this.spaceSvgObject = document.getElementById(APP_CONFIG.selectors.ids.spaceSvg);
+        // Inline SVGs (the building SVG holds the map, markers and overlay layers)
+        this.svgLoader = new SvgLoader();
+        this.buildingSvg = document.getElementById(APP_CONFIG.selectors.ids.buildingSvg);
+        this.spaceSvgContainer = document.getElementById(APP_CONFIG.selectors.ids.spaceSvg);
+        this.markerRenderer = new MarkerRenderer(APP_CONFIG.markers);
+
+        // Pan and zoom of the building map (the layers share one transformed group)
+        this.mapViewport = new MapViewport(this.buildingSvg, document.getElementById(APP_CONFIG.selectors.ids.buildingViewport), {
+            ...APP_CONFIG.viewport,
+            controls: {
+                zoomIn: document.getElementById(APP_CONFIG.selectors.ids.mapZoomInBtn),
+                zoomOut: document.getElementById(APP_CONFIG.selectors.ids.mapZoomOutBtn),
+                reset: document.getElementById(APP_CONFIG.selectors.ids.mapZoomResetBtn)
+            }
+        });
         
         // Popover element
         this.popover = document.getElementById(APP_CONFIG.selectors.ids.popover);
+
+        // Dialog behaviour (focus, Escape, inert background); the controller sets onDismiss
+        this.modalDialog = new DialogController(this.modal, {
+            label: 'Select a space',
+            initialFocus: `#${APP_CONFIG.selectors.ids.modalCloseBtn}`, // The tabs are disabled on the building scene
+            returnFocus: '[data-action="open-space-selector"]' // Hero buttons are re-rendered when data refreshes
+        });
+        this.productDrawer = new DialogController(document.getElementById(APP_CONFIG.selectors.ids.productDrawer), {
+            labelledBy: APP_CONFIG.selectors.ids.productDrawerTitle,
+            initialFocus: `#${APP_CONFIG.selectors.ids.productDrawerCloseBtn}`
+        });
+        this.compareDialog = new DialogController(document.getElementById(APP_CONFIG.selectors.ids.comparePanel), {
+            labelledBy: 'compare-panel-title',
+            initialFocus: `#${APP_CONFIG.selectors.ids.comparePanelCloseBtn}`
+        });
+        this.carouselSpaceId = null;     // Space whose products the carousel shows
+        this.comparedKeys = new Set();   // ProductCompare keys, for the slides' Compare buttons
+        // Non-modal, so the spaces can be browsed with the tray open
+        this.shortlistTray = new DialogController(document.getElementById(APP_CONFIG.selectors.ids.shortlistTray), {
+            modal: false,
+            closeOnBackdrop: false,
+            labelledBy: 'shortlist-tray-title',
+            initialFocus: `#${APP_CONFIG.selectors.ids.shortlistTrayCloseBtn}`,
+            onDismiss: () => this.hideShortlistTray()
+        });
+        this.shortlistedIds = new Set(); // Product IDs in My Selections, for the slides' Save buttons
+        this.searchDialog = new DialogController(document.getElementById(APP_CONFIG.selectors.ids.searchPanel), {
+            labelledBy: 'search-panel-title',
+            initialFocus: `#${APP_CONFIG.selectors.ids.searchInput}`
+        });
+        this.popoverDialog = new DialogController(this.popover, {
+            modal: false,
+            closeOnBackdrop: false,
+            labelledBy: APP_CONFIG.selectors.ids.popoverSpaceName,
+            initialFocus: `#${APP_CONFIG.selectors.ids.popoverViewBtn}`
+        });
         
         // --- State ---
         this.isPopoverVisible = false;
+        this.currentScene = APP_CONFIG.constants.scenes.building;
+        this.markers = []; // Accessible markers ({ el, space }) in keyboard order
+        this.svgConfig = { ...APP_CONFIG.svg }; // SVG internal IDs for the active building type
         
         // --- Constants ---
         this.SPACE_POPOVER_OFFSET_X = APP_CONFIG.constants.popoverOffsetX;
         this.SPACE_POPOVER_OFFSET_Y = APP_CONFIG.constants.popoverOffsetY;
     }
 
+    /**
+     * Applies the SVG internal IDs (pins group, roof) of a building type.
+     * @param {Object} buildingType - The building type configuration from BuildingTypeRegistry.
+     */
+    setBuildingType(buildingType) {
+        this.svgConfig = { ...APP_CONFIG.svg, ...(buildingType && buildingType.svg) };
+    }
+
     /**
      * Renders the dynamic page content including hero section.
      * @param {Object} metadata - The page metadata object.
+     * @param {Function} isActionEnabled - Predicate telling whether a hero action has a handler.
+     *                                     Actions without one are rendered disabled.
      */
-    renderPageContent(metadata) {
+    renderPageContent(metadata, isActionEnabled = () => true) {
         if (!metadata) return;
 
         // Update Page Title
@@ -296,60 +710,148 @@ class SpaceView {
             if (btnContainer) {
                 btnContainer.innerHTML = ''; // Clear existing
 
-                hero.actions.forEach(action => {
+                hero.actions.forEach((action, index) => {
                     const btn = document.createElement('button');
                     btn.className = `hero-btn ${action.type === 'primary' ? 'hero-btn-primary' : ''}`;
                     if (action.actionId) btn.id = action.actionId;
-
-                    const img = document.createElement('img');
-                    img.src = action.iconClass;
-                    img.alt = action.label;
-                    
-                    btn.appendChild(img);
+                    btn.dataset.actionIndex = index;
+                    if (action.handler) btn.dataset.action = action.handler;
+
+                    // Unknown or unregistered actions stay visible but inert
+                    if (!isActionEnabled(action)) {
+                        btn.disabled = true;
+                        btn.title = 'Coming soon';
+                    }
+
+                    if (action.iconClass) {
+                        const img = document.createElement('img');
+                        img.src = action.iconClass;
+                        img.alt = ''; // Decorative, the label follows
+                        btn.appendChild(img);
+                    }
                     btn.appendChild(document.createTextNode(`\u00A0${action.label}`)); // Add non-breaking space
                     
                     btnContainer.appendChild(btn);
                 });
             }
         }
-        
-        // Update Modal SVGs (Map and Markers layers)
-        const mapObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMapSvg);
-        const markersObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-
-        // Map Layer
-        const mapSrc = metadata.modalMapImage;
-        if (mapObj && mapSrc) {
-            if (mapObj.getAttribute('data') !== mapSrc) {
-                mapObj.setAttribute('data', mapSrc);
+    }
+
+    /**
+     * Inlines an SVG file into a layer of the building SVG, unless the layer already shows it.
+     * The building SVG takes its viewBox from the first layer that loads (all layers share it).
+     *
+     * @param {string} layerId - ID of the layer group.
+     * @param {string} url - The SVG URL.
+     * @returns {Promise<SVGSVGElement|null>} The inlined SVG, or null if nothing was loaded.
+     */
+    loadLayer(layerId, url) {
+        const layer = document.getElementById(layerId);
+        if (!layer || !url || layer.getAttribute('data-src') === url) return Promise.resolve(null);
+
+        return this.svgLoader.inline(layer, url).then(svg => {
+            const viewBox = svg && svg.getAttribute('viewBox');
+            if (viewBox && this.buildingSvg && !this.buildingSvg.hasAttribute('viewBox')) {
+                this.buildingSvg.setAttribute('viewBox', viewBox);
             }
+            return svg;
+        });
+    }
+
+    /**
+     * Replaces the markers layer with markers drawn from space positions (marker-renderer.js).
+     * Coordinates are in the units of `viewBox`, by default the map's.
+     *
+     * @param {Array<Object>} spaces - The spaces, in marker order.
+     * @param {Map<string, Object>} positions - Space ID -> { x, y, label }.
+     * @param {string|null} [viewBox] - The coordinates' viewBox (from the sidecar file).
+     * @returns {SVGSVGElement|null} The markers SVG.
+     */
+    renderMarkersLayer(spaces, positions, viewBox = null) {
+        const layer = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
+        if (!layer) return null;
+
+        const map = this.getLayerSvg(APP_CONFIG.selectors.ids.buildingMapSvg);
+        const box = viewBox || (map && map.getAttribute('viewBox'));
+        const svg = this.markerRenderer.render(spaces, positions, { viewBox: box, pinsGroup: this.svgConfig.pinsGroup });
+
+        this.svgLoader.clear(layer); // Also drops a markers SVG still loading
+        layer.appendChild(svg);
+        if (box && this.buildingSvg && !this.buildingSvg.hasAttribute('viewBox')) {
+            this.buildingSvg.setAttribute('viewBox', box);
         }
+        return svg;
+    }
+
+    /**
+     * Returns the SVG currently inlined in a layer.
+     * @param {string} layerId - ID of the layer group.
+     * @returns {SVGSVGElement|null}
+     */
+    getLayerSvg(layerId) {
+        const layer = document.getElementById(layerId);
+        return layer ? layer.querySelector('svg') : null;
+    }
 
-        // Markers Layer
-        const markersSrc = metadata.modalMarkersImage;
-        if (markersObj && markersSrc) {
-            if (markersObj.getAttribute('data') !== markersSrc) {
-                markersObj.setAttribute('data', markersSrc);
+    /**
+     * Adds a tab button and panel for every registered tab type that has none in the markup
+     * (the built-in tabs are in index.html). Which of them a space shows is decided per space.
+     */
+    createTabElements() {
+        const tablist = document.getElementById(APP_CONFIG.selectors.ids.modalTablist);
+        const panels = document.getElementById(APP_CONFIG.selectors.ids.tabPanels);
+        if (!tablist || !panels) return;
+
+        TabRegistry.list().forEach(type => {
+            if (tablist.querySelector(`[data-tab="${type.key}"]`)) return;
+
+            const panelId = `${type.key}-content`;
+            const button = document.createElement('button');
+            button.className = 'space-selection-modal-tab';
+            button.id = `tab-${type.key}`;
+            button.dataset.tab = type.key;
+            button.setAttribute('aria-controls', panelId);
+            button.hidden = true;
+            button.textContent = type.label;
+            tablist.appendChild(button);
+
+            if (!document.getElementById(panelId)) {
+                const panel = document.createElement('div');
+                panel.id = panelId;
+                panel.className = 'tab-content';
+                panel.hidden = true;
+                panels.appendChild(panel);
             }
-        }
+        });
     }
 
     /**
-     * Displays the space selection modal and prevents background scrolling.
+     * Displays the space selection modal as a modal dialog (focus trap, inert page, scroll lock).
      */
     showModal() {
-        this.modal.style.display = 'flex';
-        document.body.style.overflow = 'hidden';
+        this.modalDialog.open();
+    }
+
+    /**
+     * Checks whether the space selection modal is currently displayed.
+     * @returns {boolean}
+     */
+    isModalOpen() {
+        return this.modalDialog.isOpen;
     }
 
     /**
-     * Hides the space selection modal and restores background scrolling.
+     * Hides the space selection modal, restoring page scrolling and focus.
      * Also ensures any active popover is hidden.
      */
     hideModal() {
-        this.modal.style.display = 'none';
-        document.body.style.overflow = 'auto';
         this.hidePopover();
+        this.hideProductDrawer();
+        this.hideSearchPanel();
+        this.hideComparePanel();
+        this.hideShortlistTray();
+        this.modalDialog.close();
+        this.mapViewport.reset(false); // The next visit starts with the whole map
     }
 
     /**
@@ -367,184 +869,419 @@ class SpaceView {
         this.modalSystemName.textContent = space.systemName;
         this.modalSystemName.style.display = 'block';
 
-        // Update Tab States (Active/Inactive)
-        this.modalTabs.forEach(t => {
-            t.classList.toggle('active', t.dataset.tab === tab);
-            t.disabled = false;
-        });
-
-        // Hide all tab contents first
-        this.tabContents.forEach(c => c.classList.remove('active'));
+        // Show the tabs this space has content for and select the requested one (its panel becomes visible)
+        this.tabList.setTabs(space.tabs);
+        this.tabList.select(tab);
         
-        // Render specific tab content based on selection
-        if (tab === APP_CONFIG.constants.tabs.overview) {
-            document.getElementById(APP_CONFIG.selectors.ids.overviewContent).classList.add('active');
-            
-            // Inject Overview Content
-            // The JSON structure includes HTML in 'body', which allows for rich text.
-            const container = document.getElementById(APP_CONFIG.selectors.ids.overviewContent);
-            
-            // Use bgImg from data or fallback to empty string
-            const bgImg = space.overview.bgImg || '';
-            
-            container.innerHTML = `
-                <div class="overview-full-layout" style="background-image: url('${bgImg}')">
-                    <div class="overview-overlay-card">
-                        <h2>${space.overview.title}</h2>
-                        ${space.overview.body}
+        // Render the tab through its registered renderer (see TabRegistry)
+        const type = TabRegistry.get(tab);
+        const tabEl = this.tabList.getTab(tab);
+        const panel = tabEl ? this.tabList.getPanel(tabEl) : null;
+        if (type && type.render && panel) {
+            type.render(panel, space[type.property], { space: space, view: this });
+        } else {
+            console.warn('No renderer registered for tab:', tab);
+        }
+    }
+
+    /**
+     * Renders the product carousel for the "System Equipment" tab.
+     * The Carousel component mounts the current slide and its neighbours only.
+     *
+     * @param {Array<Object>} products - Array of product objects to display.
+     * @param {Object} space - The space the products belong to.
+     */
+    renderProductCarousel(products, space) {
+        this.carouselSpaceId = space ? space.id : null;
+        this.productCarousel.setItems(products);
+    }
+
+    /**
+     * Renders the content of one product slide (the navigation bar belongs to the carousel).
+     *
+     * @param {Object} product - The product.
+     * @param {number} index - Its index.
+     * @param {number} total - The number of products.
+     * @param {HTMLElement} slide - The slide element.
+     * @returns {string} HTML string.
+     */
+    renderProductSlide(product, index, total, slide) {
+        const key = ProductCompare.keyOf(product, this.carouselSpaceId, index);
+        if (product.bgImg) slide.style.backgroundImage = HtmlSanitizer.cssUrl(product.bgImg);
+        else slide.style.backgroundColor = 'var(--color-bg-light-1)';
+
+        return `
+            <div class="product-overlay-card">
+                <div class="product-card-header">
+                    <h3>${HtmlSanitizer.escape(product.title)}</h3>
+                </div>
+
+                <div class="product-visual-section">
+                    <div class="product-image-wrapper">
+                        ${product.slideImg ?
+                            `<img src="${HtmlSanitizer.escape(product.slideImg)}" alt="${HtmlSanitizer.escape(product.title)}" loading="lazy" decoding="async">` :
+                            `<div class="hvac-unit-3d">${HtmlSanitizer.escape(product.title)} 3D View</div>`
+                        }
                     </div>
                 </div>
-            `;
-        } else if (tab === APP_CONFIG.constants.tabs.equipment) {
-            document.getElementById(APP_CONFIG.selectors.ids.systemEquipmentContent).classList.add('active');
-            this.renderProductCarousel(space.systemEquipment);
-        } else if (tab === APP_CONFIG.constants.tabs.narrative) {
-            const container = document.getElementById(APP_CONFIG.selectors.ids.designNarrativeContent);
-            container.classList.add('active');
-            
-            const bgImg = space.designNarrative.img || '';
-            
-            container.innerHTML = `
-                <div class="design-narrative-layout">
-                    <h2>${space.designNarrative.title}</h2>
-                    <div class="design-narrative-split">
-                        <div class="design-narrative-text">
-                            ${space.designNarrative.body}
-                        </div>
-                        <div class="design-narrative-image">
-                             <img src="${bgImg}" alt="${space.name} Design Narrative" />
-                        </div>
+
+                <div class="product-info-section">
+                    <div class="product-body-content">
+                        ${product.body}
+                    </div>
+                    <div class="product-actions">
+                        <button class="view-product-details-btn" data-index="${index}">View Product Details</button>
+                        <button class="compare-toggle-btn" data-index="${index}" data-key="${HtmlSanitizer.escape(key)}"
+                                aria-pressed="${this.comparedKeys.has(key)}" aria-label="Compare ${HtmlSanitizer.escape(product.title)}">
+                            <span class="material-symbols-outlined" aria-hidden="true">compare_arrows</span>
+                            Compare
+                        </button>
+                        ${product.id ? `
+                            <button class="shortlist-toggle-btn" data-index="${index}" data-id="${HtmlSanitizer.escape(product.id)}"
+                                    aria-pressed="${this.shortlistedIds.has(String(product.id))}" aria-label="Save ${HtmlSanitizer.escape(product.title)} to My Selections">
+                                <span class="material-symbols-outlined" aria-hidden="true">${this.shortlistedIds.has(String(product.id)) ? 'bookmark_added' : 'bookmark_add'}</span>
+                                Save
+                            </button>
+                        ` : ''}
                     </div>
                 </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Fills the product detail drawer: larger imagery, specifications, the description and
+     * submittal downloads. Sections the CMS supplies nothing for are left out.
+     *
+     * @param {Object} product - The product (an entry of space.systemEquipment).
+     */
+    renderProductDrawer(product) {
+        const { ids } = APP_CONFIG.selectors;
+        const escape = HtmlSanitizer.escape;
+        const title = escape(product.title);
+
+        document.getElementById(ids.productDrawerTitle).textContent = product.title;
+
+        // The gallery falls back to the carousel image
+        const images = product.images.length ? product.images : (product.slideImg ? [{ url: product.slideImg, alt: product.title }] : []);
+        let html = '';
+        if (images.length) {
+            html += `
+                <div class="product-drawer-gallery">
+                    ${images.map(image => `<img src="${escape(image.url)}" alt="${escape(image.alt || product.title)}" loading="lazy">`).join('')}
+                </div>
+            `;
+        }
+        if (product.specs.length) {
+            html += `
+                <h3>Specifications</h3>
+                <dl class="product-specs">
+                    ${product.specs.map(spec => `<div><dt>${escape(spec.label)}</dt><dd>${escape(spec.value)}</dd></div>`).join('')}
+                </dl>
+            `;
+        }
+        if (product.body) {
+            html += `<div class="product-drawer-description">${product.body}</div>`;
+        }
+        if (product.submittals.length) {
+            html += `
+                <h3>Submittals</h3>
+                <ul class="product-submittals">
+                    ${product.submittals.map(file => `
+                        <li>
+                            <a href="${escape(file.url)}" download target="_blank" rel="noopener">
+                                <span class="material-symbols-outlined" aria-hidden="true">download</span>
+                                ${escape(file.title)}${file.type ? ` <span class="product-submittal-type">(${escape(file.type)})</span>` : ''}
+                            </a>
+                        </li>
+                    `).join('')}
+                </ul>
             `;
         }
+        document.getElementById(ids.productDrawerBody).innerHTML = html || `<p>No further details are available for ${title}.</p>`;
+
+        const pageLink = document.getElementById(ids.productDrawerPageLink);
+        pageLink.hidden = !product.productDetailsUrl;
+        pageLink.setAttribute('href', product.productDetailsUrl || '#');
     }
 
     /**
-     * Renders the product carousel for the "System Equipment" tab.
-     * Generates HTML slides for each product, handles accessibility attributes,
-     * and sets up dot navigation.
-     * 
-     * @param {Array<Object>} products - Array of product objects to display.
+     * Opens the product detail drawer (a dialog inside the space selection modal).
+     * @param {Object} product - The product to show.
+     */
+    showProductDrawer(product) {
+        this.renderProductDrawer(product);
+        this.productDrawer.open();
+    }
+
+    /**
+     * Closes the product detail drawer if it is open; focus returns to its opener.
+     */
+    hideProductDrawer() {
+        if (this.productDrawer.isOpen) this.productDrawer.close();
+    }
+
+    /**
+     * Opens the search panel (a dialog inside the space selection modal).
+     */
+    showSearchPanel() {
+        this.searchDialog.open();
+    }
+
+    /**
+     * Closes the search panel if it is open; focus returns to its opener.
+     */
+    hideSearchPanel() {
+        if (this.searchDialog.isOpen) this.searchDialog.close();
+    }
+
+    /**
+     * Renders search results, or the browse list (grouped by space) when there is no query.
+     *
+     * @param {Array<Object>} results - Results from SpaceSearch.search or SpaceSearch.browse.
+     * @param {string} query - The query ('' when browsing).
      */
-    renderProductCarousel(products) {
-        const container = document.querySelector(APP_CONFIG.selectors.classes.productCarousel);
-        if (!products || products.length === 0) {
-            container.innerHTML = '<p>No equipment data available for this space.</p>';
+    renderSearchResults(results, query) {
+        const ids = APP_CONFIG.selectors.ids;
+        const status = document.getElementById(ids.searchStatus);
+        const container = document.getElementById(ids.searchResults);
+        const escape = HtmlSanitizer.escape;
+
+        const renderItem = (result, index) => `
+            <li>
+                <button type="button" class="search-result" data-index="${index}">
+                    <span class="search-result-title">${SpaceSearch.highlight(result.title, result.terms)}</span>
+                    <span class="search-result-meta">${escape(result.spaceName)}${result.tabLabel ? ` &middot; ${escape(result.tabLabel)}` : ''}</span>
+                    ${result.snippet ? `<span class="search-result-snippet">${SpaceSearch.highlight(result.snippet, result.terms)}</span>` : ''}
+                </button>
+            </li>
+        `;
+
+        if (query) {
+            status.textContent = results.length
+                ? `${results.length} result${results.length === 1 ? '' : 's'} for "${query}"`
+                : `No results for "${query}". Try a model number, a space or fewer words.`;
+            container.innerHTML = results.length ? `<ul class="search-results-list">${results.map(renderItem).join('')}</ul>` : '';
             return;
         }
 
-        // Accessibility: Define the container as a region
-        container.setAttribute('role', 'region');
-        container.setAttribute('aria-roledescription', 'carousel');
-        container.setAttribute('aria-label', 'System Equipment Carousel');
-        
-        // Preload images to ensure smooth transitions
-        this.preloadImages(products);
+        // Browse: every product, grouped by space
+        const groups = new Map();
+        results.forEach((result, index) => {
+            if (!groups.has(result.spaceId)) groups.set(result.spaceId, { name: result.spaceName, items: [] });
+            groups.get(result.spaceId).items.push(renderItem(result, index));
+        });
+        status.textContent = `${results.length} product${results.length === 1 ? '' : 's'} in ${groups.size} space${groups.size === 1 ? '' : 's'}`;
+        container.innerHTML = Array.from(groups.values()).map(group => `
+            <h3 class="search-results-group">${escape(group.name)}</h3>
+            <ul class="search-results-list">${group.items.join('')}</ul>
+        `).join('');
+    }
 
-        // Create a live region for screen reader announcements
-        let html = '<div class="carousel-live-region visually-hidden" aria-live="polite"></div>';
-        
-        // Generate HTML for each product slide
-        products.forEach((product, index) => {
-            const activeClass = index === 0 ? 'active' : '';
-            const bgImg = product.bgImg || '';
-            const bgStyle = bgImg ? `background-image: url('${bgImg}');` : 'background-color: var(--color-bg-light-1);';
+    /**
+     * Updates the Compare buttons of the mounted slides (new slides read comparedKeys).
+     * @param {Array<string>} keys - Keys of the products picked for comparison.
+     */
+    setComparedKeys(keys) {
+        this.comparedKeys = new Set(keys);
+        document.querySelectorAll(APP_CONFIG.selectors.classes.compareToggleBtn).forEach(btn => {
+            btn.setAttribute('aria-pressed', String(this.comparedKeys.has(btn.dataset.key)));
+        });
+    }
 
-            html += `
-                <div class="product-slide ${activeClass}" 
-                     style="${bgStyle}" 
-                     data-index="${index}"
-                     role="group" 
-                     aria-roledescription="slide" 
-                     aria-label="${index + 1} of ${products.length}">
-                     
-                    <div class="product-overlay-card">
-                        <div class="product-card-header">
-                            <h3>${product.title}</h3>
-                        </div>
-                        
-                        <div class="product-visual-section">
-                            <button class="carousel-nav-btn prev" aria-label="Previous product">
-                                <span class="material-symbols-outlined">arrow_back_ios_new</span>
-                            </button>
-                            
-                            <div class="product-image-wrapper">
-                                ${product.slideImg ? 
-                                    `<img src="${product.slideImg}" alt="${product.title}" loading="eager">` : 
-                                    `<div class="hvac-unit-3d">${product.title} 3D View</div>`
-                                }
-                            </div>
-                            
-                            <button class="carousel-nav-btn next" aria-label="Next product">
-                                <span class="material-symbols-outlined">arrow_forward_ios</span>
-                            </button>
-                            
-                            <div class="carousel-dots">
-                                ${products.map((_, i) => `
-                                    <button class="dot ${i === index ? 'active' : ''}" 
-                                            aria-label="Go to slide ${i+1}"
-                                            aria-current="${i === index ? 'true' : 'false'}"
-                                            data-index="${i}">
+    /**
+     * Renders the compare tray; it is hidden while nothing is picked.
+     *
+     * @param {Array<Object>} entries - ProductCompare entries.
+     * @param {Object} limits - { min, max } from APP_CONFIG.compare.
+     */
+    renderCompareTray(entries, limits) {
+        const ids = APP_CONFIG.selectors.ids;
+        const escape = HtmlSanitizer.escape;
+        const tray = document.getElementById(ids.compareTray);
+        tray.hidden = entries.length === 0;
+
+        document.getElementById(ids.compareTrayList).innerHTML = entries.map(entry => `
+            <li class="compare-tray-item">
+                <span class="compare-tray-item-title">${escape(entry.product.title)}</span>
+                <button class="compare-remove-btn" data-key="${escape(entry.key)}" aria-label="Remove ${escape(entry.product.title)} from comparison">
+                    <span class="material-symbols-outlined" aria-hidden="true">close</span>
+                </button>
+            </li>
+        `).join('');
+
+        const openBtn = document.getElementById(ids.compareOpenBtn);
+        openBtn.textContent = `Compare (${entries.length}/${limits.max})`;
+        openBtn.disabled = entries.length < limits.min;
+        openBtn.title = openBtn.disabled ? `Pick at least ${limits.min} products to compare` : '';
+    }
+
+    /**
+     * Renders the picked products side by side: image, space, features and product page link.
+     * @param {Array<Object>} entries - ProductCompare entries.
+     */
+    renderComparison(entries) {
+        const escape = HtmlSanitizer.escape;
+        const cells = (render) => entries.map(entry => `<td>${render(entry, entry.product)}</td>`).join('');
+
+        document.getElementById(APP_CONFIG.selectors.ids.comparePanelBody).innerHTML = `
+            <table class="compare-table">
+                <caption class="visually-hidden">${entries.length} products compared</caption>
+                <thead>
+                    <tr>
+                        <td></td>
+                        ${entries.map(entry => `
+                            <th scope="col">
+                                <div class="compare-table-product">
+                                    <button class="compare-product-link" data-key="${escape(entry.key)}">${escape(entry.product.title)}</button>
+                                    <button class="compare-remove-btn" data-key="${escape(entry.key)}" aria-label="Remove ${escape(entry.product.title)} from comparison">
+                                        <span class="material-symbols-outlined" aria-hidden="true">close</span>
                                     </button>
-                                `).join('')}
-                            </div>
-                        </div>
-
-                        <div class="product-info-section">
-                            <div class="product-body-content">
-                                ${product.body}
-                            </div>
-                            <button class="view-product-details-btn">View Product Details</button>
-                        </div>
-                    </div>
-                </div>
-            `;
-        });
-        container.innerHTML = html;
-        
-        // Attach click listeners to the navigation dots
-        const dots = container.querySelectorAll(APP_CONFIG.selectors.classes.dot);
-        dots.forEach(dot => {
-            dot.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const idx = parseInt(e.target.dataset.index);
-                this.model.currentProductIndex = idx;
-                this.updateProductVisibility(idx, 'dot');
-            });
+                                </div>
+                            </th>
+                        `).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <th scope="row">Image</th>
+                        ${cells((entry, product) => product.slideImg
+                            ? `<img src="${escape(product.slideImg)}" alt="${escape(product.title)}" loading="lazy">`
+                            : '<span class="compare-empty">No image</span>')}
+                    </tr>
+                    <tr>
+                        <th scope="row">Space</th>
+                        ${cells(entry => escape(entry.spaceName))}
+                    </tr>
+                    <tr>
+                        <th scope="row">Features</th>
+                        ${cells((entry, product) => product.features.length
+                            ? `<ul class="compare-features">${product.features.map(feature => `<li>${escape(feature)}</li>`).join('')}</ul>`
+                            : '<span class="compare-empty">No features listed</span>')}
+                    </tr>
+                    <tr>
+                        <th scope="row">Product page</th>
+                        ${cells((entry, product) => product.productDetailsUrl
+                            ? `<a href="${escape(product.productDetailsUrl)}" target="_blank" rel="noopener">Open product page<span class="visually-hidden"> for ${escape(product.title)} (opens in a new tab)</span></a>`
+                            : '<span class="compare-empty">Not available</span>')}
+                    </tr>
+                </tbody>
+            </table>
+            ${entries.length < APP_CONFIG.compare.min ? '<p class="compare-hint">Add another product from any space to compare.</p>' : ''}
+        `;
+    }
+
+    /**
+     * Opens the comparison (a dialog inside the space selection modal).
+     * @param {Array<Object>} entries - ProductCompare entries.
+     */
+    showComparePanel(entries) {
+        this.renderComparison(entries);
+        this.compareDialog.open();
+    }
+
+    /**
+     * Closes the comparison if it is open; focus returns to its opener.
+     */
+    hideComparePanel() {
+        if (this.compareDialog.isOpen) this.compareDialog.close();
+    }
+
+    /**
+     * Updates the Save buttons of the mounted slides (new slides read shortlistedIds).
+     * @param {Array<string>} ids - IDs of the products in My Selections.
+     */
+    setShortlistedIds(ids) {
+        this.shortlistedIds = new Set(ids);
+        document.querySelectorAll(APP_CONFIG.selectors.classes.shortlistToggleBtn).forEach(btn => {
+            const saved = this.shortlistedIds.has(btn.dataset.id);
+            btn.setAttribute('aria-pressed', String(saved));
+            btn.querySelector('.material-symbols-outlined').textContent = saved ? 'bookmark_added' : 'bookmark_add';
         });
     }
 
     /**
-     * Preloads background and slide images to prevent flickering during carousel navigation.
-     * @param {Array<Object>} products - Array of product objects containing image URLs.
+     * Renders the My Selections tray and the count on its header button.
+     * @param {Array<Object>} items - ProductShortlist items.
      */
-    preloadImages(products) {
-        products.forEach(product => {
-            if (product.bgImg) {
-                const img = new Image();
-                img.src = product.bgImg;
-            }
-            if (product.slideImg) {
-                const img = new Image();
-                img.src = product.slideImg;
-            }
+    renderShortlist(items) {
+        const ids = APP_CONFIG.selectors.ids;
+        const escape = HtmlSanitizer.escape;
+
+        document.getElementById(ids.shortlistCount).textContent = items.length;
+        document.getElementById(ids.shortlistBtn).setAttribute('aria-label', `My Selections, ${items.length} product${items.length === 1 ? '' : 's'}`);
+        document.getElementById(ids.shortlistEmpty).hidden = items.length > 0;
+
+        document.getElementById(ids.shortlistList).innerHTML = items.map(item => `
+            <li class="shortlist-item">
+                <div class="shortlist-item-text">
+                    <button class="shortlist-product-link" data-id="${escape(item.id)}">${escape(item.title)}</button>
+                    <span class="shortlist-item-space">${escape(item.spaceName)}</span>
+                </div>
+                ${item.productDetailsUrl ? `
+                    <a class="shortlist-item-page" href="${escape(item.productDetailsUrl)}" target="_blank" rel="noopener">
+                        <span class="material-symbols-outlined" aria-hidden="true">open_in_new</span>
+                        <span class="visually-hidden">Product page for ${escape(item.title)} (opens in a new tab)</span>
+                    </a>
+                ` : ''}
+                <button class="shortlist-remove-btn" data-id="${escape(item.id)}" aria-label="Remove ${escape(item.title)} from My Selections">
+                    <span class="material-symbols-outlined" aria-hidden="true">close</span>
+                </button>
+            </li>
+        `).join('');
+
+        [ids.shortlistCsvBtn, ids.shortlistJsonBtn, ids.shortlistShareBtn, ids.shortlistClearBtn].forEach(id => {
+            document.getElementById(id).disabled = items.length === 0;
         });
     }
 
+    /**
+     * Opens the My Selections tray and moves focus into it.
+     */
+    showShortlistTray() {
+        this.shortlistTray.open();
+        document.getElementById(APP_CONFIG.selectors.ids.shortlistBtn).setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Closes the My Selections tray if it is open; focus returns to its opener.
+     */
+    hideShortlistTray() {
+        if (this.shortlistTray.isOpen) this.shortlistTray.close();
+        document.getElementById(APP_CONFIG.selectors.ids.shortlistBtn).setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Saves generated content as a file through a temporary download link.
+     *
+     * @param {string} fileName - The file name, with its extension.
+     * @param {string} content - The file content.
+     * @param {string} type - The MIME type.
+     */
+    downloadFile(fileName, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
     /**
      * Loads the SVG for a specific space into the detail view.
      * @param {string} markerImg - The path to the SVG file.
      */
     loadSpaceSvg(markerImg) {
-        if (this.spaceSvgObject) {
-            // Force reload by setting data attribute
-            this.spaceSvgObject.setAttribute('data', markerImg);
+        if (this.spaceSvgContainer) {
+            this.svgLoader.inline(this.spaceSvgContainer, markerImg);
             
             // Log for debugging purposes
             console.log('Loading Space SVG:', markerImg);
         } else {
-            console.error('Space SVG Object not found in DOM');
+            console.error('Space SVG container not found in DOM');
         }
     }
 
@@ -553,19 +1290,27 @@ class SpaceView {
      * This highlights the selected area on the main map.
      * 
      * @param {string} markerImg - The path to the overlay SVG file.
+     * @returns {Promise<SVGSVGElement|null>} The inlined overlay SVG (null if superseded or failed).
      */
     replaceLandingSvg(markerImg) {
-        const overlay = document.getElementById(APP_CONFIG.selectors.ids.overlaySvg);
-        if (overlay) {
-            overlay.classList.add('is-visible');
-            overlay.setAttribute('data', markerImg);
-        }
-        
         // Hide Markers Layer when overlay is visible
         const markersLayer = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
         if (markersLayer) {
             markersLayer.classList.add('is-hidden');
         }
+
+        const overlay = document.getElementById(APP_CONFIG.selectors.ids.overlaySvg);
+        if (!overlay) return Promise.resolve(null);
+        overlay.classList.add('is-visible');
+        return this.svgLoader.inline(overlay, markerImg).then(svg => {
+            // No overlay drawn for this space (e.g. a new space with a generated marker):
+            // keep the markers, where the selected one stays highlighted
+            if (!svg && !overlay.hasAttribute('data-src') && overlay.classList.contains('is-visible')) {
+                overlay.classList.remove('is-visible');
+                if (markersLayer) markersLayer.classList.remove('is-hidden');
+            }
+            return svg;
+        });
     }
 
     /**
@@ -575,8 +1320,10 @@ class SpaceView {
         const overlay = document.getElementById(APP_CONFIG.selectors.ids.overlaySvg);
         if (overlay) {
             overlay.classList.remove('is-visible');
-            // Small delay to ensure transition completes before clearing data
-            setTimeout(() => overlay.removeAttribute('data'), 100);
+            // Small delay to ensure transition completes before clearing it (unless a space was selected meanwhile)
+            setTimeout(() => {
+                if (!overlay.classList.contains('is-visible')) this.svgLoader.clear(overlay);
+            }, 100);
         }
         
         // Restore Markers Layer visibility
@@ -611,7 +1358,7 @@ class SpaceView {
             document.body.appendChild(this.popover);
         }
 
-        this.popover.style.display = 'flex';
+        this.popoverDialog.open();
         this.popover.style.left = `${x}px`;
         this.popover.style.top = `${y}px`;
 
@@ -631,45 +1378,26 @@ class SpaceView {
      * Hides the space information popover.
      */
     hidePopover() {
+        if (this.popoverDialog.isOpen) this.popoverDialog.close();
         this.popover.style.display = 'none';
         this.isPopoverVisible = false;
     }
 
     /**
-     * Enables or disables the tabs in the modal.
-     * Used when switching between 'building' and 'detail' scenes within the modal.
+     * Initializes marker visibility logic for the main SVG.
+     * Ensures only the first child (pin) of each marker group is visible initially.
      * 
-     * @param {boolean} enabled - True to enable tabs, false to disable.
-     */
-    setTabsState(enabled) {
-        this.modalTabs.forEach(t => {
-            t.disabled = !enabled;
-            if (!enabled) {
-                t.style.opacity = '0.5';
-                t.style.cursor = 'not-allowed';
-                t.classList.remove('active');
-            } else {
-                t.style.opacity = '1';
-                t.style.cursor = 'pointer';
-            }
-        });
-    }
-
-    /**
-     * Initializes marker visibility logic for the main SVG.
-     * Ensures only the first child (pin) of each marker group is visible initially.
-     * 
-     * @param {Document} doc - The SVG document.
+     * @param {SVGSVGElement} svg - The inlined markers SVG.
      */
-    initMarkerVisibility(doc) {
+    initMarkerVisibility(svg) {
         console.log('initMarkerVisibility called');
-        if (!doc) return;
+        if (!svg) return;
 
         // Attempt to find the main container group
-        let container = doc.getElementById(APP_CONFIG.svg.pinsGroup);
+        let container = SvgLoader.findById(svg, this.svgConfig.pinsGroup);
         if (!container) {
-             console.warn(`initMarkerVisibility: Container '${APP_CONFIG.svg.pinsGroup}' not found. Using root SVG.`);
-             container = doc.querySelector('svg'); 
+             console.warn(`initMarkerVisibility: Container '${this.svgConfig.pinsGroup}' not found. Using root SVG.`);
+             container = svg;
         }
 
         if (!container) return;
@@ -680,7 +1408,7 @@ class SpaceView {
 
         groups.forEach(group => {
             // Exclusion Logic
-            if (group.id === APP_CONFIG.svg.buildingRoof) return;
+            if (group.id === this.svgConfig.buildingRoof) return;
             
             // Apply base class for transitions
             group.classList.add(APP_CONFIG.selectors.classes.markerGroup);
@@ -712,18 +1440,17 @@ class SpaceView {
         console.group('updateMarkerVisibility');
         console.log('Active ID:', activeId);
 
-        const svgObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-        if (!svgObj || !svgObj.contentDocument) {
-            console.error('Building SVG object or contentDocument not found');
+        const svg = this.getLayerSvg(APP_CONFIG.selectors.ids.buildingMarkersSvg);
+        if (!svg) {
+            console.error('Building markers SVG not loaded');
             console.groupEnd();
             return;
         }
-        const doc = svgObj.contentDocument;
 
-        let container = doc.getElementById(APP_CONFIG.svg.pinsGroup);
+        let container = SvgLoader.findById(svg, this.svgConfig.pinsGroup);
         if (!container) {
-            console.warn(`Container with ID '${APP_CONFIG.svg.pinsGroup}' not found. Falling back to SVG root.`);
-            container = doc.querySelector('svg');
+            console.warn(`Container with ID '${this.svgConfig.pinsGroup}' not found. Falling back to SVG root.`);
+            container = svg;
         }
         
         if (!container) {
@@ -736,9 +1463,13 @@ class SpaceView {
         console.log(`Found ${groups.length} marker groups`);
 
         groups.forEach(group => {
-            if (group.id === APP_CONFIG.svg.buildingRoof) return;
+            if (group.id === this.svgConfig.buildingRoof) return;
 
-            if (activeId && group.id !== activeId) {
+            // The space's marker is the group or inside it (mapped markers keep their SVG IDs)
+            const isActive = group.id === activeId || group.getAttribute('data-space-id') === activeId ||
+                !!(activeId && group.querySelector(`[data-space-id="${activeId}"]`));
+
+            if (activeId && !isActive) {
                 // If there is an active marker and this isn't it -> Dim/Hide it
                 if (!group.classList.contains(APP_CONFIG.selectors.classes.markerDimmed)) {
                     console.log(`Dimming marker: ${group.id}`);
@@ -755,6 +1486,115 @@ class SpaceView {
         console.groupEnd();
     }
 
+    /**
+     * Makes the marker groups of the building SVG usable with a keyboard and screen reader:
+     * the SVG becomes a listbox of options labelled from the space data, with a roving
+     * tabindex (one tab stop). The focus style is in building-types.css.
+     *
+     * @param {SVGSVGElement} svg - The inlined markers SVG.
+     * @param {Array<Object>} markers - Entries of { el, space } in keyboard order.
+     */
+    initMarkerAccessibility(svg, markers) {
+        this.markers = markers;
+
+        svg.setAttribute('role', 'listbox');
+        svg.setAttribute('aria-label', 'Spaces in this building. Use the arrow keys to move and Enter to select.');
+
+        markers.forEach(({ el, space }) => {
+            const label = space.systemName && space.systemName !== space.name ? `${space.name}, ${space.systemName}` : space.name;
+            el.setAttribute('role', 'option');
+            el.setAttribute('aria-label', label);
+            el.setAttribute('aria-selected', 'false');
+            el.setAttribute('tabindex', '-1');
+        });
+
+        this.setActiveMarker(null);
+    }
+
+    /**
+     * Shows markers no space claims as disabled "coming soon" pins: greyed out (building-types.css),
+     * left out of the keyboard order and ignored by clicks (handleBuildingClick).
+     *
+     * @param {SVGSVGElement} svg - The inlined markers SVG.
+     * @param {Array<Object>} orphans - Entries of { el, label } from MarkerMap.link.
+     */
+    markComingSoon(svg, orphans) {
+        // Markers relinked after a data refresh are selectable again
+        svg.querySelectorAll('[data-coming-soon]').forEach(el => {
+            el.classList.remove(APP_CONFIG.selectors.classes.markerComingSoon);
+            el.removeAttribute('data-coming-soon');
+            el.removeAttribute('aria-hidden');
+            const title = el.querySelector(':scope > title[data-coming-soon-title]');
+            if (title) title.remove();
+        });
+
+        orphans.forEach(({ el, label }) => {
+            el.classList.add(APP_CONFIG.selectors.classes.markerComingSoon);
+            el.setAttribute('data-coming-soon', label);
+            el.setAttribute('aria-hidden', 'true');
+            if (el.querySelector(':scope > title')) return;
+            const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            title.setAttribute('data-coming-soon-title', '');
+            title.textContent = label ? `${label} (coming soon)` : 'Coming soon';
+            el.insertBefore(title, el.firstChild);
+        });
+    }
+
+    /**
+     * Marks the selected marker (aria-selected) and moves the single tab stop to it.
+     * Without a selection the tab stop stays where it was (the first marker initially).
+     *
+     * @param {string|null} spaceId - The selected space ID.
+     */
+    setActiveMarker(spaceId) {
+        if (!this.markers.length) return;
+        const active = this.markers.find(m => m.space.id === spaceId) || null;
+        const tabStop = active || this.markers.find(m => m.el.getAttribute('tabindex') === '0') || this.markers[0];
+
+        this.markers.forEach(m => {
+            m.el.setAttribute('aria-selected', String(m === active));
+            m.el.setAttribute('tabindex', m === tabStop ? '0' : '-1');
+        });
+    }
+
+    /**
+     * Moves keyboard focus to a marker (and the roving tab stop with it).
+     * @param {string} spaceId - The space ID.
+     * @returns {boolean} True if the marker exists.
+     */
+    focusMarker(spaceId) {
+        const entry = this.markers.find(m => m.space.id === spaceId);
+        if (!entry) return false;
+
+        this.markers.forEach(m => m.el.setAttribute('tabindex', m === entry ? '0' : '-1'));
+        entry.el.focus();
+        return true;
+    }
+
+    /**
+     * Zooms the building map in on a space's marker.
+     * @param {string} spaceId - The space ID.
+     * @returns {boolean} True if the marker exists and is rendered.
+     */
+    zoomToMarker(spaceId) {
+        const entry = this.markers.find(m => m.space.id === spaceId);
+        return !!entry && this.mapViewport.zoomTo(entry.el);
+    }
+
+    /**
+     * Announces a message to screen readers through the polite live region.
+     * @param {string} message - The message.
+     */
+    announce(message) {
+        const region = document.getElementById(APP_CONFIG.selectors.ids.announcer);
+        if (!region) return;
+        // Clear first so repeating the same message is announced again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 100);
+    }
+
     /**
      * Switches between the main building view and the detailed space view within the modal.
      * 
@@ -764,12 +1604,15 @@ class SpaceView {
         const buildingScene = document.getElementById(APP_CONFIG.selectors.ids.buildingScene);
         const detailScene = document.getElementById(APP_CONFIG.selectors.ids.detailScene);
         const backBtn = document.getElementById(APP_CONFIG.selectors.ids.modalBackBtn);
+        const { scenes } = APP_CONFIG.constants;
+        this.currentScene = sceneName === scenes.detail ? scenes.detail : scenes.building;
+        this.hideProductDrawer(); // Belongs to the product that was open
         
-        if (sceneName === 'detail') {
+        if (sceneName === scenes.detail) {
             buildingScene.classList.remove('active');
             detailScene.classList.add('active');
             backBtn.style.display = 'flex';
-            this.setTabsState(true);
+            this.tabList.setDisabled(false);
         } else {
             buildingScene.classList.add('active');
             detailScene.classList.remove('active');
@@ -777,11 +1620,55 @@ class SpaceView {
             // Reset modal header for overview mode
             this.modalSystemName.style.display = 'none';
             this.modalTitle.textContent = '';
-            this.setTabsState(false);
+            this.tabList.setDisabled(true); // Tabs apply to a space; none is open on the map
         }
     }
 }
 
+/* ==========================================================================
+   Built-in Tab Renderers
+   The data side of these tab types (CMS field, transform, visibility) is registered in data-adapter.js.
+   ========================================================================== */
+TabRegistry.register(APP_CONFIG.constants.tabs.overview, {
+    render(panel, overview) {
+        // The JSON structure includes HTML in 'body', which allows for rich text.
+        const bgImg = overview.bgImg || '';
+        panel.innerHTML = `
+            <div class="overview-full-layout" style="background-image: ${HtmlSanitizer.escape(HtmlSanitizer.cssUrl(bgImg))}">
+                <div class="overview-overlay-card">
+                    <h2>${HtmlSanitizer.escape(overview.title)}</h2>
+                    ${overview.body}
+                </div>
+            </div>
+        `;
+    }
+});
+
+TabRegistry.register(APP_CONFIG.constants.tabs.equipment, {
+    render(panel, equipment, { space, view }) {
+        view.renderProductCarousel(equipment, space);
+    }
+});
+
+TabRegistry.register(APP_CONFIG.constants.tabs.narrative, {
+    render(panel, narrative, { space }) {
+        const bgImg = narrative.img || '';
+        panel.innerHTML = `
+            <div class="design-narrative-layout">
+                <h2>${HtmlSanitizer.escape(narrative.title)}</h2>
+                <div class="design-narrative-split">
+                    <div class="design-narrative-text">
+                        ${narrative.body}
+                    </div>
+                    <div class="design-narrative-image">
+                         <img src="${HtmlSanitizer.escape(bgImg)}" alt="${HtmlSanitizer.escape(space.name)} Design Narrative" />
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+});
+
 /* ==========================================================================
    Controller Layer
    ========================================================================== */
@@ -794,108 +1681,174 @@ class SpaceController {
      * @param {SpaceService} service - The data service instance.
      * @param {SpaceModel} model - The state model instance.
      * @param {SpaceView} view - The UI view instance.
+     * @param {SpaceRouter|null} router - Optional URL router for deep links and history.
+     * @param {ShareManager|null} shareManager - Optional share subsystem for the Share buttons.
      */
-    constructor(service, model, view) {
+    constructor(service, model, view, router = null, shareManager = null) {
         this.service = service;
         this.model = model;
         this.view = view;
-        this.boundElements = new WeakSet();
+        this.router = router;
+        this.shareManager = shareManager;
+        this.actions = new ActionRegistry().registerBuiltIns();
+        this.search = new SpaceSearch(APP_CONFIG.search);
+        this.searchResults = [];         // Results listed in the search panel
+        this.compare = new ProductCompare({
+            ...APP_CONFIG.compare,
+            onChange: (entries) => this.handleCompareChange(entries)
+        });
+        this.shortlist = new ProductShortlist({
+            ...APP_CONFIG.shortlist,
+            onChange: (items) => this.handleShortlistChange(items)
+        });
+        this.registerActions();
+        this.isRestoringRoute = false; // Suppresses URL writes while applying a route
+        this.focusOverlayOnLoad = false; // Move focus into the overlay SVG once it loads (keyboard selection)
+        this.openProduct = null;         // Analytics detail of the product shown in the drawer
     }
 
     /**
      * Initializes the controller.
-     * Sets up event listeners and waits for SVGs to load.
+     * Loads the data (which inlines the building SVGs) and sets up event listeners.
      */
     async init() {
         try {
-            // Fetch initial data for the page (Metadata + Spaces)
-            // In a real app, we might parse the URL or receive a building type config
-            const data = await this.service.fetchData();
-            
-            this.model.setSpaces(data.spaces);
-            this.model.setPageMetadata(data.pageMetadata);
-            
-            // Render the dynamic page content
-            this.view.renderPageContent(data.pageMetadata);
+            // Abort pending data requests when the user leaves the page
+            window.addEventListener('pagehide', () => this.service.abort());
+
+            // Resolve the building type from the URL or the data-building-type attribute
+            const buildingType = BuildingTypeRegistry.resolve();
+            this.model.setBuildingType(buildingType);
+            this.view.setBuildingType(this.model.getBuildingTypeConfig());
+            this.shortlist.load(this.model.buildingType);
+
+            // Load initial data for the page (Metadata + Spaces), from the cache when possible.
+            // A background revalidation that finds changed content renders it again.
+            const data = await this.service.loadData(buildingType, updated => this.applyData(updated));
+            this.applyData(data);
             
             // Bind events AFTER content is rendered (specifically for dynamic buttons)
             this.bindEvents();
-            
-            // Initialize SVG handlers for Map and Markers layers
-            const mapObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMapSvg);
-            if (mapObj) {
-                mapObj.addEventListener('load', () => this.initMapLayer(mapObj));
-                if (mapObj.contentDocument) this.initMapLayer(mapObj);
-            }
 
-            const markersObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-            if (markersObj) {
-                markersObj.addEventListener('load', () => this.attachSvgHandlers(markersObj));
-                if (markersObj.contentDocument) this.attachSvgHandlers(markersObj);
+            // Restore the view from the URL and follow Back/Forward navigation
+            if (this.router) {
+                this.router.start(state => this.applyRoute(state));
+                const initialRoute = this.router.read();
+                if (initialRoute) this.applyRoute(initialRoute);
             }
 
-            // Initialize SVG handler for overlay (Space specific SVGs)
-            const overlayObj = document.getElementById(APP_CONFIG.selectors.ids.overlaySvg);
-            if (overlayObj) {
-                overlayObj.addEventListener('load', () => this.attachOverlayHandlers(overlayObj));
-            }
+            // A shared My Selections link (?shortlist=...) adds its products to the visitor's list
+            this.importSharedShortlist();
         } catch (error) {
             console.error("Failed to initialize application:", error);
             // Fallback or Error UI could be triggered here
         }
     }
 
+    /**
+     * Stores loaded data in the model and renders the page content.
+     * An open space detail is re-rendered with the new content.
+     *
+     * @param {Object} data - The transformed data ({ pageMetadata, spaces }).
+     */
+    applyData(data) {
+        const route = this.getRouteState();
+
+        this.model.setSpaces(data.spaces);
+        this.model.setPageMetadata(data.pageMetadata);
+        this.view.renderPageContent(data.pageMetadata, action => this.isActionEnabled(action));
+        this.loadBuildingLayers(data.pageMetadata);
+
+        this.search.build(this.model.getAllSpaces());
+        this.compare.refresh(entry => this.resolveCompareEntry(entry));
+        this.shortlist.refresh(item => this.resolveShortlistItem(item));
+        if (this.view.searchDialog.isOpen) this.runSearch(document.getElementById(APP_CONFIG.selectors.ids.searchInput).value);
+
+        if (route && route.scene === APP_CONFIG.constants.scenes.detail) this.applyRoute(route);
+    }
+
     /**
      * Binds global DOM event listeners for the application.
      * Includes modal controls, navigation buttons, and tab switching.
      */
     bindEvents() {
-        // Dynamic Hero Buttons
-        const heroActions = this.model.getPageMetadata()?.heroSection?.actions || [];
-        if (heroActions.length > 0) {
-            const firstActionId = heroActions[0].actionId;
-            const btn = document.getElementById(firstActionId);
-            
-            if (btn) {
-                btn.addEventListener('click', () => {
-                    this.view.showModal();
-                    this.view.switchScene(APP_CONFIG.constants.tabs.overview);
-                });
-            }
+        // Dynamic Hero Buttons (dispatched through the action registry)
+        const btnContainer = document.getElementById(APP_CONFIG.selectors.ids.heroButtonsContainer);
+        if (btnContainer) {
+            btnContainer.addEventListener('click', (e) => {
+                const btn = e.target.closest('[data-action-index]');
+                if (!btn || btn.disabled) return;
+                const heroActions = this.model.getPageMetadata()?.heroSection?.actions || [];
+                this.actions.dispatch(heroActions[parseInt(btn.dataset.actionIndex, 10)], e);
+            });
+        }
+
+        // Building SVG: markers and overlay buttons of every layer share these listeners
+        const buildingSvg = document.getElementById(APP_CONFIG.selectors.ids.buildingSvg);
+        if (buildingSvg) {
+            buildingSvg.addEventListener('click', (e) => this.handleBuildingClick(e));
+            buildingSvg.addEventListener('keydown', (e) => this.handleBuildingKeydown(e));
+        }
+
+        // Modal Share Button (shares the current selection)
+        const modalShareBtn = document.querySelector(APP_CONFIG.selectors.classes.modalShareBtn);
+        if (modalShareBtn) {
+            modalShareBtn.addEventListener('click', () => this.share());
+        }
+
+        // Search Panel
+        const ids = APP_CONFIG.selectors.ids;
+        const searchBtn = document.getElementById(ids.searchBtn);
+        if (searchBtn) searchBtn.addEventListener('click', () => this.openSearch());
+        const searchCloseBtn = document.getElementById(ids.searchPanelCloseBtn);
+        if (searchCloseBtn) searchCloseBtn.addEventListener('click', () => this.view.hideSearchPanel());
+        const searchInput = document.getElementById(ids.searchInput);
+        if (searchInput) searchInput.addEventListener('input', () => this.runSearch(searchInput.value));
+        const searchForm = document.getElementById(ids.searchForm);
+        if (searchForm) {
+            // Enter opens the best match
+            searchForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                if (this.searchResults.length) this.selectSearchResult(0);
+            });
+        }
+        const searchPanel = document.getElementById(ids.searchPanel);
+        if (searchPanel) {
+            searchPanel.addEventListener('click', (e) => {
+                const result = e.target.closest(APP_CONFIG.selectors.classes.searchResult);
+                if (result) this.selectSearchResult(parseInt(result.dataset.index, 10));
+            });
+            searchPanel.addEventListener('keydown', (e) => this.handleSearchKeydown(e));
         }
 
         // Modal Close Button
         const closeBtn = document.getElementById(APP_CONFIG.selectors.ids.modalCloseBtn);
         if (closeBtn) {
-            closeBtn.addEventListener('click', () => {
-                this.view.hideModal();
-                this.view.restoreLandingSvg();
-            });
+            closeBtn.addEventListener('click', () => this.closeModal());
         }
 
         // Back Button (Returns to Building Overview)
         const backBtn = document.getElementById(APP_CONFIG.selectors.ids.modalBackBtn);
         if (backBtn) {
-            backBtn.addEventListener('click', () => {
-                this.view.switchScene('overview');
-                this.view.restoreLandingSvg();
-            });
+            backBtn.addEventListener('click', () => this.showBuildingScene());
         }
 
+        // Escape backs out of the modal one level at a time (also from within the building SVG);
+        // a click on the overlay closes it
+        this.view.modalDialog.onDismiss = (reason) => {
+            if (reason === 'escape') this.backOut();
+            else this.closeModal();
+        };
+        this.view.popoverDialog.onDismiss = () => {
+            this.view.hidePopover();
+            this.deselectSpace();
+        };
+
         // Popover "View" Button (Navigates to Space Detail)
         const popViewBtn = document.getElementById(APP_CONFIG.selectors.ids.popoverViewBtn);
         if (popViewBtn) {
             popViewBtn.addEventListener('click', () => {
-                const space = this.model.getCurrentSpace();
-                if (space) {
-                    this.view.hidePopover();
-                    this.view.switchScene('detail');
-                    this.view.renderSpaceDetails(space, APP_CONFIG.constants.tabs.overview);
-                    
-                    // IMPORTANT: The "detail" scene has its own SVG container with ID "space-svg-object"
-                    // We need to make sure this object loads the correct SVG for the selected space
-                    this.view.loadSpaceSvg(space.markerImg);
-                }
+                if (this.model.currentSpaceId) this.showSpaceDetail(this.model.currentSpaceId);
             });
         }
 
@@ -904,123 +1857,766 @@ class SpaceController {
         if (popCloseBtn) {
             popCloseBtn.addEventListener('click', () => {
                 this.view.hidePopover();
-                this.view.restoreLandingSvg();
+                this.deselectSpace();
             });
         }
 
-        // Modal Tabs (Overview, System Equipment, Design Narrative)
-        const tabs = document.querySelectorAll(APP_CONFIG.selectors.classes.modalTab);
-        tabs.forEach(tab => {
-            tab.addEventListener('click', (e) => {
-                const tabName = e.target.dataset.tab;
-                const space = this.model.getCurrentSpace();
-                this.view.renderSpaceDetails(space, tabName);
-            });
+        // Modal Tabs (clicks and arrow keys; the tab set comes from the space data)
+        this.view.tabList.onSelect = (tab) => this.selectTab(tab);
+
+        // Product Carousel (buttons, dots, arrow keys, swipes and autoplay are handled by Carousel)
+        const carousel = this.view.productCarousel;
+        carousel.onChange = (index, source) => this.goToProduct(index, source);
+        carousel.canAutoplay = () => {
+            const { scenes, tabs } = APP_CONFIG.constants;
+            return this.view.isModalOpen() && this.view.currentScene === scenes.detail &&
+                this.model.currentTab === tabs.equipment && !this.view.productDrawer.isOpen;
+        };
+        carousel.element.addEventListener('click', (e) => {
+            const detailsBtn = e.target.closest(APP_CONFIG.selectors.classes.viewProductDetailsBtn);
+            const compareBtn = e.target.closest(APP_CONFIG.selectors.classes.compareToggleBtn);
+            const shortlistBtn = e.target.closest(APP_CONFIG.selectors.classes.shortlistToggleBtn);
+            if (detailsBtn) this.showProductDetails(parseInt(detailsBtn.dataset.index, 10));
+            else if (compareBtn) this.toggleCompare(parseInt(compareBtn.dataset.index, 10));
+            else if (shortlistBtn) this.toggleShortlist(parseInt(shortlistBtn.dataset.index, 10));
         });
 
-        // Product Carousel Delegation
-        // Uses event delegation to handle clicks on dynamic carousel elements
-        document.querySelector(APP_CONFIG.selectors.classes.productCarousel).addEventListener('click', (e) => {
-            if (e.target.closest(APP_CONFIG.selectors.classes.navBtnNext)) {
-                this.nextProduct();
-            } else if (e.target.closest(APP_CONFIG.selectors.classes.navBtnPrev)) {
-                this.prevProduct();
+        // Product Comparison (tray and panel)
+        const compareTray = document.getElementById(APP_CONFIG.selectors.ids.compareTray);
+        const comparePanel = document.getElementById(APP_CONFIG.selectors.ids.comparePanel);
+        [compareTray, comparePanel].forEach(container => {
+            if (!container) return;
+            container.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest(APP_CONFIG.selectors.classes.compareRemoveBtn);
+                const productLink = e.target.closest(APP_CONFIG.selectors.classes.compareProductLink);
+                if (removeBtn) this.removeFromCompare(removeBtn.dataset.key);
+                else if (productLink) this.showComparedProduct(productLink.dataset.key);
+            });
+        });
+        const compareOpenBtn = document.getElementById(APP_CONFIG.selectors.ids.compareOpenBtn);
+        if (compareOpenBtn) compareOpenBtn.addEventListener('click', () => this.openComparison());
+        const compareClearBtn = document.getElementById(APP_CONFIG.selectors.ids.compareClearBtn);
+        if (compareClearBtn) {
+            compareClearBtn.addEventListener('click', () => {
+                this.compare.clear();
+                this.view.announce('Comparison cleared.');
+            });
+        }
+        const compareCloseBtn = document.getElementById(APP_CONFIG.selectors.ids.comparePanelCloseBtn);
+        if (compareCloseBtn) compareCloseBtn.addEventListener('click', () => this.view.hideComparePanel());
+
+        // My Selections
+        const shortlistBtn = document.getElementById(ids.shortlistBtn);
+        if (shortlistBtn) {
+            shortlistBtn.addEventListener('click', () => {
+                if (this.view.shortlistTray.isOpen) this.view.hideShortlistTray();
+                else this.view.showShortlistTray();
+            });
+        }
+        const shortlistTray = document.getElementById(ids.shortlistTray);
+        if (shortlistTray) {
+            shortlistTray.addEventListener('click', (e) => {
+                const removeBtn = e.target.closest(APP_CONFIG.selectors.classes.shortlistRemoveBtn);
+                const productLink = e.target.closest(APP_CONFIG.selectors.classes.shortlistProductLink);
+                if (removeBtn) this.removeFromShortlist(removeBtn.dataset.id);
+                else if (productLink) this.showShortlistedProduct(productLink.dataset.id);
+            });
+        }
+        const shortlistButtons = {
+            [ids.shortlistTrayCloseBtn]: () => this.view.hideShortlistTray(),
+            [ids.shortlistCsvBtn]: () => this.exportShortlist('csv'),
+            [ids.shortlistJsonBtn]: () => this.exportShortlist('json'),
+            [ids.shortlistShareBtn]: () => this.share('shortlist'),
+            [ids.shortlistClearBtn]: () => {
+                this.shortlist.clear();
+                this.view.announce('My Selections cleared.');
             }
+        };
+        Object.entries(shortlistButtons).forEach(([id, handler]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', handler);
         });
+
+        // Product Detail Drawer
+        const drawerCloseBtn = document.getElementById(APP_CONFIG.selectors.ids.productDrawerCloseBtn);
+        if (drawerCloseBtn) {
+            drawerCloseBtn.addEventListener('click', () => this.view.hideProductDrawer());
+        }
+        const productPageLink = document.getElementById(APP_CONFIG.selectors.ids.productDrawerPageLink);
+        if (productPageLink) {
+            // The link opens the page itself (new tab); only record it
+            productPageLink.addEventListener('click', () => {
+                if (this.openProduct) this.track(APP_CONFIG.events.productPage, this.openProduct);
+            });
+        }
+    }
+
+    // --- Hero Actions ---
+
+    /**
+     * Registers the application-level action handlers.
+     * Built-in handlers (open-url, download-pdf, scroll-to-anchor) come from ActionRegistry.
+     */
+    registerActions() {
+        // Params: space (optional space ID to preselect)
+        this.actions.register('open-space-selector', (params) => {
+            this.openModal();
+            if (params.space && this.model.getSpace(params.space)) this.handleMarkerClick(params.space);
+        });
+
+        // Params: target ('page' by default, or 'space' / 'product' / 'shortlist')
+        this.actions.register('share', (params) => this.share(params.target || 'page'));
+
+        // Params: query (optional search text)
+        this.actions.register('open-search', (params) => {
+            this.openModal();
+            this.openSearch(params.query || '');
+        });
+
+        this.actions.register('open-shortlist', () => {
+            this.openModal();
+            this.view.showShortlistTray();
+        });
+    }
+
+    /**
+     * Checks whether a hero action can run. Logs actions that cannot.
+     * @param {Object} action - The action object from DataAdapter.transformActions.
+     * @returns {boolean}
+     */
+    isActionEnabled(action) {
+        if (this.actions.has(action.handler)) return true;
+        console.warn(`Hero button "${action.label}" disabled: no handler for action code "${action.code}"`);
+        return false;
+    }
+
+    // --- Navigation & Routing ---
+
+    /**
+     * Opens the space selection modal on the building overview scene.
+     */
+    openModal() {
+        this.view.showModal();
+        this.view.switchScene(APP_CONFIG.constants.scenes.building);
+        this.updateRoute(true);
+
+        // Start keyboard users on the map
+        const firstMarker = this.view.markers[0];
+        if (firstMarker) this.view.focusMarker(this.model.currentSpaceId || firstMarker.space.id);
+    }
+
+    /**
+     * Closes the space selection modal and clears any space highlight.
+     */
+    closeModal() {
+        this.view.hideModal();
+        this.view.restoreLandingSvg();
+        this.model.setCurrentSpace(null);
+        this.updateRoute(true);
+    }
+
+    /**
+     * Returns from the detail scene to the building overview scene.
+     */
+    showBuildingScene() {
+        this.view.switchScene(APP_CONFIG.constants.scenes.building);
+        this.deselectSpace();
+    }
+
+    /**
+     * Clears the selected space on the building overview (overlay and marker dimming).
+     */
+    deselectSpace() {
+        const hadSelection = !!this.model.currentSpaceId;
+        this.view.restoreLandingSvg();
+        this.view.mapViewport.restore();
+        this.model.setCurrentSpace(null);
+        this.view.setActiveMarker(null);
+        if (hadSelection) this.view.announce('Selection cleared.');
+        this.updateRoute(true);
+    }
+
+    /**
+     * Navigates to the detail scene of a space.
+     *
+     * @param {string} spaceId - The ID of the space to show.
+     * @param {string} [tab] - The tab to open (default: the space's first tab).
+     * @param {number} productIndex - The carousel slide to show on the System Equipment tab.
+     */
+    showSpaceDetail(spaceId, tab = null, productIndex = 0) {
+        const space = this.model.getSpace(spaceId);
+        if (!space) {
+            console.error('Space not found in model:', spaceId);
+            return;
+        }
+
+        this.model.setCurrentSpace(space.id);
+        this.model.currentProductIndex = productIndex;
+        this.view.hidePopover();
+        this.view.switchScene(APP_CONFIG.constants.scenes.detail);
+
+        // IMPORTANT: The "detail" scene has its own SVG container with ID "space-svg-object"
+        // We need to make sure this object loads the correct SVG for the selected space
+        this.view.loadSpaceSvg(space.markerImg);
+
+        this.selectTab(tab, true);
+        this.view.announce(`${space.name} details. Press Escape to return to the building map.`);
+    }
+
+    /**
+     * Switches the detail scene to the given tab.
+     *
+     * @param {string} tab - The tab ID.
+     * @param {boolean} push - True to add a history entry, false to replace the current one.
+     */
+    selectTab(tab, push = false) {
+        const space = this.model.getCurrentSpace();
+        if (!space) return;
+
+        // Tabs the space has no content for fall back to its first tab (e.g. an old deep link)
+        const { tabs } = APP_CONFIG.constants;
+        this.model.currentTab = space.tabs.includes(tab) ? tab : space.tabs[0];
+        this.view.renderSpaceDetails(space, this.model.currentTab);
+
+        if (this.model.currentTab === tabs.equipment) {
+            const count = space.systemEquipment.length;
+            if (this.model.currentProductIndex >= count) this.model.currentProductIndex = 0;
+            if (count) this.view.productCarousel.show(this.model.currentProductIndex);
+        }
+        this.updateRoute(push);
+        this.view.productCarousel.scheduleAutoplay(); // Stops it on other tabs
+    }
+
+    /**
+     * Builds the route state for the current modal state.
+     * @returns {Object|null} The route state, or null when the modal is closed.
+     */
+    getRouteState() {
+        if (!this.view.isModalOpen()) return null;
+
+        const { scenes, tabs } = APP_CONFIG.constants;
+        const isDetail = this.view.currentScene === scenes.detail;
+        return {
+            scene: this.view.currentScene,
+            spaceId: this.model.currentSpaceId,
+            tab: isDetail ? this.model.currentTab : null,
+            productIndex: isDetail && this.model.currentTab === tabs.equipment ? this.model.currentProductIndex : 0
+        };
+    }
+
+    /**
+     * Writes the current state to the URL.
+     * @param {boolean} push - True to add a history entry, false to replace the current one.
+     */
+    updateRoute(push = false) {
+        if (!this.router || this.isRestoringRoute) return;
+        const state = this.getRouteState();
+        if (push) {
+            this.router.push(state);
+        } else {
+            this.router.replace(state);
+        }
+    }
+
+    /**
+     * Brings the UI to the given route state without writing history.
+     * Used for the initial deep link and Back/Forward navigation.
+     *
+     * @param {Object|null} state - The route state from SpaceRouter.
+     */
+    applyRoute(state) {
+        this.isRestoringRoute = true;
+        try {
+            const { scenes } = APP_CONFIG.constants;
+            if (!state || !state.scene) {
+                if (this.view.isModalOpen()) this.closeModal();
+                return;
+            }
+
+            const space = state.spaceId ? this.model.getSpace(state.spaceId) : null;
+            if (!this.view.isModalOpen()) this.view.showModal();
+
+            if (state.scene === scenes.detail && space) {
+                this.showSpaceDetail(space.id, state.tab || undefined, state.productIndex);
+            } else {
+                this.view.switchScene(scenes.building);
+                if (space) {
+                    this.handleMarkerClick(space.id);
+                } else {
+                    this.deselectSpace();
+                }
+            }
+        } finally {
+            this.isRestoringRoute = false;
+        }
+    }
+
+    // --- Sharing ---
+
+    /**
+     * Determines what the modal Share button should share: the visible product on the
+     * System Equipment tab, otherwise the selected space, otherwise the page.
+     * @returns {string} 'product', 'space' or 'page'.
+     */
+    getShareTarget() {
+        const space = this.model.getCurrentSpace();
+        if (!space || !this.view.isModalOpen()) return 'page';
+
+        const isDetail = this.view.currentScene === APP_CONFIG.constants.scenes.detail;
+        const product = space.systemEquipment[this.model.currentProductIndex];
+        if (isDetail && this.model.currentTab === APP_CONFIG.constants.tabs.equipment && product) return 'product';
+        return 'space';
+    }
+
+    /**
+     * Builds the share payload (title, text and deep link) for a target.
+     * @param {string} target - 'page', 'space', 'product' or 'shortlist'.
+     * @returns {Object} The payload passed to ShareManager.share().
+     */
+    buildSharePayload(target) {
+        const { scenes, tabs } = APP_CONFIG.constants;
+        const pageTitle = (this.model.getPageMetadata() || {}).title || document.title;
+        const space = this.model.getCurrentSpace();
+        const product = space ? space.systemEquipment[this.model.currentProductIndex] : null;
+
+        const toUrl = (state) => this.router
+            ? new URL(this.router.buildUrl(state), window.location.href).href
+            : window.location.href;
+
+        if (target === 'product' && product) {
+            return {
+                target: 'product',
+                id: product.id,
+                title: `${product.title} | ${space.name}`,
+                text: `${product.title} in ${space.name} - ${pageTitle}`,
+                url: toUrl({ scene: scenes.detail, spaceId: space.id, tab: tabs.equipment, productIndex: this.model.currentProductIndex })
+            };
+        }
+
+        if (target === 'shortlist' && this.shortlist.size) {
+            return {
+                target: 'shortlist',
+                id: null,
+                title: `My Selections | ${pageTitle}`,
+                text: this.shortlist.items.map(item => item.title).join(', '),
+                url: this.shortlist.toUrl(toUrl(null))
+            };
+        }
+
+        if (target === 'space' && space) {
+            return {
+                target: 'space',
+                id: space.id,
+                title: `${space.name} | ${pageTitle}`,
+                text: space.systemName,
+                url: toUrl({ scene: scenes.detail, spaceId: space.id, tab: tabs.overview })
+            };
+        }
+
+        return {
+            target: 'page',
+            id: null,
+            title: pageTitle,
+            text: document.querySelector('meta[name="description"]')?.getAttribute('content') || '',
+            url: toUrl(null)
+        };
+    }
+
+    /**
+     * Shares the page or the current selection.
+     * @param {string} target - 'page', 'space', 'product' or 'shortlist' (defaults to the current selection).
+     */
+    share(target = this.getShareTarget()) {
+        if (!this.shareManager) {
+            console.warn('ShareManager not configured');
+            return;
+        }
+        this.shareManager.share(this.buildSharePayload(target));
+    }
+
+    // --- Product Details ---
+
+    /**
+     * Opens the product detail drawer for a product of the current space and records it.
+     * @param {number} index - Index of the product in the space's system equipment.
+     */
+    showProductDetails(index) {
+        const space = this.model.getCurrentSpace();
+        const product = space && space.systemEquipment[index];
+        if (!product) {
+            console.warn('Product not found for details:', index);
+            return;
+        }
+
+        this.openProduct = { spaceId: space.id, productId: product.id || null, title: product.title, url: product.productDetailsUrl };
+        this.view.showProductDrawer(product);
+        this.track(APP_CONFIG.events.productDetails, this.openProduct);
+    }
+
+    // --- Product Comparison ---
+
+    /**
+     * Adds the current space's product to the comparison, or removes it when already picked.
+     * @param {number} index - Index of the product in the current space's equipment.
+     */
+    toggleCompare(index) {
+        const space = this.model.getCurrentSpace();
+        const product = space ? space.systemEquipment[index] : null;
+        if (!product) return;
+
+        const key = ProductCompare.keyOf(product, space.id, index);
+        if (this.compare.has(key)) {
+            this.removeFromCompare(key);
+        } else if (this.compare.isFull) {
+            this.view.announce(`You can compare up to ${APP_CONFIG.compare.max} products. Remove one first.`);
+        } else {
+            this.compare.add({ key: key, spaceId: space.id, spaceName: space.name, productIndex: index, product: product });
+            this.view.announce(`${product.title} added to comparison (${this.compare.size} of ${APP_CONFIG.compare.max}).`);
+        }
+    }
+
+    /**
+     * Removes a product from the comparison.
+     * @param {string} key - The product key.
+     */
+    removeFromCompare(key) {
+        const entry = this.compare.entries.find(item => item.key === key);
+        if (entry && this.compare.remove(key)) this.view.announce(`${entry.product.title} removed from comparison.`);
+    }
+
+    /**
+     * Opens the side-by-side comparison.
+     */
+    openComparison() {
+        if (!this.compare.canCompare) return;
+        this.view.showComparePanel(this.compare.entries);
+    }
+
+    /**
+     * Closes the comparison and shows a compared product in its space's carousel.
+     * @param {string} key - The product key.
+     */
+    showComparedProduct(key) {
+        const entry = this.compare.entries.find(item => item.key === key);
+        if (!entry) return;
+        this.view.hideComparePanel();
+        this.showSpaceDetail(entry.spaceId, APP_CONFIG.constants.tabs.equipment, entry.productIndex);
+    }
+
+    /**
+     * Keeps the slides, the tray and an open comparison in sync with the picked products.
+     * @param {Array<Object>} entries - ProductCompare entries.
+     */
+    handleCompareChange(entries) {
+        const ids = APP_CONFIG.selectors.ids;
+        const hadFocus = document.activeElement;
+        this.view.setComparedKeys(entries.map(entry => entry.key));
+        this.view.renderCompareTray(entries, APP_CONFIG.compare);
+
+        if (this.view.compareDialog.isOpen) {
+            if (entries.length) this.view.renderComparison(entries);
+            else this.view.hideComparePanel();
+        }
+
+        // A removed chip or column took focus with it; keep it in the same container
+        if (hadFocus && !hadFocus.isConnected) {
+            const fallback = this.view.compareDialog.isOpen ? document.getElementById(ids.comparePanelCloseBtn)
+                : entries.length ? document.getElementById(ids.compareClearBtn)
+                : this.view.productCarousel.element;
+            fallback.focus();
+        }
+    }
+
+    /**
+     * Finds a compared product in freshly loaded data.
+     * @param {Object} entry - ProductCompare entry.
+     * @returns {Object|null} The updated entry, or null when the product is gone.
+     */
+    resolveCompareEntry(entry) {
+        const space = this.model.getSpace(entry.spaceId);
+        if (!space) return null;
+        const index = space.systemEquipment.findIndex((product, i) => ProductCompare.keyOf(product, space.id, i) === entry.key);
+        if (index === -1) return null;
+        return { ...entry, spaceName: space.name, productIndex: index, product: space.systemEquipment[index] };
+    }
+
+    // --- My Selections ---
+
+    /**
+     * Saves the current space's product to My Selections, or removes it when already saved.
+     * @param {number} index - Index of the product in the current space's equipment.
+     */
+    toggleShortlist(index) {
+        const space = this.model.getCurrentSpace();
+        const product = space ? space.systemEquipment[index] : null;
+        if (!product || !product.id) return;
+
+        const id = String(product.id);
+        if (this.shortlist.has(id)) {
+            this.removeFromShortlist(id);
+        } else {
+            this.shortlist.add({ id: id, title: product.title, productDetailsUrl: product.productDetailsUrl, spaceId: space.id, spaceName: space.name });
+            this.view.announce(`${product.title} saved to My Selections (${this.shortlist.size}).`);
+        }
+    }
+
+    /**
+     * Removes a product from My Selections.
+     * @param {string} id - The product ID.
+     */
+    removeFromShortlist(id) {
+        const item = this.shortlist.items.find(entry => entry.id === id);
+        if (item && this.shortlist.remove(id)) this.view.announce(`${item.title} removed from My Selections.`);
+    }
+
+    /**
+     * Shows a saved product in its space's carousel; the tray stays open.
+     * @param {string} id - The product ID.
+     */
+    showShortlistedProduct(id) {
+        const found = this.findProduct(id);
+        if (!found) {
+            this.view.announce('This product is no longer shown on this page.');
+            return;
+        }
+        this.showSpaceDetail(found.space.id, APP_CONFIG.constants.tabs.equipment, found.index);
+    }
+
+    /**
+     * Keeps the slides and the tray in sync with My Selections.
+     * @param {Array<Object>} items - ProductShortlist items.
+     */
+    handleShortlistChange(items) {
+        const hadFocus = document.activeElement;
+        this.view.setShortlistedIds(items.map(item => item.id));
+        this.view.renderShortlist(items);
+
+        // A removed item took focus with it; keep it in the tray
+        if (hadFocus && !hadFocus.isConnected && this.view.shortlistTray.isOpen) {
+            document.getElementById(APP_CONFIG.selectors.ids.shortlistTrayCloseBtn).focus();
+        }
+    }
+
+    /**
+     * Finds a product by ID in any space.
+     * @param {string} id - The product ID.
+     * @returns {Object|null} { space, product, index }.
+     */
+    findProduct(id) {
+        const key = DataAdapter.normalizeId(id);
+        for (const space of this.model.getAllSpaces()) {
+            const index = space.systemEquipment.findIndex(product => product.id && String(product.id) === key);
+            if (index !== -1) return { space: space, product: space.systemEquipment[index], index: index };
+        }
+        return null;
+    }
+
+    /**
+     * Current details of a saved product in freshly loaded data.
+     * @param {Object} item - ProductShortlist item.
+     * @returns {Object|null} { title, productDetailsUrl, spaceId, spaceName }, or null when it is gone.
+     */
+    resolveShortlistItem(item) {
+        const found = this.findProduct(item.id);
+        if (!found) return null;
+        return { title: found.product.title, productDetailsUrl: found.product.productDetailsUrl, spaceId: found.space.id, spaceName: found.space.name };
+    }
+
+    /**
+     * Adds the products of a shared link to My Selections, removes the parameter from the URL
+     * (so a reload does not add them again) and opens the tray.
+     */
+    importSharedShortlist() {
+        const { param } = APP_CONFIG.shortlist;
+        const ids = ProductShortlist.readIds(window.location.search, param);
+        if (!ids.length) return;
+
+        const added = ids.map(id => this.findProduct(id)).filter(Boolean).filter(({ space, product }) => this.shortlist.add({
+            id: String(product.id), title: product.title, productDetailsUrl: product.productDetailsUrl, spaceId: space.id, spaceName: space.name
+        }));
+
+        const url = new URL(window.location.href);
+        url.searchParams.delete(param);
+        window.history.replaceState(window.history.state, '', `${url.pathname}${url.search}${url.hash}`);
+
+        if (!this.view.isModalOpen()) this.openModal();
+        this.view.showShortlistTray();
+        this.view.announce(added.length
+            ? `${added.length} shared product${added.length === 1 ? '' : 's'} added to My Selections.`
+            : 'The shared products are already in My Selections or no longer available.');
+    }
+
+    /**
+     * Downloads My Selections as a CSV or JSON file.
+     * @param {string} format - 'csv' or 'json'.
+     */
+    exportShortlist(format) {
+        if (!this.shortlist.size) return;
+        const fileName = `${APP_CONFIG.shortlist.fileName}-${this.model.buildingType}`;
+        if (format === 'json') {
+            const pageTitle = (this.model.getPageMetadata() || {}).title || document.title;
+            this.view.downloadFile(`${fileName}.json`, this.shortlist.toJSON({ title: pageTitle }), 'application/json');
+        } else {
+            // The byte order mark makes spreadsheet apps read the file as UTF-8
+            this.view.downloadFile(`${fileName}.csv`, `\ufeff${this.shortlist.toCSV()}`, 'text/csv;charset=utf-8');
+        }
+    }
+
+    // --- Search ---
+
+    /**
+     * Opens the search panel. Without a query it lists every product (browse).
+     * @param {string} [query] - Text to search for (default: keep the previous query).
+     */
+    openSearch(query) {
+        const input = document.getElementById(APP_CONFIG.selectors.ids.searchInput);
+        if (typeof query === 'string') input.value = query;
+        this.view.showSearchPanel();
+        this.runSearch(input.value);
+    }
+
+    /**
+     * Searches every space and lists the results in the search panel.
+     * @param {string} query - What the user typed.
+     */
+    runSearch(query) {
+        const text = String(query || '').trim();
+        this.searchResults = text ? this.search.search(text) : this.search.browse(APP_CONFIG.constants.tabs.equipment);
+        this.view.renderSearchResults(this.searchResults, text);
+    }
+
+    /**
+     * Opens the space, tab and carousel slide of a search result.
+     * @param {number} index - Index of the result in the current list.
+     */
+    selectSearchResult(index) {
+        const result = this.searchResults[index];
+        if (!result) return;
+
+        this.view.hideSearchPanel();
+        this.showSpaceDetail(result.spaceId, result.tab, result.productIndex);
+    }
+
+    /**
+     * Arrow Up/Down move between the search field and the results.
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    handleSearchKeydown(e) {
+        if (e.key !== 'ArrowDown' && e.key !== 'ArrowUp') return;
+        const input = document.getElementById(APP_CONFIG.selectors.ids.searchInput);
+        const items = [input, ...document.querySelectorAll(`#${APP_CONFIG.selectors.ids.searchResults} ${APP_CONFIG.selectors.classes.searchResult}`)];
+        const index = items.indexOf(e.target);
+        if (index === -1 || items.length < 2) return;
+
+        e.preventDefault();
+        const next = e.key === 'ArrowDown' ? Math.min(index + 1, items.length - 1) : Math.max(index - 1, 0);
+        items[next].focus();
+    }
+
+    /**
+     * Dispatches an analytics event on the document (see APP_CONFIG.events).
+     * @param {string} name - The event name.
+     * @param {Object} detail - The event detail.
+     */
+    track(name, detail) {
+        if (typeof CustomEvent !== 'function') return;
+        document.dispatchEvent(new CustomEvent(name, { detail: { ...detail } }));
     }
 
     /**
      * Advances the product carousel to the next item.
      * Cycles back to the first item if currently at the end.
+     *
+     * @param {string} [source] - The navigation source passed to goToProduct.
      */
-    nextProduct() {
+    nextProduct(source = 'next') {
         const space = this.model.getCurrentSpace();
         if (!space || !space.systemEquipment.length) return;
         
         let idx = this.model.currentProductIndex + 1;
         if (idx >= space.systemEquipment.length) idx = 0;
-        this.model.currentProductIndex = idx;
-        
-        this.updateProductVisibility(idx, 'next');
+        this.goToProduct(idx, source);
     }
 
     /**
      * Moves the product carousel to the previous item.
      * Cycles to the last item if currently at the beginning.
+     *
+     * @param {string} [source] - The navigation source passed to goToProduct.
      */
-    prevProduct() {
+    prevProduct(source = 'prev') {
         const space = this.model.getCurrentSpace();
         if (!space || !space.systemEquipment.length) return;
         
         let idx = this.model.currentProductIndex - 1;
         if (idx < 0) idx = space.systemEquipment.length - 1;
-        this.model.currentProductIndex = idx;
-        
-        this.updateProductVisibility(idx, 'prev');
+        this.goToProduct(idx, source);
     }
 
     /**
-     * Updates the visual state of the carousel to show the specified product.
-     * Handles CSS classes for slides and dots, and manages accessibility focus.
-     * 
+     * Shows a specific product in the carousel and records it in the URL.
+     *
      * @param {number} index - The index of the product to show.
-     * @param {string|null} source - The source of the navigation action ('next', 'prev', 'dot', or null).
+     * @param {string|null} source - The source of the navigation action
+     *     ('next', 'prev', 'dot', 'key', 'swipe', 'autoplay', or null).
      */
-    updateProductVisibility(index, source = null) {
-        const slides = document.querySelectorAll(APP_CONFIG.selectors.classes.productSlide);
-        let newActiveSlide = null;
-        
-        // Toggle active class on slides
-        slides.forEach((slide, i) => {
-            const isActive = i === index;
-            slide.classList.toggle('active', isActive);
-            if (isActive) newActiveSlide = slide;
-        });
-        
-        // Update dots in ALL slides (since they are replicated in each slide)
-        // This is necessary because each slide contains its own set of navigation dots
-        const allDotContainers = document.querySelectorAll(APP_CONFIG.selectors.classes.carouselDots);
-        allDotContainers.forEach(container => {
-            const dots = container.querySelectorAll(APP_CONFIG.selectors.classes.dot);
-            dots.forEach((dot, i) => {
-                const isActive = i === index;
-                dot.classList.toggle('active', isActive);
-                dot.setAttribute('aria-current', isActive ? 'true' : 'false');
-            });
-        });
+    goToProduct(index, source = null) {
+        const space = this.model.getCurrentSpace();
+        if (!space || isNaN(index) || index < 0 || index >= space.systemEquipment.length) return;
 
-        // Accessibility: Announce slide change to screen readers
-        const liveRegion = document.querySelector(APP_CONFIG.selectors.classes.liveRegion);
-        if (liveRegion && newActiveSlide) {
-            const title = newActiveSlide.querySelector('h3')?.textContent || `Slide ${index + 1}`;
-            liveRegion.textContent = `Showing ${title}`;
-        }
-
-        // Accessibility: Manage Focus if triggered by user interaction
-        if (source && newActiveSlide) {
-            if (source === 'next') {
-                const nextBtn = newActiveSlide.querySelector(APP_CONFIG.selectors.classes.navBtnNext);
-                if (nextBtn) nextBtn.focus();
-            } else if (source === 'prev') {
-                const prevBtn = newActiveSlide.querySelector(APP_CONFIG.selectors.classes.navBtnPrev);
-                if (prevBtn) prevBtn.focus();
-            } else if (source === 'dot') {
-                // If clicked via dot, keep focus on the specific dot in the new slide
-                const dots = newActiveSlide.querySelectorAll(APP_CONFIG.selectors.classes.dot);
-                if (dots[index]) dots[index].focus();
-            }
-        }
+        this.model.currentProductIndex = index;
+        this.view.productCarousel.show(index, source);
+        this.updateRoute(false);
     }
 
     // --- SVG Handling Logic ---
 
+    /**
+     * Inlines the map layer of the building type, then the markers: drawn from the spaces'
+     * positions (CMS or sidecar file) when any space has one, else the markers SVG.
+     * Finally preloads the space overlays. Loading a layer that already shows the file is a
+     * no-op, so this runs on every data refresh.
+     *
+     * @param {Object} metadata - The page metadata (modalMapImage, modalMarkersImage, modalMarkersData).
+     */
+    loadBuildingLayers(metadata) {
+        if (!metadata) return;
+        const ids = APP_CONFIG.selectors.ids;
+
+        const mapLoaded = this.view.loadLayer(ids.buildingMapSvg, metadata.modalMapImage).then(svg => {
+            if (svg) this.initMapLayer(svg);
+        });
+
+        this.view.markerRenderer.loadSidecar(metadata.modalMarkersData).then(sidecar => {
+            if (MarkerRenderer.collect(this.model.getAllSpaces(), sidecar.markers).size) {
+                // Drawn once the map is in, in its viewBox units
+                return mapLoaded.then(() => {
+                    const spaces = this.model.getAllSpaces();
+                    const positions = MarkerRenderer.collect(spaces, sidecar.markers);
+                    const unplaced = spaces.filter(space => !positions.has(space.id)).map(space => space.slug || space.id);
+                    if (unplaced.length) console.warn(`No marker position for: ${unplaced.join(', ')}`);
+                    return this.view.renderMarkersLayer(spaces, positions, sidecar.viewBox);
+                });
+            }
+            // Refreshed data may list other spaces, so the markers already shown are mapped again
+            return this.view.loadLayer(ids.buildingMarkersSvg, metadata.modalMarkersImage)
+                .then(svg => svg || this.view.getLayerSvg(ids.buildingMarkersSvg));
+        }).then(markersSvg => {
+            if (markersSvg) this.attachSvgHandlers(markersSvg);
+
+            // Overlays are fetched once the markers are in, so selecting a space shows its overlay at once
+            this.view.svgLoader.preload(this.model.getAllSpaces().map(space => space.markerImg));
+        });
+    }
+
     /**
      * Initializes the Map Layer (Layer 1).
      * Hides the interactive markers so only the background map is visible.
+     *
+     * @param {SVGSVGElement} svg - The inlined map SVG.
      */
-    initMapLayer(svgObject) {
-        const doc = svgObject.contentDocument;
-        if (!doc) return;
+    initMapLayer(svg) {
+        if (!svg) return;
 
         // Map Layer should just show the map. 
         // Since we are using a dedicated SVG (k-12-map.svg) which has markers removed,
@@ -1030,201 +2626,168 @@ class SpaceController {
     }
 
     /**
-     * Attaches click and hover handlers to the Markers SVG (Layer 2).
-     * Hides the map background so only markers are visible.
-     * Identifies interactable elements based on dynamic metadata (data-space-id)
-     * and legacy ID mappings.
+     * Prepares the Markers SVG (Layer 2): hides its map background so only markers are visible
+     * and links each marker to its space through a data-space-id attribute, which the shared
+     * listeners of the building SVG (handleBuildingClick/handleBuildingKeydown) read.
+     * Markers are linked by MarkerMap (the building type's mapping table, data-space-id, then
+     * the space ID); markers no space claims are shown as disabled "coming soon" pins.
      * 
-     * @param {HTMLObjectElement} svgObject - The <object> element containing the SVG.
+     * @param {SVGSVGElement} svg - The inlined markers SVG.
      */
-    attachSvgHandlers(svgObject) {
-        const doc = svgObject.contentDocument;
-        if (!doc) return;
-
+    attachSvgHandlers(svg) {
         // Hide Map Background (Layer 2 should only show markers)
-        const mapGroup = doc.getElementById('Map');
+        const mapGroup = SvgLoader.findById(svg, 'Map');
         if (mapGroup) {
             mapGroup.style.display = 'none';
         }
 
         // Initialize Marker Visibility System
-        this.view.initMarkerVisibility(doc);
-
-        // Global click listener: Clicking empty space on the map closes any open overlay
-        // Note: On Layer 2, empty space is transparent. 
-        // We might want to catch clicks on the wrapper or document if clicking "through" the markers?
-        // But doc.addEventListener('click') on the SVG document only catches clicks on elements if pointer-events are auto.
-        // If we set pointer-events: none on empty areas, this might not fire.
-        // However, let's keep it for now.
-        doc.addEventListener('click', () => {
-            this.view.restoreLandingSvg();
-        });
-        
-        const processedElements = new Set();
-
-        // 1. Dynamic Metadata Handling (New Standard)
-        // Scans for elements with 'data-space-id' attribute
-        const dynamicElements = doc.querySelectorAll('[data-space-id]');
-        dynamicElements.forEach(el => {
-            const spaceId = el.getAttribute('data-space-id');
-            if (spaceId) {
-                this.attachInteraction(el, spaceId);
-                processedElements.add(el);
-            }
-        });
+        this.view.initMarkerVisibility(svg);
 
-        // 2. ID Handling (Matches SVG IDs to Model IDs)
-        // Automatically maps elements whose ID matches a known space ID
+        const { pinsGroup, buildingRoof } = this.view.svgConfig;
         const spaces = this.model.getAllSpaces();
-        spaces.forEach(space => {
-            let el = doc.getElementById(space.id);
-            
-            // Fallback: search by ID attribute manually if getElementById fails
-            if (!el) {
-                const groups = Array.from(doc.querySelectorAll('g'));
-                el = groups.find(g => g.id === space.id);
-            }
+        const { markers, orphans, report } = MarkerMap.link(svg, spaces, {
+            mapping: this.view.svgConfig.markers,
+            pinsGroup: pinsGroup,
+            ignore: [buildingRoof, 'Map']
+        });
+        this.view.markComingSoon(svg, orphans);
+        this.publishMarkerAudit({
+            buildingType: this.model.buildingType,
+            source: svg.classList.contains('gh-generated-markers') ? 'generated' : 'svg',
+            ...report
+        });
 
-            // Special handling for singular/plural mismatch (e.g. classroom vs classrooms)
-            if (!el && space.id.endsWith('s')) {
-                const singularId = space.id.slice(0, -1);
-                el = doc.getElementById(singularId);
-                if (!el) {
-                    const groups = Array.from(doc.querySelectorAll('g'));
-                    el = groups.find(g => g.id === singularId);
-                }
-            }
+        // Keyboard and screen reader access, in the order the CMS lists the spaces
+        this.view.initMarkerAccessibility(svg, markers);
+        this.view.setActiveMarker(this.model.currentSpaceId);
 
-            // Only attach if not already processed by dynamic handler
-            if (el && !processedElements.has(el)) {
-                this.attachInteraction(el, space.id);
-                processedElements.add(el);
-            }
-        });
+        // Re-apply dimming for a space restored from the URL before the markers loaded
+        if (this.model.currentSpaceId && this.view.currentScene === APP_CONFIG.constants.scenes.building) {
+            this.view.updateMarkerVisibility(this.model.currentSpaceId);
+            this.view.zoomToMarker(this.model.currentSpaceId);
+        }
     }
 
     /**
-     * Helper to attach standard interaction listeners to an SVG element.
-     * 
-     * @param {Element} el - The SVG element.
-     * @param {string} spaceId - The ID of the space to link to.
-     */
-    attachInteraction(el, spaceId) {
-        if (el.dataset && el.dataset.ghBound === 'true') return;
-        if (this.boundElements && this.boundElements.has(el)) return;
-        el.style.cursor = 'pointer';
-        el.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.handleMarkerClick(spaceId);
-        });
-        el.addEventListener('mouseenter', () => {
-            el.style.opacity = '0.8';
-        });
-        el.addEventListener('mouseleave', () => {
-            el.style.opacity = '1';
-        });
-        if (el.dataset) el.dataset.ghBound = 'true';
-        if (this.boundElements) this.boundElements.add(el);
+     * Makes the marker audit available to tooling: as `buildingApp.markerAudit`, as a
+     * gh:marker-audit event on document and, when something is unlinked, in the console.
+     *
+     * @param {Object} report - The MarkerMap report with the building type and marker source.
+     */
+    publishMarkerAudit(report) {
+        this.markerAudit = report;
+        this.track(APP_CONFIG.events.markerAudit, report);
+        if (report.ok) return;
+
+        console.group(`Marker audit (${report.buildingType}, ${report.source} markers)`);
+        if (report.spacesWithoutMarker.length) {
+            const names = report.spacesWithoutMarker.map(id => {
+                const space = this.model.getSpace(id);
+                return space && space.slug !== id ? `${space.slug} (${id})` : id;
+            });
+            console.warn('Spaces without a marker:', names.join(', '));
+        }
+        if (report.markersWithoutSpace.length) console.warn('Markers without a space (shown as coming soon):', report.markersWithoutSpace.join(', '));
+        report.staleMappings.forEach(entry => console.warn(`Mapping ${entry.spaceId} -> ${entry.markerId}: ${entry.problem}`));
+        console.groupEnd();
     }
 
     /**
-     * Attaches handlers to the overlay SVG (the highlighted space view).
-     * Manages "View Details" and "Close" buttons within the SVG.
+     * Prepares the overlay SVG (the highlighted space view): its "View Details" and "Close"
+     * elements become buttons (role, name, tab stop and a data-overlay-action attribute handled
+     * by the building SVG listeners).
      * 
-     * @param {HTMLObjectElement} svgObject - The <object> element containing the overlay SVG.
+     * @param {SVGSVGElement} svg - The inlined overlay SVG.
      */
-    attachOverlayHandlers(svgObject) {
-        const doc = svgObject.contentDocument;
-        if (!doc) return;
+    attachOverlayHandlers(svg) {
+        const space = this.model.getCurrentSpace();
+        const buttons = [
+            { id: APP_CONFIG.svg.overlayViewBtn, action: 'view', name: 'View', label: space ? `View ${space.name} details` : 'View details' },
+            { id: APP_CONFIG.svg.overlayCloseBtn, action: 'close', name: 'Close', label: 'Clear selection' }
+        ];
 
-        // Helper to find element by ID with fallback
-        const findElement = (id) => {
-            let el = doc.getElementById(id);
+        buttons.forEach(({ id, action, name, label }) => {
+            const el = SvgLoader.findById(svg, id);
             if (!el) {
-                // Fallback: search by ID attribute manually
-                // Uses querySelector to find ANY element with the matching ID, 
-                // not just groups. Useful for text elements like 'view-default'.
-                el = doc.querySelector(`[id="${id}"]`);
+                console.warn(`${name} button not found in overlay SVG`);
+                return;
             }
-            return el;
-        };
+            el.setAttribute('role', 'button');
+            el.setAttribute('tabindex', '0');
+            el.setAttribute('aria-label', label);
+            el.setAttribute('data-overlay-action', action);
+        });
 
-        // "View" Button in Overlay (Navigates to Detail Scene)
-        const viewBtn = findElement(APP_CONFIG.svg.overlayViewBtn);
-        if (viewBtn) {
-            viewBtn.style.cursor = 'pointer';
-            viewBtn.style.pointerEvents = 'auto';
-            viewBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                const space = this.model.getCurrentSpace();
-                if (space) {
-                    this.view.switchScene('detail');
-                    this.view.renderSpaceDetails(space, APP_CONFIG.constants.tabs.overview);
-                    this.view.loadSpaceSvg(space.markerImg);
-                }
-            });
-             // Add hover effect
-             viewBtn.addEventListener('mouseenter', () => {
-                viewBtn.style.opacity = '0.8';
-            });
-            viewBtn.addEventListener('mouseleave', () => {
-                viewBtn.style.opacity = '1';
-            });
-        } else {
-             console.warn('View button not found in overlay SVG');
+        // A space selected from the keyboard continues in the overlay
+        if (this.focusOverlayOnLoad) {
+            this.focusOverlayOnLoad = false;
+            const viewBtn = svg.querySelector('[data-overlay-action="view"]');
+            if (viewBtn) viewBtn.focus();
         }
+    }
 
-        // "Close" Button in Overlay (Deselects space)
-        const closeBtn = findElement(APP_CONFIG.svg.overlayCloseBtn);
-        if (closeBtn) {
-            closeBtn.style.cursor = 'pointer';
-            closeBtn.style.pointerEvents = 'auto';
-            closeBtn.addEventListener('click', (e) => {
-                e.stopPropagation();
-                this.view.restoreLandingSvg();
-            });
-             // Add hover effect
-             closeBtn.addEventListener('mouseenter', () => {
-                closeBtn.style.opacity = '0.8';
-            });
-            closeBtn.addEventListener('mouseleave', () => {
-                closeBtn.style.opacity = '1';
-            });
+    /**
+     * Click handling for the whole building SVG: a marker selects its space (or opens it when it
+     * is already selected, as Enter does), the overlay buttons open or clear it, a "coming soon"
+     * pin is only announced, and a click anywhere else (empty map, transparent parts of the
+     * overlay) clears the selection.
+     *
+     * @param {MouseEvent} e - The click event.
+     */
+    handleBuildingClick(e) {
+        const overlayBtn = e.target.closest('[data-overlay-action]');
+        const marker = e.target.closest(`#${APP_CONFIG.selectors.ids.buildingMarkersSvg} [data-space-id]`);
+        const comingSoon = e.target.closest(`#${APP_CONFIG.selectors.ids.buildingMarkersSvg} [data-coming-soon]`);
+
+        if (comingSoon && !overlayBtn) {
+            const label = comingSoon.getAttribute('data-coming-soon');
+            this.view.announce(`${label || 'This space'} is coming soon.`);
+        } else if (overlayBtn) {
+            this.runOverlayAction(overlayBtn.getAttribute('data-overlay-action'));
+        } else if (marker) {
+            const spaceId = marker.getAttribute('data-space-id');
+            if (spaceId === this.model.currentSpaceId) this.showSpaceDetail(spaceId);
+            else this.handleMarkerClick(spaceId);
         } else {
-            console.warn('Close button not found in overlay SVG');
+            this.deselectSpace();
         }
+    }
 
-        // Background Click Forwarding
-        // Allows clicking through the transparent parts of the overlay to the main map
-        doc.addEventListener('click', (e) => {
-            // 1. Try to identify what's under the cursor in the MAIN SVG
-            const mainSvg = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-            if (mainSvg && mainSvg.contentDocument) {
-                // Since overlay and main SVG are stacked perfectly, coordinates match
-                const targetUnderneath = mainSvg.contentDocument.elementFromPoint(e.clientX, e.clientY);
-                
-                if (targetUnderneath) {
-                    // Dispatch the click to the underlying element
-                    const newEvent = new MouseEvent('click', {
-                        bubbles: true,
-                        cancelable: true,
-                        view: window
-                    });
-                    targetUnderneath.dispatchEvent(newEvent);
-                    return; 
-                }
-            }
-            
-            // Fallback: Just close the overlay
-            this.view.restoreLandingSvg();
-        });
+    /**
+     * Keyboard handling for the whole building SVG: Enter or Space activate the overlay
+     * buttons, other keys go to the markers (handleMarkerKeydown).
+     *
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    handleBuildingKeydown(e) {
+        const overlayBtn = e.target.closest('[data-overlay-action]');
+        if (!overlayBtn) {
+            this.handleMarkerKeydown(e);
+            return;
+        }
+        if (e.key !== 'Enter' && e.key !== ' ') return;
+        e.preventDefault();
+        this.runOverlayAction(overlayBtn.getAttribute('data-overlay-action'));
+    }
+
+    /**
+     * Runs an overlay button: 'view' opens the selected space, 'close' clears the selection.
+     * @param {string} action - The data-overlay-action value.
+     */
+    runOverlayAction(action) {
+        if (action === 'close') {
+            this.deselectSpace();
+        } else if (this.model.currentSpaceId) {
+            this.showSpaceDetail(this.model.currentSpaceId);
+        }
     }
 
     /**
      * Handles the click event on a space marker in the main building SVG.
      * Updates the model and triggers the view to show the overlay.
      * 
-     * @param {string} spaceId - The ID of the selected space.
+     * @param {string} spaceId - The ID (or slug or alias) of the selected space.
      */
     handleMarkerClick(spaceId) {
         console.log('handleMarkerClick called for:', spaceId);
@@ -1234,38 +2797,118 @@ class SpaceController {
             return;
         }
 
-        this.model.setCurrentSpace(spaceId);
-        this.view.replaceLandingSvg(space.markerImg);
+        this.model.setCurrentSpace(space.id);
+        this.model.currentProductIndex = 0;
+        this.view.replaceLandingSvg(space.markerImg).then(svg => {
+            if (svg) this.attachOverlayHandlers(svg);
+        });
         
         // Update marker visibility (dim others)
-        this.view.updateMarkerVisibility(spaceId);
+        this.view.updateMarkerVisibility(space.id);
+        this.view.setActiveMarker(space.id);
+        this.view.zoomToMarker(space.id);
+        this.view.announce(`${space.name} selected. Press Enter to view details or Escape to clear the selection.`);
+        this.updateRoute(true);
     }
 
-    runMarkerClickTest(ids = ['lobby','gym','admin-offices','locker-room','science-lab','kitchen','cafeteria']) {
-        const svgObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
+    /**
+     * Keyboard handling for the markers: arrow keys/Home/End move focus between markers,
+     * Enter or Space selects the focused space (or opens it when already selected).
+     * Escape reaches the modal dialog, which backs out one level.
+     *
+     * @param {KeyboardEvent} e - The keydown event from the markers layer.
+     */
+    handleMarkerKeydown(e) {
+        const markers = this.view.markers;
+        const index = markers.findIndex(m => m.el === e.target || m.el.contains(e.target));
+        if (index === -1) return;
+
+        let next;
+        switch (e.key) {
+            case 'ArrowRight':
+            case 'ArrowDown':
+                next = (index + 1) % markers.length;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowUp':
+                next = (index - 1 + markers.length) % markers.length;
+                break;
+            case 'Home':
+                next = 0;
+                break;
+            case 'End':
+                next = markers.length - 1;
+                break;
+            case 'Enter':
+            case ' ': {
+                e.preventDefault();
+                const spaceId = markers[index].space.id;
+                if (this.model.currentSpaceId === spaceId) {
+                    this.showSpaceDetail(spaceId);
+                } else {
+                    this.focusOverlayOnLoad = true;
+                    this.handleMarkerClick(spaceId);
+                }
+                return;
+            }
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        this.view.focusMarker(markers[next].space.id);
+    }
+
+    /**
+     * Backs out one level: detail scene -> space selected on the map -> no selection -> modal closed.
+     * Keyboard focus follows to the level it lands on.
+     *
+     * @returns {boolean} True if there was a level to back out of.
+     */
+    backOut() {
+        if (!this.view.isModalOpen()) return false;
+
+        const { scenes } = APP_CONFIG.constants;
+        const spaceId = this.model.currentSpaceId;
+
+        if (this.view.currentScene === scenes.detail && spaceId) {
+            this.view.switchScene(scenes.building);
+            this.focusOverlayOnLoad = true;
+            this.handleMarkerClick(spaceId);
+        } else if (spaceId) {
+            this.deselectSpace();
+            this.view.focusMarker(spaceId);
+        } else {
+            this.closeModal();
+        }
+        return true;
+    }
+
+    /**
+     * Clicks through the markers and checks each one selects its space and shows its overlay.
+     * @param {Array<string>} [ids] - Space IDs or slugs; defaults to the spaces the marker audit linked.
+     * @returns {Array<Object>} One { id, status, detail } per space.
+     */
+    runMarkerClickTest(ids = (this.markerAudit ? this.markerAudit.linked.map(entry => entry.spaceId) : [])) {
+        const svg = this.view.getLayerSvg(APP_CONFIG.selectors.ids.buildingMarkersSvg);
         const overlay = document.getElementById(APP_CONFIG.selectors.ids.overlaySvg);
         const results = [];
-        if (!svgObj || !svgObj.contentDocument) {
+        if (!svg) {
             console.error('Marker test: building SVG not ready');
             return results;
         }
-        const doc = svgObj.contentDocument;
         ids.forEach(id => {
-            let el = doc.getElementById(id);
-            if (!el) {
-                const groups = Array.from(doc.querySelectorAll('g'));
-                el = groups.find(g => g.id === id);
-            }
+            const space = this.model.getSpace(id);
+            const el = space ? svg.querySelector(`[data-space-id="${space.id}"]`) : null;
             if (!el) {
                 results.push({ id, status: 'missing' });
                 return;
             }
-            const space = this.model.getSpace(id);
             el.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }));
             const overlayVisible = !!(overlay && overlay.classList.contains('is-visible'));
-            const overlayData = overlay ? overlay.getAttribute('data') : null;
+            const overlayData = overlay ? overlay.getAttribute('data-src') : null;
             const expectedData = space ? space.markerImg : null;
-            const ok = this.model.currentSpaceId === id && overlayVisible && overlayData === expectedData;
+            const ok = this.model.currentSpaceId === space.id && overlayVisible && overlayData === expectedData;
             results.push({ id, status: ok ? 'ok' : 'fail', detail: { currentSpaceId: this.model.currentSpaceId, overlayVisible, overlayData, expectedData } });
         });
         const failures = results.filter(r => r.status !== 'ok');
@@ -1301,13 +2944,14 @@ class SpaceController {
         }
         
         // 2. Find "Gym" marker position in MAIN SVG
-        const mainSvg = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-        if (!mainSvg || !mainSvg.contentDocument) {
+        const mainSvg = this.view.getLayerSvg(APP_CONFIG.selectors.ids.buildingMarkersSvg);
+        if (!mainSvg) {
              console.error('FAIL: Main SVG not ready');
              return false;
         }
         
-        const targetMarker = mainSvg.contentDocument.getElementById(secondSpaceId);
+        const secondSpace = this.model.getSpace(secondSpaceId);
+        const targetMarker = secondSpace && mainSvg.querySelector(`[data-space-id="${secondSpace.id}"]`);
         if (!targetMarker) {
             console.error(`FAIL: Target marker ${secondSpaceId} not found in main SVG`);
             return false;
@@ -1326,13 +2970,13 @@ class SpaceController {
         targetMarker.dispatchEvent(new MouseEvent('click', {
             bubbles: true,
             cancelable: true,
-            view: mainSvg.contentWindow
+            view: window
         }));
         
         // 4. Verify Switch
         await new Promise(r => setTimeout(r, 500)); 
         
-        if (this.model.currentSpaceId === secondSpaceId) {
+        if (this.model.currentSpaceId === secondSpace.id) {
             console.log(`SUCCESS: Seamlessly switched to ${secondSpaceId}!`);
             return true;
         } else {
@@ -1346,13 +2990,12 @@ class SpaceController {
      * Simulates 100+ markers and measures toggle time.
      */
     runPerformanceTest() {
-        const svgObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-        if (!svgObj || !svgObj.contentDocument) {
+        const svg = this.view.getLayerSvg(APP_CONFIG.selectors.ids.buildingMarkersSvg);
+        if (!svg) {
             console.error('Benchmark: building SVG not ready');
             return;
         }
-        const doc = svgObj.contentDocument;
-        let container = doc.getElementById(APP_CONFIG.svg.pinsGroup) || doc.querySelector('svg');
+        const container = SvgLoader.findById(svg, this.view.svgConfig.pinsGroup) || svg;
         
         // 1. Create 100 clones
         const baseGroup = container.querySelector(`g.${APP_CONFIG.selectors.classes.markerGroup}`);
@@ -1372,7 +3015,7 @@ class SpaceController {
         
         // 2. Measure init time (re-init)
         const t0 = performance.now();
-        this.view.initMarkerVisibility(doc);
+        this.view.initMarkerVisibility(svg);
         const t1 = performance.now();
         console.log(`Benchmark: Init 100 markers took ${(t1-t0).toFixed(2)}ms`);
         
@@ -1398,15 +3041,14 @@ class SpaceController {
      * Verifies that CSS classes are correctly applied.
      */
     testVisibilityLogic() {
-        const svgObj = document.getElementById(APP_CONFIG.selectors.ids.buildingMarkersSvg);
-        if (!svgObj || !svgObj.contentDocument) {
+        const svg = this.view.getLayerSvg(APP_CONFIG.selectors.ids.buildingMarkersSvg);
+        if (!svg) {
              console.error('Test: building SVG not ready');
              return false;
         }
-        const doc = svgObj.contentDocument;
         
         // 1. Verify Init
-        const lobby = doc.getElementById('lobby');
+        const lobby = SvgLoader.findById(svg, 'lobby');
         if (!lobby) {
             console.error('Test: lobby marker not found');
             return false;
@@ -1425,7 +3067,7 @@ class SpaceController {
         // 2. Verify Update (Dimming)
         this.view.updateMarkerVisibility('gym');
         const lobbyDimmed = lobby.classList.contains(APP_CONFIG.selectors.classes.markerDimmed);
-        const gym = doc.getElementById('gym');
+        const gym = SvgLoader.findById(svg, 'gym');
         const gymNotDimmed = !gym.classList.contains(APP_CONFIG.selectors.classes.markerDimmed);
         
         if (!lobbyDimmed || !gymNotDimmed) {
@@ -1449,11 +3091,27 @@ class SpaceController {
 
 // Initialize Application when DOM is fully loaded
 document.addEventListener('DOMContentLoaded', () => {
+    const apiHost = document.querySelector('[data-api-base-url]');
+    const apiBaseUrl = (apiHost && apiHost.getAttribute('data-api-base-url')) || APP_CONFIG.api.baseUrl;
+    const client = apiBaseUrl ? new ODataClient({ ...APP_CONFIG.api, baseUrl: apiBaseUrl }) : null;
+
+    let cache = null;
+    if (APP_CONFIG.cache.enabled) {
+        const versionHost = document.querySelector('[data-cms-version]');
+        const version = (versionHost && versionHost.getAttribute('data-cms-version')) || APP_CONFIG.cache.version;
+        cache = new DataCache({ ...APP_CONFIG.cache, version: version });
+        if (new URLSearchParams(window.location.search).has('refresh')) cache.invalidate();
+    }
+
     const app = new SpaceController(
-        new SpaceService(),
+        new SpaceService(client, cache),
         new SpaceModel(),
-        new SpaceView()
+        new SpaceView(),
+        new SpaceRouter(APP_CONFIG.router),
+        new ShareManager(APP_CONFIG.share)
     );
     app.init();
     window.buildingApp = app;
+
+    new OfflineManager(APP_CONFIG.offline).register();
 });
@@ -0,0 +1,408 @@
+/**
+ * Carousel
+ * Slide show for a list of items (the System Equipment products) with one navigation bar
+ * (previous/next buttons and a dot per item), a live region and optional autoplay.
+ *
+ * - Virtualized: only the current slide and its neighbours are mounted; the neighbours' images
+ *   are preloaded (`getImages`) so moving one step never flickers, and nothing else is fetched.
+ * - Input: the buttons and dots, Arrow Left/Right while focus is inside the carousel, and
+ *   pointer swipes (a long drag, or a short flick above the velocity threshold).
+ * - Autoplay pauses while the pointer is over the carousel or focus is inside it, can be stopped
+ *   with its button and never runs with prefers-reduced-motion. The live region is silenced
+ *   while slides rotate on their own.
+ *
+ * Navigation is reported through `onChange(index, source)`; the owner records the index and
+ * calls `show(index, source)`. Sources: 'next', 'prev', 'dot', 'key', 'swipe', 'autoplay'.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        label: 'Carousel',           // aria-label of the region
+        renderSlide: null,           // function(item, index, total, slide) returning the slide content HTML
+        getTitle: null,              // function(item) for announcements (default: item.title)
+        getImages: null,             // function(item) returning image URLs to preload for neighbours
+        onChange: null,              // function(index, source) called when the user navigates
+        canAutoplay: null,           // function() the owner uses to veto autoplay (e.g. tab hidden)
+        autoplay: false,
+        autoplayInterval: 6000,      // ms per slide
+        swipeDistance: 50,           // px of horizontal travel that always counts as a swipe
+        swipeVelocity: 0.3,          // px/ms; a flick of at least minSwipeDistance also counts
+        minSwipeDistance: 20,        // px
+        prevLabel: 'Previous',
+        nextLabel: 'Next',
+        emptyMessage: 'No items available.'
+    };
+
+    const DEFAULT_CLASSES = {
+        viewport: 'carousel-viewport',
+        slide: 'product-slide',
+        nav: 'carousel-nav',
+        prev: 'carousel-nav-btn prev',
+        next: 'carousel-nav-btn next',
+        dots: 'carousel-dots',
+        dot: 'dot',
+        liveRegion: 'carousel-live-region',
+        autoplayBtn: 'carousel-autoplay-btn',
+        active: 'active'
+    };
+
+    class Carousel {
+        /**
+         * @param {HTMLElement} element - The carousel container (kept; its content is rendered here).
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         * @param {Object} [options.classes] - Class names of the generated markup (see DEFAULT_CLASSES).
+         */
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.classes = { ...DEFAULT_CLASSES, ...options.classes };
+            this.onChange = this.options.onChange;
+            this.canAutoplay = this.options.canAutoplay;
+            this.items = [];
+            this.index = 0;
+            this.slides = new Map();       // Mounted slides by index
+            this.preloaded = new Set();    // Image URLs already requested
+            this.swipe = null;             // Pointer gesture in progress
+            this.lastSwipeAt = 0;          // Suppresses the click that ends a swipe
+            this.autoplayTimer = null;
+            this.autoplayHeld = false;     // Pointer or focus inside the carousel
+            this.autoplayStopped = false;  // Stopped with the autoplay button
+
+            if (!element) return;
+            this.bindEvents();
+        }
+
+        /**
+         * Renders the carousel for a new list of items.
+         * @param {Array<Object>} items - The items.
+         * @param {number} [index] - The slide to show first.
+         */
+        setItems(items, index = 0) {
+            if (!this.element) return;
+            this.items = items || [];
+            this.slides.clear();
+            this.viewport = this.nav = this.liveRegion = this.autoplayBtn = null;
+
+            if (!this.items.length) {
+                ['role', 'aria-roledescription', 'aria-label', 'tabindex'].forEach(name => this.element.removeAttribute(name));
+                this.element.innerHTML = `<p>${escapeHtml(this.options.emptyMessage)}</p>`;
+                this.stopTimer();
+                return;
+            }
+
+            const el = this.element;
+            el.setAttribute('role', 'region');
+            el.setAttribute('aria-roledescription', 'carousel');
+            el.setAttribute('aria-label', this.options.label);
+            el.setAttribute('tabindex', '0'); // Arrow keys move between slides while it has focus
+
+            const c = this.classes;
+            const multiple = this.items.length > 1;
+            el.innerHTML = `
+                <div class="${c.liveRegion} visually-hidden" aria-live="polite"></div>
+                ${this.options.autoplay && multiple ? `
+                    <button type="button" class="${c.autoplayBtn}" aria-label="Pause slide show">
+                        <span class="material-symbols-outlined" aria-hidden="true">pause</span>
+                    </button>` : ''}
+                <div class="${c.viewport}"></div>
+                ${multiple ? `
+                    <div class="${c.nav}">
+                        <button type="button" class="${c.prev}" aria-label="${escapeHtml(this.options.prevLabel)}">
+                            <span class="material-symbols-outlined" aria-hidden="true">arrow_back_ios_new</span>
+                        </button>
+                        <div class="${c.dots}">
+                            ${this.items.map((item, i) => `
+                                <button type="button" class="${c.dot}" data-index="${i}"
+                                        aria-label="Go to slide ${i + 1}" aria-current="false"></button>
+                            `).join('')}
+                        </div>
+                        <button type="button" class="${c.next}" aria-label="${escapeHtml(this.options.nextLabel)}">
+                            <span class="material-symbols-outlined" aria-hidden="true">arrow_forward_ios</span>
+                        </button>
+                    </div>` : ''}
+            `;
+            this.viewport = el.querySelector(toSelector(c.viewport));
+            this.nav = el.querySelector(toSelector(c.nav));
+            this.liveRegion = el.querySelector(toSelector(c.liveRegion));
+            this.autoplayBtn = el.querySelector(toSelector(c.autoplayBtn));
+
+            this.show(index);
+        }
+
+        /**
+         * Shows a slide: mounts it and its neighbours, updates the dots and announces it.
+         * @param {number} index - The slide index.
+         * @param {string|null} [source] - What caused the change (see the file header).
+         */
+        show(index, source = null) {
+            const count = this.items.length;
+            if (!count || !this.viewport || isNaN(index) || index < 0 || index >= count) return;
+
+            const active = global.document.activeElement;
+            const focusedSlide = active && this.viewport.contains(active) ? active.closest(toSelector(this.classes.slide)) : null;
+            this.index = index;
+
+            const wanted = this.getMountedIndexes(index);
+            this.slides.forEach((slide, i) => {
+                if (!wanted.includes(i)) {
+                    slide.remove();
+                    this.slides.delete(i);
+                }
+            });
+            wanted.forEach(i => {
+                if (!this.slides.has(i)) this.slides.set(i, this.createSlide(i));
+            });
+            // Keep the DOM in slide order (a wrap-around neighbour comes first or last)
+            wanted.slice().sort((a, b) => a - b).forEach(i => this.viewport.appendChild(this.slides.get(i)));
+
+            this.slides.forEach((slide, i) => slide.classList.toggle(this.classes.active, i === index));
+            wanted.filter(i => i !== index).forEach(i => this.preload(this.items[i]));
+
+            if (this.nav) {
+                this.nav.querySelectorAll(toSelector(this.classes.dot)).forEach((dot, i) => {
+                    dot.classList.toggle(this.classes.active, i === index);
+                    dot.setAttribute('aria-current', String(i === index));
+                });
+            }
+
+            if (this.liveRegion) this.liveRegion.textContent = `Showing ${this.getTitle(index)}`;
+
+            // Focus on a control of the old slide moves to the same control on the new one
+            if (focusedSlide && focusedSlide !== this.slides.get(index)) {
+                const className = typeof active.className === 'string' ? active.className.trim() : '';
+                const target = className ? this.slides.get(index).querySelector(toSelector(className)) : null;
+                focus(target || this.element);
+            }
+
+            this.scheduleAutoplay();
+        }
+
+        /**
+         * Moves to the next slide (wrapping around).
+         * @param {string} [source] - The navigation source.
+         */
+        next(source = 'next') {
+            if (this.items.length) this.pick((this.index + 1) % this.items.length, source);
+        }
+
+        /**
+         * Moves to the previous slide (wrapping around).
+         * @param {string} [source] - The navigation source.
+         */
+        prev(source = 'prev') {
+            if (this.items.length) this.pick((this.index - 1 + this.items.length) % this.items.length, source);
+        }
+
+        pick(index, source) {
+            if (typeof this.onChange === 'function') this.onChange(index, source);
+            else this.show(index, source);
+        }
+
+        getMountedIndexes(index) {
+            const count = this.items.length;
+            return Array.from(new Set([(index - 1 + count) % count, index, (index + 1) % count]));
+        }
+
+        getTitle(index) {
+            const item = this.items[index];
+            const title = typeof this.options.getTitle === 'function' ? this.options.getTitle(item) : item && item.title;
+            return title || `Slide ${index + 1}`;
+        }
+
+        createSlide(index) {
+            const slide = global.document.createElement('div');
+            slide.className = this.classes.slide;
+            slide.dataset.index = String(index);
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${index + 1} of ${this.items.length}`);
+            slide.innerHTML = typeof this.options.renderSlide === 'function'
+                ? this.options.renderSlide(this.items[index], index, this.items.length, slide)
+                : escapeHtml(this.getTitle(index));
+            return slide;
+        }
+
+        // Requests a neighbour's images so they are cached before the slide is shown
+        preload(item) {
+            if (typeof this.options.getImages !== 'function' || typeof global.Image !== 'function') return;
+            (this.options.getImages(item) || []).forEach(url => {
+                if (!url || this.preloaded.has(url)) return;
+                this.preloaded.add(url);
+                const img = new global.Image();
+                img.src = url;
+            });
+        }
+
+        /* ==========================================================================
+           Input
+           ========================================================================== */
+
+        bindEvents() {
+            const el = this.element;
+            const sel = name => toSelector(this.classes[name]);
+
+            el.addEventListener('click', (e) => {
+                // A swipe that ends on a button must not press it as well
+                if (this.lastSwipeAt && Date.now() - this.lastSwipeAt < 400) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    return;
+                }
+                const dot = e.target.closest(sel('dot'));
+                if (e.target.closest(sel('next'))) this.next();
+                else if (e.target.closest(sel('prev'))) this.prev();
+                else if (dot && this.nav && this.nav.contains(dot)) this.pick(parseInt(dot.dataset.index, 10), 'dot');
+                else if (e.target.closest(sel('autoplayBtn'))) this.toggleAutoplay();
+            }, true);
+
+            el.addEventListener('keydown', (e) => {
+                if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') return;
+                if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest('input, textarea, select, [contenteditable]')) return;
+                e.preventDefault();
+                if (e.key === 'ArrowRight') this.next('key');
+                else this.prev('key');
+            });
+
+            el.addEventListener('pointerdown', (e) => this.handleSwipeStart(e));
+            el.addEventListener('pointermove', (e) => this.handleSwipeMove(e));
+            el.addEventListener('pointerup', (e) => this.handleSwipeEnd(e));
+            el.addEventListener('pointercancel', () => { this.swipe = null; });
+
+            const hold = (held) => {
+                this.autoplayHeld = held;
+                this.scheduleAutoplay();
+            };
+            el.addEventListener('mouseenter', () => hold(true));
+            el.addEventListener('mouseleave', () => hold(el.contains(global.document.activeElement)));
+            el.addEventListener('focusin', () => hold(true));
+            el.addEventListener('focusout', (e) => {
+                if (!el.contains(e.relatedTarget)) hold(el.matches(':hover'));
+            });
+        }
+
+        /**
+         * Starts tracking a pointer for a swipe (primary pointer, main mouse button only).
+         * @param {PointerEvent} e - The pointerdown event.
+         */
+        handleSwipeStart(e) {
+            if (!e.isPrimary || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            this.swipe = { id: e.pointerId, x: e.clientX, y: e.clientY, time: Date.now(), axis: null };
+        }
+
+        /**
+         * Decides the gesture direction once the pointer has moved; vertical movement is left to
+         * page scrolling (the carousel sets `touch-action: pan-y`).
+         * @param {PointerEvent} e - The pointermove event.
+         */
+        handleSwipeMove(e) {
+            const swipe = this.swipe;
+            if (!swipe || swipe.id !== e.pointerId || swipe.axis) return;
+
+            const dx = Math.abs(e.clientX - swipe.x);
+            const dy = Math.abs(e.clientY - swipe.y);
+            if (dx < 10 && dy < 10) return;
+            if (dx > dy) swipe.axis = 'x';
+            else this.swipe = null;
+        }
+
+        /**
+         * Changes the slide when the gesture was long enough, or short but fast (a flick).
+         * @param {PointerEvent} e - The pointerup event.
+         */
+        handleSwipeEnd(e) {
+            const swipe = this.swipe;
+            this.swipe = null;
+            if (!swipe || swipe.id !== e.pointerId || swipe.axis !== 'x') return;
+
+            const { swipeDistance, swipeVelocity, minSwipeDistance } = this.options;
+            const dx = e.clientX - swipe.x;
+            const distance = Math.abs(dx);
+            const velocity = distance / Math.max(1, Date.now() - swipe.time);
+            if (distance < swipeDistance && (distance < minSwipeDistance || velocity < swipeVelocity)) return;
+
+            this.lastSwipeAt = Date.now();
+            if (dx < 0) this.next('swipe');
+            else this.prev('swipe');
+        }
+
+        /* ==========================================================================
+           Autoplay
+           ========================================================================== */
+
+        /**
+         * Whether slides should rotate right now.
+         * @returns {boolean}
+         */
+        isAutoplayActive() {
+            const reducedMotion = typeof global.matchMedia === 'function' &&
+                global.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+            return this.options.autoplay && !this.autoplayStopped && !this.autoplayHeld && !reducedMotion &&
+                this.items.length > 1 && !!this.viewport && this.element.isConnected &&
+                (typeof this.canAutoplay !== 'function' || this.canAutoplay());
+        }
+
+        /**
+         * (Re)starts the autoplay countdown, or stops it when autoplay should not run.
+         * Owners call it after state `canAutoplay` depends on has changed.
+         */
+        scheduleAutoplay() {
+            this.stopTimer();
+
+            const rotating = this.isAutoplayActive();
+            if (this.liveRegion) this.liveRegion.setAttribute('aria-live', rotating ? 'off' : 'polite');
+            if (this.autoplayBtn) {
+                this.autoplayBtn.setAttribute('aria-label', this.autoplayStopped ? 'Play slide show' : 'Pause slide show');
+                this.autoplayBtn.firstElementChild.textContent = this.autoplayStopped ? 'play_arrow' : 'pause';
+            }
+            if (!rotating) return;
+
+            this.autoplayTimer = setTimeout(() => {
+                this.autoplayTimer = null;
+                // A hidden page (or a state change since scheduling) only restarts or stops the countdown
+                if (global.document.hidden || !this.isAutoplayActive()) this.scheduleAutoplay();
+                else this.next('autoplay');
+            }, this.options.autoplayInterval);
+        }
+
+        /**
+         * Pauses or resumes autoplay (the autoplay button).
+         */
+        toggleAutoplay() {
+            this.autoplayStopped = !this.autoplayStopped;
+            this.scheduleAutoplay();
+        }
+
+        stopTimer() {
+            clearTimeout(this.autoplayTimer);
+            this.autoplayTimer = null;
+        }
+    }
+
+    // 'carousel-nav-btn next' -> '.carousel-nav-btn.next'
+    function toSelector(className) {
+        return '.' + className.trim().split(/\s+/).join('.');
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[ch]));
+    }
+
+    function focus(el) {
+        if (!el || typeof el.focus !== 'function') return;
+        try {
+            el.focus({ preventScroll: true });
+        } catch (error) {
+            el.focus();
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.Carousel = Carousel;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = Carousel;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -1,143 +1,720 @@
 /**
- * Data Adapter for K-12 School Application
+ * Data Adapter for the Building Types Application
  * Transforms API response format to the application's expected data structure.
+ * The payload is validated against PAYLOAD_SCHEMA first; findings are returned as
+ * `diagnostics` alongside the data (or thrown as a DataValidationError in strict mode).
+ *
+ * Space tab content is read through the tab types in TabRegistry (tab-registry.js); the
+ * built-in Overview, System Equipment and Design Narrative types are registered here.
  */
 
 (function(global) {
-    const K12_DEFAULTS = {
-        heroBg: './Content/imgs/k-12-hero-bg.png',
-        mapImage: './Content/imgs/k-12-map.svg',
-        markersImage: './Content/imgs/k-12-markers.svg',
-        icons: {
-            primary: './Content/imgs/icons/select-a-space.svg',
-            secondary: './Content/imgs/icons/share.svg'
-        }
-    };
+    const BuildingTypeRegistry = global.BuildingTypeRegistry ||
+        (typeof require === 'function' ? require('./building-type-registry') : null);
+    const HtmlSanitizer = global.HtmlSanitizer ||
+        (typeof require === 'function' ? require('./html-sanitizer') : null);
+    const SchemaValidator = global.SchemaValidator ||
+        (typeof require === 'function' ? require('./schema-validator') : null);
+    const TabRegistry = global.TabRegistry ||
+        (typeof require === 'function' ? require('./tab-registry') : null);
 
+    // Protocols accepted for CMS images and product links (relative paths are always allowed)
+    const IMAGE_PROTOCOLS = ['http:', 'https:'];
+    const LINK_PROTOCOLS = ['http:', 'https:'];
+
+    // Slugs the SVG art uses instead of the title slug (space slugs name the overlay files and markers)
     const SPACE_ID_OVERRIDES = {
         'school-gym': 'gym'
     };
 
+    // CMS ActionButton "Action" codes -> named handlers (see action-registry.js).
+    // Editors may also put the handler name itself in the Action field.
+    const ACTION_CODES = {
+        '1': 'open-space-selector',
+        '2': 'share',
+        '3': 'open-url',
+        '4': 'download-pdf',
+        '5': 'scroll-to-anchor',
+        '6': 'open-search',
+        '7': 'open-shortlist'
+    };
+
+    // ActionButton fields that describe the button itself rather than handler parameters
+    const ACTION_RESERVED_FIELDS = ['Id', 'Type', 'Title', 'Action', 'Icon', 'Parameters'];
+
+    // Fields DataAdapter reads, as an OData $select/$expand tree (see odata-client.js).
+    // ActionButton is expanded without $select so editor-defined handler parameters come through.
+    // Space tab fields are added by the registered tab types.
+    const IMAGE_QUERY = { select: ['Id', 'Title', 'Url'] };
+    const FILE_QUERY = { select: ['Id', 'Title', 'Url', 'Extension'] };
+    const SECTION_QUERY = { select: ['Title', 'Body'], expand: { BackgroundImage: IMAGE_QUERY } };
+    const ODATA_QUERY = {
+        select: ['Id', 'Title', 'DisplayTitle'],
+        expand: {
+            MarkerImage: IMAGE_QUERY,
+            HeroSection: {
+                select: ['Id', 'Title', 'Description'],
+                expand: { ActionButton: true }
+            },
+            Spaces: {
+                select: ['Id', 'Title', 'Name', 'Description', 'Tabs'],
+                // MarkerImage is expanded without $select so editor-defined X/Y/Label fields come through
+                get expand() {
+                    return Object.assign({ MarkerImage: true }, ...tabSources().map(tab => ({ [tab.source]: tab.query })));
+                }
+            }
+        }
+    };
+
+    // Fields of ODATA_QUERY the CMS content model may not have (an OData service answers an
+    // unknown $select/$expand with HTTP 400). They are only queried when the building type
+    // lists them in `cmsFields`; the static export and the page work without them.
+    const OPTIONAL_FIELDS = [
+        'Spaces/Tabs',
+        // Product detail drawer content (the drawer shows what is there)
+        'Spaces/SystemEquipment/Gallery',
+        'Spaces/SystemEquipment/Specifications',
+        'Spaces/SystemEquipment/Submittals'
+    ];
+
+    /* ==========================================================================
+       Payload Schema
+       Errors: content the page cannot render. Warnings: gaps that fall back to
+       defaults or render empty. Paths are relative to value[0].
+       ========================================================================== */
+
+    const imageField = (required) => ({
+        type: 'array',
+        required: required,
+        minItems: 1,
+        items: {
+            type: 'object',
+            properties: {
+                Url: { type: 'string', required: required, format: 'url' }
+            }
+        }
+    });
+
+    const richTextField = (required) => ({ type: 'string', required: required, format: 'html' });
+
+    const sectionField = (options = {}) => ({
+        type: 'array',
+        required: 'warning',
+        minItems: 1,
+        items: {
+            type: 'object',
+            properties: {
+                Title: { type: 'string', required: 'warning' },
+                Body: richTextField('warning'),
+                BackgroundImage: imageField(options.imageRequired)
+            }
+        }
+    });
+
+    // Registered tab types that read a CMS field
+    const tabSources = () => TabRegistry.list().filter(tab => tab.source);
+
+    const PAYLOAD_SCHEMA = {
+        type: 'object',
+        required: 'error',
+        properties: {
+            Title: { type: 'string', required: 'warning' },
+            HeroSection: {
+                type: 'array',
+                required: 'warning',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    properties: {
+                        Title: { type: 'string', required: 'warning' },
+                        Description: richTextField(),
+                        ActionButton: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    Title: { type: 'string', required: 'error' },
+                                    Action: {
+                                        required: 'error',
+                                        check: code => (DataAdapter.resolveActionHandler(code) ? null : `unknown action code "${code}"`)
+                                    },
+                                    Icon: imageField()
+                                }
+                            }
+                        }
+                    }
+                }
+            },
+            Spaces: {
+                type: 'array',
+                required: 'error',
+                minItems: 1,
+                severity: 'error',
+                check: spaces => {
+                    const duplicates = list => list.filter((id, i) => list.indexOf(id) !== i);
+                    const ids = duplicates(spaces.map(space => DataAdapter.getSpaceId(space)))
+                        .concat(duplicates(spaces.map(space => DataAdapter.generateId(space && (space.Title || space.Name)))));
+                    return ids.length ? `duplicate space IDs: ${[...new Set(ids)].join(', ')}` : null;
+                },
+                items: {
+                    type: 'object',
+                    required: 'error',
+                    get properties() {
+                        return Object.assign({
+                            // Without an Id the space is identified by its title slug, which a rename changes
+                            Id: { required: 'warning' },
+                            Title: { type: 'string', required: 'error', alternatives: ['Name'] },
+                            Description: { type: 'string', required: 'warning', alternatives: ['Name'] },
+                            // Optional: X and Y (map units) and Label place a generated marker (see marker-renderer.js)
+                            MarkerImage: {
+                                type: 'array',
+                                items: {
+                                    type: 'object',
+                                    check: image => {
+                                        const given = ['X', 'Y'].filter(key => image[key] !== undefined && image[key] !== null && image[key] !== '');
+                                        if (!given.length) return null;
+                                        if (given.length < 2) return 'marker position needs both X and Y';
+                                        return given.every(key => isFinite(parseFloat(image[key]))) ? null : 'marker X and Y must be numbers';
+                                    }
+                                }
+                            },
+                            // Optional: tab keys (or labels) in display order; defaults to every registered tab
+                            Tabs: {
+                                type: 'array',
+                                items: {
+                                    type: 'string',
+                                    check: key => (TabRegistry.has(key) ? null : `unknown tab "${key}"`)
+                                }
+                            }
+                        }, ...tabSources().filter(tab => tab.schema).map(tab => ({ [tab.source]: tab.schema })));
+                    }
+                }
+            }
+        }
+    };
+
     class DataAdapter {
         /**
          * Transforms the API response into the application's expected format.
          * @param {Object} apiResponse - The raw JSON response from the API.
-         * @returns {Object} The transformed data object.
+         * @param {Object} [options] - Transform options.
+         * @param {string} [options.buildingType] - Building type key used to pick asset defaults.
+         * @param {Object} [options.sanitizer] - HtmlSanitizer allow-list overrides for CMS rich text.
+         * @param {boolean} [options.strict] - Throw a DataValidationError when the payload has errors
+         *                                     instead of rendering what is available.
+         * @returns {Object} The transformed data object, including `diagnostics` ({ valid, errors, warnings }).
          */
-        static transform(apiResponse) {
+        static transform(apiResponse, options = {}) {
+            const report = this.validate(apiResponse, options);
+            if (options.strict && !report.valid) {
+                throw new SchemaValidator.DataValidationError(report);
+            }
+
             try {
                 if (!apiResponse || !apiResponse.value || apiResponse.value.length === 0) {
                     throw new Error('Invalid API response format');
                 }
 
                 const root = apiResponse.value[0];
+                const context = this.createContext(options);
                 
                 return {
-                    pageMetadata: this.transformPageMetadata(root),
-                    spaces: this.transformSpaces(root.Spaces)
+                    buildingType: context.buildingType.key,
+                    pageMetadata: this.transformPageMetadata(root, context),
+                    spaces: this.transformSpaces(root.Spaces, context),
+                    diagnostics: report.toJSON()
                 };
             } catch (error) {
-                console.error('Data transformation error:', error);
+                if (options.strict) throw error;
+                report.error('$', `transformation failed: ${error.message}`);
                 // Return minimal valid structure to prevent app crash
-                return { pageMetadata: {}, spaces: [] };
+                return { pageMetadata: {}, spaces: [], diagnostics: report.toJSON() };
+            }
+        }
+
+        /**
+         * Validates a raw API response against PAYLOAD_SCHEMA without transforming it.
+         * Issue paths are relative to the building type record (value[0]), e.g.
+         * "Spaces[1].SystemEquipment[2].SliderImage"; envelope problems use "value".
+         *
+         * @param {Object} apiResponse - The raw JSON response from the API.
+         * @param {Object} [options] - The options passed to transform() (sanitizer is used for rich text checks).
+         * @returns {ValidationReport} The report ({ errors, warnings, valid }).
+         */
+        static validate(apiResponse, options = {}) {
+            const report = new SchemaValidator.ValidationReport();
+            const records = apiResponse ? apiResponse.value : undefined;
+
+            if (!Array.isArray(records) || records.length === 0) {
+                report.error('value', Array.isArray(records) ? 'is empty' : 'missing');
+                return report;
+            }
+            if (records.length > 1) {
+                report.warn('value', `contains ${records.length} records; only the first is used`);
             }
+
+            const validator = new SchemaValidator(PAYLOAD_SCHEMA, {
+                sanitizer: this.createContext(options).sanitizer,
+                urlProtocols: LINK_PROTOCOLS
+            });
+            return validator.validate(records[0], report);
+        }
+
+        /**
+         * Builds the OData query that fetches one building type with everything transform() reads.
+         * @param {string|Object} buildingType - Building type key or registry configuration.
+         * @returns {Object} Query definition for ODataClient ({ filter, select, expand, top }).
+         */
+        static getODataQuery(buildingType) {
+            const config = typeof buildingType === 'object' && buildingType ? buildingType : this.getBuildingType(buildingType);
+            const omitted = OPTIONAL_FIELDS.filter(path => !(config.cmsFields || []).includes(path));
+            const query = pruneQuery(ODATA_QUERY, omitted);
+            return { filter: config.cmsFilter, select: query.select, expand: query.expand, top: 1 };
+        }
+
+        /**
+         * Looks up the building type configuration, falling back to the registry default.
+         * @param {string} [key] - The building type key.
+         * @returns {Object} The building type configuration.
+         */
+        static getBuildingType(key) {
+            return BuildingTypeRegistry.get(key || BuildingTypeRegistry.defaultType);
         }
 
-        static transformPageMetadata(root) {
+        /**
+         * Builds the state shared by the transform steps of one payload.
+         * @param {Object} [options] - The options passed to transform().
+         * @returns {Object} The context ({ buildingType, sanitizer }).
+         */
+        static createContext(options = {}) {
+            return {
+                buildingType: this.getBuildingType(options.buildingType),
+                sanitizer: new HtmlSanitizer(options.sanitizer)
+            };
+        }
+
+        /**
+         * Sanitizes CMS rich text.
+         * @param {string} html - The raw HTML from the CMS.
+         * @param {Object} context - The transform context.
+         * @returns {string} The sanitized HTML.
+         */
+        static sanitizeHtml(html, context) {
+            return html ? context.sanitizer.sanitize(html) : '';
+        }
+
+        static transformPageMetadata(root, context = this.createContext()) {
             const hero = (root.HeroSection && root.HeroSection.length > 0) ? root.HeroSection[0] : {};
+            const buildingType = context.buildingType;
+            const defaults = buildingType.defaults;
             
             return {
-                title: root.Title || 'K-12 Education',
+                title: root.Title || buildingType.label,
                 heroSection: {
-                    backgroundImage: K12_DEFAULTS.heroBg, // API missing this
+                    backgroundImage: defaults.heroBg, // API missing this
                     title: hero.Title || '',
-                    description: hero.Description || '',
-                    actions: this.transformActions(hero.ActionButton)
+                    description: this.sanitizeHtml(hero.Description, context),
+                    actions: this.transformActions(hero.ActionButton, context)
                 },
-                modalMapImage: K12_DEFAULTS.mapImage, // API missing this
-                modalMarkersImage: K12_DEFAULTS.markersImage // API missing this
+                modalMapImage: defaults.mapImage, // API missing this
+                modalMarkersImage: defaults.markersImage, // API missing this
+                modalMarkersData: defaults.markersData || null // Sidecar marker positions (optional)
             };
         }
 
-        static transformActions(actions) {
+        static transformActions(actions, context = this.createContext()) {
             if (!actions || !Array.isArray(actions)) return [];
+            const icons = context.buildingType.defaults.icons;
+            const usedIds = {};
 
             return actions.map(action => {
                 const type = action.Type === '1' ? 'primary' : 'secondary';
+                // Unknown codes are reported by the schema check (diagnostics)
+                const handler = this.resolveActionHandler(action.Action);
+
+                // DOM ID derived from the handler name, suffixed when several buttons share a handler
+                const baseId = `${handler || 'unknown-action'}-btn`;
+                usedIds[baseId] = (usedIds[baseId] || 0) + 1;
+
                 return {
+                    id: action.Id || null,
                     type: type,
                     label: action.Title,
-                    iconClass: type === 'primary' ? K12_DEFAULTS.icons.primary : K12_DEFAULTS.icons.secondary,
-                    actionId: action.Action === '1' ? 'select-space-btn' : 'share-btn' // Infer ID
+                    iconClass: this.extractImageUrl(action.Icon) || icons[handler] || null,
+                    code: action.Action,
+                    handler: handler,
+                    params: this.transformActionParams(action),
+                    actionId: usedIds[baseId] > 1 ? `${baseId}-${usedIds[baseId]}` : baseId
                 };
             });
         }
 
-        static transformSpaces(spaces) {
+        /**
+         * Resolves a CMS action code (or handler name) to a handler name.
+         * @param {string} code - The ActionButton "Action" value.
+         * @returns {string|null} The handler name, or null for unknown codes.
+         */
+        static resolveActionHandler(code) {
+            if (code === undefined || code === null) return null;
+            const key = String(code).trim();
+            if (ACTION_CODES[key]) return ACTION_CODES[key];
+            return Object.values(ACTION_CODES).includes(key) ? key : null;
+        }
+
+        /**
+         * Collects handler parameters from an ActionButton.
+         * Any non-reserved field becomes a camelCased parameter (Url -> url). A "Parameters"
+         * field may hold extra parameters as JSON or a query string (anchor=contact).
+         * @param {Object} action - The CMS ActionButton.
+         * @returns {Object} The parameters.
+         */
+        static transformActionParams(action) {
+            const params = {};
+
+            Object.keys(action).forEach(key => {
+                if (ACTION_RESERVED_FIELDS.includes(key)) return;
+                const value = Array.isArray(action[key]) ? this.extractImageUrl(action[key]) : action[key];
+                if (value === null || value === undefined || value === '') return;
+                params[key.charAt(0).toLowerCase() + key.slice(1)] = value;
+            });
+
+            const extra = action.Parameters;
+            if (extra && typeof extra === 'object') {
+                Object.assign(params, extra);
+            } else if (typeof extra === 'string' && extra.trim()) {
+                try {
+                    Object.assign(params, JSON.parse(extra));
+                } catch (error) {
+                    new URLSearchParams(extra).forEach((value, key) => {
+                        params[key] = value;
+                    });
+                }
+            }
+
+            return params;
+        }
+
+        /**
+         * Transforms the CMS spaces. A space is identified by its CMS Id (a GUID, which survives
+         * renames); the slug of its title is kept as a readable alias. Old slugs listed in the
+         * building type's `spaceAliases` table are added to `aliases`. The overlay SVG is named
+         * after the space's entry in the `svg.markers` table, so a rename does not change it.
+         *
+         * @param {Array<Object>} spaces - The CMS Spaces field.
+         * @param {Object} [context] - Transform context (createContext).
+         * @returns {Array<Object>} Transformed spaces.
+         */
+        static transformSpaces(spaces, context = this.createContext()) {
             if (!spaces || !Array.isArray(spaces)) return [];
+            const defaults = context.buildingType.defaults;
+            const aliasTable = context.buildingType.spaceAliases || {};
+            const markerTable = (context.buildingType.svg && context.buildingType.svg.markers) || {};
 
             return spaces.map(space => {
-                // Use Title for ID generation and Name property as it matches human readable name
+                // Use Title for the slug and Name property as it matches human readable name
                 const spaceName = space.Title || space.Name;
-                const generatedId = this.generateId(spaceName);
-                
-                return {
-                    id: generatedId,
+                const slug = this.generateId(spaceName);
+                const id = this.getSpaceId(space);
+                const aliases = this.getSpaceAliases(id, slug, aliasTable);
+                const artKey = [id, ...aliases].find(key => markerTable[key]);
+                const artName = artKey ? markerTable[artKey] : slug;
+
+                const result = {
+                    id: id,
+                    slug: slug,
+                    aliases: aliases,
                     name: spaceName,
                     systemName: space.Description || space.Name, // Fallback to Name if Description missing
-                    markerImg: `./Content/imgs/Space Pins and Labels with Popover/${generatedId}.svg`, // Construct path
-                    overview: this.transformOverview(space.Overview, generatedId),
-                    systemEquipment: this.transformEquipment(space.SystemEquipment),
-                    designNarrative: this.transformNarrative(space.DesignNarrative, generatedId)
+                    markerImg: `${defaults.spacePinsDir}/${artName}.svg`, // Construct path
+                    marker: this.transformMarker(space.MarkerImage)
                 };
+
+                // Tab content (overview, systemEquipment, designNarrative and any registered tab types)
+                const helpers = { adapter: this, context: context, space: result };
+                TabRegistry.list().forEach(tab => {
+                    if (tab.transform) result[tab.property] = tab.transform(tab.source ? space[tab.source] : space, helpers);
+                });
+                result.tabs = this.getSpaceTabs(result, space.Tabs);
+                return result;
             });
         }
 
+        /**
+         * Lists the tabs a transformed space shows, in display order: the tabs named by the CMS
+         * `Tabs` field (or every registered tab), minus those the space has no content for.
+         * The first candidate is kept when none has content so the detail scene is never empty.
+         *
+         * @param {Object} space - A transformed space.
+         * @param {Array<string>} [requested] - The CMS `Tabs` field (tab keys or labels).
+         * @returns {Array<string>} Tab keys.
+         */
+        static getSpaceTabs(space, requested) {
+            const named = Array.isArray(requested) ? requested.filter(key => TabRegistry.has(key)).map(key => TabRegistry.get(key).key) : [];
+            const candidates = [...new Set(named.length ? named : TabRegistry.keys())];
+            const tabs = candidates.filter(key => {
+                const tab = TabRegistry.get(key);
+                return tab.isVisible(space[tab.property], space);
+            });
+            return tabs.length ? tabs : candidates.slice(0, 1);
+        }
+
+        /**
+         * Reads the generated-marker position editors put on a space's MarkerImage.
+         * @param {Array<Object>} markerImage - The CMS MarkerImage field.
+         * @returns {Object|null} { x, y, label } in map units, or null when there is no position.
+         */
+        static transformMarker(markerImage) {
+            const image = Array.isArray(markerImage) ? markerImage[0] : markerImage;
+            if (!image) return null;
+            const x = parseFloat(image.X);
+            const y = parseFloat(image.Y);
+            if (!isFinite(x) || !isFinite(y)) return null;
+            const label = typeof image.Label === 'string' && image.Label.trim() ? image.Label.trim() : null;
+            return { x: x, y: y, label: label };
+        }
+
         static generateId(name) {
             if (!name) return 'unknown-space';
             const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
             return SPACE_ID_OVERRIDES[slug] || slug;
         }
 
-        static transformOverview(overviewArray, spaceId) {
+        /**
+         * Normalizes a CMS Id (GUIDs compare case-insensitively and may come in braces).
+         * @param {*} value - The CMS Id.
+         * @returns {string|null} The normalized Id, or null when there is none.
+         */
+        static normalizeId(value) {
+            if (value === undefined || value === null) return null;
+            const id = String(value).trim().replace(/^\{(.*)\}$/, '$1').toLowerCase();
+            return id || null;
+        }
+
+        /**
+         * Returns the canonical ID of a CMS space: its Id, or the title slug when it has none.
+         * @param {Object} space - A CMS space.
+         * @returns {string}
+         */
+        static getSpaceId(space) {
+            return this.normalizeId(space && space.Id) || this.generateId(space && (space.Title || space.Name));
+        }
+
+        /**
+         * Lists the other keys a space is found by: its slug and the alias table entries that
+         * point to it (old slug -> Id or current slug).
+         *
+         * @param {string} id - The canonical space ID.
+         * @param {string} slug - The current title slug.
+         * @param {Object} aliasTable - The building type's `spaceAliases`.
+         * @returns {Array<string>}
+         */
+        static getSpaceAliases(id, slug, aliasTable) {
+            const aliases = Object.keys(aliasTable)
+                .filter(alias => [id, slug].includes(this.normalizeId(aliasTable[alias])))
+                .map(alias => this.normalizeId(alias));
+            return [...new Set([slug, ...aliases])].filter(alias => alias && alias !== id);
+        }
+
+        static transformOverview(overviewArray, spaceId, context = this.createContext()) {
             const overview = (overviewArray && overviewArray.length > 0) ? overviewArray[0] : {};
             return {
                 title: overview.Title || '',
-                body: overview.Body || '',
-                bgImg: this.extractImageUrl(overview.BackgroundImage) || `./Content/imgs/Space Pins and Labels with Popover/${spaceId}-overview.png` // Fallback
+                body: this.sanitizeHtml(overview.Body, context),
+                bgImg: this.extractImageUrl(overview.BackgroundImage)
             };
         }
 
-        static transformEquipment(equipmentArray) {
+        static transformEquipment(equipmentArray, context = this.createContext()) {
             if (!equipmentArray || !Array.isArray(equipmentArray)) return [];
 
-            return equipmentArray.map(item => ({
-                id: item.Id,
-                title: item.Title,
-                slideImg: this.extractImageUrl(item.SliderImage) || './Content/imgs/prd-1.png',
-                body: item.Body,
-                productDetailsUrl: item.ProductUrl || '#',
-                bgImg: this.extractImageUrl(item.BackgroundImage) || './Content/imgs/RooftopUnits.png'
-            }));
+            return equipmentArray.map(item => {
+                const body = this.sanitizeHtml(item.Body, context);
+                return {
+                    id: this.normalizeId(item.Id),
+                    title: item.Title,
+                    slideImg: this.extractImageUrl(item.SliderImage),
+                    body: body,
+                    features: this.extractFeatures(body), // Comparison view
+                    productDetailsUrl: HtmlSanitizer.sanitizeUrl(item.ProductUrl, { protocols: LINK_PROTOCOLS }),
+                    bgImg: this.extractImageUrl(item.BackgroundImage),
+                    // Product detail drawer
+                    images: this.extractImageUrls(item.Gallery),
+                    specs: (Array.isArray(item.Specifications) ? item.Specifications : [])
+                        .filter(spec => spec && spec.Title && spec.Value !== undefined && spec.Value !== null && spec.Value !== '')
+                        .map(spec => ({ label: spec.Title, value: String(spec.Value) })),
+                    submittals: (Array.isArray(item.Submittals) ? item.Submittals : [])
+                        .map(file => ({
+                            title: (file && file.Title) || 'Submittal',
+                            url: file && HtmlSanitizer.sanitizeUrl(file.Url, { protocols: LINK_PROTOCOLS }),
+                            type: file && file.Extension ? String(file.Extension).replace(/^\./, '').toUpperCase() : null
+                        }))
+                        .filter(file => file.url)
+                };
+            });
+        }
+
+        /**
+         * Extracts the feature bullets of a product body (used by the comparison view): the list
+         * items, or the paragraphs when the body has no list.
+         *
+         * @param {string} html - Sanitized product body.
+         * @returns {Array<string>} Plain-text features.
+         */
+        static extractFeatures(html) {
+            const source = String(html || '');
+            const blocks = source.match(/<li\b[^>]*>[\s\S]*?<\/li>/gi) || source.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi) || [source];
+            return blocks.map(block => HtmlSanitizer.toText(block)).filter(Boolean);
         }
 
-        static transformNarrative(narrativeArray, spaceId) {
+        static transformNarrative(narrativeArray, spaceId, context = this.createContext()) {
             const narrative = (narrativeArray && narrativeArray.length > 0) ? narrativeArray[0] : {};
             return {
                 title: narrative.Title || '',
-                body: narrative.Body || '',
-                img: this.extractImageUrl(narrative.BackgroundImage) || './Content/imgs/k-12-hero-bg.png'
+                body: this.sanitizeHtml(narrative.Body, context),
+                img: this.extractImageUrl(narrative.BackgroundImage) || context.buildingType.defaults.heroBg
             };
         }
 
+        /**
+         * Returns the first URL of a CMS image/file array, or null if it is missing or unsafe.
+         * @param {Array<Object>} imageArray - CMS image array ([{ Id, Title, Url }]).
+         * @returns {string|null}
+         */
         static extractImageUrl(imageArray) {
             if (imageArray && imageArray.length > 0 && imageArray[0].Url) {
-                return imageArray[0].Url;
+                return HtmlSanitizer.sanitizeUrl(imageArray[0].Url, { protocols: IMAGE_PROTOCOLS });
             }
             return null;
         }
+
+        /**
+         * Returns every safe image of a CMS image array, with its title as alt text.
+         * @param {Array<Object>} imageArray - CMS image array ([{ Id, Title, Url }]).
+         * @returns {Array<Object>} [{ url, alt }]
+         */
+        static extractImageUrls(imageArray) {
+            if (!Array.isArray(imageArray)) return [];
+            return imageArray
+                .map(image => ({
+                    url: image && image.Url ? HtmlSanitizer.sanitizeUrl(image.Url, { protocols: IMAGE_PROTOCOLS }) : null,
+                    alt: (image && image.Title) || ''
+                }))
+                .filter(image => image.url);
+        }
+    }
+
+    /* ==========================================================================
+       Helpers
+       ========================================================================== */
+
+    // Copies a $select/$expand tree without the given fields ('Spaces/Tabs' style paths)
+    function pruneQuery(query, paths) {
+        const pruned = {};
+        if (query.select) pruned.select = query.select.filter(field => !paths.includes(field));
+        if (query.expand) {
+            pruned.expand = {};
+            Object.keys(query.expand).forEach(key => {
+                if (paths.includes(key)) return;
+                const child = query.expand[key];
+                const nested = paths.filter(path => path.startsWith(`${key}/`)).map(path => path.slice(key.length + 1));
+                pruned.expand[key] = child && typeof child === 'object' ? pruneQuery(child, nested) : child;
+            });
+        }
+        return pruned;
     }
 
+    /* ==========================================================================
+       Built-in Tab Types (renderers are registered by SpaceView)
+       ========================================================================== */
+
+    const hasSection = section => !!section.title || TabRegistry.hasContent(section.body);
+    const sectionEntries = section => [{ title: section.title, text: section.body }];
+
+    TabRegistry.register('overview', {
+        label: 'Overview',
+        property: 'overview',
+        source: 'Overview',
+        query: SECTION_QUERY,
+        schema: sectionField({ imageRequired: 'warning' }),
+        transform: (value, { adapter, context, space }) => adapter.transformOverview(value, space.id, context),
+        isVisible: hasSection,
+        search: sectionEntries
+    });
+
+    TabRegistry.register('system-equipment', {
+        label: 'System Equipment',
+        property: 'systemEquipment',
+        source: 'SystemEquipment',
+        query: {
+            select: ['Id', 'Title', 'DisplayTitle', 'Body', 'ProductUrl'],
+            expand: {
+                BackgroundImage: IMAGE_QUERY,
+                SliderImage: IMAGE_QUERY,
+                Gallery: IMAGE_QUERY,
+                Specifications: { select: ['Title', 'Value'] },
+                Submittals: FILE_QUERY
+            }
+        },
+        schema: {
+            type: 'array',
+            required: 'warning',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: 'error',
+                properties: {
+                    Id: { required: 'warning' },
+                    Title: { type: 'string', required: 'error' },
+                    Body: richTextField('warning'),
+                    ProductUrl: { type: 'string', required: 'warning', format: 'url' },
+                    SliderImage: imageField('warning'),
+                    BackgroundImage: imageField('warning'),
+                    // Optional product detail drawer content
+                    Gallery: { type: 'array', items: imageField().items },
+                    Specifications: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                Title: { type: 'string', required: 'warning' },
+                                Value: { required: 'warning' }
+                            }
+                        }
+                    },
+                    Submittals: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                Title: { type: 'string', required: 'warning' },
+                                Url: { type: 'string', required: 'warning', format: 'url' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        transform: (value, { adapter, context }) => adapter.transformEquipment(value, context),
+        isVisible: items => items.length > 0,
+        // One entry per product, so a search result opens its carousel slide
+        search: items => items.map((product, index) => ({
+            title: product.title,
+            text: [product.body, ...product.specs.map(spec => `${spec.label} ${spec.value}`), ...product.submittals.map(file => file.title)].join(' '),
+            productIndex: index
+        }))
+    });
+
+    TabRegistry.register('design-narrative', {
+        label: 'Design Narrative',
+        property: 'designNarrative',
+        source: 'DesignNarrative',
+        query: SECTION_QUERY,
+        schema: sectionField(),
+        transform: (value, { adapter, context, space }) => adapter.transformNarrative(value, space.id, context),
+        isVisible: hasSection, // The image always falls back to the hero background
+        search: sectionEntries
+    });
+
     // Expose to Global (Browser)
     global.DataAdapter = DataAdapter;
 
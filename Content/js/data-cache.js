@@ -0,0 +1,136 @@
+/**
+ * Data Cache
+ * localStorage cache for raw CMS payloads, keyed by CMS version and building type.
+ * SpaceService renders a cached payload immediately and revalidates it in the background
+ * once it is older than the TTL (stale-while-revalidate).
+ *
+ * Entries are stored as { storedAt, body } where `body` is the payload's JSON text, so a
+ * revalidated payload can be compared with the cached one without hashing.
+ * Storage failures (private mode, quota) are logged and the cache behaves as empty.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        prefix: 'gh-building-data',
+        version: '1',            // CMS content version; bumping it discards older entries
+        ttl: 5 * 60 * 1000       // ms before a cached payload is revalidated
+    };
+
+    class DataCache {
+        /**
+         * @param {Object} [options] - Cache options (see DEFAULT_OPTIONS).
+         * @param {Storage} [options.storage] - Storage backend (default window.localStorage).
+         */
+        constructor(options = {}) {
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.storage = options.storage !== undefined ? options.storage : DataCache.getLocalStorage();
+            this.prune();
+        }
+
+        /**
+         * Returns localStorage, or null when it is unavailable (e.g. blocked by privacy settings).
+         * @returns {Storage|null}
+         */
+        static getLocalStorage() {
+            try {
+                return global.localStorage || null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Builds the storage key for a building type in the current CMS version.
+         * @param {string} buildingType - The building type key.
+         * @returns {string}
+         */
+        key(buildingType) {
+            return `${this.options.prefix}:${this.options.version}:${buildingType}`;
+        }
+
+        /**
+         * Reads a cached payload.
+         * @param {string} buildingType - The building type key.
+         * @returns {Object|null} { payload, body, storedAt, fresh }, or null on a miss.
+         */
+        get(buildingType) {
+            if (!this.storage) return null;
+            try {
+                const raw = this.storage.getItem(this.key(buildingType));
+                if (!raw) return null;
+                const entry = JSON.parse(raw);
+                return {
+                    payload: JSON.parse(entry.body),
+                    body: entry.body,
+                    storedAt: entry.storedAt,
+                    fresh: Date.now() - entry.storedAt < this.options.ttl
+                };
+            } catch (error) {
+                console.warn('Discarding unreadable cache entry:', error);
+                this.invalidate(buildingType);
+                return null;
+            }
+        }
+
+        /**
+         * Stores a payload.
+         * @param {string} buildingType - The building type key.
+         * @param {Object} payload - The raw CMS payload.
+         * @returns {Object} { body, changed } where `changed` is false if the cached payload was identical.
+         */
+        set(buildingType, payload) {
+            const body = JSON.stringify(payload);
+            const previous = this.get(buildingType);
+            if (this.storage) {
+                try {
+                    this.storage.setItem(this.key(buildingType), JSON.stringify({ storedAt: Date.now(), body: body }));
+                } catch (error) {
+                    console.warn('Could not write building data to the cache:', error);
+                }
+            }
+            return { body: body, changed: !previous || previous.body !== body };
+        }
+
+        /**
+         * Removes cached payloads: one building type, or everything this cache wrote (all versions).
+         * @param {string} [buildingType] - The building type key; omit to clear the whole cache.
+         */
+        invalidate(buildingType) {
+            this.removeWhere(key => {
+                const [prefix, , type] = key.split(':');
+                return prefix === this.options.prefix && (!buildingType || type === buildingType);
+            });
+        }
+
+        /**
+         * Removes entries written for other CMS versions.
+         */
+        prune() {
+            const current = `${this.options.prefix}:${this.options.version}:`;
+            this.removeWhere(key => key.startsWith(`${this.options.prefix}:`) && !key.startsWith(current));
+        }
+
+        removeWhere(predicate) {
+            if (!this.storage) return;
+            try {
+                const keys = [];
+                for (let i = 0; i < this.storage.length; i++) {
+                    const key = this.storage.key(i);
+                    if (key && predicate(key)) keys.push(key);
+                }
+                keys.forEach(key => this.storage.removeItem(key));
+            } catch (error) {
+                console.warn('Could not clear the building data cache:', error);
+            }
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.DataCache = DataCache;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DataCache;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,283 @@
+/**
+ * Dialog Controller
+ * Makes an element behave as an accessible dialog: role="dialog"/aria-modal, focus moved in on
+ * open and returned to the opener on close, Escape and backdrop-click dismissal.
+ *
+ * Modal dialogs also trap focus, make the rest of the page inert and lock page scrolling.
+ * Dialogs stack: only the topmost one reacts to keys, and a non-modal dialog opened above a
+ * modal one (e.g. a popover) stays interactive. The scroll lock is shared by all open modal
+ * dialogs and restores the `body` overflow that was set before the first one opened.
+ *
+ * Dismissal ('escape' or 'backdrop') calls `onDismiss(reason)` when set, so the owner can
+ * decide what closing means (e.g. step back one level first); otherwise the dialog closes.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        modal: true,              // Trap focus, inert background and scroll lock
+        label: null,              // aria-label
+        labelledBy: null,         // ID for aria-labelledby
+        display: 'flex',          // style.display while open
+        closeOnEscape: true,
+        closeOnBackdrop: true,    // Clicks on the dialog element itself (the overlay), not its content
+        initialFocus: null,       // Element, selector or function; defaults to the first focusable element
+        returnFocus: null,        // Element, selector or function used when the opener is gone
+        onDismiss: null           // function(reason) replacing the default close on dismissal
+    };
+
+    const FOCUSABLE = [
+        'a[href]', 'area[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])', 'textarea:not([disabled])', 'iframe', 'object', 'embed',
+        '[contenteditable]', '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+
+    const stack = [];             // Open dialogs, topmost last
+    const inerted = new Set();    // Elements made inert by dialogs (pre-existing inert is left alone)
+    let scrollLock = null;        // { overflow } saved by the first modal dialog
+    let listening = false;
+
+    class DialogController {
+        /**
+         * @param {HTMLElement} element - The dialog element (for modals, the overlay that holds the content).
+         * @param {Object} [options] - Dialog options (see DEFAULT_OPTIONS).
+         */
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.onDismiss = this.options.onDismiss;
+            this.opener = null;
+
+            if (!element) return;
+            element.setAttribute('role', 'dialog');
+            if (this.options.modal) element.setAttribute('aria-modal', 'true');
+            if (this.options.labelledBy) element.setAttribute('aria-labelledby', this.options.labelledBy);
+            else if (this.options.label) element.setAttribute('aria-label', this.options.label);
+            if (!element.hasAttribute('tabindex')) element.setAttribute('tabindex', '-1');
+
+            element.addEventListener('click', (e) => {
+                if (e.target === element && this.options.closeOnBackdrop && this.isTop()) this.dismiss('backdrop');
+            });
+        }
+
+        /**
+         * Whether the dialog is displayed.
+         * @returns {boolean}
+         */
+        get isOpen() {
+            return !!this.element && this.element.style.display !== 'none' && stack.includes(this);
+        }
+
+        /**
+         * Shows the dialog and moves focus into it. Opening an open dialog only moves it to the top.
+         * @param {Object} [options]
+         * @param {HTMLElement} [options.opener] - Element to return focus to (default: the focused element).
+         * @param {boolean} [options.focus] - Move focus into the dialog (default true).
+         */
+        open(options = {}) {
+            if (!this.element) return;
+            const wasOpen = this.isOpen;
+
+            if (!wasOpen) {
+                const active = global.document.activeElement;
+                this.opener = options.opener || (active && active !== global.document.body ? active : null);
+            }
+            remove(this);
+            stack.push(this);
+            this.element.style.display = this.options.display;
+
+            if (this.options.modal) lockScroll();
+            update();
+            if (options.focus !== false && !wasOpen) this.focusInitial();
+        }
+
+        /**
+         * Hides the dialog and returns focus to the opener (or the `returnFocus` fallback).
+         */
+        close() {
+            if (!this.element) return;
+            const wasTop = this.isTop();
+            const wasOpen = stack.includes(this);
+
+            this.element.style.display = 'none';
+            remove(this);
+            if (this.options.modal && !stack.some(dialog => dialog.options.modal)) unlockScroll();
+            update();
+
+            if (wasOpen && wasTop) this.restoreFocus();
+            this.opener = null;
+        }
+
+        /**
+         * Dismisses the dialog as the user asked (Escape or backdrop click).
+         * @param {string} reason - 'escape' or 'backdrop'.
+         */
+        dismiss(reason) {
+            if (typeof this.onDismiss === 'function') this.onDismiss(reason);
+            else this.close();
+        }
+
+        isTop() {
+            return stack[stack.length - 1] === this;
+        }
+
+        /**
+         * Returns the focusable elements inside the dialog, in DOM order.
+         * @returns {Array<HTMLElement>}
+         */
+        getFocusable() {
+            return Array.from(this.element.querySelectorAll(FOCUSABLE)).filter(isVisible);
+        }
+
+        focusInitial() {
+            const target = resolve(this.options.initialFocus, this.element) || this.getFocusable()[0] || this.element;
+            focus(target);
+        }
+
+        restoreFocus() {
+            const opener = this.opener && this.opener.isConnected ? this.opener : resolve(this.options.returnFocus, global.document);
+            if (opener) focus(opener);
+        }
+
+        /**
+         * Keeps Tab and Shift+Tab inside a modal dialog.
+         * @param {KeyboardEvent} e - The keydown event.
+         */
+        handleTab(e) {
+            const focusable = this.getFocusable();
+            if (!focusable.length) {
+                e.preventDefault();
+                focus(this.element);
+                return;
+            }
+
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            const active = global.document.activeElement;
+
+            if (e.shiftKey && (active === first || !this.element.contains(active))) {
+                e.preventDefault();
+                focus(last);
+            } else if (!e.shiftKey && (active === last || !this.element.contains(active))) {
+                e.preventDefault();
+                focus(first);
+            }
+        }
+    }
+
+    /* ==========================================================================
+       Shared state (stack, inert background, scroll lock)
+       ========================================================================== */
+
+    function remove(dialog) {
+        const index = stack.indexOf(dialog);
+        if (index !== -1) stack.splice(index, 1);
+    }
+
+    function topModal() {
+        for (let i = stack.length - 1; i >= 0; i--) {
+            if (stack[i].options.modal) return stack[i];
+        }
+        return null;
+    }
+
+    /**
+     * Re-applies `inert` to everything outside the topmost modal dialog (and the dialogs above it)
+     * and starts or stops the document listeners.
+     */
+    function update() {
+        inerted.forEach(el => el.removeAttribute('inert'));
+        inerted.clear();
+
+        const modal = topModal();
+        if (modal) {
+            const keep = stack.slice(stack.indexOf(modal)).map(dialog => dialog.element);
+            keep.forEach(el => {
+                // Walk up to <body>, making the siblings of every ancestor inert
+                for (let node = el; node && node.parentElement && node !== global.document.body; node = node.parentElement) {
+                    Array.from(node.parentElement.children).forEach(sibling => {
+                        if (sibling === node || keep.some(k => sibling.contains(k)) || sibling.hasAttribute('inert')) return;
+                        if (['SCRIPT', 'STYLE', 'TEMPLATE'].includes(sibling.tagName)) return;
+                        sibling.setAttribute('inert', '');
+                        inerted.add(sibling);
+                    });
+                }
+            });
+        }
+
+        if (stack.length && !listening) {
+            global.document.addEventListener('keydown', onKeydown, true);
+            global.document.addEventListener('focusin', onFocusIn, true);
+            listening = true;
+        } else if (!stack.length && listening) {
+            global.document.removeEventListener('keydown', onKeydown, true);
+            global.document.removeEventListener('focusin', onFocusIn, true);
+            listening = false;
+        }
+    }
+
+    function onKeydown(e) {
+        const dialog = stack[stack.length - 1];
+        if (!dialog) return;
+
+        if (e.key === 'Escape' && dialog.options.closeOnEscape) {
+            e.preventDefault();
+            e.stopPropagation();
+            dialog.dismiss('escape');
+        } else if (e.key === 'Tab' && dialog.options.modal) {
+            dialog.handleTab(e);
+        }
+    }
+
+    // Browsers without `inert` support can still move focus behind a modal
+    function onFocusIn(e) {
+        const modal = topModal();
+        if (!modal) return;
+        const allowed = stack.slice(stack.indexOf(modal)).some(dialog => dialog.element.contains(e.target));
+        if (!allowed) modal.focusInitial();
+    }
+
+    function lockScroll() {
+        if (scrollLock) return;
+        const body = global.document.body;
+        scrollLock = { overflow: body.style.overflow };
+        body.style.overflow = 'hidden';
+    }
+
+    function unlockScroll() {
+        if (!scrollLock) return;
+        global.document.body.style.overflow = scrollLock.overflow;
+        scrollLock = null;
+    }
+
+    /* ==========================================================================
+       Helpers
+       ========================================================================== */
+
+    function resolve(target, context) {
+        if (typeof target === 'function') target = target();
+        if (typeof target === 'string') target = context.querySelector(target);
+        return target || null;
+    }
+
+    function isVisible(el) {
+        return !el.hidden && !el.closest('[inert]') && el.getClientRects().length > 0;
+    }
+
+    function focus(el) {
+        if (!el || typeof el.focus !== 'function') return;
+        try {
+            el.focus({ preventScroll: true });
+        } catch (error) {
+            el.focus();
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.DialogController = DialogController;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = DialogController;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
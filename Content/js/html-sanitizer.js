@@ -0,0 +1,320 @@
+/**
+ * HTML Sanitizer
+ * Allow-list sanitizer for CMS rich text and URL validation for CMS links and images.
+ * Works on strings (no DOM required) so DataAdapter can use it in the browser and in Node.
+ *
+ * - Tags outside the allow-list are removed but their text is kept; the content of
+ *   script-like tags (script, style, iframe, ...) is dropped entirely.
+ * - Attributes outside the allow-list (including all on* handlers and style) are removed.
+ * - URL attributes must use an allowed protocol or be relative.
+ * - Unclosed tags are closed and stray closing tags dropped, so output cannot break the layout.
+ */
+
+(function(global) {
+    const DEFAULT_CONFIG = {
+        allowedTags: [
+            'p', 'br', 'hr', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li',
+            'strong', 'b', 'em', 'i', 'u', 'sup', 'sub', 'span', 'div', 'a', 'img',
+            'table', 'thead', 'tbody', 'tr', 'th', 'td', 'blockquote'
+        ],
+        // '*' applies to every allowed tag
+        allowedAttributes: {
+            '*': ['class', 'title'],
+            'a': ['href', 'target', 'rel'],
+            'img': ['src', 'alt', 'width', 'height'],
+            'th': ['colspan', 'rowspan', 'scope'],
+            'td': ['colspan', 'rowspan']
+        },
+        urlAttributes: ['href', 'src'],
+        allowedProtocols: ['http:', 'https:', 'mailto:', 'tel:']
+    };
+
+    // Tags whose content is never rendered as text
+    const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'select', 'svg', 'math'];
+
+    const VOID_TAGS = ['br', 'hr', 'img', 'wbr'];
+
+    const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|<|[^<]+/g;
+    const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+    // Repairs CMS-escaped attribute quotes: class="\"x\"" and class=\"x\" -> class="x"
+    const ESCAPED_QUOTES_PATTERN = /=\s*"?\\"([^"\\]*)\\""?/g;
+
+    const ENTITY_MAP = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    /**
+     * Escapes text for use in HTML content or attribute values.
+     * @param {string} text - The raw text.
+     * @returns {string}
+     */
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => ENTITY_MAP[c]);
+    }
+
+    /**
+     * Escapes text but keeps existing character references (e.g. "&amp;" stays "&amp;").
+     */
+    function escapeText(text) {
+        return String(text)
+            .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]*|#\d+|#x[0-9a-fA-F]+);)/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // Named references decodeEntities knows; the others are left as written
+    const NAMED_ENTITIES = {
+        amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0',
+        colon: ':', tab: '\t', newline: '\n'
+    };
+
+    const ENTITY_PATTERN = /&(?:#x([0-9a-f]+)|#(\d+)|([a-z][a-z0-9]*));?/gi;
+
+    /**
+     * Decodes character references in a single pass, as a browser does: the result of one
+     * reference is never decoded again ("&amp;#106;" is the text "&#106;", not "j").
+     * Covers the references that can hide a protocol (e.g. "jav&#x61;script:").
+     */
+    function decodeEntities(value) {
+        return String(value).replace(ENTITY_PATTERN, (match, hex, dec, name) => {
+            if (name) {
+                const decoded = NAMED_ENTITIES[name.toLowerCase()];
+                return decoded !== undefined && (match.endsWith(';') || /^(amp|lt|gt|quot|nbsp)$/i.test(name)) ? decoded : match;
+            }
+            const code = hex ? parseInt(hex, 16) : parseInt(dec, 10);
+            return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD';
+        });
+    }
+
+    class HtmlSanitizer {
+        /**
+         * @param {Object} [config] - Overrides for DEFAULT_CONFIG (allowedTags, allowedAttributes,
+         *                            urlAttributes, allowedProtocols).
+         */
+        constructor(config = {}) {
+            this.config = {
+                ...DEFAULT_CONFIG,
+                ...config,
+                allowedAttributes: { ...DEFAULT_CONFIG.allowedAttributes, ...(config.allowedAttributes || {}) }
+            };
+            this.allowedTags = new Set(this.config.allowedTags.map(t => t.toLowerCase()));
+        }
+
+        /**
+         * The default allow-list.
+         * @returns {Object}
+         */
+        static get defaults() {
+            return DEFAULT_CONFIG;
+        }
+
+        /**
+         * Escapes plain text for safe interpolation into HTML.
+         * @param {string} text - The text.
+         * @returns {string}
+         */
+        static escape(text) {
+            return text === null || text === undefined ? '' : escapeHtml(text);
+        }
+
+        /**
+         * Converts (sanitized) markup to plain text: tags become spaces, character references
+         * are decoded and whitespace is collapsed. The result must be escaped again for HTML.
+         *
+         * @param {string} html - The markup.
+         * @returns {string}
+         */
+        static toText(html) {
+            if (html === null || html === undefined) return '';
+            return decodeEntities(String(html).replace(/<[^>]*>/g, ' '))
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+
+        /**
+         * Validates a URL and returns a version that is safe to place in an attribute
+         * or a CSS url() value. Character references are decoded once and the decoded URL is
+         * both the one checked and the one returned: escape it for HTML, never decode it again.
+         *
+         * @param {string} url - The raw URL (as written in the markup or the CMS field).
+         * @param {Object} [options] - Validation options.
+         * @param {Array<string>} [options.protocols] - Allowed protocols (default http/https/mailto/tel).
+         * @param {boolean} [options.allowRelative] - Accept relative URLs (default true).
+         * @returns {string|null} The cleaned URL, or null if it is missing or unsafe.
+         */
+        static sanitizeUrl(url, options = {}) {
+            if (typeof url !== 'string') return null;
+            const protocols = options.protocols || DEFAULT_CONFIG.allowedProtocols;
+            const allowRelative = options.allowRelative !== false;
+
+            // Strip whitespace/control characters browsers ignore inside schemes ("java\tscript:")
+            const decoded = decodeEntities(url).trim();
+            const cleaned = decoded.replace(/[\u0000-\u001F\u007F\s]+/g, '');
+            if (!cleaned) return null;
+
+            const schemeMatch = cleaned.match(/^([a-zA-Z][a-zA-Z0-9+.-]*):/);
+            if (schemeMatch) {
+                if (!protocols.includes(`${schemeMatch[1].toLowerCase()}:`)) return null;
+            } else if (!allowRelative || (cleaned.startsWith('//') && !protocols.includes('https:'))) {
+                return null;
+            }
+
+            // Percent-encode characters that could break out of attributes or CSS url('...')
+            return decoded.replace(/[\u0000-\u001F\u007F"'()<>\\\s]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+        }
+
+        /**
+         * Formats a (sanitized) URL as a CSS url("...") value with the string quoted for CSS.
+         * Escape the result for HTML when it goes into a style attribute.
+         *
+         * @param {string} url - The URL (from sanitizeUrl).
+         * @returns {string}
+         */
+        static cssUrl(url) {
+            if (url === null || url === undefined) return 'none';
+            return `url("${String(url).replace(/["\\\n\r\f]/g, c => `\\${c.charCodeAt(0).toString(16)} `)}")`;
+        }
+
+        /**
+         * Sanitizes an HTML fragment against the allow-list.
+         * @param {string} html - The untrusted HTML.
+         * @param {Array<string>} [issues] - Optional array that receives a description of each
+         *                                   change made (removed tags/attributes, repaired markup).
+         * @returns {string} The sanitized HTML.
+         */
+        sanitize(html, issues = null) {
+            if (html === null || html === undefined) return '';
+            const noted = new Set();
+            const note = (message) => {
+                if (issues && !noted.has(message)) {
+                    noted.add(message);
+                    issues.push(message);
+                }
+            };
+
+            const source = String(html).replace(/<[^>]*>/g, tag => tag.replace(ESCAPED_QUOTES_PATTERN, '="$1"'));
+            if (source !== String(html)) note('repaired escaped attribute quotes');
+
+            const output = [];
+            const openTags = [];
+            let dropDepth = 0; // > 0 while inside a script-like tag
+            let dropTag = null;
+            let match;
+
+            TOKEN_PATTERN.lastIndex = 0;
+            while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+                const token = match[0];
+                const tagName = match[1] ? match[1].toLowerCase() : null;
+
+                // Comments are dropped
+                if (token.startsWith('<!--')) continue;
+
+                // Text (and stray '<')
+                if (!tagName) {
+                    if (!dropDepth) output.push(escapeText(token));
+                    continue;
+                }
+
+                const isClosing = token.startsWith('</');
+                const isSelfClosing = /\/>$/.test(token);
+
+                if (dropDepth) {
+                    if (tagName === dropTag) dropDepth += isClosing ? -1 : (isSelfClosing ? 0 : 1);
+                    continue;
+                }
+
+                if (DROP_CONTENT_TAGS.includes(tagName)) {
+                    if (!isClosing && !isSelfClosing) {
+                        dropDepth = 1;
+                        dropTag = tagName;
+                    }
+                    note(`removed <${tagName}> and its content`);
+                    continue;
+                }
+
+                if (!this.allowedTags.has(tagName)) {
+                    note(`removed disallowed tag <${tagName}>`);
+                    continue;
+                }
+
+                if (isClosing) {
+                    const index = openTags.lastIndexOf(tagName);
+                    if (index === -1) {
+                        note(`removed stray closing tag </${tagName}>`);
+                        continue;
+                    }
+                    // Close anything left open inside this element
+                    while (openTags.length > index + 1) {
+                        const unclosed = openTags.pop();
+                        note(`closed unclosed <${unclosed}>`);
+                        output.push(`</${unclosed}>`);
+                    }
+                    output.push(`</${openTags.pop()}>`);
+                    continue;
+                }
+
+                output.push(`<${tagName}${this.sanitizeAttributes(tagName, match[2] || '', note)}>`);
+                if (!VOID_TAGS.includes(tagName) && !isSelfClosing) openTags.push(tagName);
+            }
+
+            while (openTags.length) {
+                const unclosed = openTags.pop();
+                note(`closed unclosed <${unclosed}>`);
+                output.push(`</${unclosed}>`);
+            }
+            return output.join('');
+        }
+
+        sanitizeAttributes(tagName, attributeSource, note = () => {}) {
+            const allowed = (this.config.allowedAttributes['*'] || []).concat(this.config.allowedAttributes[tagName] || []);
+            const attributes = {};
+            let match;
+
+            ATTRIBUTE_PATTERN.lastIndex = 0;
+            while ((match = ATTRIBUTE_PATTERN.exec(attributeSource)) !== null) {
+                const name = match[1].toLowerCase();
+                if (name in attributes) continue;
+                if (!allowed.includes(name)) {
+                    note(`removed attribute "${name}" from <${tagName}>`);
+                    continue;
+                }
+
+                const raw = match[2] !== undefined ? match[2] : (match[3] !== undefined ? match[3] : (match[4] || ''));
+                const isUrl = this.config.urlAttributes.includes(name);
+                // Decoded exactly once (sanitizeUrl decodes URLs itself) and only escaped on output
+                let value = isUrl ? HtmlSanitizer.sanitizeUrl(raw, { protocols: this.config.allowedProtocols }) : decodeEntities(raw);
+
+                if (isUrl) {
+                    if (value === null) {
+                        note(`removed unsafe URL in "${name}" of <${tagName}>`);
+                        continue;
+                    }
+                } else if (name === 'class') {
+                    value = value.split(/\s+/).filter(c => /^[\w-]+$/.test(c)).join(' ');
+                    if (!value) continue;
+                } else if (name === 'target') {
+                    if (!['_blank', '_self'].includes(value)) continue;
+                }
+
+                attributes[name] = value;
+            }
+
+            // Links opening a new tab must not get access to window.opener
+            if (tagName === 'a' && attributes.target === '_blank') {
+                attributes.rel = 'noopener noreferrer';
+            }
+
+            return Object.keys(attributes)
+                .map(name => ` ${name}="${escapeHtml(attributes[name])}"`)
+                .join('');
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.HtmlSanitizer = HtmlSanitizer;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HtmlSanitizer;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
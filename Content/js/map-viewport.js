@@ -0,0 +1,403 @@
+/**
+ * Map Viewport
+ * Pan and zoom for an inline SVG whose layers share one group (the building map, its markers
+ * and the overlay): transforming that group keeps the layers aligned at any zoom.
+ *
+ * - Input: the mouse wheel and two-finger pinch zoom around the pointer, dragging pans, the
+ *   zoom buttons (`controls`) and + / - / 0 while focus is inside the SVG.
+ * - zoomTo(element) frames an element (the selected marker); restore() returns to the view
+ *   before it, unless the user has moved the map since.
+ * - The map is never smaller than the SVG and cannot be panned out of it. A drag that moved the
+ *   map does not also click what it started on. Focus moving to an element outside the visible
+ *   part pans it into view.
+ *
+ * The view is { scale, x, y }: a point p of the map is drawn at p * scale + (x, y), in viewBox
+ * units. Changes are reported through `onChange(view)`.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        minScale: 1,
+        maxScale: 4,
+        step: 1.5,          // Zoom factor of the buttons and keys
+        focusScale: 2,      // Smallest scale zoomTo() frames an element at
+        padding: 0.1,       // Share of the viewport kept free around an element framed by zoomTo()
+        wheelSpeed: 0.002,  // Zoom per pixel of wheel travel (exponential)
+        dragThreshold: 5,   // px a pointer moves before a press becomes a drag
+        controls: null,     // { zoomIn, zoomOut, reset } buttons, disabled when they cannot act
+        onChange: null      // function(view) called after every change
+    };
+
+    const ANIMATING_CLASS = 'is-animating';
+
+    class MapViewport {
+        /**
+         * @param {SVGSVGElement} svg - The SVG receiving the input.
+         * @param {SVGGElement} content - The group holding every layer (transformed).
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         */
+        constructor(svg, content, options = {}) {
+            this.svg = svg;
+            this.content = content;
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.controls = this.options.controls || {};
+            this.onChange = this.options.onChange;
+            this.view = { scale: 1, x: 0, y: 0 };
+            this.saved = null;          // View before zoomTo(), for restore()
+            this.pointers = new Map();  // Pointers down on the SVG: id -> { x, y } (client px)
+            this.gesture = null;        // Drag or pinch in progress
+            this.lastDragAt = 0;        // Suppresses the click that ends a drag
+
+            if (!svg || !content) return;
+            this.bindEvents();
+            this.updateControls();
+        }
+
+        get scale() {
+            return this.view.scale;
+        }
+
+        bindEvents() {
+            const svg = this.svg;
+            const { zoomIn, zoomOut, reset } = this.controls;
+            const press = (button, action) => {
+                if (!button) return;
+                button.addEventListener('click', () => {
+                    if (button.getAttribute('aria-disabled') !== 'true') action();
+                });
+            };
+            press(zoomIn, () => this.zoomBy(this.options.step));
+            press(zoomOut, () => this.zoomBy(1 / this.options.step));
+            press(reset, () => this.reset());
+
+            svg.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+            svg.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+            svg.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+            svg.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+            svg.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+            svg.addEventListener('click', (e) => {
+                // A drag that ends on a marker must not select it as well
+                if (this.lastDragAt && Date.now() - this.lastDragAt < 400) {
+                    e.preventDefault();
+                    e.stopPropagation();
+                }
+            }, true);
+
+            svg.addEventListener('keydown', (e) => {
+                if (e.altKey || e.ctrlKey || e.metaKey) return;
+                if (e.key === '+' || e.key === '=') this.zoomBy(this.options.step);
+                else if (e.key === '-') this.zoomBy(1 / this.options.step);
+                else if (e.key === '0') this.reset();
+                else return;
+                e.preventDefault();
+            });
+
+            svg.addEventListener('focusin', (e) => {
+                if (this.view.scale > this.options.minScale) this.reveal(e.target);
+            });
+        }
+
+        /**
+         * Zooms around the centre of the SVG.
+         * @param {number} factor - Scale multiplier (> 1 zooms in).
+         */
+        zoomBy(factor) {
+            const box = this.viewBox();
+            this.zoomAt(factor, { x: box.x + box.width / 2, y: box.y + box.height / 2 }, true);
+        }
+
+        /**
+         * Zooms keeping one point of the SVG in place.
+         * @param {number} factor - Scale multiplier (> 1 zooms in).
+         * @param {{x: number, y: number}} point - The fixed point, in viewBox units.
+         * @param {boolean} [animate] - Transition to the new view.
+         */
+        zoomAt(factor, point, animate = false) {
+            const { scale, x, y } = this.view;
+            const next = this.clampScale(scale * factor);
+            this.saved = null;
+            this.set({
+                scale: next,
+                x: point.x - (point.x - x) * (next / scale),
+                y: point.y - (point.y - y) * (next / scale)
+            }, animate);
+        }
+
+        /**
+         * Frames an element: centres it and zooms in to at least `focusScale` (less if the
+         * element would not fit).
+         * @param {Element} element - An element inside the content group.
+         * @returns {boolean} False if the element has no size (e.g. not rendered).
+         */
+        zoomTo(element) {
+            const box = this.contentBox(element);
+            if (!box) return false;
+
+            const { focusScale, padding } = this.options;
+            const vb = this.viewBox();
+            const fit = Math.min(
+                (vb.width * (1 - 2 * padding)) / box.width,
+                (vb.height * (1 - 2 * padding)) / box.height
+            );
+            const scale = this.clampScale(Math.min(Math.max(focusScale, this.view.scale), fit));
+
+            if (!this.saved) this.saved = { ...this.view };
+            this.set({
+                scale: scale,
+                x: vb.x + vb.width / 2 - (box.x + box.width / 2) * scale,
+                y: vb.y + vb.height / 2 - (box.y + box.height / 2) * scale
+            }, true);
+            return true;
+        }
+
+        /**
+         * Returns to the view before zoomTo(), if the user has not moved the map since.
+         */
+        restore() {
+            if (!this.saved) return;
+            const saved = this.saved;
+            this.saved = null;
+            this.set(saved, true);
+        }
+
+        /**
+         * Shows the whole map.
+         * @param {boolean} [animate] - Transition to the new view.
+         */
+        reset(animate = true) {
+            this.saved = null;
+            this.set({ scale: this.options.minScale, x: 0, y: 0 }, animate);
+        }
+
+        /**
+         * Pans an element into view when it is outside the visible part of the SVG.
+         * @param {Element} element - An element inside the content group.
+         */
+        reveal(element) {
+            const box = this.contentBox(element);
+            if (!box) return;
+
+            const { scale, x, y } = this.view;
+            const vb = this.viewBox();
+            const left = box.x * scale + x;
+            const top = box.y * scale + y;
+            const right = left + box.width * scale;
+            const bottom = top + box.height * scale;
+            if (left >= vb.x && top >= vb.y && right <= vb.x + vb.width && bottom <= vb.y + vb.height) return;
+
+            this.set({
+                scale: scale,
+                x: vb.x + vb.width / 2 - (box.x + box.width / 2) * scale,
+                y: vb.y + vb.height / 2 - (box.y + box.height / 2) * scale
+            }, true);
+        }
+
+        /**
+         * Applies a view (clamped to the zoom limits and the map edges).
+         * @param {Object} view - { scale, x, y }.
+         * @param {boolean} [animate] - Transition to the new view.
+         */
+        set(view, animate = false) {
+            this.view = this.clamp(view);
+            if (this.content) {
+                const { scale, x, y } = this.view;
+                this.content.classList.toggle(ANIMATING_CLASS, animate);
+                this.content.style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+            }
+            this.updateControls();
+            if (typeof this.onChange === 'function') this.onChange({ ...this.view });
+        }
+
+        clampScale(scale) {
+            return Math.min(this.options.maxScale, Math.max(this.options.minScale, scale));
+        }
+
+        // Keeps the map covering the SVG: its edges may not move inside the viewBox
+        clamp(view) {
+            const vb = this.viewBox();
+            const scale = this.clampScale(view.scale);
+            const limit = (value, start, size) => {
+                const min = (start + size) * (1 - scale);
+                const max = start * (1 - scale);
+                return Math.min(max, Math.max(min, value));
+            };
+            return {
+                scale: scale,
+                x: limit(view.x, vb.x, vb.width),
+                y: limit(view.y, vb.y, vb.height)
+            };
+        }
+
+        updateControls() {
+            const { zoomIn, zoomOut, reset } = this.controls;
+            const { minScale, maxScale } = this.options;
+            const scale = this.view.scale;
+            // aria-disabled rather than disabled, so a button keeps focus when it reaches its limit
+            if (zoomIn) zoomIn.setAttribute('aria-disabled', String(scale >= maxScale));
+            if (zoomOut) zoomOut.setAttribute('aria-disabled', String(scale <= minScale));
+            if (reset) reset.setAttribute('aria-disabled', String(scale <= minScale && !this.view.x && !this.view.y));
+        }
+
+        /* ----- Input ----- */
+
+        /**
+         * @param {WheelEvent} e - The wheel event.
+         */
+        handleWheel(e) {
+            const lineHeight = e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? 100 : 1;
+            const factor = Math.exp(-e.deltaY * lineHeight * this.options.wheelSpeed);
+            // At the whole map, scrolling down is left to the page
+            if (factor < 1 && this.view.scale <= this.options.minScale) return;
+            const point = this.toSvgPoint(e.clientX, e.clientY);
+            if (!point) return;
+            e.preventDefault();
+            this.zoomAt(factor, point);
+        }
+
+        /**
+         * @param {PointerEvent} e - The pointerdown event.
+         */
+        handlePointerDown(e) {
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            this.startGesture();
+        }
+
+        /**
+         * @param {PointerEvent} e - The pointermove event.
+         */
+        handlePointerMove(e) {
+            if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+            this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            const gesture = this.gesture;
+            const points = Array.from(this.pointers.values());
+
+            if (gesture.type === 'pinch') {
+                const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+                const mid = this.toSvgPoint((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+                if (!mid || !gesture.distance) return;
+                const { view, anchor } = gesture;
+                const scale = this.clampScale(view.scale * (distance / gesture.distance));
+                gesture.moved = true;
+                this.saved = null;
+                // The map point that was under the fingers stays under them
+                this.set({ scale: scale, x: mid.x - anchor.x * scale, y: mid.y - anchor.y * scale });
+                return;
+            }
+
+            const dx = points[0].x - gesture.x;
+            const dy = points[0].y - gesture.y;
+            if (!gesture.moved) {
+                if (Math.hypot(dx, dy) < this.options.dragThreshold) return;
+                gesture.moved = true;
+                // Captured only now, so a plain click still reaches the marker under the pointer
+                if (this.svg.setPointerCapture) {
+                    try { this.svg.setPointerCapture(e.pointerId); } catch (error) { /* Pointer already released */ }
+                }
+            }
+            const ratio = this.pixelRatio();
+            if (!ratio) return;
+            this.saved = null;
+            this.set({ scale: gesture.view.scale, x: gesture.view.x + dx / ratio, y: gesture.view.y + dy / ratio });
+        }
+
+        /**
+         * @param {PointerEvent} e - The pointerup or pointercancel event.
+         */
+        handlePointerUp(e) {
+            if (!this.pointers.delete(e.pointerId)) return;
+            if (this.gesture && this.gesture.moved) this.lastDragAt = Date.now();
+            // Lifting one finger of a pinch continues as a drag with the other
+            const moved = this.gesture && this.gesture.moved;
+            this.startGesture();
+            if (this.gesture) this.gesture.moved = moved;
+        }
+
+        // Starts a drag (one pointer) or pinch (two) from the current pointers and view
+        startGesture() {
+            const points = Array.from(this.pointers.values());
+            const view = { ...this.view };
+            this.gesture = null;
+            if (points.length === 1) {
+                this.gesture = { type: 'drag', x: points[0].x, y: points[0].y, view: view, moved: false };
+            } else if (points.length >= 2) {
+                const mid = this.toSvgPoint((points[0].x + points[1].x) / 2, (points[0].y + points[1].y) / 2);
+                if (!mid) return;
+                this.gesture = {
+                    type: 'pinch',
+                    distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y),
+                    anchor: { x: (mid.x - view.x) / view.scale, y: (mid.y - view.y) / view.scale },
+                    view: view,
+                    moved: false
+                };
+            }
+        }
+
+        /* ----- Geometry ----- */
+
+        /**
+         * The SVG's viewBox (its size in pixels when it has none).
+         * @returns {{x: number, y: number, width: number, height: number}}
+         */
+        viewBox() {
+            const values = (this.svg && this.svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+            if (values.length === 4 && values.every(isFinite) && values[2] > 0 && values[3] > 0) {
+                return { x: values[0], y: values[1], width: values[2], height: values[3] };
+            }
+            const rect = this.svg ? this.svg.getBoundingClientRect() : { width: 0, height: 0 };
+            return { x: 0, y: 0, width: rect.width || 1, height: rect.height || 1 };
+        }
+
+        // Screen pixels per viewBox unit (the SVG letterboxes its viewBox: xMidYMid meet)
+        pixelRatio() {
+            const rect = this.svg.getBoundingClientRect();
+            const vb = this.viewBox();
+            return Math.min(rect.width / vb.width, rect.height / vb.height) || 0;
+        }
+
+        /**
+         * Converts a screen position to viewBox units.
+         * @param {number} clientX - Screen X.
+         * @param {number} clientY - Screen Y.
+         * @returns {{x: number, y: number}|null} Null when the SVG is not rendered.
+         */
+        toSvgPoint(clientX, clientY) {
+            const ratio = this.pixelRatio();
+            if (!ratio) return null;
+            const rect = this.svg.getBoundingClientRect();
+            const vb = this.viewBox();
+            return {
+                x: vb.x + (clientX - rect.left - (rect.width - vb.width * ratio) / 2) / ratio,
+                y: vb.y + (clientY - rect.top - (rect.height - vb.height * ratio) / 2) / ratio
+            };
+        }
+
+        // An element's bounds in map units (before the zoom), or null when it is not rendered
+        contentBox(element) {
+            if (!element || typeof element.getBoundingClientRect !== 'function') return null;
+            const rect = element.getBoundingClientRect();
+            if (!rect.width && !rect.height) return null;
+            const topLeft = this.toSvgPoint(rect.left, rect.top);
+            const bottomRight = this.toSvgPoint(rect.right, rect.bottom);
+            if (!topLeft || !bottomRight) return null;
+
+            const { scale, x, y } = this.view;
+            return {
+                x: (topLeft.x - x) / scale,
+                y: (topLeft.y - y) / scale,
+                width: Math.max(1, (bottomRight.x - topLeft.x) / scale),
+                height: Math.max(1, (bottomRight.y - topLeft.y) / scale)
+            };
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.MapViewport = MapViewport;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MapViewport;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
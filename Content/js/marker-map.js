@@ -0,0 +1,159 @@
+/**
+ * Marker Map
+ * Links the spaces of a building to the markers of its markers SVG and audits the result.
+ *
+ * A space is known by its ID (the CMS Id), its slug and its aliases (DataAdapter.transformSpaces);
+ * any of them can be used below. Its marker is, in order of precedence:
+ * - the element named by the building type's mapping table (BuildingTypeRegistry `svg.markers`,
+ *   space key -> SVG element ID), for art whose IDs do not follow the space slugs;
+ * - the element carrying data-space-id="<space key>" (generated markers, re-exported art);
+ * - the element whose ID is a space key (usually the slug).
+ * Linked markers get data-space-id="<space ID>".
+ *
+ * The marker groups are the direct <g> children of the pins group (the building roof and the
+ * map background excluded), as SpaceView's marker visibility treats them. The audit reports
+ * spaces without a marker, marker groups without a space and mapping entries that point nowhere.
+ */
+
+(function(global) {
+    const SvgLoader = global.SvgLoader || (typeof require === 'function' ? require('./svg-loader') : null);
+
+    const DEFAULT_OPTIONS = {
+        mapping: {},        // Space ID, slug or alias -> marker element ID
+        pinsGroup: null,    // ID of the group holding the markers (BuildingTypeRegistry svg.pinsGroup)
+        ignore: []          // IDs of groups that are not markers (roof, map background)
+    };
+
+    class MarkerMap {
+        /**
+         * Links the spaces to the markers of an inlined markers SVG.
+         *
+         * @param {SVGSVGElement} svg - The inlined markers SVG.
+         * @param {Array<Object>} spaces - Transformed spaces, in CMS order.
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         * @returns {Object} { markers: [{ el, space }] in CMS order, orphans: [{ el, id, label }], report }.
+         */
+        static link(svg, spaces, options = {}) {
+            const { mapping, pinsGroup, ignore } = { ...DEFAULT_OPTIONS, ...options };
+            const table = mapping || {};
+            const allKeys = new Set([].concat(...(spaces || []).map(MarkerMap.keysOf)));
+            const markers = [];
+            const linked = [];
+            const spacesWithoutMarker = [];
+            const staleMappings = [];
+
+            Object.keys(table).forEach(key => {
+                if (!allKeys.has(key)) staleMappings.push({ spaceId: key, markerId: table[key], problem: 'no such space' });
+            });
+
+            (spaces || []).forEach(space => {
+                const keys = MarkerMap.keysOf(space);
+                const mapped = keys.find(key => table[key]);
+                let el = null;
+                let via = null;
+                if (mapped) {
+                    el = SvgLoader.findById(svg, table[mapped]);
+                    if (el) via = 'mapping';
+                    else staleMappings.push({ spaceId: mapped, markerId: table[mapped], problem: 'no such marker' });
+                }
+                if (!el) {
+                    el = firstMatch(keys, key => svg.querySelector(`[data-space-id="${cssString(key)}"]`));
+                    if (el) via = 'attribute';
+                }
+                if (!el) {
+                    el = firstMatch(keys, key => SvgLoader.findById(svg, key));
+                    if (el) via = 'id';
+                }
+                if (!el) {
+                    spacesWithoutMarker.push(space.id);
+                    return;
+                }
+
+                el.setAttribute('data-space-id', space.id);
+                markers.push({ el: el, space: space });
+                linked.push({ spaceId: space.id, slug: space.slug || null, markerId: el.id || null, via: via });
+            });
+
+            // Marker groups (or tagged elements) no space claims
+            const linkedEls = markers.map(marker => marker.el);
+            const isLinked = el => linkedEls.some(linkedEl => linkedEl === el || linkedEl.contains(el) || el.contains(linkedEl));
+            const candidates = MarkerMap.groups(svg, pinsGroup, ignore)
+                .concat(Array.from(svg.querySelectorAll('[data-space-id]')));
+            const orphans = [];
+            candidates.forEach(el => {
+                if (isLinked(el) || orphans.some(orphan => orphan.el === el || orphan.el.contains(el))) return;
+                const id = el.getAttribute('data-space-id') || el.id || '';
+                // A stray data-space-id would otherwise be clicked as a space the data does not have
+                el.removeAttribute('data-space-id');
+                orphans.push({ el: el, id: id, label: MarkerMap.humanize(id) });
+            });
+
+            const report = {
+                linked: linked,
+                spacesWithoutMarker: spacesWithoutMarker,
+                markersWithoutSpace: orphans.map(orphan => orphan.id),
+                staleMappings: staleMappings,
+                ok: !spacesWithoutMarker.length && !orphans.length && !staleMappings.length
+            };
+            return { markers: markers, orphans: orphans, report: report };
+        }
+
+        /**
+         * Lists the keys a space is known by: its ID, slug and aliases.
+         * @param {Object} space - A transformed space.
+         * @returns {Array<string>}
+         */
+        static keysOf(space) {
+            return Array.from(new Set([space.id, space.slug].concat(space.aliases || []).filter(Boolean)));
+        }
+
+        /**
+         * Returns the marker groups: the direct <g> children of the pins group (or of the root).
+         * @param {SVGSVGElement} svg - The inlined markers SVG.
+         * @param {string} [pinsGroup] - ID of the group holding the markers.
+         * @param {Array<string>} [ignore] - IDs of groups that are not markers.
+         * @returns {Array<Element>}
+         */
+        static groups(svg, pinsGroup, ignore = []) {
+            const container = (pinsGroup && SvgLoader.findById(svg, pinsGroup)) || svg;
+            return Array.from(container.children)
+                .filter(el => el.localName === 'g' && !(el.id && ignore.includes(el.id)));
+        }
+
+        /**
+         * Turns a marker ID into a readable name ("admin-offices" -> "Admin Offices").
+         * @param {string} id - The marker ID.
+         * @returns {string}
+         */
+        static humanize(id) {
+            return String(id || '')
+                .split(/[-_\s]+/)
+                .filter(Boolean)
+                .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+                .join(' ');
+        }
+    }
+
+    // Returns the first non-null result of find() over the keys
+    function firstMatch(keys, find) {
+        for (const key of keys) {
+            const el = find(key);
+            if (el) return el;
+        }
+        return null;
+    }
+
+    // Escapes a value for a double-quoted CSS attribute selector
+    function cssString(value) {
+        return String(value).replace(/["\\]/g, '\\$&');
+    }
+
+    // Expose to Global (Browser)
+    global.MarkerMap = MarkerMap;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MarkerMap;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,164 @@
+/**
+ * Marker Renderer
+ * Draws the space markers (a pin and a label per space) from coordinates, on top of a plain map
+ * SVG, so a new space needs data rather than a re-exported markers SVG.
+ *
+ * Positions come from, in order of precedence:
+ * - the CMS: X, Y and Label fields on the space's MarkerImage (DataAdapter sets `space.marker`);
+ * - a sidecar JSON file listed for the building type (`defaults.markersData`):
+ *   { "viewBox": "0 0 1417 600", "markers": { "<space id or slug>": { "x": 540, "y": 210, "label": "..." } } }
+ *
+ * Coordinates are in the map SVG's viewBox units. A space without a position gets no marker.
+ * Each marker is a <g id="<space slug>" data-space-id="<space id>"> whose first child group holds
+ * the pin and label, the structure SpaceView's marker visibility and keyboard support expect.
+ */
+
+(function(global) {
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    const DEFAULT_OPTIONS = {
+        pinRadius: 12,      // Map units
+        labelOffset: 30,    // Distance from the pin centre to the label baseline
+        pinsGroup: null     // ID of the group holding the markers (BuildingTypeRegistry svg.pinsGroup)
+    };
+
+    const CLASSES = {
+        root: 'gh-generated-markers',
+        marker: 'gh-generated-marker',
+        body: 'gh-marker-body',
+        pin: 'gh-marker-pin',
+        label: 'gh-marker-label'
+    };
+
+    class MarkerRenderer {
+        /**
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         * @param {Function} [options.fetch] - fetch implementation (default window.fetch).
+         * @param {Document} [options.document] - Document the markers are created in.
+         */
+        constructor(options = {}) {
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.fetch = options.fetch || ((...args) => global.fetch(...args));
+            this.document = options.document || global.document;
+            this.sidecars = new Map(); // URL -> Promise of the parsed file
+        }
+
+        /**
+         * Reads a position ({ x, y, label }); numeric strings are accepted.
+         * @param {Object} value - A space's `marker` or a sidecar entry.
+         * @returns {Object|null} The position, or null without two finite coordinates.
+         */
+        static toPosition(value) {
+            if (!value || typeof value !== 'object') return null;
+            const x = parseFloat(value.x);
+            const y = parseFloat(value.y);
+            if (!isFinite(x) || !isFinite(y)) return null;
+            const label = typeof value.label === 'string' && value.label.trim() ? value.label.trim() : null;
+            return { x: x, y: y, label: label };
+        }
+
+        /**
+         * Loads a sidecar file (once per URL). A missing or unreadable file is logged and gives
+         * no positions, so the page falls back to the markers SVG.
+         * @param {string|null} url - The sidecar URL.
+         * @returns {Promise<Object>} { viewBox, markers } (markers keyed by space ID).
+         */
+        loadSidecar(url) {
+            if (!url) return Promise.resolve({ viewBox: null, markers: {} });
+            if (!this.sidecars.has(url)) {
+                const request = this.fetch(url, { credentials: 'same-origin' })
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+                        return response.json();
+                    })
+                    .then(data => ({
+                        viewBox: typeof data.viewBox === 'string' ? data.viewBox : null,
+                        markers: data.markers && typeof data.markers === 'object' ? data.markers : {}
+                    }))
+                    .catch(error => {
+                        console.warn(`Could not load marker positions ${url}:`, error);
+                        this.sidecars.delete(url); // Retried on the next data refresh
+                        return { viewBox: null, markers: {} };
+                    });
+                this.sidecars.set(url, request);
+            }
+            return this.sidecars.get(url);
+        }
+
+        /**
+         * Resolves the position of every space: the CMS position, else the sidecar's.
+         * @param {Array<Object>} spaces - Transformed spaces.
+         * @param {Object} [sidecarMarkers] - Sidecar markers keyed by space ID, slug or alias.
+         * @returns {Map<string, Object>} Space ID -> { x, y, label }.
+         */
+        static collect(spaces, sidecarMarkers = {}) {
+            const positions = new Map();
+            (spaces || []).forEach(space => {
+                const key = [space.id, space.slug].concat(space.aliases || []).find(k => k && sidecarMarkers[k]);
+                const position = MarkerRenderer.toPosition(space.marker) ||
+                    MarkerRenderer.toPosition(key && sidecarMarkers[key]);
+                if (position) positions.set(space.id, position);
+            });
+            return positions;
+        }
+
+        /**
+         * Creates the markers SVG.
+         * @param {Array<Object>} spaces - Transformed spaces, in marker order.
+         * @param {Map<string, Object>} positions - From collect().
+         * @param {Object} [options]
+         * @param {string} [options.viewBox] - The map's viewBox (the coordinates' units).
+         * @param {string} [options.pinsGroup] - Overrides the pinsGroup option (per building type).
+         * @returns {SVGSVGElement}
+         */
+        render(spaces, positions, options = {}) {
+            const { pinRadius, labelOffset } = this.options;
+            const pinsGroup = options.pinsGroup || this.options.pinsGroup;
+            const svg = this.create('svg', { class: CLASSES.root, width: '100%', height: '100%' });
+            if (options.viewBox) {
+                svg.setAttribute('viewBox', options.viewBox);
+                svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+            }
+            const container = this.create('g', pinsGroup ? { id: pinsGroup } : {});
+            svg.appendChild(container);
+
+            (spaces || []).forEach(space => {
+                const position = positions.get(space.id);
+                if (!position) return;
+
+                const marker = this.create('g', { id: space.slug || space.id, class: CLASSES.marker, 'data-space-id': space.id });
+                const body = this.create('g', { class: CLASSES.body });
+                body.appendChild(this.create('circle', { class: CLASSES.pin, cx: position.x, cy: position.y, r: pinRadius }));
+
+                const label = this.create('text', {
+                    class: CLASSES.label,
+                    x: position.x,
+                    y: position.y + labelOffset,
+                    'text-anchor': 'middle',
+                    'aria-hidden': 'true' // The marker is labelled by SpaceView (aria-label)
+                });
+                label.textContent = position.label || space.name;
+                body.appendChild(label);
+
+                marker.appendChild(body);
+                container.appendChild(marker);
+            });
+            return svg;
+        }
+
+        create(tag, attributes) {
+            const el = this.document.createElementNS(SVG_NS, tag);
+            Object.keys(attributes).forEach(name => el.setAttribute(name, String(attributes[name])));
+            return el;
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.MarkerRenderer = MarkerRenderer;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MarkerRenderer;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
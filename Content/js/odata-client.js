@@ -0,0 +1,406 @@
+/**
+ * OData Client
+ * Minimal OData v4 client for the CMS service: builds $filter/$select/$expand queries,
+ * follows @odata.nextLink paging (also of expanded collections), and wraps fetch with per-attempt timeouts, retries with
+ * exponential backoff and caller-driven abort (e.g. on navigation).
+ *
+ * Aborts surface as the fetch AbortError (check `error.name === 'AbortError'`); every other
+ * failure is an ODataError carrying the HTTP status and URL.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        baseUrl: '',
+        timeout: 10000,       // Per attempt, in ms
+        retries: 3,           // Attempts after the first one
+        retryDelay: 500,      // Base backoff delay, doubled per attempt
+        maxRetryDelay: 8000,
+        maxPages: 50          // Guard against nextLink loops
+    };
+
+    // Statuses worth retrying: timeouts, throttling and transient server errors
+    const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+    const GUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+    class ODataError extends Error {
+        /**
+         * @param {string} message - Error message.
+         * @param {Object} [details] - { url, status, attempts, cause }.
+         */
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'ODataError';
+            this.url = details.url || null;
+            this.status = details.status || null;
+            this.attempts = details.attempts || 0;
+            this.cause = details.cause || null;
+        }
+    }
+
+    function createAbortError() {
+        try {
+            return new DOMException('The operation was aborted.', 'AbortError');
+        } catch (error) {
+            const abortError = new Error('The operation was aborted.');
+            abortError.name = 'AbortError';
+            return abortError;
+        }
+    }
+
+    /**
+     * Resolves after `ms`, or rejects with an AbortError when the signal aborts first.
+     */
+    function delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Resolves a nextLink against the URL of the page that returned it.
+     */
+    function resolveLink(link, pageUrl) {
+        if (!link) return null;
+        const base = new URL(pageUrl, typeof location !== 'undefined' ? location.href : undefined);
+        return new URL(link, base).href;
+    }
+
+    /**
+     * Encodes a query option value but keeps the OData punctuation readable.
+     */
+    function encodeQueryValue(value) {
+        return encodeURIComponent(value)
+            .replace(/%24/g, '$')
+            .replace(/%2C/gi, ',')
+            .replace(/%28/g, '(')
+            .replace(/%29/g, ')')
+            .replace(/%3B/gi, ';')
+            .replace(/%3D/gi, '=')
+            .replace(/%27/g, "'")
+            .replace(/%2F/gi, '/');
+    }
+
+    class ODataClient {
+        /**
+         * @param {Object} [options] - Client options (see DEFAULT_OPTIONS).
+         * @param {string} [options.baseUrl] - Service root, e.g. "https://cms.example.com/api/all-services".
+         * @param {Function} [options.fetch] - fetch implementation (defaults to the global fetch).
+         */
+        constructor(options = {}) {
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+            this.controller = new AbortController();
+        }
+
+        /**
+         * Formats a value as an OData literal ('text' with quotes doubled, GUIDs and numbers bare).
+         * @param {*} value - The value.
+         * @returns {string}
+         */
+        static literal(value) {
+            if (value === null || value === undefined) return 'null';
+            if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+            const text = String(value);
+            return GUID_PATTERN.test(text) ? text : `'${text.replace(/'/g, "''")}'`;
+        }
+
+        /**
+         * Builds a $filter expression. Objects become "Field eq literal" clauses joined with "and".
+         * @param {string|Object} filter - A raw expression or a { Field: value } map.
+         * @returns {string}
+         */
+        static buildFilter(filter) {
+            if (!filter) return '';
+            if (typeof filter === 'string') return filter;
+            return Object.keys(filter)
+                .map(field => `${field} eq ${ODataClient.literal(filter[field])}`)
+                .join(' and ');
+        }
+
+        /**
+         * Builds an $expand value. Accepts a string, an array of names, or a map of
+         * name -> true | nested query options ({ select, expand, filter, top, orderby }).
+         * @param {string|Array|Object} expand - The expand definition.
+         * @returns {string}
+         */
+        static buildExpand(expand) {
+            if (!expand) return '';
+            if (typeof expand === 'string') return expand;
+            if (Array.isArray(expand)) return expand.map(item => ODataClient.buildExpand(item)).join(',');
+
+            return Object.keys(expand).map(name => {
+                const nested = expand[name];
+                if (!nested || nested === true) return name;
+                const options = ODataClient.buildQueryOptions(nested);
+                return options.length ? `${name}(${options.join(';')})` : name;
+            }).join(',');
+        }
+
+        /**
+         * Builds the list of "$option=value" pairs for a query definition.
+         * @param {Object} query - { filter, select, expand, orderby, top, skip }.
+         * @returns {Array<string>}
+         */
+        static buildQueryOptions(query = {}) {
+            const options = [];
+            const filter = ODataClient.buildFilter(query.filter);
+            const select = Array.isArray(query.select) ? query.select.join(',') : query.select;
+            const expand = ODataClient.buildExpand(query.expand);
+            const orderby = Array.isArray(query.orderby) ? query.orderby.join(',') : query.orderby;
+
+            if (filter) options.push(`$filter=${filter}`);
+            if (select) options.push(`$select=${select}`);
+            if (expand) options.push(`$expand=${expand}`);
+            if (orderby) options.push(`$orderby=${orderby}`);
+            if (query.top !== undefined && query.top !== null) options.push(`$top=${query.top}`);
+            if (query.skip) options.push(`$skip=${query.skip}`);
+            return options;
+        }
+
+        /**
+         * Builds a URL-encoded query string (without the leading '?').
+         * @param {Object} query - { filter, select, expand, orderby, top, skip }.
+         * @returns {string}
+         */
+        static buildQuery(query = {}) {
+            return ODataClient.buildQueryOptions(query)
+                .map(option => {
+                    const index = option.indexOf('=');
+                    return `${option.slice(0, index)}=${encodeQueryValue(option.slice(index + 1))}`;
+                })
+                .join('&');
+        }
+
+        /**
+         * Builds the URL for an entity set query.
+         * @param {string} entitySet - The entity set (e.g. 'buildingtypes').
+         * @param {Object} [query] - Query definition (see buildQuery).
+         * @returns {string}
+         */
+        buildUrl(entitySet, query = {}) {
+            const base = this.options.baseUrl.replace(/\/+$/, '');
+            const queryString = ODataClient.buildQuery(query);
+            return `${base}/${entitySet.replace(/^\/+/, '')}${queryString ? `?${queryString}` : ''}`;
+        }
+
+        /**
+         * Fetches every page of an entity set query, following @odata.nextLink. Expanded
+         * collections the server paged (e.g. "Spaces@odata.nextLink") are fetched too.
+         * @param {string} entitySet - The entity set.
+         * @param {Object} [query] - Query definition (see buildQuery).
+         * @param {Object} [options] - { signal }.
+         * @returns {Promise<Object>} The merged response ({ '@odata.context', value }).
+         */
+        async getAll(entitySet, query = {}, options = {}) {
+            let url = this.buildUrl(entitySet, query);
+            const value = [];
+            const pages = { count: 0 };
+            let context = null;
+
+            while (url) {
+                const page = await this.getPage(url, pages, options);
+                context = context || page['@odata.context'] || null;
+                await this.followNestedLinks(page.value, url, pages, options);
+                value.push(...page.value);
+                url = resolveLink(page['@odata.nextLink'], url);
+            }
+
+            return { '@odata.context': context, value: value };
+        }
+
+        /**
+         * Fetches one page of a collection, counting it against maxPages.
+         * @param {string} url - The page URL.
+         * @param {Object} pages - { count } shared by every page of one getAll().
+         * @param {Object} [options] - { signal }.
+         * @returns {Promise<Object>} The page ({ value, '@odata.nextLink' }).
+         */
+        async getPage(url, pages, options) {
+            if (++pages.count > this.options.maxPages) {
+                throw new ODataError(`Stopped after ${this.options.maxPages} pages`, { url: url });
+            }
+            const page = await this.request(url, options);
+            if (!page || !Array.isArray(page.value)) {
+                throw new ODataError('Response is not an OData collection', { url: url });
+            }
+            return page;
+        }
+
+        /**
+         * Appends the remaining pages of expanded collections ("<Name>@odata.nextLink") to the
+         * records, at any depth, and drops the annotations.
+         * @param {Array<Object>} records - Records of a page (changed in place).
+         * @param {string} pageUrl - URL of the page the records came from.
+         * @param {Object} pages - { count } shared by every page of one getAll().
+         * @param {Object} [options] - { signal }.
+         */
+        async followNestedLinks(records, pageUrl, pages, options) {
+            for (const record of records) {
+                if (!record || typeof record !== 'object') continue;
+                for (const key of Object.keys(record)) {
+                    if (Array.isArray(record[key])) {
+                        await this.followNestedLinks(record[key], pageUrl, pages, options);
+                        continue;
+                    }
+                    const match = key.match(/^(.+)@odata\.nextLink$/);
+                    if (!match) continue;
+
+                    const items = Array.isArray(record[match[1]]) ? record[match[1]] : (record[match[1]] = []);
+                    let url = resolveLink(record[key], pageUrl);
+                    delete record[key];
+                    while (url) {
+                        const page = await this.getPage(url, pages, options);
+                        await this.followNestedLinks(page.value, url, pages, options);
+                        items.push(...page.value);
+                        url = resolveLink(page['@odata.nextLink'], url);
+                    }
+                }
+            }
+        }
+
+        /**
+         * GETs a URL as JSON with a per-attempt timeout and retries with backoff.
+         * @param {string} url - The URL.
+         * @param {Object} [options] - { signal } to abort the request (and any pending retry).
+         * @returns {Promise<Object>} The parsed JSON body.
+         */
+        async request(url, options = {}) {
+            const maxAttempts = this.options.retries + 1;
+            const abortLink = this.linkSignals([options.signal, this.controller.signal]);
+            let lastError = null;
+
+            try {
+                for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+                    try {
+                        return await this.attempt(url, attempt, abortLink.signal);
+                    } catch (error) {
+                        if (abortLink.signal.aborted) throw createAbortError();
+                        lastError = error;
+                        if (!error.retryable || attempt === maxAttempts) break;
+
+                        const wait = error.retryAfter !== undefined ? error.retryAfter : this.getBackoff(attempt);
+                        console.warn(`OData request failed (${error.message}), retry ${attempt}/${this.options.retries} in ${wait}ms`);
+                        await delay(wait, abortLink.signal);
+                    }
+                }
+            } finally {
+                abortLink.dispose();
+            }
+
+            throw new ODataError(lastError.message, {
+                url: url,
+                status: lastError.status,
+                attempts: lastError.attempts,
+                cause: lastError.cause || lastError
+            });
+        }
+
+        async attempt(url, attempt, abortSignal) {
+            const link = this.linkSignals([abortSignal]);
+            const timer = setTimeout(() => link.timeout(), this.options.timeout);
+            const fail = (message, details) => Object.assign(new Error(message), { attempts: attempt }, details);
+
+            try {
+                let response;
+                try {
+                    response = await this.fetchImpl(url, {
+                        headers: { 'Accept': 'application/json' },
+                        signal: link.signal
+                    });
+                } catch (error) {
+                    const message = link.timedOut ? `Timed out after ${this.options.timeout}ms` : `Network error: ${error.message}`;
+                    throw fail(message, { retryable: true, cause: error });
+                }
+
+                if (!response.ok) {
+                    const retryAfter = parseFloat(response.headers && response.headers.get ? response.headers.get('Retry-After') : '');
+                    throw fail(`HTTP ${response.status}`, {
+                        status: response.status,
+                        retryable: RETRY_STATUSES.includes(response.status),
+                        retryAfter: Number.isFinite(retryAfter) ? Math.min(retryAfter * 1000, this.options.maxRetryDelay) : undefined
+                    });
+                }
+
+                try {
+                    return await response.json();
+                } catch (error) {
+                    if (link.timedOut) throw fail(`Timed out after ${this.options.timeout}ms`, { retryable: true, cause: error });
+                    throw fail(`Invalid JSON: ${error.message}`, { status: response.status, cause: error });
+                }
+            } finally {
+                clearTimeout(timer);
+                link.dispose();
+            }
+        }
+
+        /**
+         * Exponential backoff with jitter: retryDelay * 2^(attempt-1), halved at random, capped.
+         * @param {number} attempt - The attempt that just failed (1-based).
+         * @returns {number} Delay in ms.
+         */
+        getBackoff(attempt) {
+            const base = Math.min(this.options.retryDelay * Math.pow(2, attempt - 1), this.options.maxRetryDelay);
+            return Math.round(base / 2 + Math.random() * base / 2);
+        }
+
+        /**
+         * Aborts every in-flight request made by this client.
+         */
+        abort() {
+            this.controller.abort();
+            this.controller = new AbortController();
+        }
+
+        /**
+         * Creates a signal that aborts when any of the source signals abort, or when
+         * `timeout()` is called on the returned link.
+         * @param {Array<AbortSignal>} sources - Source signals (null entries are ignored).
+         * @returns {Object} { signal, timedOut, timeout(), dispose() }.
+         */
+        linkSignals(sources) {
+            const controller = new AbortController();
+            const signals = sources.filter(Boolean);
+            const onAbort = () => controller.abort();
+            const link = {
+                signal: controller.signal,
+                timedOut: false,
+                timeout: () => {
+                    link.timedOut = true;
+                    controller.abort();
+                },
+                dispose: () => signals.forEach(source => source.removeEventListener('abort', onAbort))
+            };
+
+            signals.forEach(source => {
+                if (source.aborted) controller.abort();
+                else source.addEventListener('abort', onAbort, { once: true });
+            });
+            return link;
+        }
+    }
+
+    ODataClient.ODataError = ODataError;
+
+    // Expose to Global (Browser)
+    global.ODataClient = ODataClient;
+    global.ODataError = ODataError;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ODataClient;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,163 @@
+/**
+ * Offline Manager
+ * Registers the service worker (sw.js), shows an offline indicator and applies new
+ * service worker versions without a manual refresh.
+ *
+ * Connectivity comes from the browser's online/offline events and from the service worker,
+ * which reports failed network requests ({ type: 'network-status', online }) — on flaky
+ * Wi-Fi `navigator.onLine` often stays true.
+ *
+ * Updates: a new worker is activated once the page has been idle for `idleReloadDelay`
+ * (or is hidden), then the page reloads. The router keeps the open space in the URL, so
+ * the reload lands on the same view.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        serviceWorkerUrl: '/sw.js',
+        indicatorId: 'offline-indicator',
+        offlineClass: 'is-offline',             // Added to <body> while offline
+        updateCheckInterval: 30 * 60 * 1000,    // Kiosks never navigate, so poll for new versions
+        idleReloadDelay: 60 * 1000              // No input for this long before an update reloads the page
+    };
+
+    // User input that postpones an update reload
+    const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'wheel'];
+
+    class OfflineManager {
+        /**
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         */
+        constructor(options = {}) {
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.registration = null;
+            this.online = global.navigator.onLine !== false;
+            this.lastActivity = Date.now();
+            this.pendingWorker = null;
+            this.idleTimer = null;
+            this.reloading = false;
+        }
+
+        /**
+         * Checks whether the browser supports service workers.
+         * @returns {boolean}
+         */
+        static get supported() {
+            return 'serviceWorker' in global.navigator;
+        }
+
+        /**
+         * Starts tracking connectivity and registers the service worker after the page has loaded.
+         * @returns {Promise<ServiceWorkerRegistration|null>}
+         */
+        async register() {
+            global.addEventListener('online', () => this.setOnline(true));
+            global.addEventListener('offline', () => this.setOnline(false));
+            ACTIVITY_EVENTS.forEach(name => global.addEventListener(name, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true, capture: true }));
+            this.setOnline(this.online);
+
+            // Without service workers the indicator still works; offline mode is unavailable
+            if (!OfflineManager.supported) return null;
+
+            // Do not compete with the initial page load
+            if (global.document.readyState !== 'complete') {
+                await new Promise(resolve => global.addEventListener('load', resolve, { once: true }));
+            }
+
+            const container = global.navigator.serviceWorker;
+            const hadController = !!container.controller;
+
+            try {
+                this.registration = await container.register(this.options.serviceWorkerUrl);
+            } catch (error) {
+                console.warn('ServiceWorker registration failed:', error);
+                return null;
+            }
+
+            container.addEventListener('message', (e) => {
+                if (e.data && e.data.type === 'network-status') this.setOnline(e.data.online);
+            });
+
+            // The first install takes control without a reload; later versions reload the page
+            container.addEventListener('controllerchange', () => {
+                if (hadController && !this.reloading) {
+                    this.reloading = true;
+                    global.location.reload();
+                }
+            });
+
+            this.watchForUpdates(this.registration);
+            if (this.options.updateCheckInterval) {
+                global.setInterval(() => this.checkForUpdate(), this.options.updateCheckInterval);
+            }
+            return this.registration;
+        }
+
+        /**
+         * Asks the browser to fetch sw.js and install it if it changed.
+         */
+        checkForUpdate() {
+            if (this.registration) {
+                this.registration.update().catch(error => console.warn('ServiceWorker update check failed:', error));
+            }
+        }
+
+        watchForUpdates(registration) {
+            const hasController = () => !!global.navigator.serviceWorker.controller;
+
+            if (registration.waiting && hasController()) this.scheduleUpdate(registration.waiting);
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state === 'installed' && hasController()) this.scheduleUpdate(worker);
+                });
+            });
+        }
+
+        /**
+         * Activates a waiting worker once the page is idle; the controllerchange handler reloads.
+         * @param {ServiceWorker} worker - The installed, waiting worker.
+         */
+        scheduleUpdate(worker) {
+            this.pendingWorker = worker;
+            clearTimeout(this.idleTimer);
+
+            const check = () => {
+                const idleFor = Date.now() - this.lastActivity;
+                if (global.document.hidden || idleFor >= this.options.idleReloadDelay) {
+                    this.pendingWorker.postMessage({ type: 'skip-waiting' });
+                    this.pendingWorker = null;
+                } else {
+                    this.idleTimer = setTimeout(check, this.options.idleReloadDelay - idleFor);
+                }
+            };
+            check();
+        }
+
+        /**
+         * Updates the offline indicator.
+         * @param {boolean} online - Current connectivity.
+         */
+        setOnline(online) {
+            this.online = online;
+            const body = global.document.body;
+            if (body) body.classList.toggle(this.options.offlineClass, !online);
+
+            const indicator = global.document.getElementById(this.options.indicatorId);
+            if (indicator) indicator.hidden = online;
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.OfflineManager = OfflineManager;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = OfflineManager;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,112 @@
+/**
+ * Product Compare
+ * The products picked for side-by-side comparison. Products can come from any space, so the
+ * set lives with the controller and survives moving between spaces (not page reloads).
+ *
+ * Entries are { key, spaceId, spaceName, productIndex, product }; `key` identifies a product
+ * across data refreshes (its CMS Id, or its space and position when it has none).
+ * Changes are reported through `onChange(entries)`.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        min: 2,         // Products needed before the comparison can be opened
+        max: 4,         // Products that fit side by side
+        onChange: null  // function(entries) called after every change
+    };
+
+    class ProductCompare {
+        /**
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         */
+        constructor(options = {}) {
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.onChange = this.options.onChange;
+            this.entries = [];
+        }
+
+        /**
+         * Builds the key of a product.
+         * @param {Object} product - The transformed product.
+         * @param {string} spaceId - The space it belongs to.
+         * @param {number} index - Its position in the space's equipment.
+         * @returns {string}
+         */
+        static keyOf(product, spaceId, index) {
+            return product && product.id ? String(product.id) : `${spaceId}#${index}`;
+        }
+
+        get size() {
+            return this.entries.length;
+        }
+
+        get isFull() {
+            return this.entries.length >= this.options.max;
+        }
+
+        /**
+         * Whether enough products are picked to compare them.
+         * @returns {boolean}
+         */
+        get canCompare() {
+            return this.entries.length >= this.options.min;
+        }
+
+        has(key) {
+            return this.entries.some(entry => entry.key === key);
+        }
+
+        /**
+         * Adds a product.
+         * @param {Object} entry - { key, spaceId, spaceName, productIndex, product }.
+         * @returns {boolean} False when it is already picked or the set is full.
+         */
+        add(entry) {
+            if (!entry || this.has(entry.key) || this.isFull) return false;
+            this.entries.push(entry);
+            this.changed();
+            return true;
+        }
+
+        /**
+         * Removes a product.
+         * @param {string} key - The product key.
+         * @returns {boolean} False when it was not picked.
+         */
+        remove(key) {
+            const index = this.entries.findIndex(entry => entry.key === key);
+            if (index === -1) return false;
+            this.entries.splice(index, 1);
+            this.changed();
+            return true;
+        }
+
+        clear() {
+            if (!this.entries.length) return;
+            this.entries = [];
+            this.changed();
+        }
+
+        /**
+         * Re-resolves the entries after new data was loaded; products that no longer exist are dropped.
+         * @param {function(Object): Object|null} resolve - Returns the updated entry for an entry, or null.
+         */
+        refresh(resolve) {
+            this.entries = this.entries.map(resolve).filter(Boolean);
+            this.changed();
+        }
+
+        changed() {
+            if (typeof this.onChange === 'function') this.onChange(this.entries.slice());
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.ProductCompare = ProductCompare;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProductCompare;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,219 @@
+/**
+ * Product Shortlist ("My Selections")
+ * Equipment collected for a project while walking through the spaces. The list is kept in
+ * localStorage per building type, so it survives page reloads and later visits, and can be
+ * exported as CSV or JSON or shared as a link (?shortlist=<id>,<id>).
+ *
+ * Items are { id, title, productDetailsUrl, spaceId, spaceName, addedAt }; `id` is the CMS Id
+ * of the product (DataAdapter.transformEquipment), so products without one cannot be listed.
+ * Changes are reported through `onChange(items)`.
+ * Storage failures (private mode, quota) are logged and the list lasts for the visit only.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        prefix: 'gh-shortlist', // Storage key prefix; the building type is appended
+        param: 'shortlist',     // Query parameter of shared links
+        onChange: null          // function(items) called after every change
+    };
+
+    // Columns of the CSV export: [header, item property]
+    const CSV_COLUMNS = [
+        ['Product', 'title'],
+        ['Space', 'spaceName'],
+        ['Product ID', 'id'],
+        ['Product URL', 'productDetailsUrl']
+    ];
+
+    class ProductShortlist {
+        /**
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         * @param {Storage} [options.storage] - Storage backend (default window.localStorage).
+         */
+        constructor(options = {}) {
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.storage = options.storage !== undefined ? options.storage : ProductShortlist.getLocalStorage();
+            this.onChange = this.options.onChange;
+            this.scope = null;
+            this.items = [];
+        }
+
+        /**
+         * Returns localStorage, or null when it is unavailable (e.g. blocked by privacy settings).
+         * @returns {Storage|null}
+         */
+        static getLocalStorage() {
+            try {
+                return global.localStorage || null;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        /**
+         * Reads the product IDs of a shared link.
+         * @param {string} search - A query string (location.search).
+         * @param {string} [param] - The query parameter.
+         * @returns {Array<string>}
+         */
+        static readIds(search, param = DEFAULT_OPTIONS.param) {
+            const value = new URLSearchParams(search).get(param) || '';
+            return Array.from(new Set(value.split(',').map(id => id.trim()).filter(Boolean)));
+        }
+
+        get size() {
+            return this.items.length;
+        }
+
+        has(id) {
+            return this.items.some(item => item.id === id);
+        }
+
+        /**
+         * Loads the stored list of a building type.
+         * @param {string} scope - The building type key.
+         * @returns {ProductShortlist} This instance.
+         */
+        load(scope) {
+            this.scope = scope;
+            this.items = [];
+            if (this.storage) {
+                try {
+                    const stored = JSON.parse(this.storage.getItem(this.key()) || '[]');
+                    this.items = (Array.isArray(stored) ? stored : []).filter(item => item && item.id);
+                } catch (error) {
+                    console.warn('Discarding unreadable shortlist:', error);
+                }
+            }
+            this.changed(false);
+            return this;
+        }
+
+        key() {
+            return `${this.options.prefix}:${this.scope}`;
+        }
+
+        /**
+         * Adds a product.
+         * @param {Object} item - { id, title, productDetailsUrl, spaceId, spaceName }.
+         * @returns {boolean} False when it has no ID or is already listed.
+         */
+        add(item) {
+            if (!item || !item.id || this.has(item.id)) return false;
+            this.items.push({
+                id: String(item.id),
+                title: item.title || '',
+                productDetailsUrl: item.productDetailsUrl || null,
+                spaceId: item.spaceId || null,
+                spaceName: item.spaceName || '',
+                addedAt: new Date().toISOString()
+            });
+            this.changed();
+            return true;
+        }
+
+        /**
+         * Removes a product.
+         * @param {string} id - The product ID.
+         * @returns {boolean} False when it was not listed.
+         */
+        remove(id) {
+            const index = this.items.findIndex(item => item.id === id);
+            if (index === -1) return false;
+            this.items.splice(index, 1);
+            this.changed();
+            return true;
+        }
+
+        clear() {
+            if (!this.items.length) return;
+            this.items = [];
+            this.changed();
+        }
+
+        /**
+         * Updates titles, links and spaces from freshly loaded data. Products the data no longer
+         * contains keep their stored details: the list belongs to the user, not to the CMS.
+         * @param {function(Object): Object|null} resolve - Returns the current details of an item, or null.
+         */
+        refresh(resolve) {
+            this.items = this.items.map(item => {
+                const current = resolve(item);
+                return current ? { ...item, ...current, id: item.id, addedAt: item.addedAt } : item;
+            });
+            this.changed();
+        }
+
+        /**
+         * Builds the CSV export (RFC 4180, one row per product).
+         * @returns {string}
+         */
+        toCSV() {
+            const rows = [CSV_COLUMNS.map(([header]) => header)]
+                .concat(this.items.map(item => CSV_COLUMNS.map(([, property]) => item[property])));
+            return rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+        }
+
+        /**
+         * Builds the JSON export.
+         * @param {Object} [meta] - Extra top-level fields (e.g. the page title).
+         * @returns {string}
+         */
+        toJSON(meta = {}) {
+            return JSON.stringify({
+                ...meta,
+                buildingType: this.scope,
+                exportedAt: new Date().toISOString(),
+                items: this.items.map(item => ({
+                    id: item.id,
+                    title: item.title,
+                    space: item.spaceName,
+                    spaceId: item.spaceId,
+                    productDetailsUrl: item.productDetailsUrl
+                }))
+            }, null, 2);
+        }
+
+        /**
+         * Builds a link that opens the page with this list.
+         * @param {string} href - The page URL to share.
+         * @returns {string}
+         */
+        toUrl(href) {
+            const url = new URL(href);
+            url.searchParams.set(this.options.param, this.items.map(item => item.id).join(','));
+            return url.href;
+        }
+
+        changed(persist = true) {
+            if (persist) this.save();
+            if (typeof this.onChange === 'function') this.onChange(this.items.slice());
+        }
+
+        save() {
+            if (!this.storage || !this.scope) return;
+            try {
+                if (this.items.length) this.storage.setItem(this.key(), JSON.stringify(this.items));
+                else this.storage.removeItem(this.key());
+            } catch (error) {
+                console.warn('Could not save the shortlist:', error);
+            }
+        }
+    }
+
+    // Quotes a CSV cell; cells a spreadsheet would run as a formula are prefixed with '
+    function csvCell(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Expose to Global (Browser)
+    global.ProductShortlist = ProductShortlist;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ProductShortlist;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
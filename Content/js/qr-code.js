@@ -0,0 +1,437 @@
+/**
+ * QR Code Generator
+ * Minimal QR Code (Model 2) encoder for byte-mode text, used by the share modal
+ * to render links without a third-party service. Output is an SVG string.
+ *
+ * Follows ISO/IEC 18004: versions 1-40, error correction levels L/M/Q/H,
+ * automatic version selection and mask selection by penalty score.
+ */
+
+(function(global) {
+    const ECC_LEVELS = {
+        L: { ordinal: 0, formatBits: 1 },
+        M: { ordinal: 1, formatBits: 0 },
+        Q: { ordinal: 2, formatBits: 3 },
+        H: { ordinal: 3, formatBits: 2 }
+    };
+
+    // Indexed by [ecc ordinal][version]; index 0 is unused padding
+    const ECC_CODEWORDS_PER_BLOCK = [
+        [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    ];
+
+    const NUM_ERROR_CORRECTION_BLOCKS = [
+        [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    ];
+
+    const MIN_VERSION = 1;
+    const MAX_VERSION = 40;
+
+    const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+    /**
+     * Encodes a string as UTF-8 bytes.
+     * @param {string} text - The text to encode.
+     * @returns {Array<number>} The bytes.
+     */
+    function toUtf8Bytes(text) {
+        if (typeof TextEncoder !== 'undefined') {
+            return Array.from(new TextEncoder().encode(text));
+        }
+        return Array.from(unescape(encodeURIComponent(text)), c => c.charCodeAt(0));
+    }
+
+    /* --- Reed-Solomon over GF(2^8/0x11D) --- */
+
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        data.forEach(b => {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => {
+                result[i] ^= gfMultiply(coef, factor);
+            });
+        });
+        return result;
+    }
+
+    /* --- Capacity --- */
+
+    function getNumRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    }
+
+    function getNumDataCodewords(version, ecl) {
+        return Math.floor(getNumRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    }
+
+    function getAlignmentPatternPositions(version) {
+        if (version === 1) return [];
+        const size = version * 4 + 17;
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+        const result = [6];
+        for (let pos = size - 7; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    /* --- Symbol construction --- */
+
+    class QrMatrix {
+        constructor(version, ecl) {
+            this.version = version;
+            this.ecl = ecl;
+            this.size = version * 4 + 17;
+            this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+            this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        }
+
+        setFunctionModule(x, y, isDark) {
+            this.modules[y][x] = isDark;
+            this.isFunction[y][x] = true;
+        }
+
+        drawFunctionPatterns() {
+            const size = this.size;
+            for (let i = 0; i < size; i++) {
+                this.setFunctionModule(6, i, i % 2 === 0);
+                this.setFunctionModule(i, 6, i % 2 === 0);
+            }
+
+            this.drawFinderPattern(3, 3);
+            this.drawFinderPattern(size - 4, 3);
+            this.drawFinderPattern(3, size - 4);
+
+            const positions = getAlignmentPatternPositions(this.version);
+            const last = positions.length - 1;
+            positions.forEach((px, i) => {
+                positions.forEach((py, j) => {
+                    const overlapsFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                    if (!overlapsFinder) this.drawAlignmentPattern(px, py);
+                });
+            });
+
+            this.drawFormatBits(0); // Placeholder, overwritten once the mask is chosen
+            this.drawVersion();
+        }
+
+        drawFinderPattern(x, y) {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const dist = Math.max(Math.abs(dx), Math.abs(dy));
+                    const xx = x + dx;
+                    const yy = y + dy;
+                    if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+                        this.setFunctionModule(xx, yy, dist !== 2 && dist !== 4);
+                    }
+                }
+            }
+        }
+
+        drawAlignmentPattern(x, y) {
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }
+
+        drawFormatBits(mask) {
+            const data = (this.ecl.formatBits << 3) | mask;
+            let rem = data;
+            for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+            const bits = ((data << 10) | rem) ^ 0x5412;
+            const size = this.size;
+
+            // First copy (around the top-left finder)
+            for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, getBit(bits, i));
+            this.setFunctionModule(8, 7, getBit(bits, 6));
+            this.setFunctionModule(8, 8, getBit(bits, 7));
+            this.setFunctionModule(7, 8, getBit(bits, 8));
+            for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, getBit(bits, i));
+
+            // Second copy (split between the other two finders)
+            for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, getBit(bits, i));
+            for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, getBit(bits, i));
+            this.setFunctionModule(8, size - 8, true); // Always dark
+        }
+
+        drawVersion() {
+            if (this.version < 7) return;
+            let rem = this.version;
+            for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+            const bits = (this.version << 12) | rem;
+
+            for (let i = 0; i < 18; i++) {
+                const bit = getBit(bits, i);
+                const a = this.size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                this.setFunctionModule(a, b, bit);
+                this.setFunctionModule(b, a, bit);
+            }
+        }
+
+        drawCodewords(codewords) {
+            let i = 0;
+            for (let right = this.size - 1; right >= 1; right -= 2) {
+                if (right === 6) right = 5; // Skip the vertical timing pattern
+                for (let vert = 0; vert < this.size; vert++) {
+                    for (let j = 0; j < 2; j++) {
+                        const x = right - j;
+                        const upward = ((right + 1) & 2) === 0;
+                        const y = upward ? this.size - 1 - vert : vert;
+                        if (!this.isFunction[y][x] && i < codewords.length * 8) {
+                            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                            i++;
+                        }
+                    }
+                }
+            }
+        }
+
+        applyMask(mask) {
+            for (let y = 0; y < this.size; y++) {
+                for (let x = 0; x < this.size; x++) {
+                    let invert;
+                    switch (mask) {
+                        case 0: invert = (x + y) % 2 === 0; break;
+                        case 1: invert = y % 2 === 0; break;
+                        case 2: invert = x % 3 === 0; break;
+                        case 3: invert = (x + y) % 3 === 0; break;
+                        case 4: invert = (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0; break;
+                        case 5: invert = (x * y) % 2 + (x * y) % 3 === 0; break;
+                        case 6: invert = ((x * y) % 2 + (x * y) % 3) % 2 === 0; break;
+                        case 7: invert = ((x + y) % 2 + (x * y) % 3) % 2 === 0; break;
+                        default: throw new Error('Invalid mask');
+                    }
+                    if (!this.isFunction[y][x] && invert) this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+
+        getPenaltyScore() {
+            const size = this.size;
+            const finderLike = [
+                [true, false, true, true, true, false, true, false, false, false, false],
+                [false, false, false, false, true, false, true, true, true, false, true]
+            ];
+            let result = 0;
+            let dark = 0;
+
+            const scanLine = (get) => {
+                let runColor = get(0);
+                let runLength = 1;
+                for (let i = 1; i < size; i++) {
+                    if (get(i) === runColor) {
+                        runLength++;
+                        if (runLength === 5) result += 3;
+                        else if (runLength > 5) result++;
+                    } else {
+                        runColor = get(i);
+                        runLength = 1;
+                    }
+                }
+                for (let i = 0; i + 11 <= size; i++) {
+                    finderLike.forEach(pattern => {
+                        if (pattern.every((bit, k) => get(i + k) === bit)) result += 40;
+                    });
+                }
+            };
+
+            for (let y = 0; y < size; y++) scanLine(x => this.modules[y][x]);
+            for (let x = 0; x < size; x++) scanLine(y => this.modules[y][x]);
+
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    const color = this.modules[y][x];
+                    if (color) dark++;
+                    if (x < size - 1 && y < size - 1 &&
+                        color === this.modules[y][x + 1] &&
+                        color === this.modules[y + 1][x] &&
+                        color === this.modules[y + 1][x + 1]) {
+                        result += 3;
+                    }
+                }
+            }
+
+            const total = size * size;
+            const k = Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1;
+            result += Math.max(k, 0) * 10;
+            return result;
+        }
+    }
+
+    /**
+     * Splits data codewords into blocks, appends Reed-Solomon codewords and interleaves them.
+     */
+    function addEccAndInterleave(data, version, ecl) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+        const blockEccLen = ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+        const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+        const blocks = [];
+        const divisor = reedSolomonDivisor(blockEccLen);
+        for (let i = 0, k = 0; i < numBlocks; i++) {
+            const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+            k += dat.length;
+            const ecc = reedSolomonRemainder(dat, divisor);
+            if (i < numShortBlocks) dat.push(0);
+            blocks.push(dat.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte in short blocks
+                if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    }
+
+    class QrCode {
+        /**
+         * Encodes text into a QR code module matrix.
+         *
+         * @param {string} text - The text (typically a URL) to encode.
+         * @param {Object} [options] - Encoding options.
+         * @param {string} [options.ecl] - Error correction level: 'L', 'M' (default), 'Q' or 'H'.
+         * @returns {{version: number, size: number, modules: Array<Array<boolean>>}} The symbol.
+         */
+        static encode(text, options = {}) {
+            const ecl = ECC_LEVELS[options.ecl] || ECC_LEVELS.M;
+            const bytes = toUtf8Bytes(String(text));
+
+            // Pick the smallest version that fits (byte mode)
+            let version = MIN_VERSION;
+            let dataBits;
+            for (; ; version++) {
+                if (version > MAX_VERSION) throw new RangeError('Text too long for a QR code');
+                const countBits = version <= 9 ? 8 : 16;
+                dataBits = 4 + countBits + bytes.length * 8;
+                if (dataBits <= getNumDataCodewords(version, ecl) * 8) break;
+            }
+
+            // Build the bit stream: mode, length, data, terminator and padding
+            const bits = [];
+            const appendBits = (value, length) => {
+                for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+            };
+            appendBits(0x4, 4);
+            appendBits(bytes.length, version <= 9 ? 8 : 16);
+            bytes.forEach(b => appendBits(b, 8));
+
+            const capacityBits = getNumDataCodewords(version, ecl) * 8;
+            appendBits(0, Math.min(4, capacityBits - bits.length));
+            appendBits(0, (8 - bits.length % 8) % 8);
+            for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) appendBits(pad, 8);
+
+            const data = [];
+            for (let i = 0; i < bits.length; i += 8) {
+                data.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+            }
+
+            const matrix = new QrMatrix(version, ecl);
+            matrix.drawFunctionPatterns();
+            matrix.drawCodewords(addEccAndInterleave(data, version, ecl));
+
+            // Choose the mask with the lowest penalty
+            let bestMask = 0;
+            let minPenalty = Infinity;
+            for (let mask = 0; mask < 8; mask++) {
+                matrix.applyMask(mask);
+                matrix.drawFormatBits(mask);
+                const penalty = matrix.getPenaltyScore();
+                if (penalty < minPenalty) {
+                    bestMask = mask;
+                    minPenalty = penalty;
+                }
+                matrix.applyMask(mask); // XOR again to undo
+            }
+            matrix.applyMask(bestMask);
+            matrix.drawFormatBits(bestMask);
+
+            return { version: version, size: matrix.size, modules: matrix.modules };
+        }
+
+        /**
+         * Renders text as an SVG QR code.
+         *
+         * @param {string} text - The text to encode.
+         * @param {Object} [options] - Rendering options.
+         * @param {string} [options.ecl] - Error correction level (default 'M').
+         * @param {number} [options.border] - Quiet zone in modules (default 4).
+         * @param {string} [options.dark] - Dark module color.
+         * @param {string} [options.light] - Background color.
+         * @param {string} [options.title] - Accessible title for the image.
+         * @returns {string} The SVG markup.
+         */
+        static toSvg(text, options = {}) {
+            const { size, modules } = this.encode(text, options);
+            const border = options.border !== undefined ? options.border : 4;
+            const dim = size + border * 2;
+            const parts = [];
+            modules.forEach((row, y) => {
+                row.forEach((isDark, x) => {
+                    if (isDark) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+                });
+            });
+            const title = options.title ? `<title>${String(options.title).replace(/[<&>"]/g, '')}</title>` : '';
+
+            return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${dim} ${dim}" shape-rendering="crispEdges" role="img">` +
+                title +
+                `<rect width="100%" height="100%" fill="${options.light || '#FFFFFF'}"/>` +
+                `<path d="${parts.join('')}" fill="${options.dark || '#000000'}"/>` +
+                '</svg>';
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.QrCode = QrCode;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = QrCode;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
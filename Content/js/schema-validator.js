@@ -0,0 +1,199 @@
+/**
+ * Schema Validator
+ * Small declarative validator used by DataAdapter to check CMS payloads and report
+ * problems with JSON paths (e.g. "Spaces[1].SystemEquipment[2].SliderImage missing").
+ *
+ * Schema node options:
+ * - type:         'object' | 'array' | 'string' | 'number' | 'boolean'
+ * - required:     'error' | 'warning' (severity when missing; omit for optional)
+ * - alternatives: sibling property names that satisfy `required` (e.g. Title or Name)
+ * - properties:   child schemas for object properties
+ * - items:        schema applied to each array item
+ * - minItems:     minimum array length (shorter arrays are reported as missing)
+ * - format:       'url' (safe, well-formed URL) | 'html' (rich text changed by the sanitizer)
+ * - check:        function(value) returning a message (or null) for custom rules
+ * - severity:     severity for type/format/check problems (default 'warning')
+ */
+
+(function(global) {
+    const HtmlSanitizer = global.HtmlSanitizer ||
+        (typeof require === 'function' ? require('./html-sanitizer') : null);
+
+    const SEVERITY = {
+        error: 'error',
+        warning: 'warning'
+    };
+
+    /**
+     * Collects validation findings.
+     */
+    class ValidationReport {
+        constructor() {
+            this.errors = [];
+            this.warnings = [];
+        }
+
+        /**
+         * Formats an issue as "<path> <message>".
+         * @param {Object} issue - The issue ({ severity, path, message }).
+         * @returns {string}
+         */
+        static format(issue) {
+            return issue.path ? `${issue.path} ${issue.message}` : issue.message;
+        }
+
+        add(severity, path, message) {
+            const issue = { severity: severity, path: path || '$', message: message };
+            (severity === SEVERITY.error ? this.errors : this.warnings).push(issue);
+            return issue;
+        }
+
+        error(path, message) {
+            return this.add(SEVERITY.error, path, message);
+        }
+
+        warn(path, message) {
+            return this.add(SEVERITY.warning, path, message);
+        }
+
+        /**
+         * True when no errors were found (warnings are allowed).
+         * @returns {boolean}
+         */
+        get valid() {
+            return this.errors.length === 0;
+        }
+
+        /**
+         * All issues, errors first.
+         * @returns {Array<Object>}
+         */
+        get issues() {
+            return this.errors.concat(this.warnings);
+        }
+
+        toJSON() {
+            return { valid: this.valid, errors: this.errors, warnings: this.warnings };
+        }
+    }
+
+    /**
+     * Thrown by strict-mode transforms when the payload has validation errors.
+     */
+    class DataValidationError extends Error {
+        /**
+         * @param {ValidationReport} report - The report containing the errors.
+         */
+        constructor(report) {
+            const summary = report.errors.slice(0, 5).map(ValidationReport.format).join('; ');
+            const more = report.errors.length > 5 ? ` (+${report.errors.length - 5} more)` : '';
+            super(`CMS payload failed validation: ${summary}${more}`);
+            this.name = 'DataValidationError';
+            this.report = report;
+        }
+    }
+
+    const typeOf = (value) => {
+        if (value === null) return 'null';
+        return Array.isArray(value) ? 'array' : typeof value;
+    };
+
+    const isMissing = (value) => value === undefined || value === null || value === '';
+
+    const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : (path ? `${path}.${key}` : key));
+
+    class SchemaValidator {
+        /**
+         * @param {Object} schema - The root schema node.
+         * @param {Object} [options] - Validator options.
+         * @param {HtmlSanitizer} [options.sanitizer] - Used by the 'html' format.
+         * @param {Array<string>} [options.urlProtocols] - Protocols accepted by the 'url' format.
+         */
+        constructor(schema, options = {}) {
+            this.schema = schema;
+            this.sanitizer = options.sanitizer || null;
+            this.urlProtocols = options.urlProtocols || ['http:', 'https:'];
+        }
+
+        /**
+         * Validates data against the schema.
+         * @param {*} data - The data to validate.
+         * @param {ValidationReport} [report] - Report to append to.
+         * @param {string} [path] - JSON path of `data`.
+         * @returns {ValidationReport}
+         */
+        validate(data, report = new ValidationReport(), path = '') {
+            this.validateNode(this.schema, data, path, report);
+            return report;
+        }
+
+        validateNode(schema, value, path, report) {
+            const severity = schema.severity || SEVERITY.warning;
+
+            if (isMissing(value)) {
+                if (schema.required) report.add(schema.required, path, 'missing');
+                return;
+            }
+
+            const actual = typeOf(value);
+            if (schema.type && actual !== schema.type) {
+                report.add(schema.required === SEVERITY.error ? SEVERITY.error : severity, path,
+                    `expected ${schema.type}, got ${actual}`);
+                return;
+            }
+
+            if (schema.type === 'array') {
+                if (schema.minItems && value.length < schema.minItems) {
+                    if (schema.required) report.add(schema.required, path, 'missing');
+                    return;
+                }
+                if (schema.items) {
+                    value.forEach((item, i) => this.validateNode(schema.items, item, joinPath(path, i), report));
+                }
+            }
+
+            if (schema.type === 'object' && schema.properties) {
+                Object.keys(schema.properties).forEach(key => {
+                    const child = schema.properties[key];
+                    const childPath = joinPath(path, key);
+                    const satisfiedByAlternative = isMissing(value[key]) && (child.alternatives || [])
+                        .some(alt => !isMissing(value[alt]));
+                    if (!satisfiedByAlternative) this.validateNode(child, value[key], childPath, report);
+                });
+            }
+
+            if (schema.format) this.validateFormat(schema.format, value, path, severity, report);
+
+            if (typeof schema.check === 'function') {
+                const message = schema.check(value);
+                if (message) report.add(severity, path, message);
+            }
+        }
+
+        validateFormat(format, value, path, severity, report) {
+            if (format === 'url') {
+                if (!HtmlSanitizer.sanitizeUrl(value, { protocols: this.urlProtocols })) {
+                    report.add(severity, path, `unsafe or invalid URL "${value}"`);
+                }
+            } else if (format === 'html' && this.sanitizer) {
+                const issues = [];
+                this.sanitizer.sanitize(value, issues);
+                issues.forEach(issue => report.add(severity, path, `HTML ${issue}`));
+            }
+        }
+    }
+
+    SchemaValidator.ValidationReport = ValidationReport;
+    SchemaValidator.DataValidationError = DataValidationError;
+
+    // Expose to Global (Browser)
+    global.SchemaValidator = SchemaValidator;
+    global.ValidationReport = ValidationReport;
+    global.DataValidationError = DataValidationError;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SchemaValidator;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,245 @@
+/**
+ * Share Manager
+ * Shares the page, a space or a product using the Web Share API when available,
+ * falling back to a share modal with copy-to-clipboard, email and a QR code.
+ *
+ * Analytics hooks: every step dispatches a CustomEvent on the event target
+ * (document by default). `event.detail` carries { target, id, title, url, method, error }.
+ *   - gh:share-open      A share was requested
+ *   - gh:share-complete  The link was shared (method: 'native' | 'copy' | 'email')
+ *   - gh:share-cancel    The user dismissed the native sheet or the modal
+ *   - gh:share-error     Sharing failed (e.g. clipboard denied)
+ */
+
+(function(global) {
+    const DialogController = global.DialogController || (typeof require === 'function' ? require('./dialog-controller') : null);
+
+    const EVENTS = {
+        open: 'gh:share-open',
+        complete: 'gh:share-complete',
+        cancel: 'gh:share-cancel',
+        error: 'gh:share-error'
+    };
+
+    const DEFAULT_IDS = {
+        modal: 'share-modal',
+        title: 'share-modal-title',
+        closeBtn: 'share-modal-close-btn',
+        linkInput: 'share-modal-link',
+        copyBtn: 'share-modal-copy-btn',
+        emailLink: 'share-modal-email-link',
+        qr: 'share-modal-qr',
+        status: 'share-modal-status'
+    };
+
+    class ShareManager {
+        /**
+         * @param {Object} [options] - Share options.
+         * @param {Object} [options.ids] - DOM IDs of the share modal elements (see DEFAULT_IDS).
+         * @param {boolean} [options.useNativeShare] - Use navigator.share when available (default true).
+         * @param {string} [options.copiedMessage] - Status text shown after copying.
+         * @param {EventTarget} [options.eventTarget] - Where analytics events are dispatched.
+         */
+        constructor(options = {}) {
+            this.ids = { ...DEFAULT_IDS, ...options.ids };
+            this.useNativeShare = options.useNativeShare !== false;
+            this.copiedMessage = options.copiedMessage || 'Link copied to clipboard';
+            this.eventTarget = options.eventTarget || global.document;
+            this.payload = null; // The payload currently shown in the modal
+
+            this.modal = global.document.getElementById(this.ids.modal);
+            this.dialog = this.modal && DialogController ? new DialogController(this.modal, {
+                labelledBy: this.ids.title,
+                initialFocus: `#${this.ids.copyBtn}`,
+                onDismiss: () => this.closeModal()
+            }) : null;
+            this.bindModalEvents();
+        }
+
+        /**
+         * Event names dispatched by the share manager.
+         * @returns {Object}
+         */
+        static get EVENTS() {
+            return EVENTS;
+        }
+
+        /**
+         * Builds a mailto: link for a payload.
+         * @param {Object} payload - The share payload ({ title, text, url }).
+         * @returns {string}
+         */
+        static buildMailto(payload) {
+            const body = [payload.text, payload.url].filter(Boolean).join('\n\n');
+            return `mailto:?subject=${encodeURIComponent(payload.title || '')}&body=${encodeURIComponent(body)}`;
+        }
+
+        /**
+         * Shares a payload. Tries the native share sheet first and falls back to the modal.
+         *
+         * @param {Object} payload - What to share.
+         * @param {string} payload.url - Absolute URL to share.
+         * @param {string} [payload.title] - Title of the shared item.
+         * @param {string} [payload.text] - Short description.
+         * @param {string} [payload.target] - 'page', 'space' or 'product' (for analytics).
+         * @param {string} [payload.id] - ID of the shared space/product (for analytics).
+         * @returns {Promise<void>}
+         */
+        async share(payload) {
+            this.emit(EVENTS.open, payload);
+
+            const nav = global.navigator;
+            const data = { title: payload.title, text: payload.text, url: payload.url };
+            const canShareNatively = this.useNativeShare && nav && typeof nav.share === 'function' &&
+                (typeof nav.canShare !== 'function' || nav.canShare(data));
+
+            if (canShareNatively) {
+                try {
+                    await nav.share(data);
+                    this.emit(EVENTS.complete, payload, { method: 'native' });
+                    return;
+                } catch (error) {
+                    if (error && error.name === 'AbortError') {
+                        this.emit(EVENTS.cancel, payload, { method: 'native' });
+                        return;
+                    }
+                    console.warn('Native share failed, falling back to share modal:', error);
+                }
+            }
+
+            this.openModal(payload);
+        }
+
+        /**
+         * Populates and shows the fallback share modal.
+         * @param {Object} payload - The share payload.
+         */
+        openModal(payload) {
+            if (!this.modal) {
+                console.error('Share modal not found in DOM');
+                return;
+            }
+            this.payload = payload;
+
+            const titleEl = global.document.getElementById(this.ids.title);
+            if (titleEl) titleEl.textContent = payload.title ? `Share ${payload.title}` : 'Share';
+
+            const input = global.document.getElementById(this.ids.linkInput);
+            if (input) input.value = payload.url;
+
+            const email = global.document.getElementById(this.ids.emailLink);
+            if (email) email.setAttribute('href', ShareManager.buildMailto(payload));
+
+            const qr = global.document.getElementById(this.ids.qr);
+            if (qr && typeof QrCode !== 'undefined') {
+                try {
+                    qr.innerHTML = QrCode.toSvg(payload.url, { title: `QR code for ${payload.title || payload.url}` });
+                } catch (error) {
+                    console.warn('QR code generation failed:', error);
+                    qr.innerHTML = '';
+                }
+            }
+
+            this.setStatus('');
+            if (this.dialog) {
+                this.dialog.open();
+            } else {
+                this.modal.style.display = 'flex';
+                const copyBtn = global.document.getElementById(this.ids.copyBtn);
+                if (copyBtn) copyBtn.focus();
+            }
+        }
+
+        /**
+         * Hides the share modal.
+         * @param {boolean} cancelled - True when the user dismissed the modal without sharing.
+         */
+        closeModal(cancelled = true) {
+            if (!this.modal || this.modal.style.display === 'none') return;
+            if (this.dialog) this.dialog.close();
+            else this.modal.style.display = 'none';
+            if (cancelled && this.payload) this.emit(EVENTS.cancel, this.payload, { method: 'modal' });
+            this.payload = null;
+        }
+
+        /**
+         * Copies the current payload URL to the clipboard.
+         * @returns {Promise<boolean>} True if the copy succeeded.
+         */
+        async copyLink() {
+            if (!this.payload) return false;
+            const url = this.payload.url;
+
+            try {
+                const clipboard = global.navigator && global.navigator.clipboard;
+                if (clipboard && typeof clipboard.writeText === 'function') {
+                    await clipboard.writeText(url);
+                } else {
+                    // Legacy fallback: select the read-only input and use execCommand
+                    const input = global.document.getElementById(this.ids.linkInput);
+                    if (!input) throw new Error('Link input not found');
+                    input.select();
+                    if (!global.document.execCommand('copy')) throw new Error('Copy command was rejected');
+                }
+                this.setStatus(this.copiedMessage);
+                this.emit(EVENTS.complete, this.payload, { method: 'copy' });
+                return true;
+            } catch (error) {
+                console.error('Copy to clipboard failed:', error);
+                this.setStatus('Copy failed. Select the link and copy it manually.');
+                this.emit(EVENTS.error, this.payload, { method: 'copy', error: error.message });
+                return false;
+            }
+        }
+
+        setStatus(message) {
+            const status = global.document.getElementById(this.ids.status);
+            if (status) status.textContent = message;
+        }
+
+        bindModalEvents() {
+            if (!this.modal) return;
+
+            const closeBtn = global.document.getElementById(this.ids.closeBtn);
+            if (closeBtn) closeBtn.addEventListener('click', () => this.closeModal());
+
+            const copyBtn = global.document.getElementById(this.ids.copyBtn);
+            if (copyBtn) copyBtn.addEventListener('click', () => this.copyLink());
+
+            const email = global.document.getElementById(this.ids.emailLink);
+            if (email) {
+                email.addEventListener('click', () => {
+                    if (this.payload) this.emit(EVENTS.complete, this.payload, { method: 'email' });
+                });
+            }
+
+            // Clicking the backdrop dismisses the modal (DialogController handles it, and Escape, when loaded)
+            if (!this.dialog) {
+                this.modal.addEventListener('click', (e) => {
+                    if (e.target === this.modal) this.closeModal();
+                });
+            }
+        }
+
+        emit(name, payload, extra = {}) {
+            if (!this.eventTarget || typeof global.CustomEvent !== 'function') return;
+            const detail = {
+                target: payload.target || 'page',
+                id: payload.id || null,
+                title: payload.title || '',
+                url: payload.url,
+                ...extra
+            };
+            this.eventTarget.dispatchEvent(new global.CustomEvent(name, { detail: detail }));
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.ShareManager = ShareManager;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = ShareManager;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
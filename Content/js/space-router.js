@@ -0,0 +1,163 @@
+/**
+ * Space Router
+ * Keeps the space selection modal state (scene, space, tab and carousel slide)
+ * in the URL so views can be bookmarked, shared and walked with Back/Forward.
+ *
+ * Route format (hash mode):  #scene=detail&space=gym&tab=system-equipment&slide=3
+ * Route format (query mode): ?buildingType=k-12&scene=detail&space=gym&tab=system-equipment&slide=3
+ * Slides are 1-based in the URL and 0-based in the route state.
+ * `space` is written as the space's CMS Id; slugs (space=gym) and aliases are read as well,
+ * as SpaceModel resolves either form.
+ */
+
+(function(global) {
+    // URL parameter names owned by the router
+    const PARAMS = {
+        scene: 'scene',
+        space: 'space',
+        tab: 'tab',
+        slide: 'slide'
+    };
+
+    const SCENES = ['building', 'detail'];
+
+    class SpaceRouter {
+        /**
+         * @param {Object} [options] - Router options.
+         * @param {string} [options.mode] - 'hash' (default) or 'query'.
+         * @param {Location} [options.location] - Location to read from (defaults to window.location).
+         * @param {History} [options.history] - History to write to (defaults to window.history).
+         */
+        constructor(options = {}) {
+            this.mode = options.mode === 'query' ? 'query' : 'hash';
+            this.location = options.location || global.location;
+            this.history = options.history || global.history;
+            this.onChange = null;
+            this.handlePopState = this.handlePopState.bind(this);
+        }
+
+        /**
+         * Parses router parameters into a route state.
+         * @param {URLSearchParams} params - The parameters to read.
+         * @returns {Object|null} The route state, or null if the parameters contain no route.
+         */
+        static parse(params) {
+            const scene = params.get(PARAMS.scene);
+            if (!SCENES.includes(scene)) return null;
+
+            const slide = parseInt(params.get(PARAMS.slide), 10);
+            return {
+                scene: scene,
+                spaceId: params.get(PARAMS.space) || null,
+                tab: params.get(PARAMS.tab) || null,
+                productIndex: slide > 0 ? slide - 1 : 0
+            };
+        }
+
+        /**
+         * Writes a route state into URL parameters, removing stale router keys.
+         * @param {Object|null} state - The route state. A null/empty scene clears the route.
+         * @param {URLSearchParams} [params] - Existing parameters to merge into.
+         * @returns {URLSearchParams} The updated parameters.
+         */
+        static serialize(state, params = new URLSearchParams()) {
+            Object.values(PARAMS).forEach(key => params.delete(key));
+            if (!state || !state.scene) return params;
+
+            params.set(PARAMS.scene, state.scene);
+            if (state.spaceId) params.set(PARAMS.space, state.spaceId);
+            if (state.tab) params.set(PARAMS.tab, state.tab);
+            if (state.tab && state.productIndex > 0) params.set(PARAMS.slide, String(state.productIndex + 1));
+            return params;
+        }
+
+        /**
+         * Starts listening for Back/Forward navigation.
+         * @param {Function} onChange - Called with the route state (or null) after each history move.
+         */
+        start(onChange) {
+            this.onChange = onChange;
+            global.addEventListener('popstate', this.handlePopState);
+        }
+
+        /**
+         * Stops listening for history navigation.
+         */
+        stop() {
+            global.removeEventListener('popstate', this.handlePopState);
+            this.onChange = null;
+        }
+
+        handlePopState() {
+            if (this.onChange) this.onChange(this.read());
+        }
+
+        /**
+         * Reads the current route from the URL.
+         * The hash is checked first, then the query string, regardless of mode,
+         * so links generated in either form restore correctly.
+         * @returns {Object|null} The route state.
+         */
+        read() {
+            const hash = (this.location.hash || '').replace(/^#/, '');
+            return SpaceRouter.parse(new URLSearchParams(hash)) ||
+                SpaceRouter.parse(new URLSearchParams(this.location.search));
+        }
+
+        /**
+         * Builds the URL for a route state, keeping unrelated query/hash content.
+         * @param {Object|null} state - The route state.
+         * @returns {string} The relative URL (path + query + hash).
+         */
+        buildUrl(state) {
+            const path = this.location.pathname;
+            const search = new URLSearchParams(this.location.search);
+            let hash = (this.location.hash || '').replace(/^#/, '');
+
+            if (this.mode === 'query') {
+                SpaceRouter.serialize(state, search);
+                if (SpaceRouter.parse(new URLSearchParams(hash))) hash = '';
+            } else {
+                // Drop router keys from the query string so the hash is the single source of truth
+                SpaceRouter.serialize(null, search);
+                const routeHash = SpaceRouter.serialize(state).toString();
+                if (routeHash || SpaceRouter.parse(new URLSearchParams(hash))) hash = routeHash;
+            }
+
+            const query = search.toString();
+            return `${path}${query ? `?${query}` : ''}${hash ? `#${hash}` : ''}`;
+        }
+
+        /**
+         * Adds a history entry for the route state (no-op if the URL would not change).
+         * @param {Object|null} state - The route state.
+         */
+        push(state) {
+            this.write(state, 'pushState');
+        }
+
+        /**
+         * Replaces the current history entry with the route state.
+         * @param {Object|null} state - The route state.
+         */
+        replace(state) {
+            this.write(state, 'replaceState');
+        }
+
+        write(state, method) {
+            const url = this.buildUrl(state);
+            const current = `${this.location.pathname}${this.location.search}${this.location.hash}`;
+            if (url === current) return;
+            this.history[method](state ? { ...state } : null, '', url);
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.SpaceRouter = SpaceRouter;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SpaceRouter;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
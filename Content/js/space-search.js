@@ -0,0 +1,269 @@
+/**
+ * Space Search
+ * Cross-space index of the transformed spaces (SpaceModel): the space names and the content of
+ * every tab (overview, each System Equipment product, design narrative, registered tab types).
+ *
+ * Entries come from each tab type's `search(content, space)` hook (see tab-registry.js), which
+ * returns [{ title, text, productIndex }]; tabs without one contribute their text once.
+ *
+ * Matching is fuzzy and forgiving about model numbers: "rve85", "RVE-85" and "rve 85" find the
+ * same product, prefixes match while typing and small typos (one edit, two for long words) are
+ * tolerated. Every query word must match; title and space name matches rank above body text.
+ */
+
+(function(global) {
+    const TabRegistry = global.TabRegistry || (typeof require === 'function' ? require('./tab-registry') : null);
+    const HtmlSanitizer = global.HtmlSanitizer || (typeof require === 'function' ? require('./html-sanitizer') : null);
+
+    const DEFAULT_OPTIONS = {
+        limit: 20,          // Maximum number of results
+        snippetLength: 140  // Characters of body text around the first match
+    };
+
+    const FIELD_WEIGHTS = { title: 3, space: 2, text: 1 };
+
+    // Match quality of one query word against one indexed word
+    const MATCH_SCORES = { exact: 1, compact: 0.9, prefix: 0.8, substring: 0.6, typo: 0.5 };
+
+    class SpaceSearch {
+        /**
+         * @param {Object} [options] - Search options (see DEFAULT_OPTIONS).
+         */
+        constructor(options = {}) {
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.entries = [];
+        }
+
+        /**
+         * Rebuilds the index.
+         * @param {Array<Object>} spaces - Transformed spaces (DataAdapter / SpaceModel).
+         * @returns {SpaceSearch} This instance.
+         */
+        build(spaces) {
+            this.entries = [];
+            (spaces || []).forEach(space => {
+                this.add(space, null, { title: space.name, text: space.systemName || '' });
+
+                (space.tabs || []).forEach(tab => {
+                    const type = TabRegistry && TabRegistry.get(tab);
+                    if (!type) return;
+                    const content = space[type.property];
+                    const found = typeof type.search === 'function'
+                        ? type.search(content, space)
+                        : [{ title: type.label, text: collectText(content).join(' ') }];
+                    (found || []).forEach(entry => this.add(space, type, entry));
+                });
+            });
+            return this;
+        }
+
+        add(space, type, entry) {
+            const title = String(entry.title || (type ? type.label : space.name) || '');
+            const text = HtmlSanitizer.toText(entry.text);
+            if (!title && !text) return;
+
+            this.entries.push({
+                spaceId: space.id,
+                spaceName: space.name,
+                tab: type ? type.key : null,
+                tabLabel: type ? type.label : null,
+                productIndex: entry.productIndex || 0,
+                title: title,
+                text: text,
+                fields: {
+                    title: indexField(title),
+                    space: indexField(`${space.name} ${space.systemName || ''}`),
+                    text: indexField(text)
+                }
+            });
+        }
+
+        /**
+         * Finds the entries matching a query, best first.
+         *
+         * @param {string} query - What the user typed.
+         * @param {Object} [options]
+         * @param {number} [options.limit] - Maximum number of results.
+         * @returns {Array<Object>} [{ spaceId, spaceName, tab, tabLabel, productIndex, title, snippet, terms, score }]
+         */
+        search(query, options = {}) {
+            const terms = SpaceSearch.tokenize(query);
+            if (!terms.length) return [];
+            const compactQuery = terms.join('');
+            const limit = options.limit || this.options.limit;
+
+            const results = [];
+            this.entries.forEach(entry => {
+                let score = 0;
+                for (const term of terms) {
+                    const termScore = Math.max(...Object.keys(FIELD_WEIGHTS).map(name =>
+                        FIELD_WEIGHTS[name] * matchField(entry.fields[name], term)));
+                    if (termScore === 0) return; // Every word must match
+                    score += termScore;
+                }
+                // The whole query as typed, e.g. a model number, in the title
+                if (terms.length > 1 && entry.fields.title.compact.includes(compactQuery)) score += FIELD_WEIGHTS.title;
+
+                results.push({ ...this.toResult(entry, terms), score: score });
+            });
+
+            return results
+                .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+                .slice(0, limit);
+        }
+
+        /**
+         * Lists the entries of one tab across all spaces (e.g. every product), by space and title.
+         * @param {string} tab - The tab key.
+         * @returns {Array<Object>} Results without a score.
+         */
+        browse(tab) {
+            const key = TabRegistry ? TabRegistry.normalize(tab) : tab;
+            return this.entries
+                .filter(entry => entry.tab === key)
+                .map(entry => this.toResult(entry, []));
+        }
+
+        toResult(entry, terms) {
+            return {
+                spaceId: entry.spaceId,
+                spaceName: entry.spaceName,
+                tab: entry.tab,
+                tabLabel: entry.tabLabel,
+                productIndex: entry.productIndex,
+                title: entry.title,
+                snippet: snippet(entry.text, terms, this.options.snippetLength),
+                terms: terms
+            };
+        }
+
+        /**
+         * Escapes text for HTML and wraps the occurrences of the query terms in <mark>.
+         *
+         * @param {string} text - Plain text (a result title or snippet).
+         * @param {Array<string>} terms - Normalized query terms (result.terms).
+         * @returns {string} HTML string.
+         */
+        static highlight(text, terms = []) {
+            const escape = HtmlSanitizer.escape;
+            const words = (terms || []).filter(term => term.length >= 2);
+            if (!words.length) return escape(text || '');
+
+            const pattern = new RegExp(`(${words.join('|')})`, 'gi');
+            return String(text || '').split(pattern)
+                .map((part, i) => (i % 2 ? `<mark>${escape(part)}</mark>` : escape(part)))
+                .join('');
+        }
+
+        /**
+         * Lower-cases text, strips accents and splits it into words.
+         * @param {string} text - The text.
+         * @returns {Array<string>}
+         */
+        static tokenize(text) {
+            return normalize(text).split(' ').filter(Boolean);
+        }
+
+        /**
+         * Damerau-Levenshtein distance (adjacent transpositions count as one edit), stopping
+         * early once it exceeds `max`.
+         *
+         * @param {string} a - First word.
+         * @param {string} b - Second word.
+         * @param {number} [max] - Largest distance of interest.
+         * @returns {number} The distance, or max + 1 when it is larger than max.
+         */
+        static distance(a, b, max = Infinity) {
+            if (Math.abs(a.length - b.length) > max) return max + 1;
+            let prevPrev = null;
+            let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+            for (let i = 1; i <= a.length; i++) {
+                const row = [i];
+                let rowMin = i;
+                for (let j = 1; j <= b.length; j++) {
+                    const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                    let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                    if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                        value = Math.min(value, prevPrev[j - 2] + 1);
+                    }
+                    row.push(value);
+                    rowMin = Math.min(rowMin, value);
+                }
+                if (rowMin > max) return max + 1;
+                prevPrev = prev;
+                prev = row;
+            }
+            return prev[b.length];
+        }
+    }
+
+    /* ==========================================================================
+       Helpers
+       ========================================================================== */
+
+    function normalize(text) {
+        return String(text || '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    function indexField(text) {
+        const words = SpaceSearch.tokenize(text);
+        return { words: Array.from(new Set(words)), compact: words.join('') };
+    }
+
+    function matchField(field, term) {
+        let best = 0;
+        const maxTypos = term.length >= 7 ? 2 : term.length >= 4 ? 1 : 0;
+
+        for (const word of field.words) {
+            if (word === term) return MATCH_SCORES.exact;
+            if (word.startsWith(term)) best = Math.max(best, MATCH_SCORES.prefix);
+            else if (term.length >= 3 && word.includes(term)) best = Math.max(best, MATCH_SCORES.substring);
+            else if (maxTypos && best < MATCH_SCORES.typo) {
+                // A typo in the whole word, or in the part typed so far
+                const whole = SpaceSearch.distance(word, term, maxTypos) <= maxTypos;
+                const partial = word.length > term.length && SpaceSearch.distance(word.slice(0, term.length), term, 1) <= 1;
+                if (whole || partial) best = MATCH_SCORES.typo;
+            }
+        }
+        // Words joined differently ("rve85" vs "rve 85")
+        if (best < MATCH_SCORES.compact && term.length >= 3 && field.compact.includes(term)) best = MATCH_SCORES.compact;
+        return best;
+    }
+
+    // Text of tab content without a search hook: every string except URLs
+    function collectText(value) {
+        if (value === null || value === undefined) return [];
+        if (typeof value === 'string') return /^([a-z][a-z0-9+.-]*:|\.{0,2}\/)/i.test(value) ? [] : [value];
+        if (Array.isArray(value)) return value.flatMap(collectText);
+        if (typeof value === 'object') return Object.values(value).flatMap(collectText);
+        return [];
+    }
+
+    // An excerpt of the text around the first matching word
+    function snippet(text, terms, length) {
+        if (!text) return '';
+        const lower = text.toLowerCase();
+        const positions = terms.map(term => lower.indexOf(term)).filter(pos => pos !== -1);
+        const first = positions.length ? Math.min(...positions) : 0;
+
+        let start = Math.max(0, first - Math.floor(length / 3));
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        let end = Math.min(text.length, start + length);
+        if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+    }
+
+    // Expose to Global (Browser)
+    global.SpaceSearch = SpaceSearch;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SpaceSearch;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,300 @@
+/**
+ * SVG Loader
+ * Fetches SVG files and inlines them into the page, so the building map, its markers and the
+ * space overlays live in one DOM tree: page CSS and fonts apply inside them, events bubble to
+ * shared listeners and focus moves between them like any other element.
+ *
+ * Inlined markup is sanitized first (scripts, foreignObject, event handler attributes and unsafe
+ * links are removed). IDs the file references internally (url(#...), href="#...") are prefixed
+ * per file so gradients, masks and clip paths of different files cannot collide; other IDs are
+ * kept, so look elements up within a layer (SvgLoader.findById) rather than in the document.
+ * <style> rules are scoped to the file's root element.
+ *
+ * Each file is fetched and sanitized once; later loads clone the cached copy, so switching
+ * between overlays that were loaded (or preloaded) before is instant.
+ */
+
+(function(global) {
+    const HtmlSanitizer = global.HtmlSanitizer || (typeof require === 'function' ? require('./html-sanitizer') : null);
+
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+
+    // Elements that can run script or embed other documents
+    const FORBIDDEN_ELEMENTS = ['script', 'foreignobject', 'iframe', 'object', 'embed', 'audio', 'video', 'canvas', 'handler', 'listener'];
+
+    const ANIMATION_ELEMENTS = ['animate', 'set', 'animatetransform', 'animatemotion'];
+
+    // Protocols allowed for <image> sources and <a> links (fragments are always allowed)
+    const IMAGE_PROTOCOLS = ['http:', 'https:', 'data:'];
+
+    // Attributes holding ID references besides url(#...) values
+    const IDREF_ATTRIBUTES = ['aria-labelledby', 'aria-describedby'];
+
+    const URL_REFERENCE = /url\(\s*(['"]?)#([^'")\s]+)\1\s*\)/g;
+
+    let fileCount = 0;
+
+    class SvgLoader {
+        /**
+         * @param {Object} [options]
+         * @param {Function} [options.fetch] - fetch implementation (default window.fetch).
+         * @param {Document} [options.document] - Document the SVGs are inlined into.
+         */
+        constructor(options = {}) {
+            this.fetch = options.fetch || ((...args) => global.fetch(...args));
+            this.document = options.document || global.document;
+            this.cache = new Map();         // Absolute URL -> Promise of the sanitized <svg>
+            this.requests = new WeakMap();  // Container -> URL of its latest inline() call
+        }
+
+        /**
+         * Finds an element by ID within an inlined SVG (IDs are only unique per file).
+         * @param {Element} root - The inlined <svg> or a layer containing it.
+         * @param {string} id - The ID as written in the SVG file.
+         * @returns {Element|null}
+         */
+        static findById(root, id) {
+            if (!root || !id) return null;
+            return root.querySelector(`[id="${String(id).replace(/["\\]/g, '\\$&')}"]`);
+        }
+
+        /**
+         * Loads and sanitizes an SVG file (once per URL).
+         * @param {string} url - The SVG URL.
+         * @returns {Promise<SVGSVGElement>} The cached element; clone it before inserting.
+         */
+        load(url) {
+            const key = new URL(url, this.document.baseURI).href;
+            if (!this.cache.has(key)) {
+                const request = this.fetch(key, { credentials: 'same-origin' })
+                    .then(response => {
+                        if (!response.ok) throw new Error(`HTTP ${response.status} for ${url}`);
+                        return response.text();
+                    })
+                    .then(text => this.parse(text, key));
+                // A failed load is retried the next time it is requested
+                request.catch(() => this.cache.delete(key));
+                this.cache.set(key, request);
+            }
+            return this.cache.get(key);
+        }
+
+        /**
+         * Loads files in the background so later inline() calls are instant. Failures are ignored.
+         * @param {Array<string>} urls - SVG URLs.
+         * @returns {Promise<void>}
+         */
+        preload(urls) {
+            const unique = Array.from(new Set((urls || []).filter(Boolean)));
+            return Promise.all(unique.map(url => this.load(url).catch(() => null))).then(() => {});
+        }
+
+        /**
+         * Replaces the content of a container with an SVG file. When the container is asked for
+         * another file (or cleared) before this one arrives, this one is discarded.
+         *
+         * @param {Element} container - An HTML element or an SVG <g>.
+         * @param {string} url - The SVG URL.
+         * @returns {Promise<SVGSVGElement|null>} The inlined <svg>, or null if superseded or failed.
+         */
+        inline(container, url) {
+            if (!container || !url) return Promise.resolve(null);
+            this.requests.set(container, url);
+            container.setAttribute('data-src', url);
+
+            return this.load(url).then(template => {
+                if (this.requests.get(container) !== url) return null;
+                const svg = template.cloneNode(true);
+                container.replaceChildren(svg);
+                return svg;
+            }).catch(error => {
+                console.warn(`Could not load SVG ${url}:`, error);
+                if (this.requests.get(container) === url) container.removeAttribute('data-src');
+                return null;
+            });
+        }
+
+        /**
+         * Empties a container and cancels its pending inline() call.
+         * @param {Element} container - The container.
+         */
+        clear(container) {
+            if (!container) return;
+            this.requests.delete(container);
+            container.removeAttribute('data-src');
+            container.replaceChildren();
+        }
+
+        /**
+         * Parses SVG markup into a sanitized element owned by this loader's document.
+         * @param {string} text - The SVG markup.
+         * @param {string} url - The file URL (resolves relative image links).
+         * @returns {SVGSVGElement}
+         */
+        parse(text, url) {
+            const parsed = new global.DOMParser().parseFromString(text, 'image/svg+xml');
+            const root = parsed.documentElement;
+            if (!root || root.namespaceURI !== SVG_NS || root.localName !== 'svg' || parsed.getElementsByTagName('parsererror').length) {
+                throw new Error(`${url} is not a valid SVG document`);
+            }
+
+            const svg = this.document.importNode(root, true);
+            const prefix = `svg${++fileCount}`;
+            SvgLoader.sanitize(svg, url);
+            SvgLoader.namespaceIds(svg, prefix);
+            SvgLoader.scopeStyles(svg, prefix);
+
+            // Fill the container (a layer of a larger SVG or an HTML box) instead of the file's pixel size
+            svg.setAttribute('width', '100%');
+            svg.setAttribute('height', '100%');
+            if (!svg.hasAttribute('preserveAspectRatio')) svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+            return svg;
+        }
+
+        /**
+         * Removes script, embedded documents, event handler attributes and unsafe links.
+         * @param {SVGSVGElement} svg - The SVG root.
+         * @param {string} url - The file URL (resolves relative image links).
+         */
+        static sanitize(svg, url) {
+            Array.from(svg.querySelectorAll('*')).forEach(el => {
+                const tag = el.localName.toLowerCase();
+                const animatedAttribute = (el.getAttribute('attributeName') || '').toLowerCase();
+                if (FORBIDDEN_ELEMENTS.includes(tag) ||
+                    (ANIMATION_ELEMENTS.includes(tag) && (/href$/.test(animatedAttribute) || animatedAttribute.startsWith('on')))) {
+                    el.remove();
+                }
+            });
+
+            [svg, ...svg.querySelectorAll('*')].forEach(el => {
+                Array.from(el.attributes).forEach(attr => {
+                    const name = attr.name.toLowerCase();
+                    if (name.startsWith('on')) {
+                        el.removeAttribute(attr.name);
+                    } else if (attr.localName === 'href') {
+                        const safe = safeHref(el.localName.toLowerCase(), attr.value, url);
+                        if (safe === null) el.removeAttributeNS(attr.namespaceURI, attr.localName);
+                        else if (safe !== attr.value) el.setAttributeNS(attr.namespaceURI, attr.name, safe);
+                    }
+                });
+            });
+        }
+
+        /**
+         * Prefixes the IDs the file references itself and rewrites the references.
+         * @param {SVGSVGElement} svg - The SVG root.
+         * @param {string} prefix - The per-file prefix.
+         */
+        static namespaceIds(svg, prefix) {
+            const elements = [svg, ...svg.querySelectorAll('*')];
+            const styles = Array.from(svg.querySelectorAll('style'));
+            const referenced = new Set();
+            const collect = value => {
+                for (const match of value.matchAll(URL_REFERENCE)) referenced.add(match[2]);
+            };
+
+            elements.forEach(el => Array.from(el.attributes).forEach(attr => {
+                if (attr.localName === 'href' && attr.value.startsWith('#')) referenced.add(attr.value.slice(1));
+                else if (IDREF_ATTRIBUTES.includes(attr.name)) attr.value.split(/\s+/).filter(Boolean).forEach(id => referenced.add(id));
+                else collect(attr.value);
+            }));
+            styles.forEach(style => collect(style.textContent));
+            if (!referenced.size) return;
+
+            const rename = id => (referenced.has(id) ? `${prefix}-${id}` : id);
+            const rewrite = value => value.replace(URL_REFERENCE, (match, quote, id) => `url(${quote}#${rename(id)}${quote})`);
+
+            elements.forEach(el => {
+                if (el.id && referenced.has(el.id)) el.id = rename(el.id);
+                Array.from(el.attributes).forEach(attr => {
+                    let value = attr.value;
+                    if (attr.localName === 'href' && value.startsWith('#')) value = `#${rename(value.slice(1))}`;
+                    else if (IDREF_ATTRIBUTES.includes(attr.name)) value = value.split(/\s+/).map(rename).join(' ');
+                    else if (value.includes('url(')) value = rewrite(value);
+                    if (value !== attr.value) el.setAttributeNS(attr.namespaceURI, attr.name, value);
+                });
+            });
+            styles.forEach(style => {
+                style.textContent = rewrite(style.textContent);
+            });
+        }
+
+        /**
+         * Limits the file's <style> rules to its own root (inlined styles would otherwise apply
+         * to the whole page) and drops @import.
+         * @param {SVGSVGElement} svg - The SVG root.
+         * @param {string} scope - Class added to the root and used as the selector prefix.
+         */
+        static scopeStyles(svg, scope) {
+            const styles = svg.querySelectorAll('style');
+            if (!styles.length) return;
+            svg.classList.add(scope);
+            styles.forEach(style => {
+                const css = style.textContent.replace(/\/\*[\s\S]*?\*\//g, '').replace(/@import[^;]*;/gi, '');
+                style.textContent = scopeCss(css, `.${scope}`);
+            });
+        }
+    }
+
+    /* ==========================================================================
+       Helpers
+       ========================================================================== */
+
+    // Returns the href to keep (resolved against the file for images), or null to remove it
+    function safeHref(tag, value, url) {
+        const href = String(value).trim();
+        if (href.startsWith('#')) return href;
+        if (tag === 'image' || tag === 'feimage') {
+            const safe = HtmlSanitizer.sanitizeUrl(href, { protocols: IMAGE_PROTOCOLS });
+            if (!safe || (/^data:/i.test(safe) && !/^data:image\//i.test(safe))) return null;
+            return /^data:/i.test(safe) ? safe : new URL(safe, url).href;
+        }
+        if (tag === 'a') return HtmlSanitizer.sanitizeUrl(href);
+        return null; // <use> and paint servers may only point into the same file
+    }
+
+    // Prefixes every selector of a stylesheet with `scope` (recursing into @media and @supports)
+    function scopeCss(css, scope) {
+        let output = '';
+        let position = 0;
+        while (position < css.length) {
+            const open = css.indexOf('{', position);
+            if (open === -1) break;
+            const close = matchingBrace(css, open);
+            const prelude = css.slice(position, open).trim();
+            const body = css.slice(open + 1, close);
+
+            if (/^@(media|supports)\b/i.test(prelude)) {
+                output += `${prelude}{${scopeCss(body, scope)}}`;
+            } else if (prelude.startsWith('@')) {
+                output += `${prelude}{${body}}`;
+            } else {
+                const selectors = prelude.split(',').map(selector => {
+                    const trimmed = selector.trim();
+                    return /^(svg|:root)\b/.test(trimmed) ? trimmed.replace(/^(svg|:root)/, scope) : `${scope} ${trimmed}`;
+                });
+                output += `${selectors.join(', ')}{${body}}`;
+            }
+            position = close + 1;
+        }
+        return output;
+    }
+
+    function matchingBrace(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            if (text[i] === '{') depth++;
+            else if (text[i] === '}' && --depth === 0) return i;
+        }
+        return text.length;
+    }
+
+    // Expose to Global (Browser)
+    global.SvgLoader = SvgLoader;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SvgLoader;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
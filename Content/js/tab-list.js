@@ -0,0 +1,192 @@
+/**
+ * Tab List
+ * WAI-ARIA tabs for an existing strip of `[role="tab"]` buttons. Each tab names its panel with
+ * `aria-controls` and its key with `data-tab`.
+ *
+ * - One tab stop (roving tabindex); Arrow Left/Right, Home and End move between visible tabs
+ *   and select them (automatic activation, the panels render synchronously).
+ * - `setTabs(keys)` shows only the listed tabs, in that order, so the data decides the tab set.
+ * - `setDisabled(true)` disables the whole strip (e.g. while no space is open).
+ *
+ * Selection is reported through `onSelect(key, event)`; the owner renders the panel content
+ * and calls `select(key)`, which updates aria-selected, the tab stop and panel visibility.
+ */
+
+(function(global) {
+    const DEFAULT_OPTIONS = {
+        activeClass: 'active',     // Added to the selected tab and its panel
+        onSelect: null             // function(key, event) called when the user picks a tab
+    };
+
+    class TabList {
+        /**
+         * @param {HTMLElement} element - The `[role="tablist"]` element.
+         * @param {Object} [options] - Options (see DEFAULT_OPTIONS).
+         */
+        constructor(element, options = {}) {
+            this.element = element;
+            this.options = { ...DEFAULT_OPTIONS, ...options };
+            this.onSelect = this.options.onSelect;
+            this.selected = null;
+
+            if (!element) return;
+            element.setAttribute('role', 'tablist');
+            this.getTabs().forEach(tab => {
+                tab.setAttribute('role', 'tab');
+                tab.setAttribute('aria-selected', 'false');
+                tab.setAttribute('tabindex', '-1');
+                const panel = this.getPanel(tab);
+                if (panel) {
+                    panel.setAttribute('role', 'tabpanel');
+                    if (tab.id) panel.setAttribute('aria-labelledby', tab.id);
+                    panel.setAttribute('tabindex', '0');
+                }
+            });
+
+            element.addEventListener('click', (e) => {
+                const tab = e.target.closest('[role="tab"]');
+                if (tab && !tab.disabled && element.contains(tab)) this.pick(tab, e);
+            });
+            element.addEventListener('keydown', (e) => this.handleKeydown(e));
+        }
+
+        /**
+         * All tabs, in DOM order.
+         * @returns {Array<HTMLElement>}
+         */
+        getTabs() {
+            return this.element ? Array.from(this.element.querySelectorAll('[role="tab"], [data-tab]')) : [];
+        }
+
+        /**
+         * Tabs that are shown and enabled, in DOM order.
+         * @returns {Array<HTMLElement>}
+         */
+        getVisibleTabs() {
+            return this.getTabs().filter(tab => !tab.hidden && !tab.disabled);
+        }
+
+        getTab(key) {
+            return this.getTabs().find(tab => tab.dataset.tab === key) || null;
+        }
+
+        getPanel(tab) {
+            const id = tab.getAttribute('aria-controls');
+            return id ? global.document.getElementById(id) : null;
+        }
+
+        /**
+         * Shows the listed tabs in the given order and hides the others.
+         * Unknown keys are ignored.
+         *
+         * @param {Array<string>} keys - Tab keys (`data-tab` values).
+         */
+        setTabs(keys) {
+            const tabs = this.getTabs();
+            tabs.forEach(tab => {
+                tab.hidden = !keys.includes(tab.dataset.tab);
+            });
+
+            // Re-append in data order, hidden tabs last (only when it changed: moving a node blurs it)
+            const ordered = keys.map(key => this.getTab(key)).filter(Boolean)
+                .concat(tabs.filter(tab => tab.hidden));
+            if (ordered.some((tab, i) => tab !== tabs[i])) {
+                ordered.forEach(tab => this.element.appendChild(tab));
+            }
+
+            if (this.selected && !keys.includes(this.selected)) this.selected = null;
+            this.updateTabStop();
+        }
+
+        /**
+         * Marks a tab as selected and shows its panel.
+         * @param {string} key - The tab key.
+         * @param {Object} [options]
+         * @param {boolean} [options.focus] - Move keyboard focus to the tab.
+         */
+        select(key, options = {}) {
+            const { activeClass } = this.options;
+            this.selected = this.getTab(key) ? key : null;
+
+            this.getTabs().forEach(tab => {
+                const isSelected = tab.dataset.tab === this.selected;
+                tab.setAttribute('aria-selected', String(isSelected));
+                tab.classList.toggle(activeClass, isSelected);
+                const panel = this.getPanel(tab);
+                if (panel) {
+                    panel.classList.toggle(activeClass, isSelected);
+                    panel.hidden = !isSelected;
+                }
+            });
+            this.updateTabStop();
+
+            if (options.focus && this.selected) this.getTab(this.selected).focus();
+        }
+
+        /**
+         * Enables or disables every tab.
+         * @param {boolean} disabled - True to disable.
+         */
+        setDisabled(disabled) {
+            this.getTabs().forEach(tab => {
+                tab.disabled = disabled;
+                if (disabled) tab.classList.remove(this.options.activeClass);
+            });
+            if (this.element) this.element.setAttribute('aria-disabled', String(disabled));
+            if (!disabled && this.selected) this.select(this.selected);
+        }
+
+        // The selected tab (or the first visible one) is the only tab stop
+        updateTabStop() {
+            const visible = this.getVisibleTabs();
+            const stop = visible.find(tab => tab.dataset.tab === this.selected) || visible[0];
+            this.getTabs().forEach(tab => tab.setAttribute('tabindex', tab === stop ? '0' : '-1'));
+        }
+
+        pick(tab, event) {
+            if (typeof this.onSelect === 'function') this.onSelect(tab.dataset.tab, event);
+            else this.select(tab.dataset.tab);
+        }
+
+        /**
+         * Arrow keys, Home and End move between visible tabs and select them.
+         * @param {KeyboardEvent} e - The keydown event.
+         */
+        handleKeydown(e) {
+            const tabs = this.getVisibleTabs();
+            const index = tabs.indexOf(e.target);
+            if (index === -1) return;
+
+            let next;
+            switch (e.key) {
+                case 'ArrowRight':
+                    next = tabs[(index + 1) % tabs.length];
+                    break;
+                case 'ArrowLeft':
+                    next = tabs[(index - 1 + tabs.length) % tabs.length];
+                    break;
+                case 'Home':
+                    next = tabs[0];
+                    break;
+                case 'End':
+                    next = tabs[tabs.length - 1];
+                    break;
+                default:
+                    return;
+            }
+
+            e.preventDefault();
+            next.focus();
+            this.pick(next, e);
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.TabList = TabList;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TabList;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,124 @@
+/**
+ * Tab Registry
+ * The tab types a space detail can show (Overview, System Equipment, Design Narrative, ...).
+ * A tab type brings everything it needs:
+ *   - source, query, schema: the CMS field on the space record, its OData $expand/$select
+ *     tree and its SchemaValidator node (see data-adapter.js)
+ *   - transform(value, helpers): turns the CMS field (or the whole space record when there
+ *     is no source) into the content stored on the transformed space under `property`;
+ *     helpers are { adapter, context, space }
+ *   - isVisible(content, space): whether the space has something to show on the tab
+ *   - render(panel, content, helpers): fills the tab panel; helpers are { space, view }
+ *   - search(content, space): entries for the cross-space search, [{ title, text, productIndex }]
+ *     (see space-search.js; without it the tab's text is indexed as one entry)
+ *
+ * Registering a key again merges into its definition, so the data side (DataAdapter, which
+ * also runs in the Node CLI) and the renderer (SpaceView) can live in different files.
+ * Registration order is the default tab order; a space's CMS `Tabs` field picks the tabs
+ * and their order instead. Register tab types before the application starts.
+ */
+
+(function(global) {
+    const TAB_TYPES = new Map();
+
+    /**
+     * Checks whether transformed content has anything to show: text without markup,
+     * a non-empty list or an object with such a value.
+     * @param {*} value - The content.
+     * @returns {boolean}
+     */
+    function hasContent(value) {
+        if (value === null || value === undefined) return false;
+        if (typeof value === 'string') return value.replace(/<[^>]*>|&nbsp;/g, '').trim().length > 0;
+        if (Array.isArray(value)) return value.some(hasContent);
+        if (typeof value === 'object') return Object.values(value).some(hasContent);
+        return true;
+    }
+
+    class TabRegistry {
+        /**
+         * Normalizes a tab key or label from the CMS ("System Equipment") to a key ("system-equipment").
+         * @param {string} key - The raw key or label.
+         * @returns {string}
+         */
+        static normalize(key) {
+            return String(key || '').toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        }
+
+        /**
+         * Registers a tab type, or adds to an existing one.
+         * @param {string} key - The tab key (used in `data-tab`, URLs and the CMS `Tabs` field).
+         * @param {Object} definition - { label, property, source, query, schema, transform, isVisible, render, search }.
+         * @returns {Object} The stored definition.
+         */
+        static register(key, definition = {}) {
+            const normalized = this.normalize(key);
+            if (!normalized) {
+                throw new Error('Tab type requires a key');
+            }
+            ['transform', 'isVisible', 'render', 'search'].forEach(name => {
+                if (definition[name] !== undefined && typeof definition[name] !== 'function') {
+                    throw new TypeError(`Tab type "${normalized}": ${name} must be a function`);
+                }
+            });
+
+            const defaults = {
+                key: normalized,
+                label: normalized,
+                property: normalized.replace(/-([a-z0-9])/g, (match, c) => c.toUpperCase()),
+                query: true,
+                isVisible: hasContent
+            };
+            const stored = Object.assign(TAB_TYPES.get(normalized) || defaults, definition, { key: normalized });
+            TAB_TYPES.set(normalized, stored);
+            return stored;
+        }
+
+        /**
+         * Retrieves a tab type.
+         * @param {string} key - The tab key (or CMS label).
+         * @returns {Object|null}
+         */
+        static get(key) {
+            return TAB_TYPES.get(this.normalize(key)) || null;
+        }
+
+        /**
+         * Checks whether a tab type is registered.
+         * @param {string} key - The tab key (or CMS label).
+         * @returns {boolean}
+         */
+        static has(key) {
+            return TAB_TYPES.has(this.normalize(key));
+        }
+
+        /**
+         * Lists the registered tab keys in registration order.
+         * @returns {Array<string>}
+         */
+        static keys() {
+            return Array.from(TAB_TYPES.keys());
+        }
+
+        /**
+         * Lists the registered tab types in registration order.
+         * @returns {Array<Object>}
+         */
+        static list() {
+            return Array.from(TAB_TYPES.values());
+        }
+
+        static hasContent(value) {
+            return hasContent(value);
+        }
+    }
+
+    // Expose to Global (Browser)
+    global.TabRegistry = TabRegistry;
+
+    // Expose to Module (Node.js)
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = TabRegistry;
+    }
+
+})(typeof window !== 'undefined' ? window : this);
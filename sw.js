@@ -0,0 +1,231 @@
+/**
+ * Service Worker
+ * Keeps the building experience usable on kiosks with unreliable connectivity.
+ *
+ * - App shell (HTML, CSS, fonts, scripts, SVG maps) is precached per VERSION and served cache-first.
+ * - CMS JSON (OData API and static exports) is network-first with a cached fallback.
+ * - Images (including CMS-hosted ones) and third-party styles/fonts use stale-while-revalidate.
+ * - Pages are told about connectivity through postMessage ({ type: 'network-status', online }).
+ *
+ * Update flow: bump VERSION on every deploy. The new worker installs in the background and
+ * waits; OfflineManager (offline-manager.js) tells it to activate ({ type: 'skip-waiting' })
+ * and reloads the page once the kiosk is idle. Caches of older versions are deleted on activate.
+ */
+
+const VERSION = '23';
+const CACHE_PREFIX = 'gh-building-types';
+const CACHES = {
+    shell: `${CACHE_PREFIX}-shell-v${VERSION}`,
+    data: `${CACHE_PREFIX}-data-v${VERSION}`,
+    assets: `${CACHE_PREFIX}-assets-v${VERSION}`
+};
+
+// Must all exist: installation fails if one of them cannot be fetched
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './Content/css/common.css',
+    './Content/css/building-types.css',
+    './Content/font/SharpSans-Book.otf',
+    './Content/font/SharpSans-Medium.otf',
+    './Content/font/SharpSans-SemiBold.otf',
+    './Content/font/SharpSans-Bold.otf',
+    './Content/js/building-type-registry.js',
+    './Content/js/html-sanitizer.js',
+    './Content/js/svg-loader.js',
+    './Content/js/map-viewport.js',
+    './Content/js/marker-renderer.js',
+    './Content/js/marker-map.js',
+    './Content/js/schema-validator.js',
+    './Content/js/odata-client.js',
+    './Content/js/tab-registry.js',
+    './Content/js/data-cache.js',
+    './Content/js/data-adapter.js',
+    './Content/js/space-search.js',
+    './Content/js/space-router.js',
+    './Content/js/action-registry.js',
+    './Content/js/qr-code.js',
+    './Content/js/dialog-controller.js',
+    './Content/js/tab-list.js',
+    './Content/js/carousel.js',
+    './Content/js/product-compare.js',
+    './Content/js/product-shortlist.js',
+    './Content/js/share-manager.js',
+    './Content/js/offline-manager.js',
+    './Content/js/building-types.js',
+    './Content/js/api-response.json',
+    './Content/imgs/k-12-hero-bg.png',
+    './Content/imgs/k-12-markers.svg',
+    './Content/imgs/icons/select-a-space.svg',
+    './Content/imgs/icons/share.svg',
+    './Content/imgs/icons/share-modal.svg'
+];
+
+// Cached when available (maps are not deployed for every building type yet)
+const OPTIONAL_FILES = [
+    './Content/imgs/k-12-map.svg',
+    './Content/font/SharpSans-Light.otf',
+    './Content/font/SharpSans-Thin.otf',
+    './Content/font/SharpSans-ExtraBold.otf'
+];
+
+const MAX_ASSET_ENTRIES = 200;
+const NETWORK_TIMEOUT = 8000; // ms before a slow data request falls back to the cache
+
+// Requests the worker never handles
+const BYPASS_HOSTS = ['www.google-analytics.com', 'www.googletagmanager.com'];
+
+let online = true;
+
+/* ==========================================================================
+   Lifecycle
+   ========================================================================== */
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHES.shell).then(cache => Promise.all([
+            cache.addAll(SHELL_FILES),
+            ...OPTIONAL_FILES.map(url => cache.add(url).catch(() => console.warn(`[sw] Optional file not cached: ${url}`)))
+        ]))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = Object.values(CACHES);
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    if (message.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (message.type === 'get-version' && event.source) {
+        event.source.postMessage({ type: 'version', version: VERSION });
+    }
+});
+
+/* ==========================================================================
+   Routing
+   ========================================================================== */
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || request.headers.has('range')) return;
+
+    const url = new URL(request.url);
+    if (!url.protocol.startsWith('http') || BYPASS_HOSTS.includes(url.hostname)) return;
+    if (url.origin === self.location.origin && url.pathname.endsWith('/sw.js')) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, CACHES.shell, { fallbackUrl: './index.html', ignoreSearch: true }));
+    } else if (isData(request, url)) {
+        event.respondWith(networkFirst(request, CACHES.data));
+    } else if (url.origin === self.location.origin && isPrecached(url)) {
+        event.respondWith(cacheFirst(request, CACHES.shell));
+    } else if (['image', 'style', 'font'].includes(request.destination)) {
+        event.respondWith(staleWhileRevalidate(event, CACHES.assets));
+    }
+});
+
+function isData(request, url) {
+    const accept = request.headers.get('accept') || '';
+    return url.pathname.endsWith('.json') || url.pathname.includes('/api/') || accept.includes('application/json');
+}
+
+function isPrecached(url) {
+    return SHELL_FILES.concat(OPTIONAL_FILES).some(file => new URL(file, self.location.href).pathname === url.pathname);
+}
+
+/* ==========================================================================
+   Strategies
+   ========================================================================== */
+
+/**
+ * Tries the network (with a timeout) and caches the response; falls back to the cache.
+ */
+async function networkFirst(request, cacheName, options = {}) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetchWithTimeout(request, NETWORK_TIMEOUT);
+        if (response.ok) await cache.put(request, response.clone());
+        setOnline(true);
+        return response;
+    } catch (error) {
+        setOnline(false);
+        // Any cache will do (e.g. a static export precached with the shell)
+        const cached = await caches.match(request, { ignoreSearch: !!options.ignoreSearch }) ||
+            (options.fallbackUrl && await caches.match(options.fallbackUrl));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Serves from the cache, fetching (and caching) only on a miss.
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+}
+
+/**
+ * Serves from the cache immediately and refreshes the entry in the background.
+ */
+async function staleWhileRevalidate(event, cacheName) {
+    const request = event.request;
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+
+    const update = fetch(request)
+        .then(async response => {
+            // Opaque (no-cors) responses cannot be inspected but are still usable for images
+            if (response.ok || response.type === 'opaque') {
+                await cache.put(request, response.clone());
+                await trimCache(cache, MAX_ASSET_ENTRIES);
+            }
+            setOnline(true);
+            return response;
+        })
+        .catch(error => {
+            setOnline(false);
+            if (!cached) throw error;
+        });
+
+    // Keep the worker alive until the background refresh has been stored
+    event.waitUntil(update.catch(() => {}));
+    return cached || update;
+}
+
+function fetchWithTimeout(request, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    return fetch(request, { signal: controller.signal }).finally(() => clearTimeout(timer));
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    // Cache keys are returned in insertion order: drop the oldest
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+/* ==========================================================================
+   Connectivity
+   ========================================================================== */
+
+async function setOnline(value) {
+    if (online === value) return;
+    online = value;
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'network-status', online: value }));
+}
@@ -0,0 +1,84 @@
+/**
+ * BuildingTypeRegistry resolution and registered building types.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BuildingTypeRegistry = require('../Content/js/building-type-registry');
+const DataAdapter = require('../Content/js/data-adapter');
+const { loadApp } = require('./helpers/load-app');
+
+const K12 = require('../Content/js/api-response.json');
+
+// A document whose first data-building-type element carries `value`
+function documentWith(value) {
+    return { querySelector: () => (value === null ? null : { getAttribute: () => value }) };
+}
+
+BuildingTypeRegistry.register({
+    key: 'office',
+    label: 'Office Building',
+    cmsFilter: { Title: 'Office Building' },
+    svg: { pinsGroup: 'Office-Pins-Roof-Closed', buildingRoof: 'office-roof', markers: { lobby: 'lobby-pin' } }
+});
+
+test('the query string wins over the page attribute, then the default applies', () => {
+    assert.strictEqual(BuildingTypeRegistry.resolve({ search: '?buildingType=office' }, documentWith('k-12')), 'office');
+    assert.strictEqual(BuildingTypeRegistry.resolve({ search: '?type=K12' }, documentWith('office')), 'k-12');
+    assert.strictEqual(BuildingTypeRegistry.resolve({ search: '' }, documentWith('Offices')), 'office');
+    assert.strictEqual(BuildingTypeRegistry.resolve({ search: '' }, documentWith(null)), 'k-12');
+});
+
+test('an unknown building type is reported before falling back', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    assert.strictEqual(BuildingTypeRegistry.resolve({ search: '?buildingType=hospital' }, documentWith(null)), 'k-12');
+    assert.strictEqual(warn.mock.callCount(), 1);
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown building type "hospital" \(\?buildingType=\)/);
+
+    assert.strictEqual(BuildingTypeRegistry.resolve({ search: '?buildingType=hospital' }, documentWith('office')), 'office');
+    assert.strictEqual(BuildingTypeRegistry.get('warehouse').key, 'k-12');
+    assert.strictEqual(warn.mock.callCount(), 3);
+
+    BuildingTypeRegistry.get();
+    assert.strictEqual(warn.mock.callCount(), 3);
+});
+
+test('a registered type gets the conventional defaults and its own SVG config', () => {
+    const office = BuildingTypeRegistry.get('office');
+
+    assert.deepStrictEqual(BuildingTypeRegistry.keys(), ['k-12', 'office']);
+    assert.strictEqual(office.dataUrl, './Content/js/office-data.json');
+    assert.strictEqual(office.defaults.mapImage, './Content/imgs/office-map.svg');
+    assert.strictEqual(office.defaults.markersImage, './Content/imgs/office-markers.svg');
+    assert.strictEqual(office.svg.pinsGroup, 'Office-Pins-Roof-Closed');
+    assert.deepStrictEqual(DataAdapter.getODataQuery('office').filter, { Title: 'Office Building' });
+});
+
+test('SpaceService loads a registered type from its own endpoints', async () => {
+    const requests = [];
+    const queries = [];
+    const office = JSON.parse(JSON.stringify(K12));
+    office.value[0].Title = 'Office Building';
+    const { APP_CONFIG, SpaceService } = loadApp({
+        fetch: async (url) => {
+            requests.push(url);
+            return { ok: true, json: async () => JSON.parse(JSON.stringify(office)) };
+        }
+    });
+    APP_CONFIG.validation.logWarnings = false;
+
+    const data = await new SpaceService().loadData('office');
+    assert.deepStrictEqual(requests, ['./Content/js/office-data.json']);
+    assert.strictEqual(data.buildingType, 'office');
+
+    const client = {
+        getAll: async (entitySet, query) => {
+            queries.push(query);
+            return office;
+        }
+    };
+    await new SpaceService(client).loadData('office');
+    assert.deepStrictEqual(queries.map(query => query.filter), [{ Title: 'Office Building' }]);
+});
@@ -0,0 +1,130 @@
+/**
+ * DataCache and SpaceService stale-while-revalidate loading.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DataCache = require('../Content/js/data-cache');
+const MemoryStorage = require('./helpers/memory-storage');
+const { loadApp } = require('./helpers/load-app');
+
+const PAYLOAD = require('../Content/js/api-response.json');
+
+test('an entry is fresh until it is older than the TTL', (t) => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = new DataCache({ storage: new MemoryStorage(), ttl: 500 });
+
+    assert.strictEqual(cache.get('k-12'), null);
+    cache.set('k-12', { value: [1] });
+    assert.deepStrictEqual(cache.get('k-12').payload, { value: [1] });
+    assert.strictEqual(cache.get('k-12').fresh, true);
+
+    now = 1499;
+    assert.strictEqual(cache.get('k-12').fresh, true);
+    now = 1500;
+    assert.strictEqual(cache.get('k-12').fresh, false);
+});
+
+test('set reports whether the payload changed', () => {
+    const cache = new DataCache({ storage: new MemoryStorage() });
+
+    assert.strictEqual(cache.set('k-12', { value: [1] }).changed, true);
+    assert.strictEqual(cache.set('k-12', { value: [1] }).changed, false);
+    assert.strictEqual(cache.set('k-12', { value: [2] }).changed, true);
+    assert.strictEqual(cache.set('other', { value: [2] }).changed, true);
+});
+
+test('entries of other CMS versions are pruned, other keys are kept', () => {
+    const storage = new MemoryStorage({
+        'gh-building-data:1:k-12': '{}',
+        'gh-building-data:2:k-12': '{}',
+        'gh-shortlist:k-12': '[]'
+    });
+    new DataCache({ storage: storage, version: '2' });
+
+    assert.deepStrictEqual(Array.from(storage.map.keys()), ['gh-building-data:2:k-12', 'gh-shortlist:k-12']);
+});
+
+test('invalidate removes one building type or every version', () => {
+    const storage = new MemoryStorage();
+    const cache = new DataCache({ storage: storage });
+    cache.set('k-12', {});
+    cache.set('other', {});
+    storage.setItem('gh-building-data:0:k-12', '{}');
+
+    cache.invalidate('k-12');
+    assert.deepStrictEqual(Array.from(storage.map.keys()), ['gh-building-data:1:other']);
+    cache.invalidate();
+    assert.strictEqual(storage.length, 0);
+});
+
+test('unreadable entries and storage failures behave as a miss', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const storage = new MemoryStorage({ 'gh-building-data:1:k-12': 'not json' });
+    const cache = new DataCache({ storage: storage });
+
+    assert.strictEqual(cache.get('k-12'), null);
+    assert.strictEqual(storage.length, 0);
+
+    storage.failWrites = true;
+    assert.strictEqual(cache.set('k-12', {}).changed, true);
+    assert.strictEqual(cache.get('k-12'), null);
+    assert.strictEqual(new DataCache({ storage: null }).get('k-12'), null);
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
+
+// SpaceService over a cache whose only entry has the given age, loading `served` from the network
+function setup(t, { age, served }) {
+    let now = 10 * 60 * 1000;
+    t.mock.method(Date, 'now', () => now);
+    const requests = [];
+    const { APP_CONFIG, SpaceService } = loadApp({
+        fetch: async (url) => {
+            requests.push(url);
+            return { ok: true, json: async () => JSON.parse(JSON.stringify(served)) };
+        }
+    });
+    APP_CONFIG.validation.logWarnings = false;
+
+    const cache = new DataCache({ storage: new MemoryStorage(), ttl: 1000 });
+    now -= age;
+    cache.set('k-12', PAYLOAD);
+    now += age;
+
+    // Resolves with the result of the next cache write (the end of a revalidation)
+    const stored = new Promise(resolve => {
+        const set = cache.set.bind(cache);
+        cache.set = (...args) => {
+            const result = set(...args);
+            resolve(result);
+            return result;
+        };
+    });
+    return { service: new SpaceService(null, cache), cache, requests, stored };
+}
+
+test('a fresh cached payload is served without a request', async (t) => {
+    const { service, requests } = setup(t, { age: 0, served: PAYLOAD });
+    const data = await service.loadData('k-12');
+
+    assert.strictEqual(data.spaces.length, PAYLOAD.value[0].Spaces.length);
+    assert.strictEqual(requests.length, 0);
+});
+
+test('a stale cached payload is revalidated; onUpdate runs only when it changed', async (t) => {
+    const unchanged = setup(t, { age: 5000, served: PAYLOAD });
+    let updates = 0;
+    await unchanged.service.loadData('k-12', () => updates++);
+    assert.strictEqual((await unchanged.stored).changed, false);
+    assert.strictEqual(unchanged.requests.length, 1);
+    assert.strictEqual(updates, 0);
+    assert.strictEqual(unchanged.cache.get('k-12').fresh, true);
+
+    const renamed = JSON.parse(JSON.stringify(PAYLOAD));
+    renamed.value[0].Spaces[0].Title = 'Learning Studios';
+    const changed = setup(t, { age: 5000, served: renamed });
+    const update = new Promise(resolve => changed.service.loadData('k-12', resolve));
+    assert.strictEqual((await update).spaces[0].name, 'Learning Studios');
+});
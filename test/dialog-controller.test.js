@@ -0,0 +1,176 @@
+/**
+ * DialogController focus handling, focus trap and dialog stack.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript, builder } = require('./helpers/fake-dom');
+
+// A page with an opener, a modal dialog and a confirm dialog; fresh module state each time
+function setup() {
+    const window = loadScript('dialog-controller');
+    const { document } = window;
+    const h = builder(document);
+
+    const page = h('main', { id: 'page' },
+        h('button', { id: 'opener' }),
+        h('a', { id: 'link', href: '#top' }));
+    const dialog = h('div', { id: 'dialog' },
+        h('div', { class: 'content' },
+            h('button', { id: 'first' }),
+            h('input', { type: 'hidden' }),
+            h('button', { disabled: '' }),
+            h('a', { id: 'hidden-link', href: '#x', hidden: '' }),
+            h('button', { id: 'last' })));
+    const confirm = h('div', { id: 'confirm' },
+        h('button', { id: 'ok' }),
+        h('button', { id: 'cancel' }));
+    const script = h('script');
+    [page, dialog, confirm, script].forEach(el => document.body.appendChild(el));
+    [dialog, confirm].forEach(el => { el.style.display = 'none'; });
+
+    const byId = id => document.getElementById(id);
+    const key = (key, shiftKey = false) => document.dispatchEvent({ type: 'keydown', key, shiftKey });
+    return { window, document, DialogController: window.DialogController, page, dialog, confirm, script, byId, key };
+}
+
+test('open moves focus in and makes the page inert; close undoes it', () => {
+    const { document, DialogController, page, dialog, confirm, script, byId } = setup();
+    document.body.style.overflow = 'auto';
+    const controller = new DialogController(dialog, { label: 'Space details' });
+    byId('opener').focus();
+
+    controller.open();
+    assert.strictEqual(dialog.getAttribute('role'), 'dialog');
+    assert.strictEqual(dialog.getAttribute('aria-modal'), 'true');
+    assert.strictEqual(dialog.getAttribute('aria-label'), 'Space details');
+    assert.strictEqual(dialog.style.display, 'flex');
+    assert.strictEqual(controller.isOpen, true);
+    assert.strictEqual(document.activeElement, byId('first'));
+    assert.deepStrictEqual([page, confirm, script].map(el => el.hasAttribute('inert')), [true, true, false]);
+    assert.strictEqual(document.body.style.overflow, 'hidden');
+
+    controller.close();
+    assert.strictEqual(controller.isOpen, false);
+    assert.strictEqual(document.activeElement, byId('opener'));
+    assert.strictEqual(page.hasAttribute('inert'), false);
+    assert.strictEqual(document.body.style.overflow, 'auto');
+});
+
+test('Tab and Shift+Tab wrap around the visible, enabled controls', () => {
+    const { document, DialogController, dialog, byId, key } = setup();
+    new DialogController(dialog).open();
+
+    byId('last').focus();
+    assert.strictEqual(key('Tab').defaultPrevented, true);
+    assert.strictEqual(document.activeElement, byId('first'));
+
+    assert.strictEqual(key('Tab', true).defaultPrevented, true);
+    assert.strictEqual(document.activeElement, byId('last'));
+
+    // Moving between the ends is left to the browser
+    byId('first').focus();
+    assert.strictEqual(key('Tab').defaultPrevented, false);
+
+    // Focus that escaped the dialog is brought back
+    byId('link').focus();
+    key('Tab');
+    assert.strictEqual(document.activeElement, byId('first'));
+});
+
+test('a dialog without controls keeps focus on itself', () => {
+    const { document, DialogController, dialog, key } = setup();
+    dialog.querySelector('.content').hidden = true;
+    new DialogController(dialog).open();
+
+    assert.strictEqual(document.activeElement, dialog);
+    assert.strictEqual(dialog.getAttribute('tabindex'), '-1');
+    assert.strictEqual(key('Tab').defaultPrevented, true);
+    assert.strictEqual(document.activeElement, dialog);
+});
+
+test('focus moved behind a modal is pulled back in', () => {
+    const { document, DialogController, dialog, byId } = setup();
+    new DialogController(dialog, { initialFocus: '#last' }).open();
+    assert.strictEqual(document.activeElement, byId('last'));
+
+    document.dispatchEvent({ type: 'focusin', target: byId('link') });
+    assert.strictEqual(document.activeElement, byId('last'));
+});
+
+test('stacked dialogs: only the top one reacts, closing it returns to the one below', () => {
+    const { document, DialogController, page, dialog, confirm, byId, key } = setup();
+    const details = new DialogController(dialog);
+    const confirmation = new DialogController(confirm);
+    details.open();
+    byId('last').focus();
+    confirmation.open();
+
+    assert.strictEqual(document.activeElement, byId('ok'));
+    assert.strictEqual(dialog.hasAttribute('inert'), true);
+    assert.strictEqual(confirm.hasAttribute('inert'), false);
+
+    key('Escape');
+    assert.strictEqual(confirmation.isOpen, false);
+    assert.strictEqual(details.isOpen, true);
+    assert.strictEqual(document.activeElement, byId('last'));
+    assert.strictEqual(dialog.hasAttribute('inert'), false);
+    assert.strictEqual(page.hasAttribute('inert'), true);
+    assert.strictEqual(document.body.style.overflow, 'hidden');
+
+    key('Escape');
+    assert.strictEqual(details.isOpen, false);
+    assert.strictEqual(page.hasAttribute('inert'), false);
+    assert.strictEqual(document.body.style.overflow, undefined);
+    assert.strictEqual(document.listeners.length, 0);
+});
+
+test('a non-modal dialog above a modal one stays interactive', () => {
+    const { document, DialogController, dialog, confirm, byId, key } = setup();
+    const details = new DialogController(dialog);
+    const popover = new DialogController(confirm, { modal: false });
+    details.open();
+    popover.open();
+
+    assert.strictEqual(confirm.hasAttribute('aria-modal'), false);
+    assert.strictEqual(confirm.hasAttribute('inert'), false);
+    assert.strictEqual(dialog.hasAttribute('inert'), false);
+
+    // Focus may move to the popover, and Tab is not trapped there
+    document.dispatchEvent({ type: 'focusin', target: byId('cancel') });
+    assert.strictEqual(document.activeElement, byId('ok'));
+    byId('cancel').focus();
+    assert.strictEqual(key('Tab').defaultPrevented, false);
+
+    popover.close();
+    assert.strictEqual(details.isOpen, true);
+});
+
+test('dismissal goes through onDismiss; only backdrop clicks on the top dialog count', () => {
+    const { DialogController, dialog, confirm, key } = setup();
+    const reasons = [];
+    const details = new DialogController(dialog, { onDismiss: reason => reasons.push(reason) });
+    details.open();
+
+    dialog.dispatchEvent({ type: 'click', target: dialog.querySelector('.content') });
+    dialog.dispatchEvent({ type: 'click', target: dialog });
+    key('Escape');
+    assert.deepStrictEqual(reasons, ['backdrop', 'escape']);
+    assert.strictEqual(details.isOpen, true);
+
+    new DialogController(confirm).open();
+    dialog.dispatchEvent({ type: 'click', target: dialog });
+    assert.deepStrictEqual(reasons, ['backdrop', 'escape']);
+});
+
+test('close falls back to returnFocus when the opener is gone', () => {
+    const { document, DialogController, dialog, byId } = setup();
+    const controller = new DialogController(dialog, { returnFocus: '#link' });
+    byId('opener').focus();
+    controller.open();
+
+    byId('opener').remove();
+    controller.close();
+    assert.strictEqual(document.activeElement, byId('link'));
+});
@@ -0,0 +1,428 @@
+/**
+ * A small stand-in for the DOM the browser modules use, enough for the tests: elements with
+ * attributes (and namespaced ones), a tree, simple selectors (tag, #id, .class, [attr], [attr="v"],
+ * :not(...), lists), focus, events, and a DOMParser for SVG markup.
+ *
+ * Selectors have no combinators. Elements are "rendered" (getClientRects) unless `hidden` or
+ * their style.display is 'none'.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'Content', 'js');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const XLINK_NS = 'http://www.w3.org/1999/xlink';
+const XHTML_NS = 'http://www.w3.org/1999/xhtml';
+
+class FakeEventTarget {
+    constructor() {
+        this.listeners = [];
+    }
+
+    addEventListener(type, listener, options) {
+        const capture = options === true || !!(options && options.capture);
+        const once = !!(options && options.once);
+        this.listeners.push({ type, listener, capture, once });
+    }
+
+    removeEventListener(type, listener, options) {
+        const capture = options === true || !!(options && options.capture);
+        this.listeners = this.listeners.filter(entry => !(entry.type === type && entry.listener === listener && entry.capture === capture));
+    }
+
+    /**
+     * Calls the listeners of this target (no propagation).
+     * @param {Object} event - Needs `type`; target, preventDefault and stopPropagation are added.
+     * @returns {Object} The event.
+     */
+    dispatchEvent(event) {
+        event.target = event.target || this;
+        event.defaultPrevented = false;
+        event.preventDefault = event.preventDefault || function() { this.defaultPrevented = true; };
+        event.stopPropagation = event.stopPropagation || function() {};
+        this.listeners.filter(entry => entry.type === event.type).forEach(entry => {
+            if (entry.once) this.removeEventListener(entry.type, entry.listener, entry);
+            entry.listener.call(this, event);
+        });
+        return event;
+    }
+}
+
+class FakeElement extends FakeEventTarget {
+    constructor(document, localName, namespaceURI = XHTML_NS) {
+        super();
+        this.ownerDocument = document;
+        this.localName = localName;
+        this.namespaceURI = namespaceURI;
+        this.attributes = [];
+        this.children = [];
+        this.parentElement = null;
+        this.style = {};
+        this.text = '';
+        this.hidden = false;
+        this.focusCount = 0;
+    }
+
+    get tagName() {
+        return this.namespaceURI === XHTML_NS ? this.localName.toUpperCase() : this.localName;
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get textContent() {
+        return this.text + this.children.map(child => child.textContent).join('');
+    }
+
+    set textContent(value) {
+        this.children.forEach(child => { child.parentElement = null; });
+        this.children = [];
+        this.text = String(value);
+    }
+
+    get classList() {
+        const el = this;
+        const list = () => (el.getAttribute('class') || '').split(/\s+/).filter(Boolean);
+        return {
+            add: (...names) => el.setAttribute('class', Array.from(new Set(list().concat(names))).join(' ')),
+            remove: (...names) => el.setAttribute('class', list().filter(name => !names.includes(name)).join(' ')),
+            contains: name => list().includes(name),
+            toggle: (name, force) => {
+                const on = force === undefined ? !list().includes(name) : force;
+                if (on) el.classList.add(name);
+                else el.classList.remove(name);
+                return on;
+            }
+        };
+    }
+
+    get isConnected() {
+        let node = this;
+        while (node.parentElement) node = node.parentElement;
+        return node === this.ownerDocument.documentElement;
+    }
+
+    findAttribute(name) {
+        return this.attributes.find(attr => attr.name === name) || null;
+    }
+
+    getAttribute(name) {
+        const attr = this.findAttribute(name);
+        return attr ? attr.value : null;
+    }
+
+    hasAttribute(name) {
+        return !!this.findAttribute(name);
+    }
+
+    setAttribute(name, value) {
+        this.setAttributeNS(name.startsWith('xlink:') ? XLINK_NS : null, name, value);
+    }
+
+    setAttributeNS(namespaceURI, name, value) {
+        const localName = name.includes(':') ? name.split(':')[1] : name;
+        const existing = this.attributes.find(attr => attr.localName === localName && attr.namespaceURI === namespaceURI);
+        if (existing) existing.value = String(value);
+        else this.attributes.push({ name, localName, namespaceURI, value: String(value) });
+    }
+
+    removeAttribute(name) {
+        this.attributes = this.attributes.filter(attr => attr.name !== name);
+    }
+
+    removeAttributeNS(namespaceURI, localName) {
+        this.attributes = this.attributes.filter(attr => !(attr.localName === localName && attr.namespaceURI === namespaceURI));
+    }
+
+    appendChild(child) {
+        if (child.parentElement) child.remove();
+        child.parentElement = this;
+        this.children.push(child);
+        return child;
+    }
+
+    remove() {
+        if (!this.parentElement) return;
+        const siblings = this.parentElement.children;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentElement = null;
+    }
+
+    replaceChildren(...nodes) {
+        this.textContent = '';
+        nodes.forEach(node => this.appendChild(node));
+    }
+
+    cloneNode(deep) {
+        const clone = new FakeElement(this.ownerDocument, this.localName, this.namespaceURI);
+        clone.attributes = this.attributes.map(attr => ({ ...attr }));
+        clone.text = this.text;
+        if (deep) this.children.forEach(child => clone.appendChild(child.cloneNode(true)));
+        return clone;
+    }
+
+    contains(other) {
+        for (let node = other; node; node = node.parentElement) {
+            if (node === this) return true;
+        }
+        return false;
+    }
+
+    descendants() {
+        return this.children.reduce((all, child) => all.concat(child, child.descendants()), []);
+    }
+
+    matches(selector) {
+        return splitList(selector).some(part => matchesCompound(this, part));
+    }
+
+    querySelectorAll(selector) {
+        return this.descendants().filter(el => el.matches(selector));
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] || null;
+    }
+
+    getElementsByTagName(name) {
+        return this.descendants().filter(el => el.localName === name);
+    }
+
+    closest(selector) {
+        for (let node = this; node; node = node.parentElement) {
+            if (node.matches(selector)) return node;
+        }
+        return null;
+    }
+
+    getClientRects() {
+        for (let node = this; node; node = node.parentElement) {
+            if (node.hidden || node.style.display === 'none') return [];
+        }
+        return [{}];
+    }
+
+    focus() {
+        this.focusCount++;
+        this.ownerDocument.activeElement = this;
+    }
+
+    blur() {
+        if (this.ownerDocument.activeElement === this) this.ownerDocument.activeElement = this.ownerDocument.body;
+    }
+}
+
+class FakeDocument extends FakeEventTarget {
+    constructor() {
+        super();
+        this.baseURI = 'https://example.com/';
+        this.documentElement = this.createElement('html');
+        this.body = this.documentElement.appendChild(this.createElement('body'));
+        this.activeElement = this.body;
+    }
+
+    createElement(localName) {
+        return new FakeElement(this, localName.toLowerCase());
+    }
+
+    createElementNS(namespaceURI, localName) {
+        return new FakeElement(this, localName, namespaceURI);
+    }
+
+    importNode(node, deep) {
+        return node.cloneNode(deep);
+    }
+
+    getElementById(id) {
+        return this.documentElement.querySelector(`#${id}`);
+    }
+
+    querySelector(selector) {
+        return this.documentElement.querySelector(selector);
+    }
+
+    querySelectorAll(selector) {
+        return this.documentElement.querySelectorAll(selector);
+    }
+}
+
+/**
+ * Builds elements from markup: `h('div', { id: 'a' }, child, ...)`.
+ * @param {FakeDocument} document - Owner document.
+ * @returns {Function}
+ */
+function builder(document, namespaceURI = XHTML_NS) {
+    return function h(tag, attributes = {}, ...children) {
+        const el = namespaceURI === XHTML_NS ? document.createElement(tag) : document.createElementNS(namespaceURI, tag);
+        Object.keys(attributes).forEach(name => el.setAttribute(name, attributes[name]));
+        children.forEach(child => {
+            if (typeof child === 'string') el.text += child;
+            else el.appendChild(child);
+        });
+        return el;
+    };
+}
+
+/* ==========================================================================
+   Selectors
+   ========================================================================== */
+
+// Splits on top-level commas (not inside brackets, parentheses or quotes)
+function splitList(selector) {
+    const parts = [];
+    let depth = 0;
+    let quote = null;
+    let current = '';
+    for (const c of selector) {
+        if (quote) {
+            if (c === quote) quote = null;
+        } else if (c === '"' || c === "'") {
+            quote = c;
+        } else if (c === '[' || c === '(') {
+            depth++;
+        } else if (c === ']' || c === ')') {
+            depth--;
+        } else if (c === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+            continue;
+        }
+        current += c;
+    }
+    parts.push(current.trim());
+    return parts.filter(Boolean);
+}
+
+const SIMPLE_PATTERN = /^(?:\*|[a-zA-Z][\w-]*|#(?:\\.|[\w-])+|\.[\w-]+|\[\s*([\w:-]+)\s*(?:=\s*(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|([\w-]+)))?\s*\]|:not\(((?:[^()]|\([^()]*\))*)\))/;
+
+function matchesCompound(el, selector) {
+    let rest = selector.trim();
+    while (rest) {
+        const match = rest.match(SIMPLE_PATTERN);
+        if (!match) throw new Error(`Unsupported selector: ${selector}`);
+        const token = match[0];
+        if (token.startsWith(':not(')) {
+            if (el.matches(match[5])) return false;
+        } else if (token.startsWith('[')) {
+            const value = el.getAttribute(match[1]);
+            const expected = [match[2], match[3], match[4]].find(v => v !== undefined);
+            if (value === null) return false;
+            if (expected !== undefined && value !== expected.replace(/\\(.)/g, '$1')) return false;
+        } else if (token.startsWith('#')) {
+            if (el.id !== token.slice(1).replace(/\\(.)/g, '$1')) return false;
+        } else if (token.startsWith('.')) {
+            if (!el.classList.contains(token.slice(1))) return false;
+        } else if (token !== '*' && el.localName.toLowerCase() !== token.toLowerCase()) {
+            return false;
+        }
+        rest = rest.slice(token.length);
+    }
+    return true;
+}
+
+/* ==========================================================================
+   Markup parser (for DOMParser)
+   ========================================================================== */
+
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[([\s\S]*?)\]\]>|<\/([\w:-]+)\s*>|<([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE_PATTERN = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+function decodeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+/**
+ * Parses well-formed XML markup. Unbalanced markup yields a <parsererror> element, as browsers do.
+ * @param {string} text - The markup.
+ * @param {FakeDocument} document - Owner of the elements.
+ * @returns {Object} { documentElement, getElementsByTagName }.
+ */
+function parseXml(text, document) {
+    const root = document.createElementNS(null, '#document');
+    const open = [root];
+    let error = false;
+    let match;
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(text))) {
+        const parent = open[open.length - 1];
+        if (match[1] !== undefined) {
+            parent.text += match[1];
+        } else if (match[2]) {
+            if (parent.localName !== match[2].split(':').pop()) error = true;
+            else open.pop();
+        } else if (match[3]) {
+            const attributes = [];
+            let attrMatch;
+            ATTRIBUTE_PATTERN.lastIndex = 0;
+            while ((attrMatch = ATTRIBUTE_PATTERN.exec(match[4]))) {
+                attributes.push([attrMatch[1], decodeXml(attrMatch[2] !== undefined ? attrMatch[2] : attrMatch[3])]);
+            }
+            const xmlns = (attributes.find(([name]) => name === 'xmlns') || [])[1];
+            const el = document.createElementNS(xmlns || parent.namespaceURI, match[3]);
+            attributes.forEach(([name, value]) => el.setAttributeNS(name.startsWith('xlink:') ? XLINK_NS : null, name, value));
+            parent.appendChild(el);
+            if (!match[5]) open.push(el);
+        } else if (match[6] !== undefined && match[6].trim()) {
+            parent.text += decodeXml(match[6]);
+        }
+    }
+    if (open.length !== 1) error = true;
+    if (error) root.appendChild(document.createElementNS(null, 'parsererror'));
+    return {
+        documentElement: root.children[0] || null,
+        getElementsByTagName: name => root.getElementsByTagName(name)
+    };
+}
+
+class FakeDOMParser {
+    constructor(document) {
+        this.document = document || new FakeDocument();
+    }
+
+    parseFromString(text) {
+        return parseXml(text, this.document);
+    }
+}
+
+/**
+ * Creates a window with a fresh document.
+ * @param {Object} [extra] - More window properties.
+ * @returns {Object} The window.
+ */
+function createWindow(extra = {}) {
+    const document = new FakeDocument();
+    const win = new FakeEventTarget();
+    return Object.assign(win, {
+        document,
+        location: { href: document.baseURI, search: '', hash: '', pathname: '/' },
+        DOMParser: class extends FakeDOMParser {
+            constructor() {
+                super(new FakeDocument());
+            }
+        }
+    }, extra);
+}
+
+/**
+ * Runs a Content/js browser script with `win` as its global, so module state is fresh per call.
+ * @param {string} name - Script name without extension (e.g. 'dialog-controller').
+ * @param {Object} [win] - The window (default: createWindow()).
+ * @returns {Object} The window, with the globals the script defined.
+ */
+function loadScript(name, win = createWindow()) {
+    const file = path.join(JS_DIR, `${name}.js`);
+    Object.assign(win, { window: win, console, URL, URLSearchParams, setTimeout, clearTimeout });
+    vm.createContext(win);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), win, { filename: file });
+    return win;
+}
+
+module.exports = { FakeDocument, FakeElement, FakeDOMParser, createWindow, loadScript, builder, parseXml, SVG_NS, XLINK_NS };
@@ -0,0 +1,80 @@
+/**
+ * Loads building-types.js (a browser script) into a Node vm context for the tests, with the
+ * Content/js modules it uses as globals and a document that records what the views write.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const JS_DIR = path.join(__dirname, '..', '..', 'Content', 'js');
+
+// Global name -> module file
+const MODULES = {
+    HtmlSanitizer: 'html-sanitizer',
+    TabRegistry: 'tab-registry',
+    DataAdapter: 'data-adapter',
+    DataCache: 'data-cache',
+    BuildingTypeRegistry: 'building-type-registry',
+    ProductCompare: 'product-compare',
+    ProductShortlist: 'product-shortlist',
+    SpaceSearch: 'space-search'
+};
+
+// Stands in for the elements the views fill
+function createElement(id) {
+    return {
+        id: id,
+        innerHTML: '',
+        textContent: '',
+        hidden: false,
+        disabled: false,
+        style: {},
+        attributes: {},
+        setAttribute(name, value) {
+            this.attributes[name] = String(value);
+        }
+    };
+}
+
+function createDocument() {
+    const elements = new Map();
+    return {
+        getElementById(id) {
+            if (!elements.has(id)) elements.set(id, createElement(id));
+            return elements.get(id);
+        },
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener() {}
+    };
+}
+
+/**
+ * Runs building-types.js in a fresh context.
+ * @param {Object} [globals] - Extra globals (e.g. fetch, localStorage).
+ * @returns {Object} { APP_CONFIG, SpaceService, SpaceModel, SpaceView, SpaceController, document, createElement }.
+ */
+function loadApp(globals = {}) {
+    const document = createDocument();
+    const context = {
+        console, URL, URLSearchParams, AbortController, setTimeout, clearTimeout,
+        document: document,
+        window: { location: { href: 'https://example.com/', search: '' } },
+        ...globals
+    };
+    Object.keys(MODULES).forEach(name => {
+        context[name] = require(path.join(JS_DIR, MODULES[name]));
+    });
+    vm.createContext(context);
+
+    const source = fs.readFileSync(path.join(JS_DIR, 'building-types.js'), 'utf8');
+    const bindings = vm.runInContext(
+        `${source}\n;({ APP_CONFIG, SpaceService, SpaceModel, SpaceView, SpaceController })`,
+        context,
+        { filename: path.join(JS_DIR, 'building-types.js') }
+    );
+    return { ...bindings, document, createElement };
+}
+
+module.exports = { loadApp };
@@ -0,0 +1,38 @@
+/**
+ * In-memory implementation of the Web Storage interface (localStorage) for the tests.
+ * `failWrites` makes setItem throw, as a full or blocked storage does.
+ */
+
+class MemoryStorage {
+    constructor(entries = {}) {
+        this.map = new Map(Object.entries(entries));
+        this.failWrites = false;
+    }
+
+    get length() {
+        return this.map.size;
+    }
+
+    key(index) {
+        return Array.from(this.map.keys())[index] || null;
+    }
+
+    getItem(key) {
+        return this.map.has(key) ? this.map.get(key) : null;
+    }
+
+    setItem(key, value) {
+        if (this.failWrites) throw new Error('QuotaExceededError');
+        this.map.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.map.delete(key);
+    }
+
+    clear() {
+        this.map.clear();
+    }
+}
+
+module.exports = MemoryStorage;
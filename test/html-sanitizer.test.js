@@ -0,0 +1,46 @@
+/**
+ * HtmlSanitizer regression tests. Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HtmlSanitizer = require('../Content/js/html-sanitizer');
+
+const sanitizer = new HtmlSanitizer();
+
+// The href as a browser reads it from the sanitized markup
+function hrefOf(html) {
+    const match = sanitizer.sanitize(html).match(/href="([^"]*)"/);
+    return match ? match[1].replace(/&amp;/g, '&').replace(/&quot;/g, '"') : null;
+}
+
+test('a double-encoded character reference does not hide a javascript: URL', () => {
+    // Read by the browser as a relative URL starting with the text "&#106;"
+    assert.strictEqual(hrefOf('<a href="&amp;#106;avascript:alert(1)">x</a>'), '&#106;avascript:alert%281%29');
+});
+
+test('a double-encoded &Tab; does not split a javascript: URL', () => {
+    assert.strictEqual(hrefOf('<a href="java&amp;Tab;script:alert(1)">x</a>'), 'java&Tab;script:alert%281%29');
+});
+
+test('character references hiding a protocol are decoded and rejected', () => {
+    ['jav&#x61;script:alert(1)', 'java&Tab;script:alert(1)', 'java&#9;script:alert(1)', '&#x6A;avascript&colon;alert(1)'].forEach(url => {
+        assert.strictEqual(sanitizer.sanitize(`<a href="${url}">x</a>`), '<a>x</a>', url);
+    });
+});
+
+test('attribute values are decoded once and escaped once', () => {
+    assert.strictEqual(
+        sanitizer.sanitize('<a href="https://example.com/?a=1&amp;b=2" title="A &amp; B">x</a>'),
+        '<a href="https://example.com/?a=1&amp;b=2" title="A &amp; B">x</a>'
+    );
+});
+
+test('toText decodes character references once', () => {
+    assert.strictEqual(HtmlSanitizer.toText('<p>&amp;lt;b&amp;gt; &amp;amp; a&nbsp;b</p>'), '&lt;b&gt; &amp; a b');
+});
+
+test('cssUrl quotes a URL for a CSS string', () => {
+    assert.strictEqual(HtmlSanitizer.cssUrl(HtmlSanitizer.sanitizeUrl('x&amp;#39;);background:red')), 'url("x&#39;%29;background:red")');
+    assert.strictEqual(HtmlSanitizer.cssUrl('a"b\\c'), 'url("a\\22 b\\5c c")');
+});
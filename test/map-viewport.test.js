@@ -0,0 +1,183 @@
+/**
+ * MapViewport geometry, zoom limits and input.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MapViewport = require('../Content/js/map-viewport');
+const { FakeDocument, builder, SVG_NS } = require('./helpers/fake-dom');
+
+// A 100 x 50 viewBox drawn in a 400 x 100 px box at (10, 20): 2 px per unit, 100 px letterbox left and right
+const RECT = { left: 10, top: 20, width: 400, height: 100, right: 410, bottom: 120 };
+
+// Screen rectangle of a box given in map units, at the initial view
+function screenRect(x, y, width, height) {
+    const left = RECT.left + 100 + x * 2;
+    const top = RECT.top + y * 2;
+    return { left, top, width: width * 2, height: height * 2, right: left + width * 2, bottom: top + height * 2 };
+}
+
+function setup(options = {}) {
+    const document = new FakeDocument();
+    const s = builder(document, SVG_NS);
+    const h = builder(document);
+    const marker = s('circle');
+    marker.getBoundingClientRect = () => screenRect(40, 20, 10, 10);
+    const content = s('g', {}, marker);
+    const svg = s('svg', { viewBox: '0 0 100 50' }, content);
+    svg.getBoundingClientRect = () => RECT;
+    const controls = { zoomIn: h('button'), zoomOut: h('button'), reset: h('button') };
+    const views = [];
+    const viewport = new MapViewport(svg, content, { controls, onChange: view => views.push(view), ...options });
+    return { viewport, svg, content, marker, controls, views };
+}
+
+const round = view => ({ scale: +view.scale.toFixed(3), x: +view.x.toFixed(3), y: +view.y.toFixed(3) });
+
+test('toSvgPoint converts screen pixels to viewBox units across the letterbox', () => {
+    const { viewport, svg } = setup();
+
+    assert.deepStrictEqual(viewport.viewBox(), { x: 0, y: 0, width: 100, height: 50 });
+    assert.strictEqual(viewport.pixelRatio(), 2);
+    assert.deepStrictEqual(viewport.toSvgPoint(110, 20), { x: 0, y: 0 });
+    assert.deepStrictEqual(viewport.toSvgPoint(310, 120), { x: 100, y: 50 });
+    assert.deepStrictEqual(viewport.toSvgPoint(10, 70), { x: -50, y: 25 });
+
+    svg.getBoundingClientRect = () => ({ left: 0, top: 0, width: 0, height: 0 });
+    assert.strictEqual(viewport.toSvgPoint(0, 0), null);
+});
+
+test('without a viewBox the SVG is measured in pixels', () => {
+    const { viewport, svg } = setup();
+    svg.removeAttribute('viewBox');
+    assert.deepStrictEqual(viewport.viewBox(), { x: 0, y: 0, width: 400, height: 100 });
+});
+
+test('zoomAt keeps the point under the pointer in place', () => {
+    const { viewport, content } = setup();
+    viewport.zoomAt(2, { x: 30, y: 10 });
+
+    assert.deepStrictEqual(viewport.view, { scale: 2, x: -30, y: -10 });
+    assert.strictEqual(30 * viewport.scale + viewport.view.x, 30);
+    assert.strictEqual(content.style.transform, 'translate(-30px, -10px) scale(2)');
+    assert.strictEqual(content.classList.contains('is-animating'), false);
+});
+
+test('the scale stays within its limits and the map covers the viewBox', () => {
+    const { viewport } = setup();
+
+    assert.strictEqual(viewport.clampScale(0.2), 1);
+    assert.strictEqual(viewport.clampScale(9), 4);
+    assert.deepStrictEqual(round(viewport.clamp({ scale: 2, x: 20, y: -80 })), { scale: 2, x: 0, y: -50 });
+    assert.deepStrictEqual(viewport.clamp({ scale: 1, x: -10, y: 5 }), { scale: 1, x: 0, y: 0 });
+
+    viewport.zoomAt(10, { x: 100, y: 50 });
+    assert.deepStrictEqual(viewport.view, { scale: 4, x: -300, y: -150 });
+    viewport.zoomAt(0.1, { x: 0, y: 0 });
+    assert.deepStrictEqual(viewport.view, { scale: 1, x: 0, y: 0 });
+});
+
+test('controls are aria-disabled at the limits and ignore presses there', () => {
+    const { viewport, controls } = setup({ maxScale: 2.25 });
+    const disabled = () => ['zoomIn', 'zoomOut', 'reset'].map(name => controls[name].getAttribute('aria-disabled'));
+
+    assert.deepStrictEqual(disabled(), ['false', 'true', 'true']);
+    controls.zoomOut.dispatchEvent({ type: 'click' });
+    assert.strictEqual(viewport.scale, 1);
+
+    controls.zoomIn.dispatchEvent({ type: 'click' });
+    controls.zoomIn.dispatchEvent({ type: 'click' });
+    assert.strictEqual(viewport.scale, 2.25);
+    assert.deepStrictEqual(disabled(), ['true', 'false', 'false']);
+
+    controls.reset.dispatchEvent({ type: 'click' });
+    assert.deepStrictEqual(viewport.view, { scale: 1, x: 0, y: 0 });
+});
+
+test('zoomTo frames an element and restore returns to the previous view', () => {
+    const { viewport, marker, content } = setup();
+
+    assert.strictEqual(viewport.zoomTo(marker), true);
+    assert.deepStrictEqual(viewport.view, { scale: 2, x: -40, y: -25 });
+    assert.strictEqual(content.classList.contains('is-animating'), true);
+
+    viewport.restore();
+    assert.deepStrictEqual(viewport.view, { scale: 1, x: 0, y: 0 });
+
+    // Moving the map in between keeps the new view
+    viewport.zoomTo(marker);
+    viewport.zoomBy(1.5);
+    viewport.restore();
+    assert.strictEqual(viewport.scale, 3);
+
+    marker.getBoundingClientRect = () => ({ left: 0, top: 0, width: 0, height: 0, right: 0, bottom: 0 });
+    assert.strictEqual(viewport.zoomTo(marker), false);
+});
+
+test('zoomTo zooms in no further than the element fits with its padding', () => {
+    const { viewport, marker } = setup({ focusScale: 3 });
+    marker.getBoundingClientRect = () => screenRect(20, 10, 20, 20);
+
+    viewport.zoomTo(marker);
+    assert.deepStrictEqual(round(viewport.view), { scale: 2, x: -10, y: -15 });
+});
+
+test('keys zoom and reset while focus is in the SVG', () => {
+    const { viewport, svg } = setup();
+    const key = (key, extra = {}) => svg.dispatchEvent({ type: 'keydown', key, ...extra });
+
+    assert.strictEqual(key('+').defaultPrevented, true);
+    assert.strictEqual(viewport.scale, 1.5);
+    key('=', { ctrlKey: true });
+    assert.strictEqual(viewport.scale, 1.5);
+    key('-');
+    assert.strictEqual(viewport.scale, 1);
+    key('+');
+    key('0');
+    assert.deepStrictEqual(viewport.view, { scale: 1, x: 0, y: 0 });
+    assert.strictEqual(key('a').defaultPrevented, false);
+});
+
+test('the wheel zooms around the pointer but leaves scrolling out to the page at the whole map', () => {
+    const { viewport, svg } = setup();
+    const wheel = deltaY => svg.dispatchEvent({ type: 'wheel', deltaY, deltaMode: 0, clientX: 170, clientY: 40 });
+
+    assert.strictEqual(wheel(100).defaultPrevented, false);
+    assert.strictEqual(viewport.scale, 1);
+
+    assert.strictEqual(wheel(-Math.log(2) / 0.002).defaultPrevented, true);
+    assert.deepStrictEqual(round(viewport.view), { scale: 2, x: -30, y: -10 });
+});
+
+test('dragging pans once past the threshold and swallows the click that ends it', (t) => {
+    let now = 10000;
+    t.mock.method(Date, 'now', () => now);
+    const { viewport, svg, views } = setup();
+    viewport.zoomAt(2, { x: 50, y: 25 });
+    const pointer = (type, clientX, clientY) => svg.dispatchEvent({ type, pointerId: 1, pointerType: 'mouse', button: 0, clientX, clientY });
+
+    pointer('pointerdown', 200, 60);
+    pointer('pointermove', 203, 60);
+    assert.deepStrictEqual(viewport.view, { scale: 2, x: -50, y: -25 });
+    pointer('pointermove', 220, 50);
+    assert.deepStrictEqual(viewport.view, { scale: 2, x: -40, y: -30 });
+    pointer('pointerup', 220, 50);
+
+    assert.strictEqual(svg.dispatchEvent({ type: 'click' }).defaultPrevented, true);
+    now += 1000;
+    assert.strictEqual(svg.dispatchEvent({ type: 'click' }).defaultPrevented, false);
+    assert.deepStrictEqual(views[views.length - 1], { scale: 2, x: -40, y: -30 });
+});
+
+test('a pinch zooms keeping the map point between the fingers under them', () => {
+    const { viewport, svg } = setup();
+    const touch = (type, pointerId, clientX, clientY) => svg.dispatchEvent({ type, pointerId, pointerType: 'touch', clientX, clientY });
+
+    touch('pointerdown', 1, 150, 60);
+    touch('pointerdown', 2, 190, 60);
+    touch('pointermove', 2, 230, 60);
+
+    // Fingers 40 px apart, then 80: twice the scale, and map point (30, 20) follows the midpoint to (40, 20)
+    assert.deepStrictEqual(round(viewport.view), { scale: 2, x: -20, y: -20 });
+});
@@ -0,0 +1,118 @@
+/**
+ * MarkerMap linking of spaces to markers and the marker audit.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkerMap = require('../Content/js/marker-map');
+const { FakeDocument, parseXml } = require('./helpers/fake-dom');
+
+const GYM_ID = 'e810fbc3-7397-41a3-a9e6-28ff623203cd';
+
+const SPACES = [
+    { id: GYM_ID, slug: 'gym', aliases: ['gymnasium'], name: 'School Gym' },
+    { id: 'c1', slug: 'classrooms', name: 'Classrooms' },
+    { id: 'l1', slug: 'library', name: 'Library' },
+    { id: 'm1', slug: 'music', name: 'Music Room' }
+];
+
+const svgOf = markup => parseXml(markup, new FakeDocument()).documentElement;
+
+function markersSvg() {
+    return svgOf(`<svg xmlns="http://www.w3.org/2000/svg">
+        <g id="Pins">
+            <g id="roof"/>
+            <g id="gym-pin"><g><circle/></g></g>
+            <g id="art-7" data-space-id="classrooms"/>
+            <g id="library"/>
+            <g id="admin-offices"/>
+            <g id="old" data-space-id="cafeteria"/>
+            <g id="gym" data-space-id="gym"/>
+        </g>
+        <rect id="background"/>
+    </svg>`);
+}
+
+test('spaces link through the mapping table, then data-space-id, then the element ID', () => {
+    const svg = markersSvg();
+    const { markers, report } = MarkerMap.link(svg, SPACES, {
+        mapping: { gymnasium: 'gym-pin' },
+        pinsGroup: 'Pins',
+        ignore: ['roof']
+    });
+
+    assert.deepStrictEqual(report.linked, [
+        { spaceId: GYM_ID, slug: 'gym', markerId: 'gym-pin', via: 'mapping' },
+        { spaceId: 'c1', slug: 'classrooms', markerId: 'art-7', via: 'attribute' },
+        { spaceId: 'l1', slug: 'library', markerId: 'library', via: 'id' }
+    ]);
+    assert.deepStrictEqual(markers.map(marker => [marker.space.id, marker.el.getAttribute('data-space-id')]), [
+        [GYM_ID, GYM_ID],
+        ['c1', 'c1'],
+        ['l1', 'l1']
+    ]);
+});
+
+test('the audit reports spaces without a marker, unclaimed markers and stale mappings', () => {
+    const svg = markersSvg();
+    const { orphans, report } = MarkerMap.link(svg, SPACES, {
+        mapping: { [GYM_ID]: 'gym-pin', auditorium: 'auditorium-pin', music: 'music-pin' },
+        pinsGroup: 'Pins',
+        ignore: ['roof']
+    });
+
+    assert.strictEqual(report.ok, false);
+    assert.deepStrictEqual(report.spacesWithoutMarker, ['m1']);
+    assert.deepStrictEqual(report.markersWithoutSpace, ['admin-offices', 'cafeteria', 'gym']);
+    assert.deepStrictEqual(report.staleMappings, [
+        { spaceId: 'auditorium', markerId: 'auditorium-pin', problem: 'no such space' },
+        { spaceId: 'music', markerId: 'music-pin', problem: 'no such marker' }
+    ]);
+
+    // Unclaimed markers keep their place on the map but lose stray space IDs
+    assert.deepStrictEqual(orphans.map(orphan => [orphan.el.id, orphan.label]), [
+        ['admin-offices', 'Admin Offices'],
+        ['old', 'Cafeteria'],
+        ['gym', 'Gym']
+    ]);
+    assert.strictEqual(svg.querySelectorAll('[data-space-id]').length, 3);
+    assert.strictEqual(svg.querySelector('#old').hasAttribute('data-space-id'), false);
+});
+
+test('a complete link is reported ok', () => {
+    const svg = svgOf(`<svg xmlns="http://www.w3.org/2000/svg">
+        <g id="gym"><g><circle/></g></g>
+        <g id="classrooms"/>
+    </svg>`);
+    const { markers, orphans, report } = MarkerMap.link(svg, SPACES.slice(0, 2));
+
+    assert.strictEqual(report.ok, true);
+    assert.strictEqual(markers.length, 2);
+    assert.deepStrictEqual(orphans, []);
+});
+
+test('elements inside a linked marker are not orphans', () => {
+    const svg = svgOf(`<svg xmlns="http://www.w3.org/2000/svg">
+        <g id="Pins"><g id="gym"><g data-space-id="gym-label"/></g></g>
+    </svg>`);
+    const { report } = MarkerMap.link(svg, SPACES.slice(0, 1), { pinsGroup: 'Pins' });
+
+    assert.deepStrictEqual(report.markersWithoutSpace, []);
+    assert.deepStrictEqual(report.linked.map(entry => entry.via), ['id']);
+});
+
+test('groups are the direct <g> children of the pins group, else of the root', () => {
+    const svg = markersSvg();
+
+    assert.deepStrictEqual(MarkerMap.groups(svg, 'Pins', ['roof']).map(el => el.id), ['gym-pin', 'art-7', 'library', 'admin-offices', 'old', 'gym']);
+    assert.deepStrictEqual(MarkerMap.groups(svg, 'Missing').map(el => el.id), ['Pins']);
+});
+
+test('keysOf and humanize', () => {
+    assert.deepStrictEqual(MarkerMap.keysOf(SPACES[0]), [GYM_ID, 'gym', 'gymnasium']);
+    assert.deepStrictEqual(MarkerMap.keysOf({ id: 'gym', slug: 'gym', aliases: [null] }), ['gym']);
+    assert.strictEqual(MarkerMap.humanize('admin-offices'), 'Admin Offices');
+    assert.strictEqual(MarkerMap.humanize('  music_room 2'), 'Music Room 2');
+    assert.strictEqual(MarkerMap.humanize(null), '');
+});
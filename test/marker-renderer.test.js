@@ -0,0 +1,114 @@
+/**
+ * MarkerRenderer positions, sidecar loading and the generated markers SVG.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MarkerRenderer = require('../Content/js/marker-renderer');
+const DataAdapter = require('../Content/js/data-adapter');
+const { FakeDocument, SVG_NS } = require('./helpers/fake-dom');
+
+const GYM_ID = 'e810fbc3-7397-41a3-a9e6-28ff623203cd';
+
+const SPACES = [
+    { id: 'c1', slug: 'classrooms', name: 'Classrooms', marker: { x: 540, y: 210, label: null } },
+    { id: GYM_ID, slug: 'gym', aliases: ['gymnasium'], name: 'School Gym', marker: null },
+    { id: 'l1', slug: 'library', name: 'Library', marker: null }
+];
+
+test('toPosition accepts numeric strings and needs both coordinates', () => {
+    assert.deepStrictEqual(MarkerRenderer.toPosition({ x: '12.5', y: 4, label: '  Gym ' }), { x: 12.5, y: 4, label: 'Gym' });
+    assert.deepStrictEqual(MarkerRenderer.toPosition({ x: 0, y: 0, label: ' ' }), { x: 0, y: 0, label: null });
+    assert.strictEqual(MarkerRenderer.toPosition({ x: 1 }), null);
+    assert.strictEqual(MarkerRenderer.toPosition({ x: 'left', y: 2 }), null);
+    assert.strictEqual(MarkerRenderer.toPosition('1,2'), null);
+});
+
+test('the CMS position wins over the sidecar, which is keyed by ID, slug or alias', () => {
+    const positions = MarkerRenderer.collect(SPACES, {
+        classrooms: { x: 1, y: 1 },
+        gymnasium: { x: 980, y: 320, label: 'Gymnasium' },
+        library: { y: 5 }
+    });
+
+    assert.deepStrictEqual(Array.from(positions), [
+        ['c1', { x: 540, y: 210, label: null }],
+        [GYM_ID, { x: 980, y: 320, label: 'Gymnasium' }]
+    ]);
+
+    // The ID comes before the slug and aliases
+    const byId = MarkerRenderer.collect(SPACES, { gym: { x: 1, y: 1 }, [GYM_ID]: { x: 2, y: 2 } });
+    assert.deepStrictEqual(byId.get(GYM_ID), { x: 2, y: 2, label: null });
+    assert.strictEqual(MarkerRenderer.collect(null).size, 0);
+});
+
+test('DataAdapter reads the CMS position from MarkerImage', () => {
+    assert.deepStrictEqual(DataAdapter.transformMarker([{ X: '540', Y: '210', Label: ' Classrooms ' }]), { x: 540, y: 210, label: 'Classrooms' });
+    assert.strictEqual(DataAdapter.transformMarker([{ Url: '/pins/gym.svg' }]), null);
+    assert.strictEqual(DataAdapter.transformMarker([]), null);
+});
+
+test('a sidecar is fetched once; a failed one gives no positions and is retried', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const requests = [];
+    let available = false;
+    const renderer = new MarkerRenderer({
+        document: new FakeDocument(),
+        fetch: async (url) => {
+            requests.push(url);
+            if (!available) return { ok: false, status: 404 };
+            return { ok: true, json: async () => ({ viewBox: '0 0 1417 600', markers: { gym: { x: 1, y: 2 } } }) };
+        }
+    });
+
+    assert.deepStrictEqual(await renderer.loadSidecar('k-12-markers.json'), { viewBox: null, markers: {} });
+    assert.strictEqual(warn.mock.callCount(), 1);
+
+    available = true;
+    const [first, second] = await Promise.all([renderer.loadSidecar('k-12-markers.json'), renderer.loadSidecar('k-12-markers.json')]);
+    assert.deepStrictEqual(first, { viewBox: '0 0 1417 600', markers: { gym: { x: 1, y: 2 } } });
+    assert.strictEqual(first, second);
+    assert.strictEqual(requests.length, 2);
+
+    assert.deepStrictEqual(await renderer.loadSidecar(null), { viewBox: null, markers: {} });
+    assert.strictEqual(requests.length, 2);
+});
+
+test('a sidecar with unexpected fields gives empty defaults', async () => {
+    const renderer = new MarkerRenderer({ fetch: async () => ({ ok: true, json: async () => ({ viewBox: 5, markers: 'gym' }) }) });
+    assert.deepStrictEqual(await renderer.loadSidecar('markers.json'), { viewBox: null, markers: {} });
+});
+
+test('render draws a pin and label per positioned space in the markers group', () => {
+    const renderer = new MarkerRenderer({ document: new FakeDocument(), pinsGroup: 'Pins' });
+    const positions = MarkerRenderer.collect(SPACES, { gym: { x: 980, y: 320, label: 'Gymnasium' } });
+    const svg = renderer.render(SPACES, positions, { viewBox: '0 0 1417 600', pinsGroup: 'K12-Pins' });
+
+    assert.strictEqual(svg.namespaceURI, SVG_NS);
+    assert.strictEqual(svg.getAttribute('viewBox'), '0 0 1417 600');
+    assert.strictEqual(svg.getAttribute('preserveAspectRatio'), 'xMidYMid meet');
+
+    const group = svg.children[0];
+    assert.strictEqual(group.id, 'K12-Pins');
+    assert.deepStrictEqual(group.children.map(marker => [marker.id, marker.getAttribute('data-space-id')]), [
+        ['classrooms', 'c1'],
+        ['gym', GYM_ID]
+    ]);
+
+    const [pin, label] = group.children[1].children[0].children;
+    assert.strictEqual(group.children[1].children[0].getAttribute('class'), 'gh-marker-body');
+    assert.deepStrictEqual(['cx', 'cy', 'r'].map(name => pin.getAttribute(name)), ['980', '320', '12']);
+    assert.deepStrictEqual(['x', 'y', 'text-anchor', 'aria-hidden'].map(name => label.getAttribute(name)), ['980', '350', 'middle', 'true']);
+    assert.strictEqual(label.textContent, 'Gymnasium');
+    assert.strictEqual(group.children[0].querySelector('text').textContent, 'Classrooms');
+});
+
+test('render without a viewBox or pins group', () => {
+    const renderer = new MarkerRenderer({ document: new FakeDocument() });
+    const svg = renderer.render(SPACES, new Map());
+
+    assert.strictEqual(svg.hasAttribute('viewBox'), false);
+    assert.strictEqual(svg.children[0].hasAttribute('id'), false);
+    assert.deepStrictEqual(svg.children[0].children, []);
+});
@@ -0,0 +1,106 @@
+/**
+ * ODataClient paging tests, with a stubbed fetch and against tools/mock-odata-server.js.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ODataClient = require('../Content/js/odata-client');
+const { createServer } = require('../tools/mock-odata-server');
+
+const K12 = require('../Content/js/api-response.json').value[0];
+
+// A client whose fetch serves the given URL -> body map
+function clientFor(responses) {
+    const requested = [];
+    const client = new ODataClient({
+        baseUrl: 'https://cms.example.com/api',
+        retries: 0,
+        fetch: async (url) => {
+            requested.push(url);
+            const body = responses[url];
+            return { ok: !!body, status: body ? 200 : 404, json: async () => body };
+        }
+    });
+    return { client, requested };
+}
+
+test('getAll follows the nextLinks of expanded collections', async () => {
+    const { client, requested } = clientFor({
+        'https://cms.example.com/api/buildingtypes': {
+            value: [{ Title: 'K-12 School', Spaces: [{ Title: 'Classrooms' }], 'Spaces@odata.nextLink': 'spaces?$skiptoken=1' }]
+        },
+        'https://cms.example.com/api/spaces?$skiptoken=1': {
+            value: [{ Title: 'School Gym', SystemEquipment: [{ Title: 'Bleachers' }], 'SystemEquipment@odata.nextLink': 'equipment?$skiptoken=1' }],
+            '@odata.nextLink': 'spaces?$skiptoken=2'
+        },
+        'https://cms.example.com/api/equipment?$skiptoken=1': {
+            value: [{ Title: 'Scoreboard' }]
+        },
+        'https://cms.example.com/api/spaces?$skiptoken=2': {
+            value: [{ Title: 'Library' }]
+        }
+    });
+
+    const response = await client.getAll('buildingtypes');
+    const record = response.value[0];
+
+    assert.deepStrictEqual(record.Spaces.map(space => space.Title), ['Classrooms', 'School Gym', 'Library']);
+    assert.deepStrictEqual(record.Spaces[1].SystemEquipment.map(item => item.Title), ['Bleachers', 'Scoreboard']);
+    assert.ok(!('Spaces@odata.nextLink' in record));
+    assert.ok(!('SystemEquipment@odata.nextLink' in record.Spaces[1]));
+    assert.strictEqual(requested.length, 4);
+});
+
+test('nested pages count against maxPages', async () => {
+    const { client } = clientFor({
+        'https://cms.example.com/api/buildingtypes': {
+            value: [{ Spaces: [], 'Spaces@odata.nextLink': 'spaces' }]
+        },
+        'https://cms.example.com/api/spaces': {
+            value: [{}],
+            '@odata.nextLink': 'spaces'
+        }
+    });
+    client.options.maxPages = 3;
+
+    await assert.rejects(client.getAll('buildingtypes'), /Stopped after 3 pages/);
+});
+
+test('getAll reads every page from the mock server, retrying an injected failure', async (t) => {
+    const records = [K12, { ...K12, Id: 'c1b7a5f0-3d1e-4a52-9a43-2f1d8e6b7c10', Title: 'K-12 Annex' }];
+    const server = createServer({ records: records, pageSize: 1, spacesPageSize: 1, failFirst: 1, quiet: true });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        if (server.closeAllConnections) server.closeAllConnections();
+        server.close();
+    });
+    const warn = t.mock.method(console, 'warn', () => {});
+
+    const client = new ODataClient({ baseUrl: `http://127.0.0.1:${server.address().port}/api/all-services`, retryDelay: 10 });
+    const response = await client.getAll('buildingtypes', { select: ['Id', 'Title'], expand: { Spaces: true } });
+
+    assert.deepStrictEqual(response.value.map(record => record.Title), ['K-12 School', 'K-12 Annex']);
+    response.value.forEach(record => {
+        assert.deepStrictEqual(record.Spaces.map(space => space.Id), K12.Spaces.map(space => space.Id));
+        assert.ok(!('Spaces@odata.nextLink' in record));
+    });
+    assert.match(response['@odata.context'], /\$metadata#buildingtypes$/);
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test('getAll applies $filter on the mock server', async (t) => {
+    const server = createServer({ quiet: true });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => {
+        if (server.closeAllConnections) server.closeAllConnections();
+        server.close();
+    });
+
+    const client = new ODataClient({ baseUrl: `http://127.0.0.1:${server.address().port}/api/all-services` });
+    const response = await client.getAll('buildingtypes', { filter: { Title: 'K-12 School' } });
+    const none = await client.getAll('buildingtypes', { filter: { Title: 'Hospital' } });
+
+    assert.deepStrictEqual(response.value.map(record => record.Id), [K12.Id]);
+    assert.strictEqual(none.value.length, 0);
+});
@@ -0,0 +1,75 @@
+/**
+ * ProductCompare limits, keys and change reporting.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ProductCompare = require('../Content/js/product-compare');
+
+const entry = (key, spaceId = 'gym', productIndex = 0) => ({ key, spaceId, spaceName: spaceId, productIndex, product: { id: key } });
+
+test('keyOf uses the CMS Id, else the space and position', () => {
+    assert.strictEqual(ProductCompare.keyOf({ id: 42 }, 'gym', 3), '42');
+    assert.strictEqual(ProductCompare.keyOf({ title: 'Fan' }, 'gym', 3), 'gym#3');
+    assert.strictEqual(ProductCompare.keyOf(null, 'gym', 0), 'gym#0');
+});
+
+test('comparing needs `min` products and stops accepting at `max`', () => {
+    const compare = new ProductCompare();
+
+    assert.strictEqual(compare.add(entry('a')), true);
+    assert.strictEqual(compare.canCompare, false);
+    assert.strictEqual(compare.add(entry('b', 'classrooms')), true);
+    assert.strictEqual(compare.canCompare, true);
+    compare.add(entry('c'));
+    compare.add(entry('d'));
+
+    assert.strictEqual(compare.isFull, true);
+    assert.strictEqual(compare.add(entry('e')), false);
+    assert.deepStrictEqual(compare.entries.map(e => e.key), ['a', 'b', 'c', 'd']);
+
+    compare.remove('b');
+    assert.strictEqual(compare.isFull, false);
+    assert.strictEqual(compare.add(entry('e')), true);
+});
+
+test('limits are configurable', () => {
+    const compare = new ProductCompare({ min: 1, max: 2 });
+    compare.add(entry('a'));
+    assert.strictEqual(compare.canCompare, true);
+    compare.add(entry('b'));
+    assert.strictEqual(compare.isFull, true);
+    assert.strictEqual(compare.size, 2);
+});
+
+test('a product is picked once and onChange reports real changes only', () => {
+    const changes = [];
+    const compare = new ProductCompare({ onChange: entries => changes.push(entries.map(e => e.key)) });
+
+    compare.add(entry('a'));
+    assert.strictEqual(compare.add(entry('a')), false);
+    assert.strictEqual(compare.remove('missing'), false);
+    compare.clear();
+    compare.clear();
+    assert.strictEqual(compare.add(undefined), false);
+
+    assert.deepStrictEqual(changes, [['a'], []]);
+});
+
+test('onChange gets a copy of the entries', () => {
+    let reported = null;
+    const compare = new ProductCompare({ onChange: entries => { reported = entries; } });
+    compare.add(entry('a'));
+
+    reported.push(entry('x'));
+    assert.deepStrictEqual(compare.entries.map(e => e.key), ['a']);
+});
+
+test('refresh re-resolves entries and drops products that are gone', () => {
+    const compare = new ProductCompare();
+    ['a', 'b', 'c'].forEach(key => compare.add(entry(key)));
+
+    compare.refresh(e => (e.key === 'b' ? null : { ...e, spaceName: 'School Gym' }));
+    assert.deepStrictEqual(compare.entries.map(e => [e.key, e.spaceName]), [['a', 'School Gym'], ['c', 'School Gym']]);
+});
@@ -0,0 +1,109 @@
+/**
+ * ProductShortlist storage, shared links and exports.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ProductShortlist = require('../Content/js/product-shortlist');
+const MemoryStorage = require('./helpers/memory-storage');
+
+const FAN = { id: 'p-1', title: 'Exhaust Fan', productDetailsUrl: 'https://example.com/fan', spaceId: 'gym', spaceName: 'School Gym' };
+const UNIT = { id: 'p-2', title: 'Rooftop Unit', productDetailsUrl: null, spaceId: 'gym', spaceName: 'School Gym' };
+
+test('readIds reads the unique IDs of a shared link', () => {
+    assert.deepStrictEqual(ProductShortlist.readIds('?shortlist=p-1,%20p-2,,p-1'), ['p-1', 'p-2']);
+    assert.deepStrictEqual(ProductShortlist.readIds('?picks=p-3', 'picks'), ['p-3']);
+    assert.deepStrictEqual(ProductShortlist.readIds('?scene=building'), []);
+});
+
+test('toUrl writes a link that readIds reads back', () => {
+    const shortlist = new ProductShortlist({ storage: null }).load('k-12');
+    shortlist.add(FAN);
+    shortlist.add(UNIT);
+
+    const href = shortlist.toUrl('https://example.com/?buildingType=k-12&shortlist=old#scene=building');
+    assert.strictEqual(href, 'https://example.com/?buildingType=k-12&shortlist=p-1%2Cp-2#scene=building');
+    assert.deepStrictEqual(ProductShortlist.readIds(new URL(href).search), ['p-1', 'p-2']);
+});
+
+test('the list is stored per building type and reloaded', () => {
+    const storage = new MemoryStorage();
+    const shortlist = new ProductShortlist({ storage }).load('k-12');
+
+    assert.strictEqual(shortlist.add(FAN), true);
+    assert.strictEqual(shortlist.add({ ...FAN, title: 'Again' }), false);
+    assert.strictEqual(shortlist.add({ title: 'No Id' }), false);
+    assert.deepStrictEqual(Array.from(storage.map.keys()), ['gh-shortlist:k-12']);
+
+    const reloaded = new ProductShortlist({ storage }).load('k-12');
+    assert.deepStrictEqual(reloaded.items.map(item => item.title), ['Exhaust Fan']);
+    assert.strictEqual(new ProductShortlist({ storage }).load('office').size, 0);
+
+    reloaded.remove('p-1');
+    assert.strictEqual(storage.length, 0);
+});
+
+test('unreadable lists and storage failures leave a list for the visit', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const storage = new MemoryStorage({ 'gh-shortlist:k-12': '{broken', 'gh-shortlist:office': '[null, {"title": "No Id"}, {"id": "p-9"}]' });
+
+    assert.strictEqual(new ProductShortlist({ storage }).load('k-12').size, 0);
+    assert.deepStrictEqual(new ProductShortlist({ storage }).load('office').items, [{ id: 'p-9' }]);
+
+    storage.failWrites = true;
+    const shortlist = new ProductShortlist({ storage }).load('hospital');
+    assert.strictEqual(shortlist.add(FAN), true);
+    assert.strictEqual(shortlist.size, 1);
+    assert.strictEqual(warn.mock.callCount(), 2);
+});
+
+test('onChange reports loads and changes', () => {
+    const sizes = [];
+    const shortlist = new ProductShortlist({ storage: null, onChange: items => sizes.push(items.length) });
+
+    shortlist.load('k-12');
+    shortlist.add(FAN);
+    shortlist.remove('p-2');
+    shortlist.clear();
+    shortlist.clear();
+    assert.deepStrictEqual(sizes, [0, 1, 0]);
+});
+
+test('refresh updates details but keeps products the data no longer has', () => {
+    const shortlist = new ProductShortlist({ storage: null }).load('k-12');
+    shortlist.add(FAN);
+    shortlist.add(UNIT);
+    const addedAt = shortlist.items[0].addedAt;
+
+    shortlist.refresh(item => (item.id === 'p-1' ? { id: 'other', title: 'Quiet Exhaust Fan', addedAt: 'now' } : null));
+    assert.deepStrictEqual(shortlist.items.map(item => [item.id, item.title]), [['p-1', 'Quiet Exhaust Fan'], ['p-2', 'Rooftop Unit']]);
+    assert.strictEqual(shortlist.items[0].addedAt, addedAt);
+});
+
+test('toCSV quotes cells and defuses spreadsheet formulas', () => {
+    const shortlist = new ProductShortlist({ storage: null }).load('k-12');
+    shortlist.add({ id: 'p-1', title: 'Fan, "quiet"', productDetailsUrl: 'https://example.com/fan', spaceName: 'Gym\nNorth' });
+    shortlist.add({ id: 'p-2', title: '=HYPERLINK("https://evil.example")', spaceName: ' Lobby' });
+    shortlist.add({ id: '-3', title: '@SUM(A1)', spaceName: '+1' });
+
+    assert.strictEqual(shortlist.toCSV(), [
+        'Product,Space,Product ID,Product URL',
+        '"Fan, ""quiet""","Gym\nNorth",p-1,https://example.com/fan',
+        '"\'=HYPERLINK(""https://evil.example"")"," Lobby",p-2,',
+        "'@SUM(A1),'+1,'-3,"
+    ].join('\r\n'));
+});
+
+test('toJSON exports the items with the building type and extra fields', (t) => {
+    t.mock.method(Date.prototype, 'toISOString', () => '2024-01-01T00:00:00.000Z');
+    const shortlist = new ProductShortlist({ storage: null }).load('k-12');
+    shortlist.add(FAN);
+
+    assert.deepStrictEqual(JSON.parse(shortlist.toJSON({ title: 'Greenheck K-12' })), {
+        title: 'Greenheck K-12',
+        buildingType: 'k-12',
+        exportedAt: '2024-01-01T00:00:00.000Z',
+        items: [{ id: 'p-1', title: 'Exhaust Fan', space: 'School Gym', spaceId: 'gym', productDetailsUrl: 'https://example.com/fan' }]
+    });
+});
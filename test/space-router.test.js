@@ -0,0 +1,102 @@
+/**
+ * SpaceRouter parsing, serialization and URL building.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SpaceRouter = require('../Content/js/space-router');
+
+const GYM = 'e810fbc3-7397-41a3-a9e6-28ff623203cd';
+
+// A location/history pair that moves together, as in the browser
+function createBrowser(href) {
+    const location = {};
+    const entries = [];
+    const go = (url) => {
+        const parsed = new URL(url, 'https://example.com');
+        Object.assign(location, { pathname: parsed.pathname, search: parsed.search, hash: parsed.hash });
+    };
+    go(href);
+    const history = {
+        entries: entries,
+        pushState(state, title, url) {
+            entries.push({ method: 'push', state, url });
+            go(url);
+        },
+        replaceState(state, title, url) {
+            entries.push({ method: 'replace', state, url });
+            go(url);
+        }
+    };
+    return { location, history };
+}
+
+test('parse reads a route and turns the 1-based slide into an index', () => {
+    const params = new URLSearchParams(`scene=detail&space=${GYM}&tab=system-equipment&slide=3`);
+    assert.deepStrictEqual(SpaceRouter.parse(params), { scene: 'detail', spaceId: GYM, tab: 'system-equipment', productIndex: 2 });
+    assert.deepStrictEqual(SpaceRouter.parse(new URLSearchParams('scene=building')), { scene: 'building', spaceId: null, tab: null, productIndex: 0 });
+});
+
+test('parse ignores unknown scenes and bad slide numbers', () => {
+    assert.strictEqual(SpaceRouter.parse(new URLSearchParams('scene=lobby&space=gym')), null);
+    assert.strictEqual(SpaceRouter.parse(new URLSearchParams('space=gym')), null);
+    assert.strictEqual(SpaceRouter.parse(new URLSearchParams('scene=detail&slide=0')).productIndex, 0);
+    assert.strictEqual(SpaceRouter.parse(new URLSearchParams('scene=detail&slide=x')).productIndex, 0);
+});
+
+test('serialize writes only what the state has and keeps other parameters', () => {
+    const params = new URLSearchParams('buildingType=k-12&slide=9');
+    SpaceRouter.serialize({ scene: 'detail', spaceId: 'gym', tab: 'overview', productIndex: 0 }, params);
+    assert.strictEqual(params.toString(), 'buildingType=k-12&scene=detail&space=gym&tab=overview');
+
+    // The slide belongs to a tab
+    assert.strictEqual(SpaceRouter.serialize({ scene: 'detail', spaceId: 'gym', productIndex: 2 }).toString(), 'scene=detail&space=gym');
+    assert.strictEqual(SpaceRouter.serialize(null, new URLSearchParams('scene=detail&x=1')).toString(), 'x=1');
+});
+
+test('serialize and parse round-trip', () => {
+    const state = { scene: 'detail', spaceId: GYM, tab: 'system-equipment', productIndex: 4 };
+    assert.deepStrictEqual(SpaceRouter.parse(SpaceRouter.serialize(state)), state);
+});
+
+test('hash mode keeps the route in the hash and moves it out of the query string', () => {
+    const { location, history } = createBrowser('/index.html?buildingType=k-12&scene=building#top');
+    const router = new SpaceRouter({ location, history });
+
+    assert.strictEqual(router.buildUrl({ scene: 'detail', spaceId: 'gym', tab: 'overview' }),
+        '/index.html?buildingType=k-12#scene=detail&space=gym&tab=overview');
+    // An unrelated hash is kept when there is no route to write
+    assert.strictEqual(router.buildUrl(null), '/index.html?buildingType=k-12#top');
+});
+
+test('query mode writes the route into the query string and drops a route hash', () => {
+    const { location, history } = createBrowser('/?buildingType=k-12#scene=building');
+    const router = new SpaceRouter({ mode: 'query', location, history });
+
+    assert.strictEqual(router.buildUrl({ scene: 'detail', spaceId: 'gym', tab: 'system-equipment', productIndex: 1 }),
+        '/?buildingType=k-12&scene=detail&space=gym&tab=system-equipment&slide=2');
+});
+
+test('read prefers the hash, then the query string', () => {
+    const hashed = createBrowser('/?scene=building#scene=detail&space=gym');
+    assert.strictEqual(new SpaceRouter(hashed).read().scene, 'detail');
+
+    const queried = createBrowser('/?scene=detail&space=gym#top');
+    assert.strictEqual(new SpaceRouter(queried).read().spaceId, 'gym');
+});
+
+test('push adds a history entry only when the URL changes', () => {
+    const browser = createBrowser('/');
+    const router = new SpaceRouter(browser);
+
+    router.push({ scene: 'building' });
+    router.push({ scene: 'building' });
+    router.replace({ scene: 'detail', spaceId: 'gym' });
+
+    assert.deepStrictEqual(browser.history.entries.map(entry => [entry.method, entry.url]), [
+        ['push', '/#scene=building'],
+        ['replace', '/#scene=detail&space=gym']
+    ]);
+    assert.deepStrictEqual(router.read(), { scene: 'detail', spaceId: 'gym', tab: null, productIndex: 0 });
+});
@@ -0,0 +1,116 @@
+/**
+ * SpaceSearch indexing, matching and ranking.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TabRegistry = require('../Content/js/tab-registry');
+const SpaceSearch = require('../Content/js/space-search');
+require('../Content/js/data-adapter'); // Registers the built-in tab types and their search hooks
+
+// A tab type without a search hook
+TabRegistry.register('documents', { label: 'Documents' });
+
+const SPACES = [
+    {
+        id: 'gym',
+        name: 'School Gym',
+        systemName: 'Dedicated Outdoor Air',
+        tabs: ['overview', 'system-equipment', 'documents'],
+        overview: { title: 'Overview', body: '<p>Large volume space with high ceilings.</p>' },
+        systemEquipment: [
+            {
+                title: 'RVE-85 Rooftop Unit',
+                body: '<p>Energy recovery for the gym.</p>',
+                specs: [{ label: 'Airflow', value: '8500 cfm' }],
+                submittals: [{ title: 'RVE-85 submittal' }]
+            },
+            { title: 'Exhaust Fan', body: 'Quiet fan', specs: [], submittals: [] }
+        ],
+        documents: [{ title: 'Warranty', url: 'https://example.com/warranty.pdf' }]
+    },
+    {
+        id: 'classrooms',
+        name: 'Classrooms',
+        systemName: 'VRF',
+        tabs: ['overview'],
+        overview: { title: 'Overview', body: 'Quiet classrooms with rooftop ventilation' }
+    }
+];
+
+const index = new SpaceSearch().build(SPACES);
+const titles = (query, options) => index.search(query, options).map(result => result.title);
+
+test('build indexes each space and the entries of its tabs', () => {
+    assert.strictEqual(index.entries.length, 7);
+    assert.deepStrictEqual(index.browse('System Equipment').map(result => [result.spaceId, result.productIndex, result.title]), [
+        ['gym', 0, 'RVE-85 Rooftop Unit'],
+        ['gym', 1, 'Exhaust Fan']
+    ]);
+});
+
+test('model numbers match however they are written', () => {
+    ['rve85', 'RVE-85', 'rve 85'].forEach(query => {
+        const [result] = index.search(query);
+        assert.deepStrictEqual([result.spaceId, result.tab, result.productIndex], ['gym', 'system-equipment', 0], query);
+    });
+});
+
+test('title matches rank above space name and body text matches', () => {
+    assert.deepStrictEqual(titles('rooftop'), ['RVE-85 Rooftop Unit', 'Overview']);
+    assert.deepStrictEqual(index.search('rooftop').map(result => result.spaceId), ['gym', 'classrooms']);
+
+    const gym = index.search('gym');
+    assert.deepStrictEqual([gym[0].spaceId, gym[0].tab, gym[0].title], ['gym', null, 'School Gym']);
+    assert.ok(gym.slice(1).every(result => result.score < gym[0].score));
+    // Equal scores are ordered by title
+    assert.deepStrictEqual(titles('quiet'), ['Exhaust Fan', 'Overview']);
+});
+
+test('every query word must match', () => {
+    assert.deepStrictEqual(titles('rooftop fan'), []);
+    assert.deepStrictEqual(titles('quiet fan'), ['Exhaust Fan']);
+});
+
+test('prefixes and small typos match, with a lower score', () => {
+    assert.deepStrictEqual(titles('exh'), ['Exhaust Fan']);
+    assert.deepStrictEqual(titles('rooftpo'), ['RVE-85 Rooftop Unit', 'Overview']);
+    assert.ok(index.search('rooftpo')[0].score < index.search('rooftop')[0].score);
+    assert.deepStrictEqual(titles('claasrooms')[0], 'Classrooms');
+    // Short words need an exact or prefix match
+    assert.deepStrictEqual(titles('fab'), []);
+});
+
+test('tabs without a search hook are indexed as one entry, without their URLs', () => {
+    const [result] = index.search('warranty');
+    assert.deepStrictEqual([result.tab, result.tabLabel, result.title], ['documents', 'Documents', 'Documents']);
+    assert.deepStrictEqual(titles('example'), []);
+});
+
+test('results are limited and snippets are cut around the first match', () => {
+    assert.strictEqual(index.search('gym').length, 5);
+    assert.strictEqual(index.search('gym', { limit: 2 }).length, 2);
+
+    const long = new SpaceSearch({ snippetLength: 30 }).build([{
+        id: 'lab',
+        name: 'Lab',
+        tabs: ['overview'],
+        overview: { title: 'Overview', body: 'The science lab needs a high air change rate and fume hoods near the windows.' }
+    }]);
+    const [result] = long.search('fume');
+    assert.strictEqual(result.snippet, '…rate and fume hoods near the…');
+    assert.deepStrictEqual(result.terms, ['fume']);
+    assert.deepStrictEqual(new SpaceSearch().build(SPACES).search('  '), []);
+});
+
+test('tokenize, distance and highlight', () => {
+    assert.deepStrictEqual(SpaceSearch.tokenize('Façade — RVE-85'), ['facade', 'rve', '85']);
+
+    assert.strictEqual(SpaceSearch.distance('rooftop', 'rooftpo'), 1);
+    assert.strictEqual(SpaceSearch.distance('kitten', 'sitting'), 3);
+    assert.strictEqual(SpaceSearch.distance('kitten', 'sitting', 1), 2);
+
+    assert.strictEqual(SpaceSearch.highlight('<RVE-85> unit', ['rve', '8']), '&lt;<mark>RVE</mark>-85&gt; unit');
+    assert.strictEqual(SpaceSearch.highlight('a & b', []), 'a &amp; b');
+});
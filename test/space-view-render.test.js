@@ -0,0 +1,93 @@
+/**
+ * Markup the views build from CMS URLs. Run with `node --test test/` (Node 18+, no install needed).
+ *
+ * DataAdapter returns URLs decoded once; a character reference the CMS double-encoded survives
+ * as text ("&#106;avascript:") and must reach the browser escaped, or the attribute parser
+ * would decode it into a working URL.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HtmlSanitizer = require('../Content/js/html-sanitizer');
+const TabRegistry = require('../Content/js/tab-registry');
+const DataAdapter = require('../Content/js/data-adapter');
+const { loadApp } = require('./helpers/load-app');
+
+const { APP_CONFIG, SpaceView, document, createElement } = loadApp();
+const ids = APP_CONFIG.selectors.ids;
+
+const PAYLOADS = {
+    link: '&amp;#106;avascript:alert(1)',
+    image: 'x&amp;quot; onerror=&amp;quot;alert(1)',
+    background: 'x&amp;#39;);background:red'
+};
+
+// The API response with the payloads in the first space
+function transformed() {
+    const raw = JSON.parse(JSON.stringify(require('../Content/js/api-response.json')));
+    const space = raw.value[0].Spaces[0];
+    const product = space.SystemEquipment[0];
+    product.ProductUrl = PAYLOADS.link;
+    product.SliderImage[0].Url = PAYLOADS.image;
+    product.BackgroundImage = [{ Url: PAYLOADS.background }];
+    space.Overview[0].BackgroundImage[0].Url = PAYLOADS.background;
+    space.DesignNarrative[0].BackgroundImage = [{ Url: PAYLOADS.image }];
+    return DataAdapter.transform(raw).spaces[0];
+}
+
+// The value of an attribute as the browser reads it from the markup (references decoded once)
+function attributeOf(html, tag, name) {
+    const match = html.match(new RegExp(`<${tag}\\b[^>]*?\\s${name}="([^"]*)"`));
+    assert.ok(match, `no ${name} on <${tag}>`);
+    return HtmlSanitizer.toText(match[1]);
+}
+
+const space = transformed();
+const product = space.systemEquipment[0];
+
+test('the payloads pass DataAdapter as text', () => {
+    assert.strictEqual(product.productDetailsUrl, '&#106;avascript:alert%281%29');
+    assert.strictEqual(product.slideImg, 'x&quot;%20onerror=&quot;alert%281%29');
+});
+
+test('a product slide keeps the image URL inert and the background inside its CSS string', () => {
+    const slide = createElement('slide');
+    const view = { carouselSpaceId: space.id, comparedKeys: new Set(), shortlistedIds: new Set() };
+    const html = SpaceView.prototype.renderProductSlide.call(view, product, 0, 1, slide);
+
+    assert.strictEqual(attributeOf(html, 'img', 'src'), product.slideImg);
+    assert.doesNotMatch(html, /onerror="/);
+    assert.strictEqual(slide.style.backgroundImage, 'url("x&#39;%29;background:red")');
+});
+
+test('the compare table links to the product page as written', () => {
+    SpaceView.prototype.renderComparison.call({}, [{ key: product.id, product: product, spaceName: space.name }]);
+    const html = document.getElementById(ids.comparePanelBody).innerHTML;
+    const href = attributeOf(html, 'a', 'href');
+
+    assert.strictEqual(href, product.productDetailsUrl);
+    assert.doesNotMatch(href, /^\s*javascript:/i);
+    assert.strictEqual(attributeOf(html, 'img', 'src'), product.slideImg);
+});
+
+test('the shortlist tray links to a stored product page as written', () => {
+    SpaceView.prototype.renderShortlist.call({}, [
+        { id: product.id, title: product.title, productDetailsUrl: product.productDetailsUrl, spaceName: space.name }
+    ]);
+    const html = document.getElementById(ids.shortlistList).innerHTML;
+    const href = attributeOf(html, 'a', 'href');
+
+    assert.strictEqual(href, product.productDetailsUrl);
+    assert.doesNotMatch(href, /^\s*javascript:/i);
+});
+
+test('the overview and narrative tabs keep their image URLs inert', () => {
+    const overview = createElement('overview');
+    TabRegistry.get('overview').render(overview, space.overview, { space });
+    assert.strictEqual(attributeOf(overview.innerHTML, 'div', 'style'), 'background-image: url("x&#39;%29;background:red")');
+
+    const narrative = createElement('narrative');
+    TabRegistry.get('design-narrative').render(narrative, space.designNarrative, { space });
+    assert.strictEqual(attributeOf(narrative.innerHTML, 'img', 'src'), space.designNarrative.img);
+    assert.doesNotMatch(narrative.innerHTML, /onerror="/);
+});
@@ -0,0 +1,179 @@
+/**
+ * SvgLoader caching, inlining and sanitizing.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const HtmlSanitizer = require('../Content/js/html-sanitizer');
+const { loadScript, createWindow } = require('./helpers/fake-dom');
+
+const MAP = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><g id="gym"/></svg>';
+const PIN = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 4 4"><circle id="pin"/></svg>';
+
+// A loader over `files` (absolute URL -> markup, or a promise of it); fresh module state each time
+function setup(files) {
+    const window = loadScript('svg-loader', createWindow({ HtmlSanitizer }));
+    const requests = [];
+    const fetch = async (url) => {
+        requests.push(url);
+        if (!(url in files)) return { ok: false, status: 404 };
+        return { ok: true, status: 200, text: async () => files[url] };
+    };
+    const loader = new window.SvgLoader({ fetch });
+    return { window, loader, requests, document: window.document, SvgLoader: window.SvgLoader };
+}
+
+test('each file is fetched once, however its URL is written', async () => {
+    const { loader, requests } = setup({ 'https://example.com/imgs/map.svg': MAP });
+
+    const [first, second] = await Promise.all([loader.load('imgs/map.svg'), loader.load('./imgs/map.svg')]);
+    const third = await loader.load('https://example.com/imgs/map.svg');
+
+    assert.strictEqual(first, second);
+    assert.strictEqual(first, third);
+    assert.deepStrictEqual(requests, ['https://example.com/imgs/map.svg']);
+    assert.strictEqual(first.getAttribute('width'), '100%');
+    assert.strictEqual(first.getAttribute('preserveAspectRatio'), 'xMidYMid meet');
+});
+
+test('a failed load is retried the next time it is requested', async () => {
+    const files = {};
+    const { loader, requests } = setup(files);
+
+    await assert.rejects(loader.load('map.svg'), /HTTP 404 for map\.svg/);
+    files['https://example.com/map.svg'] = 'not markup';
+    await assert.rejects(loader.load('map.svg'), /is not a valid SVG document/);
+    files['https://example.com/map.svg'] = MAP;
+    assert.ok(await loader.load('map.svg'));
+
+    assert.strictEqual(requests.length, 3);
+});
+
+test('inline fills the container with a copy of the cached file', async () => {
+    const { loader, document, SvgLoader } = setup({ 'https://example.com/map.svg': MAP });
+    const first = document.createElement('div');
+    const second = document.createElement('div');
+
+    const svg = await loader.inline(first, 'map.svg');
+    await loader.inline(second, 'map.svg');
+
+    assert.deepStrictEqual(first.children, [svg]);
+    assert.strictEqual(first.getAttribute('data-src'), 'map.svg');
+    assert.notStrictEqual(second.children[0], svg);
+    assert.notStrictEqual(svg, await loader.load('map.svg'));
+    assert.ok(SvgLoader.findById(second, 'gym'));
+});
+
+test('an inline call superseded before its file arrives is discarded', async () => {
+    let deliver;
+    const { loader, document } = setup({
+        'https://example.com/map.svg': new Promise(resolve => { deliver = resolve; }),
+        'https://example.com/pin.svg': PIN
+    });
+    const container = document.createElement('div');
+
+    const slow = loader.inline(container, 'map.svg');
+    const fast = await loader.inline(container, 'pin.svg');
+    deliver(MAP);
+
+    assert.strictEqual(await slow, null);
+    assert.deepStrictEqual(container.children, [fast]);
+    assert.strictEqual(container.getAttribute('data-src'), 'pin.svg');
+
+    // Clearing cancels a pending call too
+    const cleared = loader.inline(container, 'map.svg');
+    loader.clear(container);
+    assert.strictEqual(await cleared, null);
+    assert.deepStrictEqual(container.children, []);
+    assert.strictEqual(container.hasAttribute('data-src'), false);
+});
+
+test('inline resolves with null when the file cannot be loaded', async (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const { loader, document } = setup({});
+    const container = document.createElement('div');
+
+    assert.strictEqual(await loader.inline(container, 'missing.svg'), null);
+    assert.strictEqual(container.hasAttribute('data-src'), false);
+    assert.strictEqual(warn.mock.callCount(), 1);
+
+    await loader.preload(['missing.svg', 'missing.svg', null]);
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test('parse removes script, handlers and unsafe links', () => {
+    const { loader, SvgLoader } = setup({});
+    const svg = loader.parse(`<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" onload="alert(1)">
+        <script>alert(1)</script>
+        <foreignObject><div/></foreignObject>
+        <g id="gym" onclick="alert(1)"/>
+        <a id="bad" href="javascript:alert(1)"/>
+        <a id="good" xlink:href="https://example.com/gym"/>
+        <image id="relative" href="pins/gym.png"/>
+        <image id="inline" href="data:image/png;base64,AA"/>
+        <image id="html" xlink:href="data:text/html,&lt;script&gt;"/>
+        <use id="external" href="other.svg#pin"/>
+        <animate id="swap" attributeName="href" to="javascript:alert(1)"/>
+        <animate id="fade" attributeName="opacity"/>
+    </svg>`, 'https://example.com/imgs/map.svg');
+    const attribute = (id, name) => SvgLoader.findById(svg, id).getAttribute(name);
+
+    assert.deepStrictEqual(svg.querySelectorAll('script, foreignObject, #swap'), []);
+    assert.strictEqual(svg.hasAttribute('onload'), false);
+    assert.strictEqual(attribute('gym', 'onclick'), null);
+    assert.strictEqual(attribute('bad', 'href'), null);
+    assert.strictEqual(attribute('good', 'xlink:href'), 'https://example.com/gym');
+    assert.strictEqual(attribute('relative', 'href'), 'https://example.com/imgs/pins/gym.png');
+    assert.strictEqual(attribute('inline', 'href'), 'data:image/png;base64,AA');
+    assert.strictEqual(attribute('html', 'xlink:href'), null);
+    assert.strictEqual(attribute('external', 'href'), null);
+    assert.ok(SvgLoader.findById(svg, 'fade'));
+});
+
+test('IDs the file references are prefixed per file, other IDs are kept', () => {
+    const { loader, SvgLoader } = setup({});
+    const markup = `<svg xmlns="http://www.w3.org/2000/svg">
+        <style>.pin { fill: url(#glow) }</style>
+        <linearGradient id="glow"/>
+        <clipPath id="clip"/>
+        <g id="gym" clip-path="url('#clip')" aria-labelledby="gym-label"><text id="gym-label"/></g>
+        <use href="#gym"/>
+        <g id="classrooms"/>
+    </svg>`;
+    const first = loader.parse(markup, 'https://example.com/a.svg');
+    const second = loader.parse(markup, 'https://example.com/b.svg');
+
+    assert.strictEqual(SvgLoader.findById(first, 'svg1-gym').getAttribute('clip-path'), "url('#svg1-clip')");
+    assert.strictEqual(SvgLoader.findById(first, 'svg1-gym').getAttribute('aria-labelledby'), 'svg1-gym-label');
+    assert.strictEqual(first.querySelector('use').getAttribute('href'), '#svg1-gym');
+    assert.ok(SvgLoader.findById(first, 'svg1-glow'));
+    assert.match(first.querySelector('style').textContent, /fill: url\(#svg1-glow\)/);
+    assert.ok(SvgLoader.findById(second, 'svg2-glow'));
+    assert.ok(SvgLoader.findById(second, 'classrooms'));
+    assert.strictEqual(SvgLoader.findById(second, 'glow'), null);
+});
+
+test('style rules are scoped to the file root and @import is dropped', () => {
+    const { loader } = setup({});
+    const svg = loader.parse(`<svg xmlns="http://www.w3.org/2000/svg"><style><![CDATA[
+        /* pins */ @import url(fonts.css);
+        .pin, text { fill: red }
+        svg { color: blue }
+        @media (min-width: 600px) { :root .label { opacity: 1 } }
+        @font-face { font-family: Pins }
+    ]]></style></svg>`, 'https://example.com/map.svg');
+
+    assert.strictEqual(svg.classList.contains('svg1'), true);
+    assert.strictEqual(svg.querySelector('style').textContent,
+        '.svg1 .pin, .svg1 text{ fill: red }.svg1{ color: blue }@media (min-width: 600px){.svg1 .label{ opacity: 1 }}@font-face{ font-family: Pins }');
+});
+
+test('findById escapes the ID for the selector', () => {
+    const { loader, SvgLoader } = setup({});
+    const svg = loader.parse('<svg xmlns="http://www.w3.org/2000/svg"><g id="a&quot;b"/></svg>', 'https://example.com/map.svg');
+
+    assert.ok(SvgLoader.findById(svg, 'a"b'));
+    assert.strictEqual(SvgLoader.findById(svg, ''), null);
+    assert.strictEqual(SvgLoader.findById(null, 'a'), null);
+});
@@ -0,0 +1,83 @@
+/**
+ * TabRegistry registration and the tabs DataAdapter derives from it.
+ * Run with `node --test test/` (Node 18+, no install needed).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TabRegistry = require('../Content/js/tab-registry');
+const DataAdapter = require('../Content/js/data-adapter');
+
+const PAYLOAD = require('../Content/js/api-response.json');
+
+TabRegistry.register('Documents', {
+    label: 'Documents',
+    source: 'Documents',
+    transform: (value) => (value || []).map(doc => ({ title: doc.Title, url: doc.Url }))
+});
+
+test('normalize turns CMS labels into tab keys', () => {
+    assert.strictEqual(TabRegistry.normalize('System Equipment'), 'system-equipment');
+    assert.strictEqual(TabRegistry.normalize('  Design / Narrative! '), 'design-narrative');
+    assert.strictEqual(TabRegistry.normalize(null), '');
+});
+
+test('hasContent ignores markup, blank text and empty containers', () => {
+    assert.strictEqual(TabRegistry.hasContent('<p>&nbsp;</p>'), false);
+    assert.strictEqual(TabRegistry.hasContent({ title: '', items: [null, ' '] }), false);
+    assert.strictEqual(TabRegistry.hasContent([{ body: '<b>Gym</b>' }]), true);
+    assert.strictEqual(TabRegistry.hasContent(0), true);
+});
+
+test('a registered tab gets defaults and keeps registration order', () => {
+    const documents = TabRegistry.get('documents');
+
+    assert.deepStrictEqual(TabRegistry.keys(), ['overview', 'system-equipment', 'design-narrative', 'documents']);
+    assert.strictEqual(documents.property, 'documents');
+    assert.strictEqual(documents.query, true);
+    assert.strictEqual(documents.isVisible([]), false);
+    assert.strictEqual(TabRegistry.get('System Equipment').property, 'systemEquipment');
+    assert.strictEqual(TabRegistry.has('Design Narrative'), true);
+    assert.strictEqual(TabRegistry.get('gallery'), null);
+});
+
+test('registering a key again merges into its definition', () => {
+    const render = () => {};
+    const stored = TabRegistry.register('documents', { render });
+
+    assert.strictEqual(stored, TabRegistry.get('documents'));
+    assert.strictEqual(stored.render, render);
+    assert.strictEqual(stored.source, 'Documents');
+    assert.strictEqual(typeof stored.transform, 'function');
+    assert.strictEqual(TabRegistry.keys().length, 4);
+});
+
+test('a definition needs a key and function members', () => {
+    assert.throws(() => TabRegistry.register(' ', {}), /requires a key/);
+    assert.throws(() => TabRegistry.register('gallery', { render: 'gallery.html' }), {
+        name: 'TypeError',
+        message: 'Tab type "gallery": render must be a function'
+    });
+    assert.strictEqual(TabRegistry.has('gallery'), false);
+});
+
+test('DataAdapter queries, transforms and shows a registered tab', () => {
+    assert.strictEqual(DataAdapter.getODataQuery().expand.Spaces.expand.Documents, true);
+
+    const payload = JSON.parse(JSON.stringify(PAYLOAD));
+    payload.value[0].Spaces[0].Documents = [{ Title: 'Spec sheet', Url: '/spec.pdf' }];
+    const [withDocuments, withoutDocuments] = DataAdapter.transform(payload).spaces;
+
+    assert.deepStrictEqual(withDocuments.documents, [{ title: 'Spec sheet', url: '/spec.pdf' }]);
+    assert.deepStrictEqual(withDocuments.tabs, ['overview', 'system-equipment', 'design-narrative', 'documents']);
+    assert.deepStrictEqual(withoutDocuments.tabs, ['overview', 'system-equipment', 'design-narrative']);
+});
+
+test('a space\'s Tabs field picks known tabs and their order', () => {
+    const space = DataAdapter.transform(PAYLOAD).spaces[0];
+
+    assert.deepStrictEqual(DataAdapter.getSpaceTabs(space, ['Design Narrative', 'unknown', 'overview']), ['design-narrative', 'overview']);
+    // A space with nothing to show keeps its first candidate
+    assert.deepStrictEqual(DataAdapter.getSpaceTabs(space, ['Documents']), ['documents']);
+    assert.deepStrictEqual(DataAdapter.getSpaceTabs(space, ['unknown']), space.tabs);
+});
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Mock OData Server
+ * Serves the static building type exports (Content/js/api-response.json and
+ * Content/js/<key>-data.json) as the CMS `buildingtypes` entity set, plus the site itself,
+ * so ODataClient and SpaceService can be exercised locally. Failures and latency can be
+ * injected to test timeouts and retries.
+ *
+ * Usage:
+ *   node tools/mock-odata-server.js [options]
+ *   then open http://localhost:8080/ (index.html is served with data-api-base-url set)
+ *
+ * Supported query options: $filter (Field eq literal [and ...]), $top, $skip and server-driven
+ * paging through @odata.nextLink ($skiptoken). $select and $expand are accepted but not applied.
+ * With --spaces-page-size the expanded Spaces are paged too ("Spaces@odata.nextLink", served
+ * from buildingtypes(<Id>)/Spaces).
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = path.join(ROOT, 'Content', 'js');
+const SERVICE_PATH = '/api/all-services';
+const ENTITY_SET = 'buildingtypes';
+
+const USAGE = [
+    'Usage: node tools/mock-odata-server.js [options]',
+    '',
+    'Options:',
+    '  -p, --port <n>         Port to listen on (default 8080)',
+    '  --page-size <n>        Records per page before an @odata.nextLink is returned (default 1)',
+    '  --spaces-page-size <n> Spaces per record before a Spaces@odata.nextLink is returned (default: all)',
+    '  --delay <ms>           Delay every API response (default 0)',
+    '  --fail-first <n>       Fail the first n API requests (default 0)',
+    '  --fail-status <code>   Status used for injected failures (default 503)',
+    '  --retry-after <s>      Send Retry-After with injected failures',
+    '  -h, --help             Show this help'
+].join('\n');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.otf': 'font/otf'
+};
+
+function parseArgs(argv) {
+    const options = {
+        port: 8080, pageSize: 1, spacesPageSize: 0, delay: 0, failFirst: 0, failStatus: 503, retryAfter: null, help: false
+    };
+    const numbers = {
+        '-p': 'port', '--port': 'port', '--page-size': 'pageSize', '--spaces-page-size': 'spacesPageSize', '--delay': 'delay',
+        '--fail-first': 'failFirst', '--fail-status': 'failStatus', '--retry-after': 'retryAfter'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (numbers[arg]) {
+            const value = Number(argv[++i]);
+            if (!Number.isFinite(value) || value < 0) throw new Error(`${arg} requires a non-negative number`);
+            options[numbers[arg]] = value;
+        } else {
+            throw new Error(`Unknown option ${arg}`);
+        }
+    }
+    options.pageSize = Math.max(1, options.pageSize);
+    return options;
+}
+
+/**
+ * Loads every static export as one record list (the first record of each file).
+ * @returns {Array<Object>}
+ */
+function loadRecords() {
+    return fs.readdirSync(DATA_DIR)
+        .filter(file => file === 'api-response.json' || /-data\.json$/.test(file))
+        .sort()
+        .map(file => JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8')))
+        .map(payload => (payload.value || [])[0])
+        .filter(Boolean);
+}
+
+/**
+ * Parses a "$filter" made of "Field eq literal" clauses joined with "and".
+ * @param {string} filter - The filter expression.
+ * @returns {Function} A predicate for records.
+ */
+function parseFilter(filter) {
+    if (!filter) return () => true;
+    const clauses = filter.split(/\s+and\s+/i).map(clause => {
+        const match = clause.trim().match(/^(\w+)\s+eq\s+(?:'((?:[^']|'')*)'|(\S+))$/i);
+        if (!match) throw new Error(`Unsupported $filter clause: ${clause}`);
+        const expected = match[2] !== undefined ? match[2].replace(/''/g, "'") : match[3];
+        return record => String(record[match[1]]).toLowerCase() === expected.toLowerCase();
+    });
+    return record => clauses.every(test => test(record));
+}
+
+function send(res, status, body, headers = {}) {
+    const isJson = typeof body !== 'string' && !Buffer.isBuffer(body);
+    res.writeHead(status, {
+        'Content-Type': isJson ? CONTENT_TYPES['.json'] : 'text/plain; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        ...headers
+    });
+    res.end(isJson ? JSON.stringify(body, null, 2) : body);
+}
+
+/**
+ * Returns one page of a collection and the nextLink to the rest, if any.
+ * @param {Array} items - The collection.
+ * @param {URL} url - The request URL ($skiptoken/$skip and $top are read from it).
+ * @param {number} pageSize - Items per page.
+ * @returns {Object} { page, nextLink }.
+ */
+function paginate(items, url, pageSize) {
+    const skip = Number(url.searchParams.get('$skiptoken') || url.searchParams.get('$skip') || 0);
+    const top = url.searchParams.has('$top') ? Number(url.searchParams.get('$top')) : Infinity;
+    const end = Math.min(items.length, top);
+    const page = items.slice(skip, Math.min(skip + pageSize, end));
+
+    let nextLink = null;
+    if (skip + page.length < end) {
+        const next = new URL(url.href);
+        next.searchParams.delete('$skip');
+        next.searchParams.set('$skiptoken', String(skip + page.length));
+        nextLink = next.href;
+    }
+    return { page, nextLink };
+}
+
+// Cuts the expanded Spaces of a record to their first page
+function pageSpaces(record, url, options) {
+    const spaces = record.Spaces;
+    if (!options.spacesPageSize || !Array.isArray(spaces) || spaces.length <= options.spacesPageSize) return record;
+    return {
+        ...record,
+        Spaces: spaces.slice(0, options.spacesPageSize),
+        'Spaces@odata.nextLink': `${url.origin}${SERVICE_PATH}/${ENTITY_SET}(${record.Id})/Spaces?$skiptoken=${options.spacesPageSize}`
+    };
+}
+
+function handleApi(req, res, url, options) {
+    const resource = url.pathname.slice(SERVICE_PATH.length + 1);
+    const spacesOf = resource.match(new RegExp(`^${ENTITY_SET}\\(([^)]+)\\)/Spaces$`));
+    if (resource !== ENTITY_SET && !spacesOf) {
+        send(res, 404, { error: { code: 'NotFound', message: `Unknown entity set "${resource}"` } });
+        return;
+    }
+
+    const records = options.records || loadRecords();
+    if (spacesOf) {
+        const record = records.find(candidate => String(candidate.Id) === spacesOf[1].replace(/^'|'$/g, ''));
+        if (!record) {
+            send(res, 404, { error: { code: 'NotFound', message: `No ${ENTITY_SET} record ${spacesOf[1]}` } });
+            return;
+        }
+        const { page, nextLink } = paginate(record.Spaces || [], url, options.spacesPageSize || Infinity);
+        const body = { '@odata.context': `${url.origin}${SERVICE_PATH}/$metadata#${ENTITY_SET}(${record.Id})/Spaces`, value: page };
+        if (nextLink) body['@odata.nextLink'] = nextLink;
+        send(res, 200, body);
+        return;
+    }
+
+    let matches;
+    try {
+        matches = records.filter(parseFilter(url.searchParams.get('$filter')));
+    } catch (error) {
+        send(res, 400, { error: { code: 'BadRequest', message: error.message } });
+        return;
+    }
+
+    const { page, nextLink } = paginate(matches, url, options.pageSize);
+    const body = {
+        '@odata.context': `${url.origin}${SERVICE_PATH}/$metadata#${ENTITY_SET}`,
+        value: page.map(record => pageSpaces(record, url, options))
+    };
+    if (nextLink) body['@odata.nextLink'] = nextLink;
+    send(res, 200, body);
+}
+
+function handleStatic(req, res, url) {
+    let relative;
+    try {
+        relative = decodeURIComponent(url.pathname);
+    } catch (error) {
+        send(res, 400, 'Bad request');
+        return;
+    }
+    if (relative.endsWith('/')) relative += 'index.html';
+
+    const file = path.join(ROOT, relative);
+    if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        send(res, 404, 'Not found');
+        return;
+    }
+
+    let body = fs.readFileSync(file);
+    if (path.basename(file) === 'index.html') {
+        // Point the page at this server's OData endpoint
+        body = body.toString('utf8').replace('data-building-type=', `data-api-base-url="${SERVICE_PATH}" data-building-type=`);
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream' });
+    res.end(body);
+}
+
+/**
+ * Creates the mock server (not yet listening).
+ * @param {Object} [options] - See parseArgs().
+ * @param {Array<Object>} [options.records] - Records to serve instead of the static exports.
+ * @param {boolean} [options.quiet] - Do not log API requests.
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+    options = { ...parseArgs([]), ...options };
+    let apiRequests = 0;
+
+    return http.createServer((req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        if (!url.pathname.startsWith(`${SERVICE_PATH}/`)) {
+            handleStatic(req, res, url);
+            return;
+        }
+
+        apiRequests++;
+        if (!options.quiet) console.log(`${req.method} ${url.pathname}${url.search} (#${apiRequests})`);
+        setTimeout(() => {
+            if (apiRequests <= options.failFirst) {
+                const headers = options.retryAfter !== null ? { 'Retry-After': String(options.retryAfter) } : {};
+                send(res, options.failStatus, { error: { code: 'Injected', message: 'Injected failure' } }, headers);
+                return;
+            }
+            handleApi(req, res, url, options);
+        }, options.delay);
+    });
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        process.exit(2);
+    }
+    if (options.help) {
+        console.log(USAGE);
+        process.exit(0);
+    }
+
+    createServer(options).listen(options.port, () => {
+        console.log(`Mock OData service: http://localhost:${options.port}${SERVICE_PATH}/${ENTITY_SET}`);
+        console.log(`Site:               http://localhost:${options.port}/`);
+    });
+}
+
+module.exports = { createServer, parseFilter };
@@ -0,0 +1,266 @@
+#!/usr/bin/env node
+/**
+ * Building Type Validator (CLI)
+ * Runs a CMS OData export through DataAdapter offline, prints the transformed model and
+ * the schema findings, and checks that every local image/marker path the model references
+ * exists. Exits non-zero when there are errors, so editors can check a building type
+ * before it goes live.
+ *
+ * Usage:
+ *   node tools/validate-building-type.js <file.json> [options]
+ *
+ * Options:
+ *   -t, --type <key>   Building type key (default: from a "<key>-data.json" file name, else k-12)
+ *   -r, --root <dir>   Site root that "./Content/..." paths resolve against (default: repo root)
+ *   --no-model         Do not print the transformed model
+ *   --no-assets        Do not check that local image/marker files exist
+ *   --json             Print a single JSON report ({ buildingType, model, diagnostics, assets })
+ *   --strict           Treat warnings as errors
+ *   -h, --help         Show this help
+ *
+ * Exit codes: 0 = no errors, 1 = validation or asset errors, 2 = bad usage or unreadable file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DataAdapter = require('../Content/js/data-adapter');
+const BuildingTypeRegistry = require('../Content/js/building-type-registry');
+
+const EXIT = {
+    ok: 0,
+    invalid: 1,
+    usage: 2
+};
+
+const USAGE = [
+    'Usage: node tools/validate-building-type.js <file.json> [options]',
+    '',
+    'Options:',
+    '  -t, --type <key>   Building type key (default: from a "<key>-data.json" file name, else k-12)',
+    '  -r, --root <dir>   Site root that "./Content/..." paths resolve against (default: repo root)',
+    '  --no-model         Do not print the transformed model',
+    '  --no-assets        Do not check that local image/marker files exist',
+    '  --json             Print a single JSON report',
+    '  --strict           Treat warnings as errors',
+    '  -h, --help         Show this help'
+].join('\n');
+
+/**
+ * Parses command-line arguments.
+ * @param {Array<string>} argv - Arguments after the script name.
+ * @returns {Object} The options ({ file, type, root, printModel, checkAssets, json, strict, help }).
+ */
+function parseArgs(argv) {
+    const options = {
+        file: null,
+        type: null,
+        root: path.resolve(__dirname, '..'),
+        printModel: true,
+        checkAssets: true,
+        json: false,
+        strict: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} requires a value`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '-t':
+            case '--type':
+                options.type = next();
+                break;
+            case '-r':
+            case '--root':
+                options.root = path.resolve(next());
+                break;
+            case '--no-model':
+                options.printModel = false;
+                break;
+            case '--no-assets':
+                options.checkAssets = false;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--strict':
+                options.strict = true;
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+                if (options.file) throw new Error(`Unexpected argument ${arg}`);
+                options.file = arg;
+        }
+    }
+    return options;
+}
+
+/**
+ * Picks the building type: --type, then a "<key>-data.json" file name, then the registry default.
+ * @param {Object} options - Parsed options.
+ * @returns {string} The building type key.
+ */
+function resolveBuildingType(options) {
+    if (options.type) {
+        const key = BuildingTypeRegistry.normalize(options.type);
+        if (!key) {
+            throw new Error(`Unknown building type "${options.type}" (known: ${BuildingTypeRegistry.keys().join(', ')})`);
+        }
+        return key;
+    }
+    const match = path.basename(options.file).match(/^(.+)-data\.json$/);
+    return (match && BuildingTypeRegistry.normalize(match[1])) || BuildingTypeRegistry.defaultType;
+}
+
+/**
+ * Lists every asset path the transformed model references, with its location in the model.
+ * @param {Object} model - The DataAdapter output.
+ * @returns {Array<Object>} Entries of { path, url }.
+ */
+function collectAssets(model) {
+    const assets = [];
+    const add = (where, url) => {
+        if (url) assets.push({ path: where, url: url });
+    };
+
+    const meta = model.pageMetadata || {};
+    const hero = meta.heroSection || {};
+    add('pageMetadata.heroSection.backgroundImage', hero.backgroundImage);
+    (hero.actions || []).forEach((action, i) => add(`pageMetadata.heroSection.actions[${i}].iconClass`, action.iconClass));
+    add('pageMetadata.modalMapImage', meta.modalMapImage);
+    add('pageMetadata.modalMarkersImage', meta.modalMarkersImage);
+    add('pageMetadata.modalMarkersData', meta.modalMarkersData);
+
+    (model.spaces || []).forEach((space, i) => {
+        const base = `spaces[${i}]`;
+        add(`${base}.markerImg`, space.markerImg);
+        add(`${base}.overview.bgImg`, space.overview && space.overview.bgImg);
+        add(`${base}.designNarrative.img`, space.designNarrative && space.designNarrative.img);
+        (space.systemEquipment || []).forEach((item, j) => {
+            add(`${base}.systemEquipment[${j}].slideImg`, item.slideImg);
+            add(`${base}.systemEquipment[${j}].bgImg`, item.bgImg);
+            (item.images || []).forEach((image, k) => add(`${base}.systemEquipment[${j}].images[${k}]`, image.url));
+            (item.submittals || []).forEach((file, k) => add(`${base}.systemEquipment[${j}].submittals[${k}]`, file.url));
+        });
+    });
+    return assets;
+}
+
+/**
+ * Checks that local asset paths exist under the site root. Remote URLs are listed but not fetched.
+ * @param {Array<Object>} assets - Entries from collectAssets().
+ * @param {string} root - The site root directory.
+ * @returns {Object} { missing, remote, checked } arrays of asset entries.
+ */
+function checkAssets(assets, root) {
+    const result = { missing: [], remote: [], checked: [] };
+
+    assets.forEach(asset => {
+        if (/^([a-z][a-z0-9+.-]*:)?\/\//i.test(asset.url)) {
+            result.remote.push(asset);
+            return;
+        }
+        let relative = asset.url.split(/[?#]/)[0];
+        try {
+            relative = decodeURIComponent(relative);
+        } catch (error) {
+            // Keep the raw path if it is not valid percent-encoding
+        }
+        const file = path.join(root, relative.replace(/^\//, ''));
+        (fs.existsSync(file) ? result.checked : result.missing).push({ ...asset, file: file });
+    });
+    return result;
+}
+
+function formatIssue(severity, where, message) {
+    return `  ${severity.toUpperCase().padEnd(7)} ${where} ${message}`;
+}
+
+function printReport(report, options) {
+    const { model, diagnostics, assets } = report;
+    const out = [];
+
+    if (options.printModel) {
+        out.push(JSON.stringify(model, null, 2), '');
+    }
+
+    out.push(`Building type: ${report.buildingType}`);
+    out.push(`Spaces: ${(model.spaces || []).length}, equipment items: ${(model.spaces || [])
+        .reduce((sum, space) => sum + (space.systemEquipment || []).length, 0)}`);
+    out.push('');
+
+    out.push(`Schema: ${diagnostics.errors.length} error(s), ${diagnostics.warnings.length} warning(s)`);
+    diagnostics.errors.forEach(issue => out.push(formatIssue('error', issue.path, issue.message)));
+    diagnostics.warnings.forEach(issue => out.push(formatIssue('warning', issue.path, issue.message)));
+    out.push('');
+
+    if (assets.skipped) {
+        out.push('Assets: not checked (--no-assets)');
+    } else {
+        out.push(`Assets: ${assets.checked.length} found, ${assets.missing.length} missing, ${assets.remote.length} remote (not checked)`);
+    }
+    assets.missing.forEach(asset => out.push(formatIssue('error', asset.path, `file not found: ${asset.url}`)));
+    out.push('');
+
+    out.push(report.passed ? 'PASS' : 'FAIL');
+    console.log(out.join('\n'));
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return EXIT.usage;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return EXIT.ok;
+    }
+    if (!options.file) {
+        console.error(`Missing input file\n\n${USAGE}`);
+        return EXIT.usage;
+    }
+
+    let raw;
+    let buildingType;
+    try {
+        buildingType = resolveBuildingType(options);
+        raw = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    } catch (error) {
+        console.error(`Cannot read ${options.file}: ${error.message}`);
+        return EXIT.usage;
+    }
+
+    const { diagnostics, ...model } = DataAdapter.transform(raw, { buildingType: buildingType });
+    const assets = options.checkAssets
+        ? checkAssets(collectAssets(model), options.root)
+        : { missing: [], remote: [], checked: [], skipped: true };
+    const passed = diagnostics.errors.length === 0 && assets.missing.length === 0 &&
+        (!options.strict || diagnostics.warnings.length === 0);
+
+    const report = { buildingType, model, diagnostics, assets, passed };
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report, options);
+    }
+    return passed ? EXIT.ok : EXIT.invalid;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs, collectAssets, checkAssets };